@@ -2,6 +2,7 @@ import React, { useState, useMemo } from 'react';
 import { GameProvider } from './new_ui/context/GameContext';
 import GameInterface from './new_ui/GameInterface';
 import JoinScreen from './new_ui/screens/JoinScreen';
+import AdminScreen from './new_ui/screens/AdminScreen';
 
 function usePersistentPlayerId() {
   return useMemo(() => {
@@ -15,6 +16,13 @@ function usePersistentPlayerId() {
 }
 
 export default function App() {
+  if (window.location.pathname.startsWith('/admin')) {
+    return <AdminScreen />;
+  }
+  return <GameApp />;
+}
+
+function GameApp() {
   const playerId = usePersistentPlayerId();
   
   // Check URL for lobby ID
@@ -23,12 +31,16 @@ export default function App() {
   
   const [playerName, setPlayerName] = useState(() => localStorage.getItem('playerName') || '');
   const [lobbyId, setLobbyId] = useState(initialLobbyId);
+  const [role, setRole] = useState('player');
+  const [passcode, setPasscode] = useState('');
   const [hasJoined, setHasJoined] = useState(false);
 
-  const handleJoin = (name, code) => {
+  const handleJoin = (name, code, joinRole = 'player', joinPasscode = '') => {
     localStorage.setItem('playerName', name);
     setPlayerName(name);
     setLobbyId(code);
+    setRole(joinRole);
+    setPasscode(joinPasscode);
     setHasJoined(true);
     
     // Update URL without reload if needed
@@ -52,6 +64,8 @@ export default function App() {
       playerId={playerId} 
       lobbyId={lobbyId} 
       playerName={playerName}
+      role={role}
+      passcode={passcode}
     >
       <GameInterface />
     </GameProvider>
@@ -3,30 +3,54 @@ import { io } from 'socket.io-client';
 import { QUESTION_TYPES, isChoiceBasedQuestion } from '../questionTypes';
 
 const MAX_LOG_LINES = 80;
+const MAX_CHAT_MESSAGES = 100;
 
 const DEFAULT_LOBBY_SETTINGS = {
   roundDurationMs: 20000,
   questionPackId: 'kanye-classic',
-  pointsToWin: 50
+  pointsToWin: 50,
+  teamMode: false,
+  teamCount: 2,
+  teamScoreRule: 'sum',
+  endCondition: 'points',
+  roundsToPlay: 20,
+  matchDurationMs: 600000,
+  tieBreaker: 'exact-answers',
+  answerStrictness: 'standard',
+  answerMode: 'open',
+  buzzerWindowMs: 5000
 };
 
+// Server deadlines (buzzer windows) are in server time; clockOffsetMs converts them to ours
+function withClockOffset(buzzer) {
+  if (!buzzer) return null;
+  return { ...buzzer, clockOffsetMs: (buzzer.serverNow ?? Date.now()) - Date.now() };
+}
+
 /**
  * Custom hook to manage game socket connection and state
  * Extracts socket logic from App.jsx for better separation of concerns
  */
-export function useGameSocket({ playerId, lobbyId, playerName }) {
+export function useGameSocket({ playerId, lobbyId, playerName, role = 'player', passcode = '' }) {
   const socketRef = useRef(null);
   const nameRef = useRef(playerName);
+  const roleRef = useRef(role);
+  const passcodeRef = useRef(passcode);
   
   // Connection state
   const [isConnected, setIsConnected] = useState(false);
+  // Why we're not in the lobby: a refused join ('passcode-required', 'lobby-full', ...) or 'kicked'/'banned'
+  const [accessDenied, setAccessDenied] = useState(null);
   
   // Lobby state
   const [lobbyData, setLobbyData] = useState({
     id: '—',
     hostPlayerId: null,
     players: [],
+    spectators: [],
+    teams: [],
     isHost: false,
+    isSpectator: role === 'spectator',
     settings: DEFAULT_LOBBY_SETTINGS
   });
   
@@ -34,6 +58,8 @@ export function useGameSocket({ playerId, lobbyId, playerName }) {
   const [phase, setPhase] = useState('seating');
   const [phaseData, setPhaseData] = useState(null);
   const [winDetails, setWinDetails] = useState(null);
+  // Rounds/timed match progress: { mode, roundNumber, roundsToPlay, endsAt, isOvertime }
+  const [matchProgress, setMatchProgress] = useState(null);
   
   // Round state
   const [roundState, setRoundState] = useState({
@@ -43,7 +69,11 @@ export function useGameSocket({ playerId, lobbyId, playerName }) {
     questionType: QUESTION_TYPES.FREE_TEXT,
     startedAt: null,
     durationMs: null,
-    endsAt: null
+    endsAt: null,
+    // Progressive reveal: { lines, revealedCount, totalLines, nextRevealAt }
+    reveal: null,
+    // Buzzer mode: { state, holderId, windowEndsAt, lockedOutIds, clockOffsetMs }
+    buzzer: null
   });
   
   // Player answer state
@@ -62,7 +92,9 @@ export function useGameSocket({ playerId, lobbyId, playerName }) {
     hasSubmittedOrder: false,
     // Numeric state
     hasSubmittedNumeric: false,
-    submittedNumericValue: null
+    submittedNumericValue: null,
+    // Free-text guess rules: { attemptsRemaining, maxAttempts, lockedUntil }
+    guessLimits: null
   });
   
   // Summary state
@@ -72,6 +104,15 @@ export function useGameSocket({ playerId, lobbyId, playerName }) {
     endsAt: null
   });
   
+  // Question flags sent this session: questionId -> { status: 'pending'|'sent'|'error', error }
+  const [flagState, setFlagState] = useState({});
+
+  // Lobby chat; lastDenied is why the server refused our last message
+  const [chatState, setChatState] = useState({
+    messages: [],
+    lastDenied: null
+  });
+
   // Player's own score
   const [score, setScore] = useState(0);
   
@@ -83,6 +124,14 @@ export function useGameSocket({ playerId, lobbyId, playerName }) {
     nameRef.current = playerName;
   }, [playerName]);
 
+  useEffect(() => {
+    roleRef.current = role;
+  }, [role]);
+
+  useEffect(() => {
+    passcodeRef.current = passcode;
+  }, [passcode]);
+
   const pushLog = useCallback((message, data) => {
     setLogLines((prev) => {
       const entry = `${new Date().toLocaleTimeString()} • ${message}${data ? `: ${JSON.stringify(data)}` : ''}`;
@@ -111,7 +160,8 @@ export function useGameSocket({ playerId, lobbyId, playerName }) {
       submittedOrder: null,
       hasSubmittedOrder: false,
       hasSubmittedNumeric: false,
-      submittedNumericValue: null
+      submittedNumericValue: null,
+      guessLimits: null
     });
   }, []);
 
@@ -124,7 +174,13 @@ export function useGameSocket({ playerId, lobbyId, playerName }) {
 
     const joinLobby = () => {
       const safeName = (nameRef.current || '').trim() || 'anon';
-      socket.emit('joinLobby', { name: safeName, lobbyId, playerId });
+      socket.emit('joinLobby', { name: safeName, lobbyId, playerId, role: roleRef.current, passcode: passcodeRef.current });
+    };
+
+    // Stop reconnecting (and rejoining) once the server has turned us away
+    const denyAccess = (reason) => {
+      setAccessDenied(reason || 'denied');
+      socket.disconnect();
     };
 
     socket.on('connect', () => {
@@ -141,13 +197,21 @@ export function useGameSocket({ playerId, lobbyId, playerName }) {
     });
 
     socket.on('joinLobbyResult', (payload) => {
+      if (payload?.res === false) {
+        pushLog('Join refused', payload.reason);
+        denyAccess(payload.reason);
+        return;
+      }
       pushLog('Joined lobby', payload.lobby?.id);
       setScore(payload.score ?? 0);
       setLobbyData({
         id: payload.lobby?.id ?? lobbyId ?? '—',
         hostPlayerId: payload.lobby?.hostPlayerId ?? null,
         players: payload.lobby?.players ?? [],
+        spectators: payload.lobby?.spectators ?? [],
+        teams: [],
         isHost: Boolean(payload.isHost),
+        isSpectator: payload.role === 'spectator',
         settings: { ...DEFAULT_LOBBY_SETTINGS, ...payload.settings }
       });
       
@@ -176,7 +240,9 @@ export function useGameSocket({ playerId, lobbyId, playerName }) {
           questionType: QUESTION_TYPES.FREE_TEXT,
           startedAt: null,
           durationMs: null,
-          endsAt: null
+          endsAt: null,
+          reveal: null,
+          buzzer: null
         });
         resetAnswerState();
       }
@@ -186,7 +252,11 @@ export function useGameSocket({ playerId, lobbyId, playerName }) {
       setLobbyData(prev => ({
         ...prev,
         players: payload.players ?? prev.players,
-        hostPlayerId: payload.hostPlayerId ?? prev.hostPlayerId
+        spectators: payload.spectators ?? prev.spectators,
+        teams: payload.teams ?? prev.teams,
+        hostPlayerId: payload.hostPlayerId ?? prev.hostPlayerId,
+        // Host can change hands (transfer, or the host leaving)
+        isHost: 'hostPlayerId' in payload ? payload.hostPlayerId === playerId : prev.isHost
       }));
       
       // Update own score from roster
@@ -202,6 +272,7 @@ export function useGameSocket({ playerId, lobbyId, playerName }) {
       const nextPhase = payload.phase || 'seating';
       setPhase(nextPhase);
       setPhaseData(payload.phaseData || null);
+      setMatchProgress(payload.match || null);
       setSummaryState(prev => ({
         ...prev,
         last: payload.lastRoundSummary || prev.last,
@@ -220,7 +291,9 @@ export function useGameSocket({ playerId, lobbyId, playerName }) {
           questionType: QUESTION_TYPES.FREE_TEXT,
           startedAt: null,
           durationMs: null,
-          endsAt: null
+          endsAt: null,
+          reveal: null,
+          buzzer: null
         });
         resetAnswerState();
       }
@@ -247,7 +320,9 @@ export function useGameSocket({ playerId, lobbyId, playerName }) {
         questionType: qType,
         startedAt: payload.startedAt || Date.now(),
         durationMs: payload.durationMs || null,
-        endsAt: payload.endsAt ?? (payload.startedAt + (payload.durationMs || 0))
+        endsAt: payload.endsAt ?? (payload.startedAt + (payload.durationMs || 0)),
+        reveal: payload.reveal || null,
+        buzzer: withClockOffset(payload.buzzer)
       });
       
       resetAnswerState();
@@ -255,6 +330,30 @@ export function useGameSocket({ playerId, lobbyId, playerName }) {
       setPhase('round');
     });
 
+    socket.on('lyricLineRevealed', (payload) => {
+      setRoundState(prev => {
+        if (!prev.reveal) return prev;
+        return {
+          ...prev,
+          reveal: {
+            ...prev.reveal,
+            lines: [...prev.reveal.lines.slice(0, payload.index), payload.line],
+            revealedCount: payload.revealedCount,
+            totalLines: payload.totalLines,
+            nextRevealAt: payload.nextRevealAt
+          }
+        };
+      });
+    });
+
+        socket.on('buzzerUpdate', (payload) => {
+      setRoundState(prev => ({ ...prev, buzzer: withClockOffset(payload) }));
+    });
+
+    socket.on('buzzResult', (payload) => {
+      pushLog('Buzz', payload?.status);
+    });
+
     socket.on('roundEnded', (payload) => {
       pushLog('Round ended', payload.reason);
       setRoundState(prev => ({
@@ -275,7 +374,7 @@ export function useGameSocket({ playerId, lobbyId, playerName }) {
       pushLog('Answer result', payload.status ?? (payload.result ? 'correct' : 'incorrect'));
       
       // Handle error responses
-      if (payload.status === 'error') {
+      if (payload.status === 'error' || payload.status === 'spectator') {
         console.error('[useGameSocket] answerResult error:', payload.message);
         return;
       }
@@ -312,6 +411,11 @@ export function useGameSocket({ playerId, lobbyId, playerName }) {
           }
         }
         
+        // For free-text: attempt limits and cooldowns from the lobby's guess rules
+        if (payload.guessLimits) {
+          updated.guessLimits = payload.guessLimits;
+        }
+        
         // For ordered-list: mark as submitted
         if (payload.orderedIds) {
           updated.submittedOrder = payload.orderedIds;
@@ -331,10 +435,42 @@ export function useGameSocket({ playerId, lobbyId, playerName }) {
       });
     });
 
+    socket.on('flagQuestionResult', (payload) => {
+      if (!payload?.questionId) return;
+      setFlagState(prev => ({
+        ...prev,
+        [payload.questionId]: payload.success
+          ? { status: 'sent', error: null }
+          : { status: 'error', error: payload.error || 'Could not flag question' }
+      }));
+    });
+
     socket.on('roundStartDenied', (payload) => {
       pushLog('Round start denied', payload?.reason);
     });
 
+    socket.on('chatMessage', (payload) => {
+      if (!payload) return;
+      setChatState(prev => ({
+        ...prev,
+        messages: [...prev.messages, { ...payload, isOwn: payload.playerId === playerId }].slice(-MAX_CHAT_MESSAGES)
+      }));
+    });
+
+    socket.on('chatMessageDenied', (payload) => {
+      pushLog('Chat message denied', payload?.reason);
+      setChatState(prev => ({ ...prev, lastDenied: payload || null }));
+    });
+
+    socket.on('kicked', (payload) => {
+      pushLog('Removed from lobby', payload?.reason);
+      denyAccess(payload?.reason || 'kicked');
+    });
+
+    socket.on('moderationResult', (payload) => {
+      pushLog('Moderation', payload);
+    });
+
     socket.on('lobbyWin', (payload) => {
       setWinDetails(payload);
       setPhase('win');
@@ -355,7 +491,7 @@ export function useGameSocket({ playerId, lobbyId, playerName }) {
   const actions = useMemo(() => ({
     joinLobby: () => {
       const safeName = (nameRef.current || '').trim() || 'anon';
-      emit('joinLobby', { name: safeName, lobbyId, playerId });
+      emit('joinLobby', { name: safeName, lobbyId, playerId, role: roleRef.current });
     },
     
     submitTextAnswer: (text) => {
@@ -363,6 +499,10 @@ export function useGameSocket({ playerId, lobbyId, playerName }) {
       emit('submitAnswer', { answer: text.trim() });
     },
     
+    buzz: () => {
+      emit('buzz');
+    },
+    
     submitChoice: (choiceId) => {
       if (answerState.hasSubmittedChoice || !roundState.isActive) return;
       setAnswerState(prev => ({ ...prev, selectedChoiceId: choiceId }));
@@ -383,6 +523,34 @@ export function useGameSocket({ playerId, lobbyId, playerName }) {
     
     updateSettings: (settings) => {
       emit('updateLobbySettings', settings);
+    },
+    
+    assignTeam: (targetPlayerId, teamId) => {
+      emit('assignTeam', { playerId: targetPlayerId, teamId });
+    },
+
+    sendChatMessage: (text) => {
+      if (!text?.trim()) return;
+      setChatState(prev => ({ ...prev, lastDenied: null }));
+      emit('chatMessage', { text: text.trim() });
+    },
+
+    kickPlayer: (targetPlayerId) => {
+      emit('kickPlayer', { playerId: targetPlayerId });
+    },
+
+    banPlayer: (targetPlayerId) => {
+      emit('banPlayer', { playerId: targetPlayerId });
+    },
+
+    transferHost: (targetPlayerId) => {
+      emit('transferHost', { playerId: targetPlayerId });
+    },
+
+    flagQuestion: (questionId, reason, note) => {
+      if (!questionId) return;
+      setFlagState(prev => ({ ...prev, [questionId]: { status: 'pending', error: null } }));
+      emit('flagQuestion', { questionId, reason, note });
     }
   }), [emit, lobbyId, playerId, answerState.hasAnsweredCorrectly, answerState.hasSubmittedChoice, roundState.isActive]);
 
@@ -404,13 +572,17 @@ export function useGameSocket({ playerId, lobbyId, playerName }) {
         : (isRoundPhase && !answerState.hasAnsweredCorrectly && !isWinPhase),
       summaryToDisplay: (!isRoundPhase && !isWinPhase) 
         ? (summaryState.current || summaryState.last) 
-        : null
+        : null,
+      // Buzzer rounds: only the holder may answer; locked-out players wait for the next round
+      holdsBuzzer: roundState.buzzer?.state === 'answering' && roundState.buzzer.holderId === playerId,
+      isBuzzerLockedOut: Boolean(roundState.buzzer?.lockedOutIds?.includes(playerId))
     };
-  }, [phase, roundState.questionType, answerState.hasAnsweredCorrectly, answerState.hasSubmittedChoice, summaryState]);
+  }, [phase, playerId, roundState.questionType, roundState.buzzer, answerState.hasAnsweredCorrectly, answerState.hasSubmittedChoice, summaryState]);
 
   return {
     // Connection
     isConnected,
+    accessDenied,
     
     // Lobby
     lobbyData,
@@ -419,6 +591,7 @@ export function useGameSocket({ playerId, lobbyId, playerName }) {
     phase,
     phaseData,
     winDetails,
+    matchProgress,
     
     // Round
     roundState,
@@ -428,6 +601,10 @@ export function useGameSocket({ playerId, lobbyId, playerName }) {
     
     // Summary
     summaryState,
+    flagState,
+    
+    // Chat
+    chatState,
     
     // Score
     score,
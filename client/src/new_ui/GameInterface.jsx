@@ -4,6 +4,7 @@ import GameLayout from './layouts/GameLayout';
 import TopBar from './components/TopBar';
 import BottomBar from './components/BottomBar';
 import PlayerList from './components/PlayerList';
+import ChatPanel from './components/ChatPanel';
 import SettingsPanel from './components/SettingsPanel';
 import PregameScreen from './screens/PregameScreen';
 import QuestionActiveScreen from './screens/QuestionActiveScreen';
@@ -11,17 +12,33 @@ import QuestionAnswerScreen from './screens/QuestionAnswerScreen';
 import WinScreen from './screens/WinScreen';
 import { QUESTION_TYPES } from '../questionTypes';
 
+// Why the server turned us away (refused joinLobby or a host kick/ban)
+const ACCESS_DENIED_MESSAGES = {
+  'passcode-required': 'This lobby is private. Enter its passcode to join.',
+  'wrong-passcode': 'Wrong passcode for this lobby.',
+  'lobby-full': 'This lobby is full. You can still join as a spectator.',
+  'server-full': 'The server has no room for new lobbies right now.',
+  'banned': 'You have been banned from this lobby.',
+  'kicked': 'The host removed you from this lobby.'
+};
+
 export default function GameInterface() {
   const gameState = useGame();
   
   // Destructure with defaults for safety
   const {
     isConnected = false,
+    accessDenied = null,
     lobbyData = { id: '—', isHost: false, players: [], settings: {} },
     phase = 'seating',
     roundState = { question: null, questionType: QUESTION_TYPES.FREE_TEXT },
     answerState = { hasAnsweredCorrectly: false, hasSubmittedChoice: false, selectedChoiceId: null, lastResult: null },
     summaryState = { last: null, current: null },
+    flagState = {},
+    chatState = { messages: [], lastDenied: null },
+    winDetails = null,
+    matchProgress = null,
+    computed = {},
     emit,
     actions
   } = gameState || {};
@@ -29,6 +46,38 @@ export default function GameInterface() {
   const [isSettingsOpen, setIsSettingsOpen] = useState(false);
   const [inputValue, setInputValue] = useState('');
   const [timerProgress, setTimerProgress] = useState(0);
+  const [cooldownRemainingMs, setCooldownRemainingMs] = useState(0);
+  const [buzzerRemainingMs, setBuzzerRemainingMs] = useState(0);
+
+  // Guess cooldown countdown - re-enables the input when the lockout expires
+  const lockedUntil = answerState?.guessLimits?.lockedUntil;
+  useEffect(() => {
+    if (!lockedUntil || phase !== 'round') {
+      setCooldownRemainingMs(0);
+      return;
+    }
+    const tick = () => setCooldownRemainingMs(Math.max(0, lockedUntil - Date.now()));
+    tick();
+    const interval = setInterval(() => {
+      tick();
+      if (Date.now() >= lockedUntil) clearInterval(interval);
+    }, 250);
+    return () => clearInterval(interval);
+  }, [lockedUntil, phase]);
+
+  // Buzzer answer window countdown, corrected for the server clock offset
+  const buzzerWindowEndsAt = roundState?.buzzer?.windowEndsAt;
+  const buzzerClockOffsetMs = roundState?.buzzer?.clockOffsetMs || 0;
+  useEffect(() => {
+    if (!buzzerWindowEndsAt || phase !== 'round') {
+      setBuzzerRemainingMs(0);
+      return;
+    }
+    const tick = () => setBuzzerRemainingMs(Math.max(0, buzzerWindowEndsAt - (Date.now() + buzzerClockOffsetMs)));
+    tick();
+    const interval = setInterval(tick, 250);
+    return () => clearInterval(interval);
+  }, [buzzerWindowEndsAt, buzzerClockOffsetMs, phase]);
 
   // Timer logic - calculates progress from 1.0 down to 0.0
   useEffect(() => {
@@ -109,7 +158,7 @@ export default function GameInterface() {
   };
 
   const handleSelectOption = (optionId) => {
-    if (answerState?.hasSubmittedChoice) return;
+    if (answerState?.hasSubmittedChoice || isSpectator) return;
     if (emit) {
       emit('submitAnswer', { choiceId: optionId });
     } else if (actions?.submitChoice) {
@@ -118,12 +167,21 @@ export default function GameInterface() {
   };
 
   const handleSubmitOrder = (orderedIds) => {
-    if (answerState?.hasSubmittedOrder) return;
+    if (answerState?.hasSubmittedOrder || isSpectator) return;
     if (emit) {
       emit('submitAnswer', { orderedIds });
     }
   };
 
+  const handleBuzz = () => {
+    if (isSpectator) return;
+    if (emit) {
+      emit('buzz');
+    } else if (actions?.buzz) {
+      actions.buzz();
+    }
+  };
+
   const handleReturnToLobby = () => {
     if (emit) {
       emit('resetGameRequest');
@@ -142,6 +200,7 @@ export default function GameInterface() {
 
   // Get summary data
   const currentSummary = summaryState?.current || summaryState?.last;
+  const isSpectator = lobbyData?.isSpectator || false;
   
   // Determine question type and if it's a typing mode
   const questionType = roundState?.questionType || QUESTION_TYPES.FREE_TEXT;
@@ -149,11 +208,33 @@ export default function GameInterface() {
   const isMultiEntry = questionType === QUESTION_TYPES.MULTI_ENTRY;
   const isTypingMode = [QUESTION_TYPES.FREE_TEXT, QUESTION_TYPES.MULTI_ENTRY, QUESTION_TYPES.NUMERIC]
     .includes(questionType);
+  const isLockedOut = cooldownRemainingMs > 0;
+  const isOutOfAttempts = answerState?.guessLimits?.attemptsRemaining === 0;
+
+  // Buzzer rounds: only the player holding the buzzer can type
+  const buzzer = phase === 'round' ? roundState?.buzzer : null;
+  const holdsBuzzer = Boolean(buzzer && computed?.holdsBuzzer);
+  const buzzerHolderName = buzzer?.holderId
+    ? (lobbyData?.players || []).find(p => p.playerId === buzzer.holderId)?.name || 'Someone'
+    : null;
   
   // Determine which screen to show
   let MainContent;
   
-  if (!isConnected) {
+  if (accessDenied) {
+    MainContent = (
+      <div className="text-center p-8">
+        <div className="text-2xl mb-4">{ACCESS_DENIED_MESSAGES[accessDenied] || 'Could not join this lobby.'}</div>
+        <button
+          // The URL still has the lobby code, so reloading goes back to a pre-filled join screen
+          onClick={() => { if (accessDenied === 'banned') window.location.href = '/'; else window.location.reload(); }}
+          className="px-6 py-3 font-bold border-2 border-black rounded bg-accent text-white hover:bg-blue-600 cursor-pointer"
+        >
+          Back
+        </button>
+      </div>
+    );
+  } else if (!isConnected) {
     MainContent = (
       <div className="text-center p-8">
         <div className="text-2xl text-gray-400 mb-4">Connecting to server...</div>
@@ -175,14 +256,15 @@ export default function GameInterface() {
         questionType={questionType}
         onSelectOption={handleSelectOption}
         selectedOptionId={answerState?.selectedChoiceId}
-        hasSubmittedChoice={answerState?.hasSubmittedChoice}
+        hasSubmittedChoice={answerState?.hasSubmittedChoice || isSpectator}
+        reveal={roundState?.reveal}
         // Multi-entry props
         foundAnswers={answerState?.foundAnswers || []}
         wrongGuesses={answerState?.wrongGuesses || []}
         multiEntryComplete={answerState?.multiEntryComplete || answerState?.hasAnsweredCorrectly}
         // Ordered-list props
         onSubmitOrder={handleSubmitOrder}
-        hasSubmittedOrder={answerState?.hasSubmittedOrder || false}
+        hasSubmittedOrder={answerState?.hasSubmittedOrder || isSpectator}
         submittedOrder={answerState?.submittedOrder}
       />
     );
@@ -200,6 +282,9 @@ export default function GameInterface() {
         selectedOptionId={answerState?.selectedChoiceId}
         roundSummary={currentSummary}
         players={lobbyData?.players || []}
+        flagStatus={flagState[summaryQuestion?.id] || null}
+        onFlagQuestion={actions?.flagQuestion}
+        canFlag={!isSpectator}
       />
     );
   } else if (phase === 'win') {
@@ -210,7 +295,9 @@ export default function GameInterface() {
 
     MainContent = (
       <WinScreen 
-        winner={winner} 
+        winner={winDetails?.winner ?? winner} 
+        team={winDetails?.team ?? null}
+        decidedBy={winDetails?.decidedBy ?? null}
         onReturnToLobby={handleReturnToLobby}
         isHost={lobbyData?.isHost || false}
       />
@@ -233,6 +320,7 @@ export default function GameInterface() {
           onToggleSettings={() => setIsSettingsOpen(!isSettingsOpen)} 
           isSettingsOpen={isSettingsOpen}
           phase={phase}
+          matchProgress={matchProgress}
           onLeaveLobby={handleLeaveLobby}
         />
       }
@@ -246,11 +334,27 @@ export default function GameInterface() {
       rightSidebar={
         <PlayerList 
           players={lobbyData?.players || []} 
+          spectators={lobbyData?.spectators || []}
+          teams={lobbyData?.settings?.teamMode ? (lobbyData?.teams || []) : []}
+          isHost={lobbyData?.isHost || false}
+          hostPlayerId={lobbyData?.hostPlayerId || null}
+          onAssignTeam={actions?.assignTeam}
+          onKick={actions?.kickPlayer}
+          onBan={actions?.banPlayer}
+          onTransferHost={actions?.transferHost}
           isTypingMode={isTypingMode}
           phase={phase}
           correctResponders={currentSummary?.correctResponders || []}
         />
       }
+      chat={
+        <ChatPanel
+          messages={chatState?.messages || []}
+          lastDenied={chatState?.lastDenied}
+          onSend={actions?.sendChatMessage}
+          disabled={!isConnected}
+        />
+      }
       bottomBar={
         <BottomBar 
           inputValue={inputValue}
@@ -259,20 +363,30 @@ export default function GameInterface() {
           isEnabled={
             phase === 'round' && 
             isTypingMode && 
+            !isSpectator &&
             !answerState?.hasAnsweredCorrectly && 
             !answerState?.multiEntryComplete &&
-            !answerState?.hasSubmittedNumeric
+            !answerState?.hasSubmittedNumeric &&
+            !isLockedOut &&
+            !isOutOfAttempts &&
+            (!buzzer || holdsBuzzer)
           }
           timerProgress={timerProgress}
           lastResult={answerState?.lastResult}
           hasAnsweredCorrectly={answerState?.hasAnsweredCorrectly}
           hasSubmittedNumeric={answerState?.hasSubmittedNumeric}
           submittedNumericValue={answerState?.submittedNumericValue}
-          shouldFocus={phase === 'round' && isTypingMode && !answerState?.hasSubmittedNumeric}
+          cooldownRemainingMs={cooldownRemainingMs}
+          attemptsRemaining={answerState?.guessLimits?.attemptsRemaining ?? null}
+          shouldFocus={phase === 'round' && isTypingMode && !isSpectator && !answerState?.hasSubmittedNumeric}
           placeholder={
+            isSpectator ? "Watching as a spectator" :
             answerState?.hasAnsweredCorrectly ? "Correct! Waiting for others..." : 
             answerState?.hasSubmittedNumeric ? `Submitted: ${answerState?.submittedNumericValue}` :
             answerState?.multiEntryComplete ? "Out of guesses!" :
+            isOutOfAttempts ? "Out of attempts!" :
+            isLockedOut ? `Locked out for ${Math.ceil(cooldownRemainingMs / 1000)}s...` :
+            (buzzer && !holdsBuzzer) ? "Buzz in to answer" :
             isNumeric ? "Enter a number..." :
             isMultiEntry ? "Guess a name..." :
             "Type your answer..."
@@ -282,6 +396,13 @@ export default function GameInterface() {
           wrongGuesses={answerState?.wrongGuesses || []}
           totalAnswers={roundState?.question?.totalAnswers || 0}
           maxGuesses={roundState?.question?.maxGuesses || 15}
+          // Buzzer props
+          buzzer={isSpectator ? null : buzzer}
+          holdsBuzzer={holdsBuzzer}
+          isBuzzerLockedOut={computed?.isBuzzerLockedOut || false}
+          buzzerHolderName={buzzerHolderName}
+          buzzerRemainingMs={buzzerRemainingMs}
+          onBuzz={handleBuzz}
         />
       }
     >
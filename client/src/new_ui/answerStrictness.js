@@ -0,0 +1,10 @@
+// Labels for the lobby answerStrictness setting (see ANSWER_STRICTNESS in answerNormalization.js)
+export const ANSWER_STRICTNESS_OPTIONS = [
+  { value: 'casual', label: 'Casual', description: 'Typos and punctuation are forgiven unless a question needs exact spelling' },
+  { value: 'standard', label: 'Standard', description: 'Each question decides how close is close enough' },
+  { value: 'hardcore', label: 'Hardcore', description: 'Spelling and punctuation must be exact' }
+];
+
+export function getAnswerStrictnessLabel(strictness) {
+  return ANSWER_STRICTNESS_OPTIONS.find(option => option.value === strictness)?.label ?? strictness;
+}
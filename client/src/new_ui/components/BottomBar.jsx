@@ -12,12 +12,21 @@ export default function BottomBar({
   hasAnsweredCorrectly,
   hasSubmittedNumeric = false,
   submittedNumericValue = null,
+  cooldownRemainingMs = 0,
+  attemptsRemaining = null,
   shouldFocus,
   // Multi-entry props
   foundAnswers = [],
   wrongGuesses = [],
   totalAnswers = 0,
-  maxGuesses = 15
+  maxGuesses = 15,
+  // Buzzer props
+  buzzer = null,
+  holdsBuzzer = false,
+  isBuzzerLockedOut = false,
+  buzzerHolderName = null,
+  buzzerRemainingMs = 0,
+  onBuzz
 }) {
   const inputRef = useRef(null);
 
@@ -33,8 +42,9 @@ export default function BottomBar({
     if (!isEnabled || !shouldFocus) return;
 
     const handleGlobalKeyDown = (e) => {
-      // Ignore if already focused on input or if modifier keys are pressed
+      // Ignore if already focused on input (or typing in chat) or if modifier keys are pressed
       if (document.activeElement === inputRef.current) return;
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement?.tagName)) return;
       if (e.ctrlKey || e.metaKey || e.altKey) return;
       
       // Ignore special keys
@@ -54,6 +64,24 @@ export default function BottomBar({
     return () => window.removeEventListener('keydown', handleGlobalKeyDown);
   }, [isEnabled, shouldFocus]);
 
+  const canBuzz = Boolean(buzzer) && buzzer.state === 'open' && !isBuzzerLockedOut && !hasAnsweredCorrectly;
+
+  // Space buzzes in, unless the player is typing somewhere else
+  useEffect(() => {
+    if (!canBuzz) return;
+
+    const handleBuzzKey = (e) => {
+      if (e.key !== ' ' || e.repeat) return;
+      const tag = document.activeElement?.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+      e.preventDefault();
+      onBuzz?.();
+    };
+
+    window.addEventListener('keydown', handleBuzzKey);
+    return () => window.removeEventListener('keydown', handleBuzzKey);
+  }, [canBuzz, onBuzz]);
+
   const handleKeyDown = (e) => {
     if (e.key === 'Enter' && isEnabled && inputValue.trim()) {
       onSubmit();
@@ -67,12 +95,29 @@ export default function BottomBar({
   if (hasAnsweredCorrectly) {
     feedbackMessage = '✓ Correct!';
     feedbackClass = 'text-success font-bold';
+  } else if (cooldownRemainingMs > 0) {
+    feedbackMessage = `⏳ Too many wrong guesses, wait ${Math.ceil(cooldownRemainingMs / 1000)}s`;
+    feedbackClass = 'text-error font-bold';
+  } else if (attemptsRemaining === 0) {
+    feedbackMessage = '✗ No attempts left';
+    feedbackClass = 'text-error font-bold';
+  } else if (buzzer && isBuzzerLockedOut) {
+    feedbackMessage = '✗ Locked out until the next question';
+    feedbackClass = 'text-error font-bold';
+  } else if (buzzer && holdsBuzzer) {
+    feedbackMessage = `🔔 Your answer! ${Math.ceil(buzzerRemainingMs / 1000)}s left`;
+    feedbackClass = 'text-accent font-bold';
+  } else if (buzzer?.state === 'answering') {
+    feedbackMessage = `🔔 ${buzzerHolderName} buzzed in, ${Math.ceil(buzzerRemainingMs / 1000)}s to answer`;
+    feedbackClass = 'text-gray-600 font-bold';
   } else if (hasSubmittedNumeric) {
     feedbackMessage = `✓ Submitted: ${submittedNumericValue}`;
     feedbackClass = 'text-success font-bold';
   } else if (lastResult) {
     if (lastResult.status === 'incorrect' || lastResult.result === false) {
-      feedbackMessage = '✗ Incorrect, try again!';
+      feedbackMessage = attemptsRemaining != null
+        ? `✗ Incorrect, ${attemptsRemaining} ${attemptsRemaining === 1 ? 'attempt' : 'attempts'} left`
+        : '✗ Incorrect, try again!';
       feedbackClass = 'text-error font-bold';
     } else if (lastResult.status === 'found') {
       feedbackMessage = `✓ Found: ${lastResult.foundAnswer}`;
@@ -95,34 +140,51 @@ export default function BottomBar({
         </div>
       )}
       
-      {/* Input area */}
-      <div className="p-4 flex justify-center gap-4">
-        <input
-          ref={inputRef}
-          type="text"
-          value={inputValue}
-          onChange={(e) => onInputChange(e.target.value)}
-          onKeyDown={handleKeyDown}
-          placeholder={placeholder || "Type your answer..."}
-          disabled={!isEnabled}
-          className={`
-            flex-1 max-w-[500px] p-4 text-lg border-2 border-black text-center outline-none rounded
-            ${isEnabled ? 'bg-white cursor-text focus:border-accent' : 'bg-secondary cursor-not-allowed text-gray-400'}
-          `}
-        />
-        <button
-          onClick={onSubmit}
-          disabled={!isEnabled || !inputValue.trim()}
-          className={`
-            px-6 py-4 text-lg font-bold border-2 border-black rounded transition-colors
-            ${isEnabled && inputValue.trim() 
-              ? 'bg-accent text-white hover:bg-blue-600 cursor-pointer' 
-              : 'bg-secondary text-gray-400 cursor-not-allowed'}
-          `}
-        >
-          Submit
-        </button>
-      </div>
+      {/* Buzz button replaces the input until this player holds the buzzer */}
+      {buzzer && !holdsBuzzer && !hasAnsweredCorrectly ? (
+        <div className="p-4 flex justify-center">
+          <button
+            onClick={onBuzz}
+            disabled={!canBuzz}
+            className={`
+              w-full max-w-[600px] px-6 py-4 text-lg font-bold border-2 border-black rounded transition-colors
+              ${canBuzz
+                ? 'bg-accent text-white hover:bg-blue-600 cursor-pointer'
+                : 'bg-secondary text-gray-400 cursor-not-allowed'}
+            `}
+          >
+            {canBuzz ? '🔔 Buzz (Space)' : 'Buzzer locked'}
+          </button>
+        </div>
+      ) : (
+        <div className="p-4 flex justify-center gap-4">
+          <input
+            ref={inputRef}
+            type="text"
+            value={inputValue}
+            onChange={(e) => onInputChange(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder={placeholder || "Type your answer..."}
+            disabled={!isEnabled}
+            className={`
+              flex-1 max-w-[500px] p-4 text-lg border-2 border-black text-center outline-none rounded
+              ${isEnabled ? 'bg-white cursor-text focus:border-accent' : 'bg-secondary cursor-not-allowed text-gray-400'}
+            `}
+          />
+          <button
+            onClick={onSubmit}
+            disabled={!isEnabled || !inputValue.trim()}
+            className={`
+              px-6 py-4 text-lg font-bold border-2 border-black rounded transition-colors
+              ${isEnabled && inputValue.trim() 
+                ? 'bg-accent text-white hover:bg-blue-600 cursor-pointer' 
+                : 'bg-secondary text-gray-400 cursor-not-allowed'}
+            `}
+          >
+            Submit
+          </button>
+        </div>
+      )}
     </div>
   );
 }
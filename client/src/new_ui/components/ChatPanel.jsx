@@ -0,0 +1,82 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+const MAX_MESSAGE_LENGTH = 200;
+
+function deniedMessage(denied) {
+  if (!denied) return null;
+  if (denied.reason === 'rate-limited') {
+    return `Slow down, wait ${Math.ceil((denied.retryInMs || 0) / 1000)}s`;
+  }
+  return denied.error || 'Message not sent';
+}
+
+export default function ChatPanel({ messages = [], lastDenied = null, onSend, disabled = false }) {
+  const [draft, setDraft] = useState('');
+  const listRef = useRef(null);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [messages.length]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!draft.trim() || disabled) return;
+    onSend?.(draft);
+    setDraft('');
+  };
+
+  const error = deniedMessage(lastDenied);
+
+  return (
+    <div className="h-full flex flex-col bg-surface">
+      <div className="p-4 border-b-2 border-black font-bold bg-secondary text-black">
+        Chat
+      </div>
+      <div ref={listRef} className="flex-1 overflow-y-auto p-3 flex flex-col gap-1 text-sm">
+        {messages.length > 0 ? (
+          messages.map(message => (
+            <div key={message.id} className="break-words">
+              <span className={`font-bold ${message.isOwn ? 'text-accent' : ''}`}>
+                {message.isSpectator ? '👁 ' : ''}{message.name}:
+              </span>{' '}
+              {message.masked ? (
+                <span className="italic text-gray-500">message hidden (names an answer)</span>
+              ) : (
+                <span>{message.text}</span>
+              )}
+            </div>
+          ))
+        ) : (
+          <div className="text-gray-500 italic">No messages yet</div>
+        )}
+      </div>
+      {error && (
+        <div className="px-3 py-1 text-sm text-error">{error}</div>
+      )}
+      <form onSubmit={handleSubmit} className="p-3 border-t border-black flex gap-2">
+        <input
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          maxLength={MAX_MESSAGE_LENGTH}
+          disabled={disabled}
+          placeholder="Say something..."
+          className="flex-1 min-w-0 p-2 border border-black rounded outline-none focus:border-accent"
+        />
+        <button
+          type="submit"
+          disabled={disabled || !draft.trim()}
+          className={`
+            px-3 py-2 font-bold border border-black rounded
+            ${!disabled && draft.trim() ? 'bg-accent text-white hover:bg-blue-600 cursor-pointer' : 'bg-secondary text-gray-400 cursor-not-allowed'}
+          `}
+        >
+          Send
+        </button>
+      </form>
+    </div>
+  );
+}
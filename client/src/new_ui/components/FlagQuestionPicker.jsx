@@ -0,0 +1,77 @@
+import React, { useState, useEffect } from 'react';
+import { FLAG_REASON_OPTIONS } from '../flagReasons';
+
+export default function FlagQuestionPicker({ questionId, flagStatus, onFlag, disabled }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [reason, setReason] = useState(FLAG_REASON_OPTIONS[0].value);
+  const [note, setNote] = useState('');
+
+  // Each question gets a fresh picker
+  useEffect(() => {
+    setIsOpen(false);
+    setReason(FLAG_REASON_OPTIONS[0].value);
+    setNote('');
+  }, [questionId]);
+
+  if (!questionId || disabled) return null;
+
+  if (flagStatus?.status === 'sent') {
+    return <p className="text-sm text-gray-600">🚩 Thanks, this question has been flagged for review.</p>;
+  }
+
+  if (!isOpen) {
+    return (
+      <button
+        type="button"
+        className="text-sm text-gray-600 underline hover:text-black"
+        onClick={() => setIsOpen(true)}
+      >
+        🚩 Flag this question
+      </button>
+    );
+  }
+
+  const needsNote = reason === 'other';
+  const canSubmit = flagStatus?.status !== 'pending' && (!needsNote || note.trim().length > 0);
+
+  return (
+    <form
+      className="flex flex-col gap-2 p-3 border border-black text-sm"
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (canSubmit) onFlag(questionId, reason, note.trim() || undefined);
+      }}
+    >
+      <span className="font-bold">What's wrong with this question?</span>
+      {FLAG_REASON_OPTIONS.map(option => (
+        <label key={option.value} className="flex items-center gap-2">
+          <input
+            type="radio"
+            name="flag-reason"
+            value={option.value}
+            checked={reason === option.value}
+            onChange={() => setReason(option.value)}
+          />
+          {option.label}
+        </label>
+      ))}
+      <input
+        type="text"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        maxLength={300}
+        placeholder={needsNote ? 'Describe the problem' : 'Details (optional)'}
+        className="p-2 border border-black"
+      />
+      {flagStatus?.status === 'error' && <span className="text-error">{flagStatus.error}</span>}
+      <div className="flex gap-2">
+        <button type="submit" disabled={!canSubmit} className="px-3 py-1 bg-primary text-white disabled:opacity-50">
+          Send Flag
+        </button>
+        <button type="button" className="px-3 py-1 border border-black" onClick={() => setIsOpen(false)}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
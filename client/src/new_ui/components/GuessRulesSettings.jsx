@@ -0,0 +1,43 @@
+import React from 'react';
+import NumberField from './NumberField';
+
+const DEFAULT_GUESS_RULES = {
+  maxAttempts: 0,
+  lockoutAfterWrong: 0,
+  lockoutMs: 5000
+};
+
+export default function GuessRulesSettings({ guessRules = {}, onChange, disabled }) {
+  const merged = { ...DEFAULT_GUESS_RULES, ...guessRules };
+
+  const update = (key, value) => {
+    onChange({ ...merged, [key]: value });
+  };
+
+  return (
+    <div className="flex flex-col gap-3">
+      <NumberField
+        label="Max Attempts (0 = unlimited)"
+        value={merged.maxAttempts}
+        disabled={disabled}
+        onCommit={(v) => update('maxAttempts', v)}
+      />
+      <div className="grid grid-cols-2 gap-3">
+        <NumberField
+          label="Lock After N Wrong"
+          value={merged.lockoutAfterWrong}
+          disabled={disabled}
+          onCommit={(v) => update('lockoutAfterWrong', v)}
+        />
+        <NumberField
+          label="Lockout (seconds)"
+          value={merged.lockoutMs / 1000}
+          min={1}
+          disabled={disabled}
+          onCommit={(v) => update('lockoutMs', v * 1000)}
+        />
+      </div>
+      <span className="text-xs text-gray-600">Applies to free-text questions. Point penalties are under Scoring.</span>
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+import React, { useState, useEffect } from 'react';
+
+function formatRemaining(ms) {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+// "Round 7/20" or the match clock, for rounds/timed matches
+export default function MatchProgress({ match }) {
+  const endsAt = match?.mode === 'timed' ? match.endsAt : null;
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!endsAt) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [endsAt]);
+
+  if (!match || match.mode === 'points' || match.roundNumber === 0) return null;
+
+  if (match.mode === 'rounds') {
+    return (
+      <span className="font-bold">
+        {match.isOvertime ? 'Sudden Death' : `Round ${match.roundNumber}/${match.roundsToPlay}`}
+      </span>
+    );
+  }
+
+  if (!endsAt) return null;
+  const remainingMs = endsAt - now;
+  return (
+    <span className="font-bold">
+      {remainingMs > 0 ? `⏱ ${formatRemaining(remainingMs)}` : 'Final round'}
+    </span>
+  );
+}
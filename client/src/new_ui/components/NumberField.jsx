@@ -0,0 +1,34 @@
+import React, { useState, useEffect } from 'react';
+
+// Number input that only commits valid values on blur
+export default function NumberField({ label, value, onCommit, disabled, min = 0 }) {
+  const [draft, setDraft] = useState(String(value));
+
+  useEffect(() => {
+    setDraft(String(value));
+  }, [value]);
+
+  const handleBlur = () => {
+    const parsed = parseInt(draft, 10);
+    if (!isNaN(parsed) && parsed >= min) {
+      onCommit(parsed);
+    } else {
+      setDraft(String(value));
+    }
+  };
+
+  return (
+    <label className="block">
+      <span className="block mb-1 text-sm font-bold">{label}</span>
+      <input
+        type="number"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={handleBlur}
+        disabled={disabled}
+        min={min}
+        className="w-full p-2 border border-black"
+      />
+    </label>
+  );
+}
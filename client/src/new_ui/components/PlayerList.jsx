@@ -1,15 +1,47 @@
 import React from 'react';
 import { QUESTION_TYPES } from '../../questionTypes';
+import { TEAM_STYLES, getTeamLabel } from '../teams';
 
-function PlayerCard({ player, isTypingMode, isRevealPhase, correctPlayerIds }) {
+// Host-only kick/ban (and, for seated players, make-host) buttons
+function ModerationControls({ member, moderation }) {
+  const name = member.name || 'this player';
+  const buttonClass = 'px-2 py-0.5 text-xs text-black border border-black bg-white hover:bg-gray-200 cursor-pointer';
+  return (
+    <div className="mt-1 flex gap-1">
+      {moderation.onTransferHost && (
+        <button type="button" className={buttonClass} onClick={() => moderation.onTransferHost(member.playerId)}>
+          Make host
+        </button>
+      )}
+      <button type="button" className={buttonClass} onClick={() => moderation.onKick?.(member.playerId)}>
+        Kick
+      </button>
+      <button
+        type="button"
+        className={buttonClass}
+        onClick={() => {
+          if (window.confirm(`Ban ${name}? They won't be able to rejoin this lobby.`)) {
+            moderation.onBan?.(member.playerId);
+          }
+        }}
+      >
+        Ban
+      </button>
+    </div>
+  );
+}
+
+function PlayerCard({ player, isTypingMode, isRevealPhase, correctPlayerIds, teams = [], canAssignTeam = false, onAssignTeam, moderation = null }) {
   // Server sends: roundGuessStatus ('idle' | 'incorrect' | 'submitted' | 'correct')
   // lastGuessText: string | null
   // correctElapsedMs: number | null
   const status = player.roundGuessStatus || 'idle';
   const playerName = player.name || player.displayName || 'Unknown';
   const playerScore = player.score ?? 0;
+  const streak = player.streak ?? 0;
   const lastGuess = player.lastGuessText;
   const correctTimeMs = player.correctElapsedMs;
+  const isHostPlayer = Boolean(player.isHost);
   
   // For choice-based questions, status may be 'submitted' even if correct
   // We need to check correctPlayerIds during reveal phase
@@ -40,9 +72,33 @@ function PlayerCard({ player, isTypingMode, isRevealPhase, correctPlayerIds }) {
   return (
     <div className={`p-4 border-b border-black transition-colors duration-300 ${bgClass} ${textClass}`}>
       <div className="flex justify-between font-bold text-base">
-        <span>{playerName}</span>
+        <span className="flex items-center gap-2">
+          {player.teamId && (
+            <span className={`inline-block w-3 h-3 border border-black ${TEAM_STYLES[player.teamId]?.swatchClass ?? ''}`} />
+          )}
+          {playerName}
+          {isHostPlayer && <span className="font-normal" title="Host">👑</span>}
+          {streak >= 2 && (
+            <span className="font-normal" title={`${streak} correct in a row`}>🔥{streak}</span>
+          )}
+        </span>
         <span>{playerScore} pts</span>
       </div>
+
+      {/* Host can move players between teams */}
+      {canAssignTeam && teams.length > 0 && (
+        <select
+          value={player.teamId || ''}
+          onChange={(e) => onAssignTeam?.(player.playerId, e.target.value)}
+          className="mt-1 p-1 text-sm text-black border border-black bg-white"
+        >
+          {teams.map(team => (
+            <option key={team.teamId} value={team.teamId}>{getTeamLabel(team.teamId)}</option>
+          ))}
+        </select>
+      )}
+      
+      {moderation && <ModerationControls member={player} moderation={moderation} />}
       
       {/* For typing mode: show checkmark with time */}
       {isTypingMode && isCorrect && (
@@ -82,7 +138,25 @@ function PlayerCard({ player, isTypingMode, isRevealPhase, correctPlayerIds }) {
   );
 }
 
-export default function PlayerList({ players = [], isTypingMode, phase, correctResponders = [] }) {
+function TeamStandings({ teams }) {
+  const sortedTeams = [...teams].sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
+  return (
+    <div className="border-b-2 border-black">
+      {sortedTeams.map(team => (
+        <div key={team.teamId} className="px-4 py-2 flex justify-between font-bold border-b border-black last:border-b-0">
+          <span className="flex items-center gap-2">
+            <span className={`inline-block w-3 h-3 border border-black ${TEAM_STYLES[team.teamId]?.swatchClass ?? ''}`} />
+            Team {getTeamLabel(team.teamId)}
+            <span className="font-normal text-gray-600">({team.memberIds?.length ?? 0})</span>
+          </span>
+          <span>{team.score} pts</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function PlayerList({ players = [], spectators = [], teams = [], isHost = false, hostPlayerId = null, onAssignTeam, onKick, onBan, onTransferHost, isTypingMode, phase, correctResponders = [] }) {
   // Build a set of correct player IDs for quick lookup
   const correctPlayerIds = new Set(correctResponders.map(r => r.playerId));
   
@@ -97,26 +171,53 @@ export default function PlayerList({ players = [], isTypingMode, phase, correctR
   });
   
   const isRevealPhase = phase === 'summary';
+  // The host moderates everyone but themselves
+  const moderationFor = (member, { canHost = false } = {}) => (
+    isHost && member.playerId !== hostPlayerId
+      ? { onKick, onBan, onTransferHost: canHost ? onTransferHost : null }
+      : null
+  );
   
   return (
     <div className="h-full flex flex-col bg-surface">
-      <div className="p-4 border-b-2 border-black font-bold bg-secondary text-black">
-        Players ({players.length})
+      <div className="p-4 border-b-2 border-black font-bold bg-secondary text-black flex justify-between">
+        <span>Players ({players.length})</span>
+        {spectators.length > 0 && (
+          <span className="font-normal text-gray-600" title={spectators.map(s => s.name).join(', ')}>
+            👁 {spectators.length} watching
+          </span>
+        )}
       </div>
+      {teams.length > 0 && <TeamStandings teams={teams} />}
       <div className="flex-1 overflow-y-auto">
         {sortedPlayers.length > 0 ? (
           sortedPlayers.map(player => (
             <PlayerCard 
               key={player.playerId || player.id} 
-              player={player} 
+              player={{ ...player, isHost: player.playerId === hostPlayerId }} 
               isTypingMode={isTypingMode}
               isRevealPhase={isRevealPhase}
               correctPlayerIds={correctPlayerIds}
+              teams={teams}
+              canAssignTeam={isHost && phase === 'seating'}
+              onAssignTeam={onAssignTeam}
+              moderation={moderationFor(player, { canHost: true })}
             />
           ))
         ) : (
           <div className="p-4 text-gray-500 italic">No players yet</div>
         )}
+        {isHost && spectators.length > 0 && (
+          <div className="border-t-2 border-black">
+            <div className="px-4 py-2 font-bold bg-secondary">Spectators</div>
+            {spectators.map(spectator => (
+              <div key={spectator.playerId} className="px-4 py-2 border-b border-black">
+                <div>👁 {spectator.name || 'Unknown'}</div>
+                <ModerationControls member={spectator} moderation={moderationFor(spectator)} />
+              </div>
+            ))}
+          </div>
+        )}
       </div>
     </div>
   );
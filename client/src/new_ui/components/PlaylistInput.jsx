@@ -0,0 +1,44 @@
+import React, { useState, useEffect } from 'react';
+
+// Mirrors formatPlaylist in server/src/playlist.js
+function formatPlaylist(segments = []) {
+  return segments
+    .map(segment => {
+      if (segment.kind === 'question') return `#${segment.questionId}`;
+      if (segment.kind === 'filter') return `${segment.count || 1}x ${segment.expression}`;
+      return null;
+    })
+    .filter(Boolean)
+    .join('\n');
+}
+
+export default function PlaylistInput({ playlist = [], onChange, disabled }) {
+  const formatted = formatPlaylist(playlist);
+  const [draft, setDraft] = useState(formatted);
+
+  // Server returns the cleaned-up playlist; show that once it arrives
+  useEffect(() => {
+    setDraft(formatted);
+  }, [formatted]);
+
+  return (
+    <label className="block">
+      <span className="block mb-2 font-bold">Playlist</span>
+      <textarea
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={() => {
+          if (draft !== formatted) onChange(draft);
+        }}
+        disabled={disabled}
+        rows={4}
+        placeholder={'#question-id\n5x gen:next-line\n5x input:numeric'}
+        className="w-full p-2 border border-black font-mono text-sm"
+      />
+      <span className="block mt-1 text-xs text-gray-600">
+        One step per line (or "then"): #id for a specific question, Nx filter for N questions from a filter.
+        Played in order before the filter below takes over.
+      </span>
+    </label>
+  );
+}
@@ -9,7 +9,9 @@ export default function QuestionDisplay({
   showAnswer, 
   correctAnswer,
   correctChoiceId,
-  hasSubmittedChoice
+  hasSubmittedChoice,
+  // Progressive reveal: { lines, revealedCount, totalLines }
+  reveal = null
 }) {
   // Handle null/undefined question
   if (!question) {
@@ -76,8 +78,27 @@ export default function QuestionDisplay({
         {questionTitle}
       </h2>
 
-      {/* Question Content Body */}
-      {contentText && (
+      {/* Progressive reveal: each new line animates in; on reveal, lines nobody got to see are dimmed */}
+      {reveal?.lines?.length > 0 ? (
+        <div className="mb-6">
+          <div className="text-xl p-4 bg-secondary rounded border border-black text-black space-y-1">
+            {reveal.lines.map((line, index) => (
+              <div
+                key={index}
+                className={`lyric-reveal-line ${showAnswer && index >= reveal.revealedCount ? 'text-gray-500' : ''}`}
+              >
+                "{line}"
+              </div>
+            ))}
+          </div>
+          {!showAnswer && (
+            <div className="mt-2 text-sm text-gray-600">
+              Line {reveal.revealedCount} of {reveal.totalLines}
+              {reveal.revealedCount < reveal.totalLines && ' - answer now for more points'}
+            </div>
+          )}
+        </div>
+      ) : contentText && (
         <div className="text-xl mb-6 p-4 bg-secondary rounded border border-black text-black">
           {contentText}
         </div>
@@ -0,0 +1,48 @@
+import React, { useState, useEffect } from 'react';
+
+export default function QuestionPackPicker({ value, onChange, disabled }) {
+  const [packs, setPacks] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch('/api/packs')
+      .then(res => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+      .then(data => {
+        if (!cancelled) setPacks(data.packs || []);
+      })
+      .catch(err => {
+        console.warn('[QuestionPackPicker] Failed to load packs:', err.message);
+        if (!cancelled) setError('Could not load question packs');
+      });
+    return () => { cancelled = true; };
+  }, []);
+
+  const selected = packs.find(pack => pack.id === value);
+
+  return (
+    <label className="block">
+      <span className="block mb-2 font-bold">Question Pack</span>
+      <select
+        value={value || ''}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled || packs.length === 0}
+        className="w-full p-2 border border-black mb-2"
+      >
+        {!selected && <option value={value || ''}>{value || '—'}</option>}
+        {packs.map(pack => (
+          <option key={pack.id} value={pack.id}>
+            {pack.name} ({pack.questionCount})
+          </option>
+        ))}
+      </select>
+      {selected && (
+        <span className="block text-sm text-gray-600">
+          {selected.description}
+          {selected.author && <> — by {selected.author}</>}
+        </span>
+      )}
+      {error && <span className="block text-sm text-red-600">{error}</span>}
+    </label>
+  );
+}
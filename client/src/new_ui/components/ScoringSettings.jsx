@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from 'react';
+import NumberField from './NumberField';
+
+const DEFAULT_SCORING = {
+  mode: 'auto',
+  maxPoints: 10,
+  minPoints: 1,
+  speedCurve: 'rank',
+  wrongAnswerPenalty: 0,
+  streakMultipliers: []
+};
+
+const SCORING_MODE_OPTIONS = [
+  { value: 'auto', label: 'Auto (per question type)' },
+  { value: 'standard', label: 'Standard (speed bonus)' },
+  { value: 'ranked', label: 'Ranked (order of answers)' },
+  { value: 'first-only', label: 'First correct only' },
+  { value: 'proximity', label: 'Proximity (numeric)' },
+  { value: 'multi-entry', label: 'Partial credit (multi-entry)' }
+];
+
+const SPEED_CURVE_OPTIONS = [
+  { value: 'rank', label: 'By rank (-1 per place)' },
+  { value: 'linear', label: 'Linear over time' },
+  { value: 'exponential', label: 'Exponential over time' },
+  { value: 'none', label: 'No speed bonus' }
+];
+
+// "3:1.5, 5:2" <-> [{ minStreak: 3, multiplier: 1.5 }, { minStreak: 5, multiplier: 2 }]
+function formatStreakTiers(tiers = []) {
+  return tiers.map(({ minStreak, multiplier }) => `${minStreak}:${multiplier}`).join(', ');
+}
+
+function parseStreakTiers(text) {
+  return text
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const [minStreak, multiplier] = part.split(/[:x×]/).map(value => parseFloat(value));
+      return { minStreak, multiplier };
+    })
+    .filter(tier => Number.isFinite(tier.minStreak) && Number.isFinite(tier.multiplier));
+}
+
+export default function ScoringSettings({ scoring = {}, onChange, disabled }) {
+  const merged = { ...DEFAULT_SCORING, ...scoring };
+  const [streakInput, setStreakInput] = useState(formatStreakTiers(merged.streakMultipliers));
+
+  useEffect(() => {
+    setStreakInput(formatStreakTiers(merged.streakMultipliers));
+  }, [JSON.stringify(merged.streakMultipliers)]);
+
+  const update = (key, value) => {
+    onChange({ ...merged, [key]: value });
+  };
+
+  return (
+    <div className="flex flex-col gap-3">
+      <label className="block">
+        <span className="block mb-1 text-sm font-bold">Scoring Mode</span>
+        <select
+          value={merged.mode}
+          onChange={(e) => update('mode', e.target.value)}
+          disabled={disabled}
+          className="w-full p-2 border border-black"
+        >
+          {SCORING_MODE_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+
+      <div className="grid grid-cols-2 gap-3">
+        <NumberField label="Max Points" value={merged.maxPoints} min={1} disabled={disabled} onCommit={(v) => update('maxPoints', v)} />
+        <NumberField label="Min Points" value={merged.minPoints} disabled={disabled} onCommit={(v) => update('minPoints', v)} />
+      </div>
+
+      <label className="block">
+        <span className="block mb-1 text-sm font-bold">Speed Bonus</span>
+        <select
+          value={merged.speedCurve}
+          onChange={(e) => update('speedCurve', e.target.value)}
+          disabled={disabled}
+          className="w-full p-2 border border-black"
+        >
+          {SPEED_CURVE_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+
+      <NumberField
+        label="Wrong Answer Penalty"
+        value={merged.wrongAnswerPenalty}
+        disabled={disabled}
+        onCommit={(v) => update('wrongAnswerPenalty', v)}
+      />
+
+      <label className="block">
+        <span className="block mb-1 text-sm font-bold">Streak Multipliers</span>
+        <input
+          type="text"
+          value={streakInput}
+          onChange={(e) => setStreakInput(e.target.value)}
+          onBlur={() => update('streakMultipliers', parseStreakTiers(streakInput))}
+          disabled={disabled}
+          placeholder="e.g. 3:1.5, 5:2"
+          className="w-full p-2 border border-black"
+        />
+        <span className="block mt-1 text-xs text-gray-600">streak:multiplier pairs, comma separated</span>
+      </label>
+    </div>
+  );
+}
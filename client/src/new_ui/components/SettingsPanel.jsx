@@ -1,10 +1,48 @@
 import React, { useState, useEffect } from 'react';
 import TagExpressionInput from './TagExpressionInput';
+import ScoringSettings from './ScoringSettings';
+import GuessRulesSettings from './GuessRulesSettings';
+import NumberField from './NumberField';
+import PlaylistInput from './PlaylistInput';
+import QuestionPackPicker from './QuestionPackPicker';
+import { ANSWER_STRICTNESS_OPTIONS } from '../answerStrictness';
+
+const MATCH_END_OPTIONS = [
+  { value: 'points', label: 'First to points' },
+  { value: 'rounds', label: 'Fixed number of rounds' },
+  { value: 'timed', label: 'Timed match' }
+];
+
+const TIE_BREAKER_OPTIONS = [
+  { value: 'exact-answers', label: 'Most exact answers' },
+  { value: 'fastest-average', label: 'Fastest average time' },
+  { value: 'sudden-death', label: 'Sudden death' }
+];
+
+const ANSWER_MODE_OPTIONS = [
+  { value: 'open', label: 'Everyone at once' },
+  { value: 'buzzer', label: 'Buzzer (first to buzz answers)' }
+];
+import { TEAM_SCORE_RULE_LABELS } from '../teams';
 
 const DEFAULT_SETTINGS = {
   roundDurationMs: 20000,
   pointsToWin: 50,
-  questionFilter: '*'
+  questionFilter: '*',
+  questionPackId: 'kanye-classic',
+  teamMode: false,
+  teamCount: 2,
+  teamScoreRule: 'sum',
+  endCondition: 'points',
+  roundsToPlay: 20,
+  matchDurationMs: 600000,
+  tieBreaker: 'exact-answers',
+  answerStrictness: 'standard',
+  answerMode: 'open',
+  buzzerWindowMs: 5000,
+  // Only the host is sent the passcode itself
+  hasPasscode: false,
+  maxPlayers: 0
 };
 
 export default function SettingsPanel({ settings = {}, onUpdateSettings, isHost }) {
@@ -18,6 +56,7 @@ export default function SettingsPanel({ settings = {}, onUpdateSettings, isHost
   const [pointsToWinInput, setPointsToWinInput] = useState(
     String(mergedSettings.pointsToWin ?? 50)
   );
+  const [passcodeInput, setPasscodeInput] = useState(mergedSettings.passcode || '');
   
   // Sync local state when settings change from server
   useEffect(() => {
@@ -27,6 +66,10 @@ export default function SettingsPanel({ settings = {}, onUpdateSettings, isHost
   useEffect(() => {
     setPointsToWinInput(String(mergedSettings.pointsToWin ?? 50));
   }, [mergedSettings.pointsToWin]);
+
+  useEffect(() => {
+    setPasscodeInput(mergedSettings.passcode || '');
+  }, [mergedSettings.passcode]);
   
   const handleChange = (key, value) => {
     if (!isHost) return;
@@ -72,15 +115,124 @@ export default function SettingsPanel({ settings = {}, onUpdateSettings, isHost
       </div>
 
       <div className="mb-6">
-        <label className="block mb-2 font-bold">Points to Win</label>
-        <input
-          type="number"
-          value={pointsToWinInput}
-          onChange={(e) => setPointsToWinInput(e.target.value)}
-          onBlur={handlePointsToWinBlur}
+        <label className="block mb-2 font-bold">Game Mode</label>
+        <select
+          value={mergedSettings.endCondition}
+          onChange={(e) => handleChange('endCondition', e.target.value)}
           disabled={!isHost}
-          min="1"
           className="w-full p-2 border border-black mb-2"
+        >
+          {MATCH_END_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        {mergedSettings.endCondition !== 'points' && (
+          <div className="flex flex-col gap-3">
+            {mergedSettings.endCondition === 'rounds' ? (
+              <NumberField
+                label="Rounds"
+                value={mergedSettings.roundsToPlay}
+                min={1}
+                disabled={!isHost}
+                onCommit={(v) => handleChange('roundsToPlay', v)}
+              />
+            ) : (
+              <NumberField
+                label="Match Length (minutes)"
+                value={Math.round(mergedSettings.matchDurationMs / 60000)}
+                min={1}
+                disabled={!isHost}
+                onCommit={(v) => handleChange('matchDurationMs', v * 60000)}
+              />
+            )}
+            <label className="block">
+              <span className="block mb-1 text-sm font-bold">Tie-Breaker</span>
+              <select
+                value={mergedSettings.tieBreaker}
+                onChange={(e) => handleChange('tieBreaker', e.target.value)}
+                disabled={!isHost}
+                className="w-full p-2 border border-black"
+              >
+                {TIE_BREAKER_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+        )}
+      </div>
+
+      {mergedSettings.endCondition === 'points' && (
+        <div className="mb-6">
+          <label className="block mb-2 font-bold">Points to Win</label>
+          <input
+            type="number"
+            value={pointsToWinInput}
+            onChange={(e) => setPointsToWinInput(e.target.value)}
+            onBlur={handlePointsToWinBlur}
+            disabled={!isHost}
+            min="1"
+            className="w-full p-2 border border-black mb-2"
+          />
+        </div>
+      )}
+
+      <div className="mb-6">
+        <label className="flex items-center gap-2 font-bold">
+          <input
+            type="checkbox"
+            checked={Boolean(mergedSettings.teamMode)}
+            onChange={(e) => handleChange('teamMode', e.target.checked)}
+            disabled={!isHost}
+          />
+          Team Mode
+        </label>
+        {mergedSettings.teamMode && (
+          <div className="mt-3 flex flex-col gap-3">
+            <label className="block">
+              <span className="block mb-1 text-sm font-bold">Teams</span>
+              <select
+                value={mergedSettings.teamCount}
+                onChange={(e) => handleChange('teamCount', parseInt(e.target.value, 10))}
+                disabled={!isHost}
+                className="w-full p-2 border border-black"
+              >
+                {[2, 3, 4].map(count => (
+                  <option key={count} value={count}>{count}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              <span className="block mb-1 text-sm font-bold">Team Score</span>
+              <select
+                value={mergedSettings.teamScoreRule}
+                onChange={(e) => handleChange('teamScoreRule', e.target.value)}
+                disabled={!isHost}
+                className="w-full p-2 border border-black"
+              >
+                {Object.entries(TEAM_SCORE_RULE_LABELS).map(([rule, label]) => (
+                  <option key={rule} value={rule}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <p className="text-sm text-gray-600">Scores and Points to Win are per team.</p>
+          </div>
+        )}
+      </div>
+
+      <div className="mb-6">
+        <QuestionPackPicker
+          value={mergedSettings.questionPackId}
+          onChange={(value) => handleChange('questionPackId', value)}
+          disabled={!isHost}
+        />
+      </div>
+
+      <div className="mb-6">
+        <PlaylistInput
+          playlist={mergedSettings.playlist}
+          onChange={(value) => handleChange('playlist', value)}
+          disabled={!isHost}
         />
       </div>
 
@@ -92,6 +244,106 @@ export default function SettingsPanel({ settings = {}, onUpdateSettings, isHost
         />
       </div>
 
+      <div className="mb-6">
+        <h3 className="mb-3 font-bold">Scoring</h3>
+        <ScoringSettings
+          scoring={mergedSettings.scoring}
+          onChange={(value) => handleChange('scoring', value)}
+          disabled={!isHost}
+        />
+      </div>
+
+      <div className="mb-6">
+        <label className="block mb-2 font-bold">Answer Strictness</label>
+        <select
+          value={mergedSettings.answerStrictness}
+          onChange={(e) => handleChange('answerStrictness', e.target.value)}
+          disabled={!isHost}
+          className="w-full p-2 border border-black mb-2"
+        >
+          {ANSWER_STRICTNESS_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <p className="text-sm text-gray-600">
+          {ANSWER_STRICTNESS_OPTIONS.find(option => option.value === mergedSettings.answerStrictness)?.description}
+        </p>
+      </div>
+
+      <div className="mb-6">
+        <label className="block mb-2 font-bold">Answering</label>
+        <select
+          value={mergedSettings.answerMode}
+          onChange={(e) => handleChange('answerMode', e.target.value)}
+          disabled={!isHost}
+          className="w-full p-2 border border-black mb-2"
+        >
+          {ANSWER_MODE_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        {mergedSettings.answerMode === 'buzzer' && (
+          <>
+            <NumberField
+              label="Answer Window (seconds)"
+              value={Math.round(mergedSettings.buzzerWindowMs / 1000)}
+              min={2}
+              disabled={!isHost}
+              onCommit={(v) => handleChange('buzzerWindowMs', v * 1000)}
+            />
+            <p className="text-sm text-gray-600 mt-2">
+              Applies to typed answers. A wrong answer or running out of time locks that player out for the question.
+            </p>
+          </>
+        )}
+      </div>
+
+      <div className="mb-6">
+        <h3 className="mb-3 font-bold">Guess Rules</h3>
+        <GuessRulesSettings
+          guessRules={mergedSettings.guessRules}
+          onChange={(value) => handleChange('guessRules', value)}
+          disabled={!isHost}
+        />
+      </div>
+
+      <div className="mb-6">
+        <h3 className="mb-3 font-bold">Lobby Access</h3>
+        <div className="flex flex-col gap-3">
+          {isHost ? (
+            <label className="block">
+              <span className="block mb-1 text-sm font-bold">Passcode</span>
+              <input
+                type="text"
+                value={passcodeInput}
+                onChange={(e) => setPasscodeInput(e.target.value)}
+                onBlur={() => handleChange('passcode', passcodeInput.trim())}
+                maxLength={32}
+                placeholder="None (anyone with the code can join)"
+                className="w-full p-2 border border-black"
+              />
+            </label>
+          ) : (
+            <div>
+              <span className="block mb-1 text-sm font-bold">Passcode</span>
+              <span className="text-sm">
+                {mergedSettings.hasPasscode ? '🔒 Private lobby (passcode required)' : 'None (anyone with the code can join)'}
+              </span>
+            </div>
+          )}
+          <NumberField
+            label="Max Players (0 = no limit)"
+            value={mergedSettings.maxPlayers}
+            min={0}
+            disabled={!isHost}
+            onCommit={(v) => handleChange('maxPlayers', v)}
+          />
+        </div>
+        <p className="text-sm text-gray-600 mt-2">
+          Players already in the lobby can rejoin without the passcode. Spectators don't count towards the limit.
+        </p>
+      </div>
+
       {!isHost && (
         <div className="text-gray-500 italic">
           Only the host can change settings.
@@ -1,6 +1,7 @@
 import React from 'react';
+import MatchProgress from './MatchProgress';
 
-export default function TopBar({ lobbyCode, onToggleSettings, isSettingsOpen, phase, onLeaveLobby }) {
+export default function TopBar({ lobbyCode, onToggleSettings, isSettingsOpen, phase, matchProgress, onLeaveLobby }) {
   return (
     <div className="h-[60px] border-b-2 border-black flex items-center justify-between px-4 bg-surface">
       <div className="flex items-center gap-4">
@@ -16,6 +17,7 @@ export default function TopBar({ lobbyCode, onToggleSettings, isSettingsOpen, ph
         <span className="font-bold">
           Lobby: {lobbyCode}
         </span>
+        <MatchProgress match={matchProgress} />
       </div>
       
       <div className="flex items-center gap-4">
@@ -3,8 +3,8 @@ import { useGameSocket } from '../../hooks/useGameSocket';
 
 const GameContext = createContext(null);
 
-export function GameProvider({ children, playerId, lobbyId, playerName }) {
-  const gameState = useGameSocket({ playerId, lobbyId, playerName });
+export function GameProvider({ children, playerId, lobbyId, playerName, role = 'player', passcode = '' }) {
+  const gameState = useGameSocket({ playerId, lobbyId, playerName, role, passcode });
 
   return (
     <GameContext.Provider value={gameState}>
@@ -0,0 +1,14 @@
+// Labels for the server's flag reason taxonomy (see FLAG_REASONS in questionStore.js)
+export const FLAG_REASON_OPTIONS = [
+  { value: 'wrong-answer', label: 'Wrong answer' },
+  { value: 'answer-too-strict', label: 'My answer should have counted' },
+  { value: 'ambiguous-lyric', label: 'Ambiguous lyric' },
+  { value: 'wrong-song-attribution', label: 'Wrong song attribution' },
+  { value: 'typo', label: 'Typo' },
+  { value: 'offensive', label: 'Offensive' },
+  { value: 'other', label: 'Other' }
+];
+
+export function getFlagReasonLabel(reason) {
+  return FLAG_REASON_OPTIONS.find(option => option.value === reason)?.label ?? reason;
+}
@@ -5,6 +5,7 @@ export default function GameLayout({
   bottomBar, 
   leftSidebar, 
   rightSidebar, 
+  chat,
   children,
   isSettingsOpen
 }) {
@@ -34,9 +35,16 @@ export default function GameLayout({
           {children}
         </main>
         
-        {/* Right Sidebar */}
-        <div className="w-[300px] border-l border-black overflow-y-auto shrink-0">
-          {rightSidebar}
+        {/* Right Sidebar, with chat below */}
+        <div className="w-[300px] border-l border-black shrink-0 flex flex-col">
+          <div className="flex-1 min-h-0 overflow-y-auto">
+            {rightSidebar}
+          </div>
+          {chat && (
+            <div className="h-[40%] min-h-[200px] border-t-2 border-black">
+              {chat}
+            </div>
+          )}
         </div>
       </div>
       
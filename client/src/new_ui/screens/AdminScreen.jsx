@@ -0,0 +1,318 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getFlagReasonLabel } from '../flagReasons';
+
+const PASSWORD_STORAGE_KEY = 'adminPassword';
+
+// "Display | alias, alias" per line <-> [{ display, aliases }]
+function formatAnswers(answers = []) {
+  return answers
+    .map(({ display, aliases = [] }) => {
+      const extra = aliases.filter(alias => alias !== display);
+      return extra.length ? `${display} | ${extra.join(', ')}` : display;
+    })
+    .join('\n');
+}
+
+function parseAnswers(text) {
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const [display, aliasText = ''] = line.split('|');
+      return {
+        display: display.trim(),
+        aliases: aliasText.split(',').map(alias => alias.trim()).filter(Boolean)
+      };
+    })
+    .filter(answer => answer.display);
+}
+
+function adminFetch(path, password, options = {}) {
+  return fetch(`/api/admin${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${password}`,
+      ...(options.headers || {})
+    }
+  }).then(async res => {
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const error = new Error(data.error || `HTTP ${res.status}`);
+      error.status = res.status;
+      throw error;
+    }
+    return data;
+  });
+}
+
+// The flagger's own answer, e.g. the guess an "answer too strict" flag is about
+function describeSubmission(submission) {
+  if (!submission) return null;
+  const parts = [];
+  if (submission.rejectedGuesses?.length) {
+    parts.push(`rejected: ${submission.rejectedGuesses.map(guess => `"${guess}"`).join(', ')}`);
+  } else if (submission.answerText) {
+    parts.push(`answered "${submission.answerText}"`);
+  }
+  if (submission.choiceId) parts.push(`chose ${submission.choiceId}`);
+  if (submission.numericValue !== undefined) parts.push(`guessed ${submission.numericValue}`);
+  if (submission.foundAnswers?.length) parts.push(`found ${submission.foundAnswers.join(', ')}`);
+  parts.push(submission.isCorrect ? 'correct' : 'incorrect');
+  return parts.join(' · ');
+}
+
+function QuestionContent({ question }) {
+  const content = question?.content;
+  if (content?.type === 'image' && content.url) {
+    return <img src={content.url} alt={content.alt || ''} className="max-w-[200px] border border-black" />;
+  }
+  if (content?.text) {
+    return <p className="whitespace-pre-wrap">{content.text}</p>;
+  }
+  return null;
+}
+
+function FlaggedQuestionCard({ item, password, packId, onChanged }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [answerText, setAnswerText] = useState(formatAnswers(item.answers));
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const { question } = item;
+
+  useEffect(() => {
+    setAnswerText(formatAnswers(item.answers));
+  }, [JSON.stringify(item.answers)]);
+
+  const run = (path, body) => {
+    setBusy(true);
+    setError(null);
+    adminFetch(`/questions/${encodeURIComponent(item.questionId)}/${path}`, password, {
+      method: 'POST',
+      body: JSON.stringify({ packId, ...body })
+    })
+      .then(() => {
+        setIsEditing(false);
+        onChanged();
+      })
+      .catch(err => setError(err.message))
+      .finally(() => setBusy(false));
+  };
+
+  return (
+    <li className={`p-4 border-2 border-black ${item.disabled ? 'bg-highlight' : 'bg-surface'}`}>
+      <div className="flex justify-between gap-4 mb-2">
+        <div>
+          <div className="text-xs text-gray-600">{item.questionId} · {question?.type || 'unknown'}</div>
+          <div className="font-bold">{question?.title}</div>
+        </div>
+        <div className="flex gap-2 items-start">
+          {item.disabled && <span className="px-2 text-sm bg-warning">Disabled</span>}
+          {question?.missing && <span className="px-2 text-sm bg-error text-white">Removed</span>}
+        </div>
+      </div>
+
+      <QuestionContent question={question} />
+
+      {question?.choices && (
+        <ul className="my-2">
+          {question.choices.map(choice => (
+            <li key={choice.id} className={choice.correct ? 'font-bold text-success' : ''}>
+              {choice.correct ? '✓' : '·'} {choice.text}
+            </li>
+          ))}
+        </ul>
+      )}
+      {question?.type === 'true-false' && (
+        <p className="my-2">Correct answer: <strong>{question.correctAnswer ? 'True' : 'False'}</strong></p>
+      )}
+      {item.answers.length > 0 && !isEditing && (
+        <ul className="my-2">
+          {item.answers.map(answer => (
+            <li key={answer.display}>
+              <strong>{answer.display}</strong>
+              {answer.aliases.length > 0 && (
+                <span className="text-gray-600"> — {answer.aliases.join(', ')}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {isEditing && (
+        <label className="block my-2">
+          <span className="block text-sm font-bold mb-1">Answers (one per line: Display | alias, alias)</span>
+          <textarea
+            value={answerText}
+            onChange={(e) => setAnswerText(e.target.value)}
+            rows={Math.max(3, item.answers.length + 1)}
+            className="w-full p-2 border border-black font-mono text-sm"
+          />
+        </label>
+      )}
+
+      <div className="mt-3">
+        <div className="text-sm font-bold">{item.flags.length} flag{item.flags.length === 1 ? '' : 's'}</div>
+        <ul className="text-sm">
+          {item.flags.map((flag, index) => (
+            <li key={`${flag.playerId}-${index}`} className="mb-1">
+              <span className="font-bold">{flag.playerName}</span>: {getFlagReasonLabel(flag.reason)}
+              {flag.note && <span> — "{flag.note}"</span>}
+              <span className="text-gray-600"> ({new Date(flag.timestamp).toLocaleString()}{flag.lobbyId ? `, lobby ${flag.lobbyId}` : ''})</span>
+              {flag.submission && (
+                <div className="pl-4 text-gray-600">{describeSubmission(flag.submission)}</div>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {error && <div className="mt-2 text-sm text-error">{error}</div>}
+
+      <div className="flex flex-wrap gap-2 mt-3">
+        <button className="px-3 py-1 border border-black" disabled={busy} onClick={() => run('dismiss')}>
+          Dismiss
+        </button>
+        {!question?.missing && (
+          <button className="px-3 py-1 border border-black" disabled={busy} onClick={() => run('disable', { disabled: !item.disabled })}>
+            {item.disabled ? 'Enable Question' : 'Disable Question'}
+          </button>
+        )}
+        {!question?.missing && item.answers.length > 0 && (
+          isEditing ? (
+            <>
+              <button className="px-3 py-1 bg-primary text-white" disabled={busy} onClick={() => run('answers', { answers: parseAnswers(answerText) })}>
+                Save Answers
+              </button>
+              <button className="px-3 py-1 border border-black" disabled={busy} onClick={() => setIsEditing(false)}>
+                Cancel
+              </button>
+            </>
+          ) : (
+            <button className="px-3 py-1 border border-black" disabled={busy} onClick={() => setIsEditing(true)}>
+              Edit Answers
+            </button>
+          )
+        )}
+      </div>
+    </li>
+  );
+}
+
+export default function AdminScreen() {
+  const [password, setPassword] = useState(() => sessionStorage.getItem(PASSWORD_STORAGE_KEY) || '');
+  const [passwordInput, setPasswordInput] = useState('');
+  const [isAuthed, setIsAuthed] = useState(false);
+  const [packs, setPacks] = useState([]);
+  const [packId, setPackId] = useState('kanye-classic');
+  const [flagged, setFlagged] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!password) return;
+    adminFetch('/session', password)
+      .then(() => {
+        sessionStorage.setItem(PASSWORD_STORAGE_KEY, password);
+        setIsAuthed(true);
+        setError(null);
+      })
+      .catch(err => {
+        sessionStorage.removeItem(PASSWORD_STORAGE_KEY);
+        setPassword('');
+        setError(err.message);
+      });
+  }, [password]);
+
+  useEffect(() => {
+    if (!isAuthed) return;
+    fetch('/api/packs')
+      .then(res => (res.ok ? res.json() : { packs: [] }))
+      .then(data => setPacks(data.packs || []))
+      .catch(() => setPacks([]));
+  }, [isAuthed]);
+
+  const loadFlags = useCallback(() => {
+    if (!isAuthed) return;
+    adminFetch(`/flags?packId=${encodeURIComponent(packId)}`, password)
+      .then(data => setFlagged(data.flagged || []))
+      .catch(err => setError(err.message));
+  }, [isAuthed, packId, password]);
+
+  useEffect(() => {
+    loadFlags();
+  }, [loadFlags]);
+
+  if (!isAuthed) {
+    return (
+      <div className="flex flex-col items-center justify-center h-screen w-screen bg-background text-black">
+        <h1 className="text-3xl mb-6 font-bold">Question Moderation</h1>
+        <form
+          className="flex flex-col gap-3 w-[300px] p-8 border-2 border-black bg-surface"
+          onSubmit={(e) => {
+            e.preventDefault();
+            setPassword(passwordInput);
+          }}
+        >
+          <input
+            type="password"
+            placeholder="Admin password"
+            value={passwordInput}
+            onChange={(e) => setPasswordInput(e.target.value)}
+            className="p-3 border border-black text-base w-full"
+            autoFocus
+          />
+          <button type="submit" className="p-3 bg-primary text-white font-bold">Sign In</button>
+          {error && <div className="text-sm text-error">{error}</div>}
+        </form>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen p-8 bg-background text-black">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <h1 className="text-3xl font-bold">Flagged Questions</h1>
+        <div className="flex items-center gap-2">
+          {packs.length > 0 && (
+            <select value={packId} onChange={(e) => setPackId(e.target.value)} className="p-2 border border-black">
+              {packs.map(pack => (
+                <option key={pack.id} value={pack.id}>{pack.name}</option>
+              ))}
+            </select>
+          )}
+          <button className="px-3 py-2 border border-black" onClick={loadFlags}>Refresh</button>
+          <button
+            className="px-3 py-2 border border-black"
+            onClick={() => {
+              sessionStorage.removeItem(PASSWORD_STORAGE_KEY);
+              setPassword('');
+              setIsAuthed(false);
+            }}
+          >
+            Sign Out
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="mb-4 text-error">{error}</div>}
+
+      {flagged.length === 0 ? (
+        <p className="text-gray-600 italic">No flagged questions in this pack.</p>
+      ) : (
+        <ul className="flex flex-col gap-4">
+          {[...flagged]
+            .sort((a, b) => b.flags.length - a.flags.length)
+            .map(item => (
+              <FlaggedQuestionCard
+                key={item.questionId}
+                item={item}
+                password={password}
+                packId={packId}
+                onChanged={loadFlags}
+              />
+            ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -3,6 +3,7 @@ import React, { useState } from 'react';
 export default function JoinScreen({ onJoin, initialName, initialLobby }) {
   const [name, setName] = useState(initialName || '');
   const [lobbyCode, setLobbyCode] = useState(initialLobby || '');
+  const [passcode, setPasscode] = useState('');
 
   const generateLobbyCode = () => {
     const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
@@ -19,16 +20,24 @@ export default function JoinScreen({ onJoin, initialName, initialLobby }) {
       return;
     }
     const newCode = generateLobbyCode();
-    onJoin(name, newCode);
+    onJoin(name, newCode, 'player', passcode.trim());
   };
 
   const handleSubmit = (e) => {
     e.preventDefault();
     if (name && lobbyCode) {
-      onJoin(name, lobbyCode);
+      onJoin(name, lobbyCode, 'player', passcode.trim());
     }
   };
 
+  const handleWatch = () => {
+    if (!name || lobbyCode.length !== 4) {
+      alert('Please enter your name and a lobby code first');
+      return;
+    }
+    onJoin(name, lobbyCode, 'spectator', passcode.trim());
+  };
+
   const handleLobbyCodeChange = (e) => {
     const val = e.target.value.toUpperCase().replace(/[^A-Z]/g, '').slice(0, 4);
     setLobbyCode(val);
@@ -46,6 +55,14 @@ export default function JoinScreen({ onJoin, initialName, initialLobby }) {
           className="p-3 border border-black text-base w-full"
           required
         />
+        <input
+          type="password"
+          placeholder="Passcode (private lobbies)"
+          value={passcode}
+          onChange={(e) => setPasscode(e.target.value)}
+          maxLength={32}
+          className="p-3 border border-black text-base w-full"
+        />
         
         <div className="flex flex-col gap-2 border-t border-black pt-4 mt-2">
           <span className="text-sm font-bold text-center">Join Existing</span>
@@ -59,12 +76,21 @@ export default function JoinScreen({ onJoin, initialName, initialLobby }) {
               required
               maxLength={4}
             />
-            <button 
-              type="submit" 
-              className="p-3 bg-primary text-white border-none cursor-pointer font-bold hover:opacity-90"
-            >
-              Join Game
-            </button>
+            <div className="flex gap-2">
+              <button 
+                type="submit" 
+                className="flex-1 p-3 bg-primary text-white border-none cursor-pointer font-bold hover:opacity-90"
+              >
+                Join Game
+              </button>
+              <button 
+                type="button" 
+                onClick={handleWatch}
+                className="flex-1 p-3 bg-secondary text-black border border-black cursor-pointer font-bold hover:bg-gray-200"
+              >
+                Watch
+              </button>
+            </div>
           </form>
         </div>
 
@@ -77,6 +103,7 @@ export default function JoinScreen({ onJoin, initialName, initialLobby }) {
            >
             Create Lobby
           </button>
+          <span className="text-xs text-gray-600 text-center">Enter a passcode above to make it private</span>
         </div>
       </div>
     </div>
@@ -9,6 +9,7 @@ export default function QuestionActiveScreen({
   onSelectOption, 
   selectedOptionId,
   hasSubmittedChoice,
+  reveal = null,
   // Multi-entry props
   foundAnswers = [],
   wrongGuesses = [],
@@ -33,6 +34,7 @@ export default function QuestionActiveScreen({
         onSelectOption={onSelectOption}
         selectedOptionId={selectedOptionId}
         hasSubmittedChoice={hasSubmittedChoice}
+        reveal={reveal}
         showAnswer={false}
       />
       
@@ -1,6 +1,8 @@
 import React from 'react';
 import QuestionDisplay from '../components/QuestionDisplay';
+import FlagQuestionPicker from '../components/FlagQuestionPicker';
 import { QUESTION_TYPES } from '../../questionTypes';
+import { getAnswerStrictnessLabel } from '../answerStrictness';
 
 export default function QuestionAnswerScreen({ 
   question, 
@@ -9,12 +11,17 @@ export default function QuestionAnswerScreen({
   correctChoiceId,
   selectedOptionId,
   roundSummary,
-  players = []
+  players = [],
+  flagStatus = null,
+  onFlagQuestion,
+  canFlag = true
 }) {
   // Build list of correct responders from summary
   const correctResponders = roundSummary?.correctResponders || [];
   const proximityRanking = roundSummary?.proximityRanking || [];
   const isNumeric = questionType === QUESTION_TYPES.NUMERIC;
+  const isOrderedList = questionType === QUESTION_TYPES.ORDERED_LIST;
+  const orderedListResults = roundSummary?.orderedListResults || [];
   
   // Create a map of playerId -> playerName from players array
   const playerNameMap = new Map();
@@ -27,8 +34,14 @@ export default function QuestionAnswerScreen({
     return playerNameMap.get(playerId) || 'Unknown';
   };
 
+  const getItemText = (itemId) => {
+    return question?.items?.find(item => item.id === itemId)?.text || itemId;
+  };
+
   // Determine if this is a choice-based question
   const isChoiceBased = [QUESTION_TYPES.MULTIPLE_CHOICE, QUESTION_TYPES.TRUE_FALSE].includes(questionType);
+  // Strictness only changes how typed answers are judged
+  const isTyped = [QUESTION_TYPES.FREE_TEXT, QUESTION_TYPES.MULTI_ENTRY].includes(questionType);
 
   // Build all players' submissions for display
   // For choice-based: show what each player chose
@@ -72,7 +85,9 @@ export default function QuestionAnswerScreen({
         name: responder.name || getPlayerName(responder.playerId),
         isCorrect: true,
         elapsedMs: responder.elapsedMs,
-        answerText: responder.answerText || responder.matchedAnswerDisplay
+        answerText: responder.answerText || responder.matchedAnswerDisplay,
+        closeMatch: responder.closeMatch === true,
+        revealedCount: responder.revealedCount ?? null
       });
     });
   }
@@ -88,15 +103,21 @@ export default function QuestionAnswerScreen({
         correctAnswer={correctAnswer}
         correctChoiceId={correctChoiceId}
         selectedOptionId={selectedOptionId}
+        reveal={roundSummary?.reveal || null}
         showAnswer={true}
       />
       
       {/* Round Results */}
       <div className="mt-8 p-6 border-t-2 border-black w-full max-w-[600px]">
         <h3 className="text-xl font-bold mb-4 text-black">Round Results</h3>
+        {isTyped && roundSummary?.answerStrictness && (
+          <p className="-mt-2 mb-4 text-sm text-gray-600">
+            Answer strictness: {getAnswerStrictnessLabel(roundSummary.answerStrictness)}
+          </p>
+        )}
         
         {/* For non-numeric questions, show the traditional responders list */}
-        {!isNumeric && allSubmissions.length > 0 && (
+        {!isNumeric && !isOrderedList && allSubmissions.length > 0 && (
           <ul className="list-none p-0 space-y-2">
             {allSubmissions.map((submission, index) => (
               <li 
@@ -117,13 +138,21 @@ export default function QuestionAnswerScreen({
                 {submission.answerText && (
                   <span className="text-gray-600 italic">"{submission.answerText}"</span>
                 )}
+                {submission.closeMatch && (
+                  <span className="text-sm text-gray-600">accepted (close match)</span>
+                )}
+                {submission.revealedCount && (
+                  <span className="text-sm text-gray-600">
+                    after {submission.revealedCount} {submission.revealedCount === 1 ? 'line' : 'lines'}
+                  </span>
+                )}
               </li>
             ))}
           </ul>
         )}
         
         {/* Show "no one answered" for non-numeric when no submissions */}
-        {!isNumeric && allSubmissions.length === 0 && proximityRanking.length === 0 && (
+        {!isNumeric && allSubmissions.length === 0 && proximityRanking.length === 0 && orderedListResults.length === 0 && (
           <p className="text-gray-500 italic">No one answered!</p>
         )}
         
@@ -195,6 +224,63 @@ export default function QuestionAnswerScreen({
             </div>
           </div>
         )}
+
+        {/* Show each player's order, item by item, for ordered lists */}
+        {isOrderedList && orderedListResults.length > 0 && (
+          <div className="space-y-4">
+            {orderedListResults.map(entry => (
+              <div
+                key={entry.playerId}
+                className={`p-3 rounded border-2 ${
+                  entry.isFullyCorrect ? 'bg-green-100 border-success' : 'bg-surface border-black'
+                }`}
+              >
+                <div className="flex items-center justify-between mb-2">
+                  <span className="font-bold text-black">{entry.name || getPlayerName(entry.playerId)}</span>
+                  <span className={`font-bold ${entry.isFullyCorrect ? 'text-success' : 'text-gray-600'}`}>
+                    {entry.correctPositions}/{entry.totalPositions} in place
+                  </span>
+                </div>
+                <ol className="list-none p-0 space-y-1">
+                  {(entry.orderedIds || []).map((itemId, index) => {
+                    const isPlaced = entry.placements?.[index] === true;
+                    return (
+                      <li key={itemId} className="flex items-center gap-2">
+                        <span className={`font-bold ${isPlaced ? 'text-success' : 'text-error'}`}>
+                          {isPlaced ? '✓' : '✗'}
+                        </span>
+                        <span className="text-gray-500">{index + 1}.</span>
+                        <span className="text-black">{getItemText(itemId)}</span>
+                      </li>
+                    );
+                  })}
+                </ol>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Streaks that ended this round */}
+        {roundSummary?.brokenStreaks?.length > 0 && (
+          <div className="mt-6 space-y-1">
+            {roundSummary.brokenStreaks.map(entry => (
+              <p key={entry.playerId} className="text-gray-600">
+                💔 {entry.name || getPlayerName(entry.playerId)}'s {entry.streak}-answer streak ended
+              </p>
+            ))}
+          </div>
+        )}
+
+        {onFlagQuestion && (
+          <div className="mt-6">
+            <FlagQuestionPicker
+              questionId={question?.id}
+              flagStatus={flagStatus}
+              onFlag={onFlagQuestion}
+              disabled={!canFlag}
+            />
+          </div>
+        )}
       </div>
     </div>
   );
@@ -1,6 +1,49 @@
 import React from 'react';
+import { getTeamLabel } from '../teams';
+
+const TIE_BREAK_LABELS = {
+  'exact-answers': 'Tie broken by most exact answers',
+  'fastest-average': 'Tie broken by fastest average answer time'
+};
+
+export default function WinScreen({ winner, team = null, decidedBy = null, onReturnToLobby, isHost }) {
+  const tieBreakNote = decidedBy && TIE_BREAK_LABELS[decidedBy] && (
+    <p className="text-lg text-gray-600 mt-2">{TIE_BREAK_LABELS[decidedBy]}</p>
+  );
+
+  if (team) {
+    const members = [...(team.members || [])].sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
+    return (
+      <div className="text-center p-8">
+        <h1 className="text-4xl mb-6">Game Over!</h1>
+        <div className="text-5xl font-bold text-success mb-6">
+          Team {getTeamLabel(team.teamId)} Wins!
+        </div>
+        <p className="text-xl mb-4">Team score: {team.score}</p>
+        {tieBreakNote}
+        <ul className="inline-block text-left text-lg">
+          {members.map(member => (
+            <li key={member.playerId} className="flex justify-between gap-8">
+              <span>{member.name}</span>
+              <span>{member.score} pts</span>
+            </li>
+          ))}
+        </ul>
+
+        {isHost && (
+          <div>
+            <button 
+              className="px-8 py-4 text-lg bg-primary text-white border-none cursor-pointer mt-8 font-bold hover:opacity-90"
+              onClick={onReturnToLobby}
+            >
+              Return to Lobby
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  }
 
-export default function WinScreen({ winner, onReturnToLobby, isHost }) {
   return (
     <div className="text-center p-8">
       <h1 className="text-4xl mb-6">Game Over!</h1>
@@ -8,6 +51,7 @@ export default function WinScreen({ winner, onReturnToLobby, isHost }) {
         {winner ? `${winner.name} Wins!` : 'No Winner?'}
       </div>
       <p className="text-xl">Score: {winner?.score}</p>
+      {tieBreakNote}
       
       {isHost && (
         <button 
@@ -0,0 +1,17 @@
+// Display metadata for the server's team IDs (see TEAM_IDS in lobbyManager.js)
+export const TEAM_STYLES = {
+  red: { label: 'Red', swatchClass: 'bg-red-500' },
+  blue: { label: 'Blue', swatchClass: 'bg-blue-500' },
+  green: { label: 'Green', swatchClass: 'bg-green-500' },
+  yellow: { label: 'Yellow', swatchClass: 'bg-yellow-400' }
+};
+
+export const TEAM_SCORE_RULE_LABELS = {
+  sum: 'Sum of members',
+  best: 'Best member',
+  average: 'Average of members'
+};
+
+export function getTeamLabel(teamId) {
+  return TEAM_STYLES[teamId]?.label ?? teamId;
+}
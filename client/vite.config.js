@@ -6,6 +6,7 @@ export default defineConfig({
   server: {
     port: 5173,
     proxy: {
+      '/api': 'http://localhost:3000',
       '/socket.io': {
         target: 'http://localhost:3000',
         ws: true
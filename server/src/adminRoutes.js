@@ -0,0 +1,91 @@
+/**
+ * Admin Routes
+ *
+ * Password-protected REST endpoints behind the moderation dashboard
+ * (client `/admin`). Requests authenticate with
+ * `Authorization: Bearer <ADMIN_PASSWORD>`; with no password configured the
+ * whole router answers 503.
+ */
+
+import express from 'express';
+import {
+    getFlaggedQuestionDetails,
+    clearQuestionFlags,
+    setQuestionDisabled,
+    setQuestionAnswers,
+    hasQuestionPack,
+    DEFAULT_QUESTION_PACK_ID
+} from './questionStore.js';
+import { passwordsMatch } from './secrets.js';
+
+function requireAdmin(password) {
+    return (req, res, next) => {
+        if (!password) {
+            return res.status(503).json({ error: 'Admin dashboard is disabled (set ADMIN_PASSWORD)' });
+        }
+        const header = req.get('authorization') || '';
+        const candidate = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+        if (!candidate || !passwordsMatch(candidate, password)) {
+            return res.status(401).json({ error: 'Invalid admin password' });
+        }
+        next();
+    };
+}
+
+function resolvePackId(req) {
+    const packId = req.query.packId || req.body?.packId;
+    return typeof packId === 'string' && hasQuestionPack(packId) ? packId : DEFAULT_QUESTION_PACK_ID;
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.password - Admin password; empty disables the routes
+ * @returns {express.Router}
+ */
+export function createAdminRouter({ password } = {}) {
+    const router = express.Router();
+    router.use(requireAdmin(password));
+    router.use(express.json({ limit: '32kb' }));
+
+    // Lets the dashboard verify a password before showing anything
+    router.get('/session', (req, res) => {
+        res.json({ ok: true });
+    });
+
+    router.get('/flags', (req, res) => {
+        const packId = resolvePackId(req);
+        const flagged = getFlaggedQuestionDetails(packId);
+        res.json({ packId, flagged, count: flagged.length });
+    });
+
+    router.post('/questions/:questionId/dismiss', (req, res) => {
+        const packId = resolvePackId(req);
+        const cleared = clearQuestionFlags(req.params.questionId, packId);
+        if (!cleared) {
+            return res.status(404).json({ success: false, error: 'No flags for this question' });
+        }
+        console.log(`[admin] Dismissed flags for ${req.params.questionId} (${packId})`);
+        res.json({ success: true });
+    });
+
+    router.post('/questions/:questionId/disable', (req, res) => {
+        const packId = resolvePackId(req);
+        const disabled = req.body?.disabled !== false;
+        const result = setQuestionDisabled(req.params.questionId, disabled, packId);
+        res.status(result.success ? 200 : 400).json(result);
+    });
+
+    router.post('/questions/:questionId/answers', (req, res) => {
+        const packId = resolvePackId(req);
+        if (!Array.isArray(req.body?.answers)) {
+            return res.status(400).json({ success: false, error: 'answers must be an array' });
+        }
+        const result = setQuestionAnswers(req.params.questionId, req.body.answers, packId);
+        if (result.success) {
+            console.log(`[admin] Updated answers for ${req.params.questionId} (${packId})`);
+        }
+        res.status(result.success ? 200 : 400).json(result);
+    });
+
+    return router;
+}
@@ -15,6 +15,7 @@ export const MATCH_MODES = Object.freeze({
      * - Case insensitive
      * - Strips ALL punctuation (apostrophes, hyphens, quotes, periods, etc.)
      * - Normalizes whitespace (multiple spaces → single space)
+     * - Canonicalizes numbers and abbreviations ("Pt. Two" = "part 2")
      * - Good for: lyrics, casual text where punctuation is inconsistent
      */
     LOOSE: 'loose',
@@ -25,6 +26,7 @@ export const MATCH_MODES = Object.freeze({
      * - Keeps significant punctuation (&, numbers, etc.)
      * - Strips minor punctuation (apostrophes, quotes)
      * - Normalizes whitespace
+     * - Canonicalizes numbers and abbreviations ("Pt. Two" = "part 2")
      * - Good for: song titles, album names, most general answers
      */
     NORMAL: 'normal',
@@ -45,12 +47,27 @@ export const MATCH_MODES = Object.freeze({
      * - Trims whitespace only
      * - Good for: rare cases where exact match is required
      */
-    EXACT: 'exact'
+    EXACT: 'exact',
+    
+    /**
+     * FUZZY: Typo-tolerant matching
+     * - Normalizes like LOOSE
+     * - Accepts small misspellings, scaled by answer length ("Kanye Wset")
+     * - Ignores word order and spacing ("Run Away" = "Runaway")
+     * - Good for: song titles, album names, artist names
+     */
+    FUZZY: 'fuzzy'
 });
 
 // Default match mode
 export const DEFAULT_MATCH_MODE = MATCH_MODES.NORMAL;
 
+// Minimum similarity (0-1) a FUZZY guess needs; questions may override it
+export const DEFAULT_FUZZY_THRESHOLD = 0.8;
+
+// Answers shorter than this must match exactly; one typo already makes another word
+const FUZZY_MIN_LENGTH = 4;
+
 // ============================================================================
 // Punctuation Categories
 // ============================================================================
@@ -64,6 +81,186 @@ const ALL_PUNCTUATION = /[^\p{L}\p{N}\s]/gu;
 // Whitespace normalization
 const MULTIPLE_SPACES = /\s+/g;
 
+// ============================================================================
+// Canonicalization - Spelling variants that mean the same thing
+// ============================================================================
+
+/**
+ * Which canonicalization steps each match mode applies before comparing.
+ * - unicode: curly apostrophes/quotes and unicode dashes → ASCII (phone keyboards)
+ * - numbers: number words and ordinals → numerals ("twenty-one" = "21", "second" = "2nd")
+ * - abbreviations: pt → part, ft/featuring → feat, & → and
+ */
+export const CANONICALIZATION_BY_MODE = Object.freeze({
+    [MATCH_MODES.LOOSE]: Object.freeze({ unicode: true, numbers: true, abbreviations: true }),
+    [MATCH_MODES.NORMAL]: Object.freeze({ unicode: true, numbers: true, abbreviations: true }),
+    [MATCH_MODES.FUZZY]: Object.freeze({ unicode: true, numbers: true, abbreviations: true }),
+    [MATCH_MODES.STRICT]: Object.freeze({ unicode: true, numbers: false, abbreviations: false }),
+    [MATCH_MODES.EXACT]: Object.freeze({ unicode: true, numbers: false, abbreviations: false })
+});
+
+const UNICODE_APOSTROPHES = /[\u2018\u2019\u201A\u201B\u02BC\u00B4\u2032]/g;
+const UNICODE_QUOTES = /[\u201C\u201D\u201E\u201F\u2033]/g;
+const UNICODE_DASHES = /[\u2010\u2011\u2012\u2013\u2014\u2015\u2212]/g;
+const UNICODE_SPACES = /[\u00A0\u2007\u202F]/g;
+
+// A lone "&" between words; "R&B" stays as it is
+const STANDALONE_AMPERSAND = /(^|\s)&(?=\s|$)/g;
+
+const ABBREVIATIONS = Object.freeze({
+    pt: 'part',
+    ft: 'feat',
+    featuring: 'feat'
+});
+
+const UNIT_WORDS = Object.freeze({
+    zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+    ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+    seventeen: 17, eighteen: 18, nineteen: 19
+});
+
+const TENS_WORDS = Object.freeze({
+    twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+});
+
+const SCALE_WORDS = Object.freeze({ hundred: 100, thousand: 1000 });
+
+const ORDINAL_UNIT_WORDS = Object.freeze({
+    first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9,
+    tenth: 10, eleventh: 11, twelfth: 12, thirteenth: 13, fourteenth: 14, fifteenth: 15,
+    sixteenth: 16, seventeenth: 17, eighteenth: 18, nineteenth: 19
+});
+
+const ORDINAL_TENS_WORDS = Object.freeze({
+    twentieth: 20, thirtieth: 30, fortieth: 40, fiftieth: 50, sixtieth: 60,
+    seventieth: 70, eightieth: 80, ninetieth: 90
+});
+
+const ORDINAL_SCALE_WORDS = Object.freeze({ hundredth: 100, thousandth: 1000 });
+
+// "twenty-one" → "twenty one", before LOOSE strips the hyphen into "twentyone"
+const HYPHENATED_NUMBER = new RegExp(
+    `\\b(${Object.keys(TENS_WORDS).join('|')})-(?=(?:${[
+        ...Object.keys(UNIT_WORDS),
+        ...Object.keys(ORDINAL_UNIT_WORDS)
+    ].join('|')})\\b)`,
+    'g'
+);
+
+function ordinalSuffix(n) {
+    const lastTwo = n % 100;
+    if (lastTwo >= 11 && lastTwo <= 13) return 'th';
+    return { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th';
+}
+
+function classifyNumberWord(word) {
+    if (word in UNIT_WORDS) return { kind: 'unit', value: UNIT_WORDS[word] };
+    if (word in TENS_WORDS) return { kind: 'tens', value: TENS_WORDS[word] };
+    if (word in SCALE_WORDS) return { kind: 'scale', value: SCALE_WORDS[word] };
+    if (word in ORDINAL_UNIT_WORDS) return { kind: 'unit', value: ORDINAL_UNIT_WORDS[word], ordinal: true };
+    if (word in ORDINAL_TENS_WORDS) return { kind: 'tens', value: ORDINAL_TENS_WORDS[word], ordinal: true };
+    if (word in ORDINAL_SCALE_WORDS) return { kind: 'scale', value: ORDINAL_SCALE_WORDS[word], ordinal: true };
+    return null;
+}
+
+/**
+ * Read one spelled-out number starting at tokens[start]. Words only combine
+ * the way they do in English, so "one two" stays two numbers while
+ * "two hundred and five" is one.
+ * @returns {{text: string, length: number}|null}
+ */
+function readNumberWords(tokens, start) {
+    let total = 0;
+    let current = 0;
+    let previous = null;
+    let length = 0;
+    let ordinal = false;
+
+    for (let i = start; i < tokens.length && !ordinal; i++) {
+        let word = classifyNumberWord(tokens[i]);
+        // "hundred and five" - only when a number follows
+        if (!word && tokens[i] === 'and' && previous?.kind === 'scale') {
+            const next = classifyNumberWord(tokens[i + 1] || '');
+            if (next && next.kind !== 'scale') {
+                length++;
+                continue;
+            }
+        }
+        if (!word) break;
+
+        const fits =
+            word.kind === 'scale'
+                ? (previous !== null && previous.kind !== 'scale') || (previous?.value === 100 && word.value === 1000)
+                : previous === null || previous.kind === 'scale' ||
+                  (previous.kind === 'tens' && word.kind === 'unit' && word.value > 0 && word.value < 10);
+        // "zero" only stands alone
+        if (!fits || (word.value === 0 && previous !== null)) break;
+
+        if (word.kind === 'scale' && word.value === 1000) {
+            total += (current || 1) * 1000;
+            current = 0;
+        } else if (word.kind === 'scale') {
+            current = (current || 1) * 100;
+        } else {
+            current += word.value;
+        }
+        previous = word;
+        ordinal = Boolean(word.ordinal);
+        length = i - start + 1;
+    }
+
+    if (previous === null) return null;
+    const value = total + current;
+    return { text: ordinal ? `${value}${ordinalSuffix(value)}` : String(value), length };
+}
+
+// Character-level steps, run on lowercased text before punctuation is stripped
+function canonicalizeCharacters(text, steps) {
+    let result = text;
+    if (steps.unicode) {
+        result = result
+            .replace(UNICODE_APOSTROPHES, "'")
+            .replace(UNICODE_QUOTES, '"')
+            .replace(UNICODE_DASHES, '-')
+            .replace(UNICODE_SPACES, ' ');
+    }
+    if (steps.abbreviations) {
+        result = result.replace(STANDALONE_AMPERSAND, '$1and');
+    }
+    if (steps.numbers) {
+        result = result.replace(HYPHENATED_NUMBER, '$1 ');
+    }
+    return result;
+}
+
+// Word-level steps, run on the final space-separated form
+function canonicalizeWords(text, steps) {
+    if (!steps.numbers && !steps.abbreviations) return text;
+
+    const tokens = text.split(' ');
+    const output = [];
+    for (let i = 0; i < tokens.length; i++) {
+        const number = steps.numbers ? readNumberWords(tokens, i) : null;
+        if (number) {
+            output.push(number.text);
+            i += number.length - 1;
+            continue;
+        }
+        const token = tokens[i];
+        output.push(steps.abbreviations && ABBREVIATIONS[token] ? ABBREVIATIONS[token] : token);
+    }
+    return output.join(' ');
+}
+
+/**
+ * Canonicalization steps a match mode applies
+ * @param {string} matchMode
+ * @returns {{unicode: boolean, numbers: boolean, abbreviations: boolean}}
+ */
+export function getCanonicalization(matchMode) {
+    return CANONICALIZATION_BY_MODE[matchMode] || CANONICALIZATION_BY_MODE[DEFAULT_MATCH_MODE];
+}
+
 // ============================================================================
 // Normalization Functions
 // ============================================================================
@@ -85,33 +282,39 @@ export function normalizeForComparison(text, matchMode = DEFAULT_MATCH_MODE) {
         matchMode = DEFAULT_MATCH_MODE;
     }
     
+    const steps = getCanonicalization(matchMode);
     let normalized = text.trim();
     
     switch (matchMode) {
         case MATCH_MODES.EXACT:
             // Only trim whitespace, keep everything else
-            return normalized;
+            return canonicalizeCharacters(normalized, steps);
             
         case MATCH_MODES.STRICT:
             // Case insensitive, keep all punctuation
-            return normalized.toLowerCase();
+            return canonicalizeCharacters(normalized.toLowerCase(), steps);
             
         case MATCH_MODES.LOOSE:
+        case MATCH_MODES.FUZZY:
             // Strip all punctuation, normalize whitespace
-            return normalized
-                .toLowerCase()
-                .replace(ALL_PUNCTUATION, '')
-                .replace(MULTIPLE_SPACES, ' ')
-                .trim();
+            return canonicalizeWords(
+                canonicalizeCharacters(normalized.toLowerCase(), steps)
+                    .replace(ALL_PUNCTUATION, '')
+                    .replace(MULTIPLE_SPACES, ' ')
+                    .trim(),
+                steps
+            );
             
         case MATCH_MODES.NORMAL:
         default:
             // Strip minor punctuation, keep significant ones
-            return normalized
-                .toLowerCase()
-                .replace(MINOR_PUNCTUATION, '')
-                .replace(MULTIPLE_SPACES, ' ')
-                .trim();
+            return canonicalizeWords(
+                canonicalizeCharacters(normalized.toLowerCase(), steps)
+                    .replace(MINOR_PUNCTUATION, '')
+                    .replace(MULTIPLE_SPACES, ' ')
+                    .trim(),
+                steps
+            );
     }
 }
 
@@ -134,23 +337,33 @@ export function answersMatch(userAnswer, correctAnswer, matchMode = DEFAULT_MATC
  * @param {string} userAnswer - The user's input
  * @param {string[]} acceptedAnswers - Array of accepted answers
  * @param {string} matchMode - Match mode to use
- * @returns {{ matches: boolean, matchedAnswer: string|null }}
+ * @param {object} [options]
+ * @param {number} [options.fuzzyThreshold] - Minimum similarity for FUZZY mode
+ * @returns {{ matches: boolean, matchedAnswer: string|null, confidence: number }}
+ *   confidence is 1 for an exact match, below 1 for a close (FUZZY) match
  */
-export function findMatchingAnswer(userAnswer, acceptedAnswers, matchMode = DEFAULT_MATCH_MODE) {
+export function findMatchingAnswer(userAnswer, acceptedAnswers, matchMode = DEFAULT_MATCH_MODE, options = {}) {
     if (!userAnswer || !acceptedAnswers || !Array.isArray(acceptedAnswers)) {
-        return { matches: false, matchedAnswer: null };
+        return { matches: false, matchedAnswer: null, confidence: 0 };
     }
     
     const normalizedUser = normalizeForComparison(userAnswer, matchMode);
+    const candidates = acceptedAnswers.map(answer => [normalizeForComparison(answer, matchMode), answer]);
     
-    for (const answer of acceptedAnswers) {
-        const normalizedAnswer = normalizeForComparison(answer, matchMode);
+    for (const [normalizedAnswer, answer] of candidates) {
         if (normalizedUser === normalizedAnswer) {
-            return { matches: true, matchedAnswer: answer };
+            return { matches: true, matchedAnswer: answer, confidence: 1 };
         }
     }
     
-    return { matches: false, matchedAnswer: null };
+    if (matchMode === MATCH_MODES.FUZZY) {
+        const fuzzy = findFuzzyMatch(normalizedUser, candidates, options.fuzzyThreshold);
+        if (fuzzy) {
+            return { matches: true, matchedAnswer: fuzzy.match, confidence: fuzzy.confidence };
+        }
+    }
+    
+    return { matches: false, matchedAnswer: null, confidence: 0 };
 }
 
 /**
@@ -172,6 +385,112 @@ export function buildAliasMap(answers, matchMode = DEFAULT_MATCH_MODE) {
     return map;
 }
 
+/**
+ * Edit distance between two strings (insertions, deletions, substitutions,
+ * and swaps of two adjacent characters each count as one edit)
+ * @param {string} a 
+ * @param {string} b 
+ * @returns {number}
+ */
+export function editDistance(a = '', b = '') {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+    
+    // Rows i-2, i-1 and i of the DP table; row[j] is the distance for a[0..i) vs b[0..j)
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+            }
+        }
+        beforePrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Similarity of two already-normalized strings, 0 (nothing shared) to 1 (identical)
+ * @param {string} a 
+ * @param {string} b 
+ * @returns {number}
+ */
+export function similarityRatio(a = '', b = '') {
+    const longest = Math.max(a.length, b.length);
+    if (longest === 0) return 1;
+    return 1 - editDistance(a, b) / longest;
+}
+
+function sortTokens(text) {
+    return text.split(' ').filter(Boolean).sort().join(' ');
+}
+
+/**
+ * How close two already-normalized answers are for FUZZY matching, 0 to 1.
+ * Takes the best of a plain comparison, a word-order-insensitive one and a
+ * spacing-insensitive one. Only identical strings score 1.
+ * @param {string} normalizedUser 
+ * @param {string} normalizedAnswer 
+ * @returns {number}
+ */
+export function fuzzyMatchScore(normalizedUser, normalizedAnswer) {
+    if (!normalizedUser || !normalizedAnswer) return 0;
+    if (normalizedUser === normalizedAnswer) return 1;
+    if (Math.min(normalizedUser.length, normalizedAnswer.length) < FUZZY_MIN_LENGTH) return 0;
+    
+    const best = Math.max(
+        similarityRatio(normalizedUser, normalizedAnswer),
+        similarityRatio(sortTokens(normalizedUser), sortTokens(normalizedAnswer)),
+        similarityRatio(normalizedUser.replace(/ /g, ''), normalizedAnswer.replace(/ /g, ''))
+    );
+    // "runaway" vs "run away" is close, not exact
+    return Math.min(Math.round(best * 100) / 100, 0.99);
+}
+
+/**
+ * Find the closest accepted answer within a fuzzy threshold
+ * @param {string} normalizedUser - Guess, already normalized
+ * @param {Iterable<[string, *]>} candidates - [normalizedAnswer, value] pairs (a Map works)
+ * @param {number} [threshold] - Minimum fuzzyMatchScore, defaults to DEFAULT_FUZZY_THRESHOLD
+ * @returns {{ match: *, confidence: number }|null}
+ */
+export function findFuzzyMatch(normalizedUser, candidates, threshold = DEFAULT_FUZZY_THRESHOLD) {
+    const minimum = isValidFuzzyThreshold(threshold) ? threshold : DEFAULT_FUZZY_THRESHOLD;
+    let best = null;
+    for (const [normalizedAnswer, value] of candidates) {
+        const confidence = fuzzyMatchScore(normalizedUser, normalizedAnswer);
+        if (confidence >= minimum && (!best || confidence > best.confidence)) {
+            best = { match: value, confidence };
+        }
+    }
+    return best;
+}
+
+// Generators whose answers are names/titles that players often misspell,
+// with how close a guess must be. A question's own fuzzyThreshold wins.
+const GENERATOR_FUZZY_THRESHOLDS = {
+    'song-from-lyric': DEFAULT_FUZZY_THRESHOLD,
+    'album-from-song': DEFAULT_FUZZY_THRESHOLD,
+    'artist-from-lyric': 0.85,
+    'artist-from-song': 0.85,
+    'features-on-song': 0.85
+};
+
+/**
+ * Get the recommended fuzzy threshold for a generator type
+ * @param {string} generatorType 
+ * @returns {number}
+ */
+export function getRecommendedFuzzyThreshold(generatorType) {
+    return GENERATOR_FUZZY_THRESHOLDS[generatorType] ?? DEFAULT_FUZZY_THRESHOLD;
+}
+
 /**
  * Get the recommended match mode for a generator type
  * @param {string} generatorType 
@@ -193,6 +512,10 @@ export function getRecommendedMatchMode(generatorType) {
         return MATCH_MODES.LOOSE;
     }
     
+    if (generatorType in GENERATOR_FUZZY_THRESHOLDS) {
+        return MATCH_MODES.FUZZY;
+    }
+    
     if (strictGenerators.includes(generatorType)) {
         return MATCH_MODES.STRICT;
     }
@@ -201,6 +524,280 @@ export function getRecommendedMatchMode(generatorType) {
     return MATCH_MODES.NORMAL;
 }
 
+// ============================================================================
+// Answer Strictness - Lobby-wide override of question match modes
+// ============================================================================
+
+export const ANSWER_STRICTNESS = Object.freeze({
+    CASUAL: 'casual',       // Typos and punctuation don't matter (except on strict/exact questions)
+    STANDARD: 'standard',   // Each question's own matchMode
+    HARDCORE: 'hardcore'    // Spelling and punctuation must be right
+});
+
+export const DEFAULT_ANSWER_STRICTNESS = ANSWER_STRICTNESS.STANDARD;
+
+// Match modes from loosest to strictest
+const MATCH_MODE_ORDER = Object.freeze([
+    MATCH_MODES.FUZZY,
+    MATCH_MODES.LOOSE,
+    MATCH_MODES.NORMAL,
+    MATCH_MODES.STRICT,
+    MATCH_MODES.EXACT
+]);
+
+function isAtLeastAsStrict(matchMode, otherMode) {
+    return MATCH_MODE_ORDER.indexOf(matchMode) >= MATCH_MODE_ORDER.indexOf(otherMode);
+}
+
+/**
+ * Check if a value is a valid answer strictness
+ * @param {string} strictness
+ * @returns {boolean}
+ */
+export function isValidAnswerStrictness(strictness) {
+    return Object.values(ANSWER_STRICTNESS).includes(strictness);
+}
+
+/**
+ * The match mode a question is judged with under a lobby's strictness.
+ * STRICT and EXACT questions are never changed; casual loosens the other
+ * modes to FUZZY and hardcore raises them to STRICT.
+ * Only changes how text is compared; which aliases count is still decided
+ * per answer (entity vs literal).
+ * @param {string} questionMatchMode - The question's own matchMode
+ * @param {string} [strictness] - One of ANSWER_STRICTNESS values
+ * @returns {string}
+ */
+export function resolveMatchMode(questionMatchMode, strictness = DEFAULT_ANSWER_STRICTNESS) {
+    const questionMode = isValidMatchMode(questionMatchMode) ? questionMatchMode : DEFAULT_MATCH_MODE;
+    switch (strictness) {
+        case ANSWER_STRICTNESS.CASUAL:
+            return isAtLeastAsStrict(questionMode, MATCH_MODES.STRICT) ? questionMode : MATCH_MODES.FUZZY;
+        case ANSWER_STRICTNESS.HARDCORE:
+            return isAtLeastAsStrict(questionMode, MATCH_MODES.STRICT) ? questionMode : MATCH_MODES.STRICT;
+        default:
+            return questionMode;
+    }
+}
+
+// ============================================================================
+// Phonetic Matching - sound-alike spellings of names ("Kid Cuddy", "Pusha Tee")
+// ============================================================================
+
+// Reported for a phonetic match: sounds the same, isn't spelled the same
+export const PHONETIC_MATCH_CONFIDENCE = 0.9;
+
+// Spellings shorter than this are too ambiguous to compare by sound ("ye" vs "yo")
+const PHONETIC_MIN_LENGTH = 4;
+
+function isVowel(ch) {
+    return ch !== undefined && 'AEIOU'.includes(ch);
+}
+
+function isOneOf(ch, letters) {
+    return ch !== undefined && letters.includes(ch);
+}
+
+// How a lone letter is said, so "Pusha T" sounds like "Pusha Tee"
+const LETTER_NAMES = Object.freeze({
+    B: 'BEE', C: 'SEE', D: 'DEE', F: 'EF', G: 'GEE', H: 'AYCH', J: 'JAY', K: 'KAY', L: 'EL',
+    M: 'EM', N: 'EN', P: 'PEE', Q: 'KYU', R: 'AR', S: 'ES', T: 'TEE', V: 'VEE', X: 'EX', Z: 'ZEE'
+});
+
+/**
+ * Coarse sound of the vowel group starting at `i`, by its first letter:
+ * 'a' (a, ai, ay), 'o' (o, oo, ou), 'u' (u) or 'i' (e, ee, ea, i, y).
+ * Keeping one per syllable stops "Stronger" sounding like "Stranger".
+ */
+function vowelClass(ch) {
+    if (ch === 'A') return 'a';
+    if (ch === 'O') return 'o';
+    if (ch === 'U') return 'u';
+    return 'i';
+}
+
+/**
+ * Metaphone-style sound code for one uppercase word: each vowel group becomes
+ * a lowercase class (see vowelClass), silent letters drop out and consonants
+ * that sound alike share a code (C/K/Q, PH/F, TH, SH/CH).
+ * @param {string} word - A-Z and digits only
+ * @returns {string}
+ */
+function encodeWord(word) {
+    let w = word;
+    if (/^(KN|GN|PN|WR|AE)/.test(w)) w = w.slice(1);
+    if (w.startsWith('WH')) w = 'W' + w.slice(2);
+    if (w.startsWith('X')) w = 'S' + w.slice(1);
+    
+    let code = '';
+    for (let i = 0; i < w.length; i++) {
+        const ch = w[i];
+        const prev = w[i - 1];
+        const next = w[i + 1];
+        const afterNext = w[i + 2];
+        
+        // Doubled letters sound once ("Cuddy")
+        if (ch === prev && ch !== 'C') continue;
+        
+        switch (ch) {
+            case 'A':
+            case 'E':
+            case 'I':
+            case 'O':
+            case 'U':
+                // One class per vowel group ("ee", "ou")
+                if (!isVowel(prev)) code += vowelClass(ch);
+                break;
+            case 'B':
+                // Silent in a trailing "MB" ("dumb")
+                if (!(prev === 'M' && i === w.length - 1)) code += 'B';
+                break;
+            case 'C':
+                if (next === 'I' && afterNext === 'A') {
+                    code += 'X';
+                } else if (next === 'H') {
+                    code += prev === 'S' ? 'K' : 'X';
+                    i++;
+                } else if (isOneOf(next, 'EIY')) {
+                    if (prev !== 'S') code += 'S';
+                } else {
+                    code += 'K';
+                }
+                break;
+            case 'D':
+                if (next === 'G' && isOneOf(afterNext, 'EIY')) {
+                    code += 'J';
+                    i++;
+                } else {
+                    code += 'T';
+                }
+                break;
+            case 'G':
+                if (next === 'H' && !isVowel(afterNext)) {
+                    i++;
+                } else if (next === 'N' && i + 2 === w.length) {
+                    // Silent in a trailing "GN" ("sign")
+                } else {
+                    code += isOneOf(next, 'EIY') ? 'J' : 'K';
+                }
+                break;
+            case 'H':
+                if (isVowel(next) && !isOneOf(prev, 'CGPST')) code += 'H';
+                break;
+            case 'K':
+                if (prev !== 'C') code += 'K';
+                break;
+            case 'P':
+                if (next === 'H') {
+                    code += 'F';
+                    i++;
+                } else {
+                    code += 'P';
+                }
+                break;
+            case 'Q':
+                code += 'K';
+                break;
+            case 'S':
+                if (next === 'H') {
+                    code += 'X';
+                    i++;
+                } else if (next === 'I' && isOneOf(afterNext, 'AO')) {
+                    code += 'X';
+                } else {
+                    code += 'S';
+                }
+                break;
+            case 'T':
+                if (next === 'I' && isOneOf(afterNext, 'AO')) {
+                    code += 'X';
+                } else if (next === 'H') {
+                    code += '0';
+                    i++;
+                } else if (!(next === 'C' && afterNext === 'H')) {
+                    code += 'T';
+                }
+                break;
+            case 'V':
+                code += 'F';
+                break;
+            case 'W':
+                if (isVowel(next)) code += ch;
+                break;
+            case 'Y':
+                if (isVowel(next)) {
+                    code += ch;
+                } else if (i > 0 && !isVowel(prev)) {
+                    // Sounds like "ee" after a consonant ("Cuddy")
+                    code += vowelClass(ch);
+                }
+                break;
+            case 'X':
+                code += 'KS';
+                break;
+            case 'Z':
+                code += 'S';
+                break;
+            default:
+                // F J L M N R and digits
+                code += ch;
+        }
+    }
+    return code;
+}
+
+/**
+ * Sound code for a whole answer, one code per word
+ * @param {string} text 
+ * @returns {string} e.g. "Kid Cudi" -> "KiT KuTi"
+ */
+export function phoneticKey(text = '') {
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toUpperCase()
+        .split(/\s+/)
+        .map(word => word.replace(/[^A-Z0-9]/g, ''))
+        .map(word => encodeWord(LETTER_NAMES[word] || word))
+        .filter(Boolean)
+        .join(' ');
+}
+
+/**
+ * Find an accepted answer that sounds like the guess. Callers pass only
+ * entity answers (those with an entityRef); literal answers such as lyrics
+ * must be spelled right.
+ * @param {string} normalizedUser - Guess, already normalized
+ * @param {Iterable<[string, *]>} candidates - [normalizedAnswer, value] pairs
+ * @returns {{ match: *, confidence: number }|null}
+ */
+export function findPhoneticMatch(normalizedUser, candidates) {
+    const compact = (text) => text.replace(/ /g, '');
+    if (!normalizedUser || compact(normalizedUser).length < PHONETIC_MIN_LENGTH) return null;
+    
+    // Word breaks are ignored so "kidcuddy" still sounds like "Kid Cudi"
+    const userKey = compact(phoneticKey(normalizedUser));
+    if (userKey.length < 2) return null;
+    
+    for (const [normalizedAnswer, value] of candidates) {
+        if (compact(normalizedAnswer).length < PHONETIC_MIN_LENGTH) continue;
+        if (compact(phoneticKey(normalizedAnswer)) === userKey) {
+            return { match: value, confidence: PHONETIC_MATCH_CONFIDENCE };
+        }
+    }
+    return null;
+}
+
+/**
+ * Whether a match mode allows phonetic matching by default
+ * (STRICT and EXACT promise spelling matters)
+ * @param {string} matchMode 
+ * @returns {boolean}
+ */
+export function allowsPhoneticMatch(matchMode = DEFAULT_MATCH_MODE) {
+    return matchMode !== MATCH_MODES.STRICT && matchMode !== MATCH_MODES.EXACT;
+}
+
 // ============================================================================
 // Utility Functions
 // ============================================================================
@@ -214,6 +811,15 @@ export function isValidMatchMode(mode) {
     return Object.values(MATCH_MODES).includes(mode);
 }
 
+/**
+ * Check if a fuzzy threshold is usable (a similarity above 0, at most 1)
+ * @param {number} threshold 
+ * @returns {boolean}
+ */
+export function isValidFuzzyThreshold(threshold) {
+    return typeof threshold === 'number' && threshold > 0 && threshold <= 1;
+}
+
 /**
  * Get description of a match mode
  * @param {string} mode 
@@ -224,7 +830,8 @@ export function getMatchModeDescription(mode) {
         [MATCH_MODES.LOOSE]: 'Ignores case and all punctuation',
         [MATCH_MODES.NORMAL]: 'Ignores case and minor punctuation',
         [MATCH_MODES.STRICT]: 'Ignores case only',
-        [MATCH_MODES.EXACT]: 'Exact match required'
+        [MATCH_MODES.EXACT]: 'Exact match required',
+        [MATCH_MODES.FUZZY]: 'Ignores case, punctuation, word order and small typos'
     };
     return descriptions[mode] || descriptions[MATCH_MODES.NORMAL];
 }
@@ -232,11 +839,28 @@ export function getMatchModeDescription(mode) {
 export default {
     MATCH_MODES,
     DEFAULT_MATCH_MODE,
+    DEFAULT_FUZZY_THRESHOLD,
+    PHONETIC_MATCH_CONFIDENCE,
+    CANONICALIZATION_BY_MODE,
+    ANSWER_STRICTNESS,
+    DEFAULT_ANSWER_STRICTNESS,
     normalizeForComparison,
+    getCanonicalization,
     answersMatch,
     findMatchingAnswer,
     buildAliasMap,
+    editDistance,
+    similarityRatio,
+    fuzzyMatchScore,
+    findFuzzyMatch,
+    phoneticKey,
+    findPhoneticMatch,
+    allowsPhoneticMatch,
+    getRecommendedFuzzyThreshold,
     getRecommendedMatchMode,
     isValidMatchMode,
+    isValidFuzzyThreshold,
+    isValidAnswerStrictness,
+    resolveMatchMode,
     getMatchModeDescription
 };
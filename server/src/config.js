@@ -42,16 +42,30 @@ export const config = {
     
     // Data Paths
     questionsDataPath: process.env.QUESTIONS_DATA_PATH || './data/questions',
+    questionHotReload: process.env.QUESTION_HOT_RELOAD !== 'false',
+    questionReloadDebounceMs: parseInt(process.env.QUESTION_RELOAD_DEBOUNCE_MS || '2000', 10),
+    
+    // Persistence (lobby/round snapshots that survive restarts)
+    persistenceDriver: process.env.PERSISTENCE_DRIVER || 'file',
+    persistencePath: process.env.PERSISTENCE_PATH || './data/state/lobbies.json',
+    persistenceDebounceMs: parseInt(process.env.PERSISTENCE_DEBOUNCE_MS || '1000', 10),
+    
+    // Near-miss guesses reviewed as alias suggestions (empty path disables)
+    nearMissLogPath: process.env.NEAR_MISS_LOG_PATH ?? './data/state/near-misses.json',
+    nearMissFlushMs: parseInt(process.env.NEAR_MISS_FLUSH_MS || '5000', 10),
     
     // Logging
     logLevel: process.env.LOG_LEVEL || (isProduction ? 'warn' : 'info'),
     
     // Security
     trustProxy: isProduction, // Trust proxy headers in production
+    adminPassword: process.env.ADMIN_PASSWORD || '', // Empty disables the admin dashboard
     
     // Rate Limiting
     rateLimitWindowMs: 15 * 60 * 1000, // 15 minutes
     rateLimitMaxRequests: 100, // 100 requests per window
+    chatRateLimitWindowMs: 10 * 1000, // 10 seconds
+    chatRateLimitMaxMessages: 5, // 5 chat messages per window, per player
 };
 
 // Validate critical configuration
@@ -88,4 +102,8 @@ export function logConfig() {
     console.log(`  CORS Origin: ${Array.isArray(config.corsOrigin) ? config.corsOrigin.join(', ') : config.corsOrigin}`);
     console.log(`  Log Level: ${config.logLevel}`);
     console.log(`  Max Lobbies: ${config.maxLobbies}`);
+    console.log(`  Persistence: ${config.persistenceDriver}`);
+    console.log(`  Question Hot Reload: ${config.questionHotReload ? 'on' : 'off'}`);
+    console.log(`  Near-Miss Log: ${config.nearMissLogPath || 'off'}`);
+    console.log(`  Admin Dashboard: ${config.adminPassword ? 'enabled' : 'disabled'}`);
 }
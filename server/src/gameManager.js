@@ -7,8 +7,11 @@
 
 import { 
     getRandomQuestion, 
+    getQuestionById,
+    isQuestionDisabled,
     evaluateAnswer, 
     evaluateChoiceAnswer,
+    findAnswerInText,
     formatQuestionForClient,
     formatQuestionForReveal 
 } from './questionStore.js'
@@ -30,14 +33,29 @@ import {
 } from './validation.js'
 import {
     normalizeForComparison,
+    findFuzzyMatch,
+    findPhoneticMatch,
+    allowsPhoneticMatch,
+    resolveMatchMode,
+    DEFAULT_ANSWER_STRICTNESS,
     MATCH_MODES
 } from './answerNormalization.js'
 import { filterQuestionsByExpression } from './questionFilter.js'
-import { getUsedQuestionIds, markQuestionUsed } from './lobbyManager.js'
+import { getUsedQuestionIds, markQuestionUsed, takePlaylistStep } from './lobbyManager.js'
 
 const roundsByLobbyId = new Map()
 
 const DEFAULT_ROUND_DURATION_MS = 20000
+const MAX_REJECTED_GUESSES = 10
+const DEFAULT_REVEAL_INTERVAL_MS = 4000
+const MIN_REVEAL_INTERVAL_MS = 1000
+
+// Buzzer round sub-states (see Buzzer Mode below)
+export const BUZZER_STATES = Object.freeze({
+    OPEN: 'open',             // Anyone not locked out may buzz
+    ANSWERING: 'answering',   // holderId alone may answer until windowEndsAt
+    CLOSED: 'closed'          // holderId answered correctly
+})
 
 const FALLBACK_QUESTION = {
     id: 'fallback',
@@ -57,20 +75,56 @@ const FALLBACK_QUESTION = {
     tags: ['fallback']
 }
 
+/**
+ * Walk the lobby's playlist until a slot yields an unused question.
+ * Missing/disabled/used question IDs and exhausted filter segments are skipped.
+ * @returns {object|null} Raw question, or null when the playlist is used up
+ */
+function pickPlaylistQuestion(lobbyId, packId) {
+    const usedQuestionIds = getUsedQuestionIds(lobbyId)
+    let step
+    while ((step = takePlaylistStep(lobbyId))) {
+        if (step.questionId) {
+            const question = getQuestionById(step.questionId, packId)
+            if (question && !usedQuestionIds.has(question.id) && !isQuestionDisabled(question.id, packId)) {
+                return question
+            }
+            console.warn(`[gameManager] Playlist question "${step.questionId}" is missing, disabled or already used, skipping`)
+            continue
+        }
+
+        const remainingIds = new Set(
+            Array.from(filterQuestionsByExpression(step.expression, packId)).filter(id => !usedQuestionIds.has(id))
+        )
+        if (remainingIds.size > 0) {
+            return getRandomQuestion(remainingIds, null, packId)
+        }
+        console.warn(`[gameManager] Playlist filter "${step.expression}" has no unused questions, skipping`)
+    }
+    return null
+}
+
 /**
  * Pick a random question, optionally filtered by expression
  * Excludes questions that have already been used in this game session
  * @param {string} lobbyId - The lobby ID (for tracking used questions)
  * @param {string|null} filterExpression - Optional tag filter expression
+ * @param {string|undefined} packId - Question pack to draw from
  * @returns {object} Question object
  */
-function pickRandomQuestion(lobbyId, filterExpression = null) {
+function pickRandomQuestion(lobbyId, filterExpression = null, packId = undefined) {
+    const playlistQuestion = pickPlaylistQuestion(lobbyId, packId)
+    if (playlistQuestion) {
+        markQuestionUsed(lobbyId, playlistQuestion.id)
+        return instantiateQuestion(playlistQuestion)
+    }
+
     let allowedQuestionIds = null;
     
     // Apply filter if provided
     if (filterExpression && filterExpression.trim() !== '' && filterExpression.trim() !== '*') {
         try {
-            allowedQuestionIds = filterQuestionsByExpression(filterExpression);
+            allowedQuestionIds = filterQuestionsByExpression(filterExpression, packId);
             console.log(`[gameManager] Filter "${filterExpression}" matched ${allowedQuestionIds.size} questions`);
         } catch (error) {
             console.error('[gameManager] Error applying question filter:', error);
@@ -81,7 +135,7 @@ function pickRandomQuestion(lobbyId, filterExpression = null) {
     // Get used questions for this lobby
     const usedQuestionIds = getUsedQuestionIds(lobbyId);
     
-    const rawQuestion = getRandomQuestion(allowedQuestionIds, usedQuestionIds) || FALLBACK_QUESTION
+    const rawQuestion = getRandomQuestion(allowedQuestionIds, usedQuestionIds, packId) || FALLBACK_QUESTION
     
     // Mark this question as used (if it has an ID)
     if (rawQuestion && rawQuestion.id) {
@@ -97,14 +151,19 @@ function pickRandomQuestion(lobbyId, filterExpression = null) {
 // ============================================================================
 
 /**
- * Start a new round with a random question
+ * Start a new round with the next playlist question, or a random one
  * @param {string} lobbyId - The lobby ID
  * @param {number} durationMs - Round duration in milliseconds
  * @param {string|null} filterExpression - Optional question filter expression
+ * @param {object} [options]
+ * @param {object} [options.guessRules] - Lobby free-text retry limits, fixed for the round
+ * @param {string} [options.questionPackId] - Question pack to draw from
+ * @param {string} [options.answerStrictness] - Lobby answer strictness, fixed for the round
+ * @param {number|null} [options.buzzerWindowMs] - Buzzer mode answer window; null lets everyone answer at once
  * @returns {object} Round object
  */
-export function startNewRound(lobbyId, durationMs = DEFAULT_ROUND_DURATION_MS, filterExpression = null) {
-    const question = pickRandomQuestion(lobbyId, filterExpression)
+export function startNewRound(lobbyId, durationMs = DEFAULT_ROUND_DURATION_MS, filterExpression = null, { guessRules = null, questionPackId = undefined, answerStrictness = DEFAULT_ANSWER_STRICTNESS, buzzerWindowMs = null } = {}) {
+    const question = pickRandomQuestion(lobbyId, filterExpression, questionPackId)
     const startedAt = Date.now()
     const questionType = question.type || QUESTION_TYPES.FREE_TEXT
     
@@ -116,6 +175,15 @@ export function startNewRound(lobbyId, durationMs = DEFAULT_ROUND_DURATION_MS, f
         durationMs,
         endsAt: startedAt + durationMs,
         isActive: true,
+        guessRules,
+        answerStrictness,
+        questionPackId: questionPackId || null,
+        // Progressive reveal: lyric lines shown so far (server.js releases the rest)
+        reveal: createRevealState(question, startedAt),
+        // Buzzer mode: who may answer right now
+        buzzer: buzzerWindowMs && questionType === QUESTION_TYPES.FREE_TEXT
+            ? createBuzzerState(buzzerWindowMs)
+            : null,
         // Unified answer tracking:
         // key: playerId
         // value: { 
@@ -131,6 +199,55 @@ export function startNewRound(lobbyId, durationMs = DEFAULT_ROUND_DURATION_MS, f
     return round
 }
 
+/**
+ * Reveal state for a progressive-reveal question; the first line is showing
+ * from the start
+ * @returns {object|null} null for questions without revealLines
+ */
+function createRevealState(question, startedAt) {
+    const lines = question.revealLines
+    if (!lines?.length) return null
+    const intervalMs = Math.max(MIN_REVEAL_INTERVAL_MS, question.revealConfig?.intervalMs || DEFAULT_REVEAL_INTERVAL_MS)
+    return {
+        lines,
+        revealedCount: 1,
+        intervalMs,
+        nextRevealAt: lines.length > 1 ? startedAt + intervalMs : null
+    }
+}
+
+/**
+ * Show the next lyric line of the lobby's progressive-reveal round
+ * @returns {object|null} The line and reveal progress, or null if nothing is left to reveal
+ */
+export function revealNextLine(lobbyId) {
+    const reveal = getActiveRound(lobbyId)?.reveal
+    if (!reveal || reveal.revealedCount >= reveal.lines.length) return null
+
+    const index = reveal.revealedCount
+    reveal.revealedCount += 1
+    reveal.nextRevealAt = reveal.revealedCount < reveal.lines.length ? Date.now() + reveal.intervalMs : null
+
+    return {
+        lobbyId,
+        line: reveal.lines[index],
+        index,
+        revealedCount: reveal.revealedCount,
+        totalLines: reveal.lines.length,
+        nextRevealAt: reveal.nextRevealAt
+    }
+}
+
+// Only lines already shown go to clients
+function buildRevealPayload(reveal) {
+    return {
+        lines: reveal.lines.slice(0, reveal.revealedCount),
+        revealedCount: reveal.revealedCount,
+        totalLines: reveal.lines.length,
+        nextRevealAt: reveal.nextRevealAt
+    }
+}
+
 export function getActiveRound(lobbyId) {
     const round = roundsByLobbyId.get(lobbyId)
     if (!round || !round.isActive) {
@@ -143,10 +260,35 @@ export function getRound(lobbyId) {
     return roundsByLobbyId.get(lobbyId) || null
 }
 
+/**
+ * What a player submitted for a question in the lobby's current/last round,
+ * trimmed to the parts a moderator needs (attached to question flags)
+ * @returns {object|null} null if the round is for a different question or the player didn't answer
+ */
+export function getPlayerSubmission(lobbyId, playerId, questionId) {
+    const round = roundsByLobbyId.get(lobbyId)
+    if (!round || round.question?.id !== questionId) return null
+    const entry = round.submissions.get(playerId)
+    if (!entry) return null
+
+    const submission = {
+        questionType: round.questionType,
+        isCorrect: entry.isCorrect === true
+    }
+    if (entry.answerText !== undefined) submission.answerText = entry.answerText
+    if (entry.rejectedGuesses?.length) submission.rejectedGuesses = entry.rejectedGuesses
+    if (entry.choiceId !== undefined) submission.choiceId = entry.choiceId
+    if (entry.numericValue !== undefined) submission.numericValue = entry.numericValue
+    if (entry.orderedIds !== undefined) submission.orderedIds = entry.orderedIds
+    if (entry.foundAnswers) submission.foundAnswers = entry.foundAnswers
+    if (entry.wrongGuesses?.length) submission.rejectedGuesses = entry.wrongGuesses
+    return submission
+}
+
 export function buildRoundPayload(round) {
     if (!round) return null
     const formattedQuestion = formatQuestionForClient(round.question)
-    return {
+    const payload = {
         lobbyId: round.lobbyId,
         question: formattedQuestion,
         questionType: round.questionType,
@@ -154,6 +296,13 @@ export function buildRoundPayload(round) {
         durationMs: round.durationMs,
         endsAt: round.endsAt
     }
+    if (round.reveal) {
+        payload.reveal = buildRevealPayload(round.reveal)
+    }
+    if (round.buzzer) {
+        payload.buzzer = buildBuzzerPayload(round)
+    }
+    return payload
 }
 
 // ============================================================================
@@ -203,13 +352,17 @@ export function submitAnswerToRound({ lobbyId, playerId, answerText, choiceId, g
     
     const previousEntry = round.submissions.get(playerId)
     
+    if (round.buzzer && !holdsBuzzer(round.buzzer, playerId)) {
+        return { status: 'not-buzzed-in', round, entry: previousEntry }
+    }
+    
     // Check if player can submit (for most types)
     // Multi-entry has special handling
     if (questionType !== QUESTION_TYPES.MULTI_ENTRY) {
         const canSubmit = canPlayerSubmit(round, playerId, previousEntry)
         if (!canSubmit.allowed) {
             console.log('[gameManager] submitAnswerToRound: player cannot submit:', canSubmit.reason)
-            return { status: canSubmit.reason, round }
+            return { status: canSubmit.reason, round, entry: previousEntry, lockedUntil: canSubmit.lockedUntil ?? null }
         }
     }
 
@@ -241,6 +394,9 @@ export function submitAnswerToRound({ lobbyId, playerId, answerText, choiceId, g
             default:
                 result = submitFreeTextAnswer(round, playerId, answerText, previousEntry)
         }
+        if (round.buzzer && result?.entry) {
+            settleBuzzer(round.buzzer, result.entry.isCorrect)
+        }
         console.log('[gameManager] submitAnswerToRound: result status =', result?.status)
         return result
     } catch (error) {
@@ -263,17 +419,33 @@ function submitFreeTextAnswer(round, playerId, answerText, previousEntry) {
     }
 
     // Evaluate against accepted answers
-    const { isCorrect, matchedAnswer } = evaluateAnswer(round.question, trimmed)
+    const { isCorrect, matchedAnswer, confidence } = evaluateAnswer(round.question, trimmed, {
+        answerStrictness: round.answerStrictness
+    })
+
+    const submittedAt = Date.now()
+    const wrongCount = (previousEntry?.wrongCount || 0) + (isCorrect ? 0 : 1)
+    const rejectedGuesses = previousEntry?.rejectedGuesses || []
+    const { lockoutAfterWrong = 0, lockoutMs = 0 } = round.guessRules || {}
+    // Every Nth wrong guess starts a cooldown
+    const triggersLockout = !isCorrect && lockoutAfterWrong > 0 && wrongCount % lockoutAfterWrong === 0
 
     const entry = {
         playerId,
         answerText: trimmed,
         isCorrect,
         hasSubmitted: true,
-        submittedAt: Date.now(),
+        submittedAt,
         matchedAnswerDisplay: matchedAnswer?.display || null,
-        // Track attempt count for analytics
-        attemptCount: (previousEntry?.attemptCount || 0) + 1
+        // Below 1 when a FUZZY question accepted a close spelling
+        matchConfidence: isCorrect ? (confidence ?? 1) : null,
+        // Lyric lines showing when this guess came in (progressive reveal only)
+        revealedCount: round.reveal?.revealedCount ?? null,
+        // Attempts count toward the lobby's guess rules
+        attemptCount: (previousEntry?.attemptCount || 0) + 1,
+        wrongCount,
+        rejectedGuesses: isCorrect ? rejectedGuesses : [...rejectedGuesses, trimmed].slice(-MAX_REJECTED_GUESSES),
+        lockedUntil: triggersLockout ? submittedAt + lockoutMs : (previousEntry?.lockedUntil || null)
     }
 
     round.submissions.set(playerId, entry)
@@ -316,7 +488,8 @@ function submitChoiceAnswer(round, playerId, choiceId) {
         hasSubmitted: true,
         submittedAt: Date.now(),
         matchedChoice: matchedChoice || null,
-        attemptCount: 1 // Choice-based always single attempt
+        attemptCount: 1, // Choice-based always single attempt
+        revealedCount: round.reveal?.revealedCount ?? null
     }
 
     round.submissions.set(playerId, entry)
@@ -388,7 +561,7 @@ function submitMultiEntryGuess(round, playerId, guess, previousEntry) {
     }
 
     // Check if this guess matches any remaining answers
-    const { isMatch, matchedAnswer } = evaluateMultiEntryGuess(round.question, trimmed, entry.foundAnswers)
+    const { isMatch, matchedAnswer } = evaluateMultiEntryGuess(round.question, trimmed, entry.foundAnswers, round.answerStrictness)
     console.log('[gameManager] submitMultiEntryGuess: isMatch =', isMatch, 'matchedAnswer =', matchedAnswer?.display)
 
     entry.guessCount++
@@ -406,9 +579,10 @@ function submitMultiEntryGuess(round, playerId, guess, previousEntry) {
         }
     } else {
         // Check if already guessed (duplicate)
-        const normalizedGuess = trimmed
-        const alreadyGuessed = entry.wrongGuesses.some(g => g.toLowerCase() === normalizedGuess) ||
-                               entry.foundAnswers.some(f => f.toLowerCase() === normalizedGuess)
+        const matchMode = resolveMatchMode(round.question.matchMode || MATCH_MODES.LOOSE, round.answerStrictness)
+        const normalizedGuess = normalizeForComparison(trimmed, matchMode)
+        const alreadyGuessed = entry.wrongGuesses.some(g => normalizeForComparison(g, matchMode) === normalizedGuess) ||
+                               entry.foundAnswers.some(f => normalizeForComparison(f, matchMode) === normalizedGuess)
         
         if (!alreadyGuessed) {
             entry.wrongGuesses.push(guess.trim()) // Keep original casing for display
@@ -439,17 +613,24 @@ function submitMultiEntryGuess(round, playerId, guess, previousEntry) {
 
 /**
  * Evaluate a single guess against remaining multi-entry answers
- * Uses loose matching for names (strips punctuation, case-insensitive)
+ * Uses loose matching for names (strips punctuation, case-insensitive);
+ * FUZZY questions also accept close spellings, and entity answers accept
+ * sound-alike spellings unless the question turns phoneticMatch off.
+ * A lobby answerStrictness other than standard adjusts the question's matchMode
+ * (see resolveMatchMode).
+ * @returns {{ isMatch: boolean, matchedAnswer?: object, confidence?: number }}
  */
-function evaluateMultiEntryGuess(question, guess, alreadyFound) {
+function evaluateMultiEntryGuess(question, guess, alreadyFound, answerStrictness) {
     if (!question?.answers) return { isMatch: false }
 
-    // Use LOOSE matching for names - strips all punctuation
-    const matchMode = question.matchMode || MATCH_MODES.LOOSE
+    // Use LOOSE matching for names - strips all punctuation - unless the lobby overrides it
+    const matchMode = resolveMatchMode(question.matchMode || MATCH_MODES.LOOSE, answerStrictness)
     const normalizedGuess = normalizeForComparison(guess, matchMode)
     
     // Normalize already found for comparison
     const foundNormalized = alreadyFound.map(f => normalizeForComparison(f, matchMode))
+    // [normalized alias, answer] for answers still to find, for the close-match passes
+    const closeCandidates = []
 
     for (const answer of question.answers) {
         // Get the display name
@@ -461,16 +642,18 @@ function evaluateMultiEntryGuess(question, guess, alreadyFound) {
 
         // Check primary answer
         if (answerNormalized === normalizedGuess) {
-            return { isMatch: true, matchedAnswer: answer }
+            return { isMatch: true, matchedAnswer: answer, confidence: 1 }
         }
+        closeCandidates.push([answerNormalized, answer])
 
         // Check aliases (if any)
         const aliases = answer.aliases || question.aliases?.[answerDisplay] || []
         for (const alias of aliases) {
             const aliasNormalized = normalizeForComparison(alias, matchMode)
             if (aliasNormalized === normalizedGuess) {
-                return { isMatch: true, matchedAnswer: answer }
+                return { isMatch: true, matchedAnswer: answer, confidence: 1 }
             }
+            closeCandidates.push([aliasNormalized, answer])
         }
         
         // Also check acceptedAliasMap if available
@@ -479,12 +662,27 @@ function evaluateMultiEntryGuess(question, guess, alreadyFound) {
             for (const alias of acceptedAliases) {
                 const aliasNormalized = normalizeForComparison(alias, matchMode)
                 if (aliasNormalized === normalizedGuess) {
-                    return { isMatch: true, matchedAnswer: answer }
+                    return { isMatch: true, matchedAnswer: answer, confidence: 1 }
                 }
             }
         }
     }
 
+    if (matchMode === MATCH_MODES.FUZZY && normalizedGuess) {
+        const fuzzy = findFuzzyMatch(normalizedGuess, closeCandidates, question.fuzzyThreshold)
+        if (fuzzy) {
+            return { isMatch: true, matchedAnswer: fuzzy.match, confidence: fuzzy.confidence }
+        }
+    }
+
+    if (question.phoneticMatch && allowsPhoneticMatch(matchMode) && normalizedGuess) {
+        const entityCandidates = closeCandidates.filter(([, answer]) => answer?.entityRef)
+        const phonetic = findPhoneticMatch(normalizedGuess, entityCandidates)
+        if (phonetic) {
+            return { isMatch: true, matchedAnswer: phonetic.match, confidence: phonetic.confidence }
+        }
+    }
+
     return { isMatch: false }
 }
 
@@ -532,14 +730,8 @@ function submitOrderedListAnswer(round, playerId, orderedIds) {
     }
 
     const correctOrder = round.question.correctOrder || []
-    
-    // Calculate score (number of items in correct position)
-    let correctPositions = 0
-    for (let i = 0; i < Math.min(orderedIds.length, correctOrder.length); i++) {
-        if (orderedIds[i] === correctOrder[i]) {
-            correctPositions++
-        }
-    }
+    const { placements, orderScore } = compareOrdering(orderedIds, correctOrder)
+    const correctPositions = placements.filter(Boolean).length
 
     const isFullyCorrect = correctPositions === correctOrder.length && 
                            orderedIds.length === correctOrder.length
@@ -552,6 +744,8 @@ function submitOrderedListAnswer(round, playerId, orderedIds) {
         submittedAt: Date.now(),
         correctPositions,
         totalPositions: correctOrder.length,
+        placements,
+        orderScore,
         attemptCount: 1
     }
 
@@ -567,6 +761,39 @@ function submitOrderedListAnswer(round, playerId, orderedIds) {
     }
 }
 
+/**
+ * Compare a submitted ordering with the correct one.
+ * placements[i] says whether the i-th correct slot holds the right item.
+ * orderScore is the Kendall tau rank correlation clamped to 0..1: every pair
+ * of items in the right relative order counts, so one swapped pair still
+ * earns most of the credit while a shuffled guess earns about none.
+ * Items missing from the submission count as out of order.
+ */
+export function compareOrdering(orderedIds, correctOrder) {
+    const placements = correctOrder.map((id, index) => orderedIds[index] === id)
+    const totalPairs = correctOrder.length * (correctOrder.length - 1) / 2
+    if (totalPairs === 0) {
+        return { placements, orderScore: placements.every(Boolean) ? 1 : 0 }
+    }
+
+    const positionOf = new Map()
+    orderedIds.forEach((id, index) => {
+        if (!positionOf.has(id)) positionOf.set(id, index)
+    })
+
+    let concordant = 0
+    for (let i = 0; i < correctOrder.length; i++) {
+        for (let j = i + 1; j < correctOrder.length; j++) {
+            const a = positionOf.get(correctOrder[i])
+            const b = positionOf.get(correctOrder[j])
+            if (a != null && b != null && a < b) concordant++
+        }
+    }
+
+    const tau = (2 * concordant - totalPairs) / totalPairs
+    return { placements, orderScore: Math.round(Math.max(0, tau) * 1000) / 1000 }
+}
+
 /**
  * Get valid choice IDs for a question
  */
@@ -608,6 +835,161 @@ export function clearRoundState(lobbyId) {
     roundsByLobbyId.delete(lobbyId)
 }
 
+// ============================================================================
+// Buzzer Mode
+// ============================================================================
+//
+// OPEN --buzzIn--> ANSWERING --correct--> CLOSED (round ends)
+//                  ANSWERING --wrong answer / window expires--> OPEN, holder locked out
+//
+// Every timestamp is the server's clock, and socket events are handled one at
+// a time, so the first buzz to reach the server wins.
+
+function createBuzzerState(answerWindowMs) {
+    return {
+        state: BUZZER_STATES.OPEN,
+        answerWindowMs,
+        holderId: null,
+        buzzedAt: null,
+        windowEndsAt: null,
+        // Players who answered wrongly or ran out of time; they sit out the rest of the round
+        lockedOutIds: []
+    }
+}
+
+function holdsBuzzer(buzzer, playerId) {
+    return buzzer.state === BUZZER_STATES.ANSWERING && buzzer.holderId === playerId
+}
+
+// The holder's answer either wins the round or hands the buzzer back
+function settleBuzzer(buzzer, isCorrect) {
+    if (isCorrect) {
+        buzzer.state = BUZZER_STATES.CLOSED
+        buzzer.windowEndsAt = null
+        return
+    }
+    releaseBuzzer(buzzer)
+}
+
+function releaseBuzzer(buzzer) {
+    if (buzzer.holderId && !buzzer.lockedOutIds.includes(buzzer.holderId)) {
+        buzzer.lockedOutIds.push(buzzer.holderId)
+    }
+    buzzer.state = BUZZER_STATES.OPEN
+    buzzer.holderId = null
+    buzzer.buzzedAt = null
+    buzzer.windowEndsAt = null
+}
+
+/**
+ * Buzzer state for clients; serverNow lets them line up their countdown with
+ * the server clock
+ */
+export function buildBuzzerPayload(round) {
+    const { state, holderId, buzzedAt, windowEndsAt, answerWindowMs, lockedOutIds } = round.buzzer
+    return {
+        lobbyId: round.lobbyId,
+        state,
+        holderId,
+        buzzedAt,
+        windowEndsAt,
+        answerWindowMs,
+        lockedOutIds: [...lockedOutIds],
+        serverNow: Date.now()
+    }
+}
+
+/**
+ * Claim the buzzer for a player in the lobby's buzzer round
+ * @returns {{ status: string, round?: object }} status is 'buzzed' on success,
+ *          otherwise why the buzz was refused
+ */
+export function buzzIn(lobbyId, playerId) {
+    const round = getActiveRound(lobbyId)
+    if (!round?.buzzer) return { status: 'no-buzzer' }
+
+    const { buzzer } = round
+    if (buzzer.state !== BUZZER_STATES.OPEN) return { status: 'buzzer-taken', round }
+    if (buzzer.lockedOutIds.includes(playerId)) return { status: 'locked-out', round }
+    if (round.submissions.get(playerId)?.isCorrect) return { status: 'already-correct', round }
+
+    const now = Date.now()
+    buzzer.state = BUZZER_STATES.ANSWERING
+    buzzer.holderId = playerId
+    buzzer.buzzedAt = now
+    // The window never outlasts the round
+    buzzer.windowEndsAt = Math.min(now + buzzer.answerWindowMs, round.endsAt)
+    return { status: 'buzzed', round }
+}
+
+/**
+ * End the holder's answer window if it is still theirs, locking them out
+ * @returns {object|null} The round if the buzzer was released, otherwise null
+ */
+export function expireBuzzerWindow(lobbyId, holderId) {
+    const round = getActiveRound(lobbyId)
+    if (!round?.buzzer || !holdsBuzzer(round.buzzer, holderId)) return null
+    releaseBuzzer(round.buzzer)
+    return round
+}
+
+// ============================================================================
+// Persistence
+// ============================================================================
+
+/**
+ * Snapshot all active rounds (the instantiated question is kept as-is so a
+ * restored round asks exactly the same thing)
+ */
+export function exportRoundSnapshots() {
+    return Array.from(roundsByLobbyId.values())
+        .filter(round => round.isActive)
+        .map(round => ({
+            lobbyId: round.lobbyId,
+            question: round.question,
+            questionType: round.questionType,
+            startedAt: round.startedAt,
+            durationMs: round.durationMs,
+            endsAt: round.endsAt,
+            guessRules: round.guessRules || null,
+            answerStrictness: round.answerStrictness || DEFAULT_ANSWER_STRICTNESS,
+            questionPackId: round.questionPackId || null,
+            reveal: round.reveal || null,
+            buzzer: round.buzzer || null,
+            submissions: round.submissions
+        }))
+}
+
+/**
+ * Rehydrate rounds from snapshots produced by exportRoundSnapshots
+ * @returns {object[]} Restored round objects
+ */
+export function restoreRoundSnapshots(snapshots = []) {
+    const restored = []
+    for (const snapshot of snapshots) {
+        if (!snapshot?.lobbyId || !snapshot.question) continue
+        const round = {
+            lobbyId: snapshot.lobbyId,
+            question: snapshot.question,
+            questionType: snapshot.questionType || snapshot.question.type || QUESTION_TYPES.FREE_TEXT,
+            startedAt: snapshot.startedAt,
+            durationMs: snapshot.durationMs,
+            endsAt: snapshot.endsAt,
+            isActive: true,
+            guessRules: snapshot.guessRules || null,
+            answerStrictness: snapshot.answerStrictness || DEFAULT_ANSWER_STRICTNESS,
+            questionPackId: snapshot.questionPackId || null,
+            reveal: snapshot.reveal || null,
+            buzzer: snapshot.buzzer || null,
+            submissions: snapshot.submissions instanceof Map ? snapshot.submissions : new Map(),
+            get answers() { return this.submissions }
+        }
+        roundsByLobbyId.set(round.lobbyId, round)
+        restored.push(round)
+    }
+    return restored
+}
+
 // ============================================================================
 // Round State Queries
 // ============================================================================
@@ -636,6 +1018,16 @@ export function haveAllPlayersAnsweredCorrectly(round, playerIds) {
     })
 }
 
+/**
+ * The accepted answer a chat message would give away in the lobby's active
+ * round, or null (also when no round is running)
+ */
+export function findAnswerInChatMessage(lobbyId, text) {
+    const round = getActiveRound(lobbyId)
+    if (!round) return null
+    return findAnswerInText(round.question, text, { answerStrictness: round.answerStrictness })
+}
+
 /**
  * Determine if round should end based on question type and submissions
  */
@@ -644,6 +1036,17 @@ export function shouldRoundEnd(round, playerIds) {
     
     const questionType = round.questionType || QUESTION_TYPES.FREE_TEXT
     
+    // One correct answer settles a buzzer round; so does everyone being locked out
+    if (round.buzzer) {
+        if (round.buzzer.state === BUZZER_STATES.CLOSED) {
+            return { shouldEnd: true, reason: 'buzzer-correct' }
+        }
+        if (playerIds?.length && playerIds.every(playerId => round.buzzer.lockedOutIds.includes(playerId))) {
+            return { shouldEnd: true, reason: 'all-locked-out' }
+        }
+        return { shouldEnd: false }
+    }
+    
     if (typeEndsOnAllCorrect(questionType)) {
         if (haveAllPlayersAnsweredCorrectly(round, playerIds)) {
             return { shouldEnd: true, reason: 'all-correct' }
@@ -680,6 +1083,9 @@ function buildRoundSummary(round) {
             foundAnswers: entry.foundAnswers || null,
             submittedAt: entry.submittedAt,
             matchedAnswerDisplay: entry.matchedAnswerDisplay || entry.matchedChoice?.text || null,
+            matchConfidence: entry.matchConfidence ?? null,
+            closeMatch: typeof entry.matchConfidence === 'number' && entry.matchConfidence < 1,
+            revealedCount: entry.revealedCount ?? null,
             elapsedMs: typeof round.startedAt === 'number' ? entry.submittedAt - round.startedAt : null
         }))
 
@@ -699,7 +1105,8 @@ function buildRoundSummary(round) {
         startedAt: round.startedAt,
         endedAt: round.endedAt,
         totalSubmissions: submissions.length,
-        correctCount: correctResponders.length
+        correctCount: correctResponders.length,
+        answerStrictness: round.answerStrictness || DEFAULT_ANSWER_STRICTNESS
     }
     
     // Add choice distribution for choice-based questions
@@ -725,6 +1132,22 @@ function buildRoundSummary(round) {
         summary.correctOrder = round.question.correctOrder
     }
     
+    if (round.buzzer) {
+        summary.buzzer = {
+            winnerId: round.buzzer.state === BUZZER_STATES.CLOSED ? round.buzzer.holderId : null,
+            lockedOutIds: round.buzzer.lockedOutIds
+        }
+    }
+    
+    // The whole snippet, and how much of it was showing when the round ended
+    if (round.reveal) {
+        summary.reveal = {
+            lines: round.reveal.lines,
+            revealedCount: round.reveal.revealedCount,
+            totalLines: round.reveal.lines.length
+        }
+    }
+    
     // Legacy compatibility
     if (questionType === QUESTION_TYPES.FREE_TEXT) {
         summary.answers = round.question.answers?.map(a => a.display) || []
@@ -802,7 +1225,7 @@ function buildMultiEntryStats(round) {
 function buildOrderedListResults(round) {
     const submissions = Array.from(round.submissions.values())
         .filter(s => s.orderedIds != null)
-        .sort((a, b) => b.correctPositions - a.correctPositions)
+        .sort((a, b) => (b.orderScore - a.orderScore) || (b.correctPositions - a.correctPositions))
     
     return submissions.map((entry, index) => ({
         rank: index + 1,
@@ -810,6 +1233,8 @@ function buildOrderedListResults(round) {
         orderedIds: entry.orderedIds,
         correctPositions: entry.correctPositions,
         totalPositions: entry.totalPositions,
+        placements: entry.placements,
+        orderScore: entry.orderScore,
         isFullyCorrect: entry.isCorrect
     }))
 }
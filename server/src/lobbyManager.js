@@ -1,3 +1,9 @@
+import { DEFAULT_SCORING_SETTINGS, sanitizeScoringSettings } from './scoringEngine.js';
+import { PLAYLIST_SEGMENT_KINDS, sanitizePlaylist } from './playlist.js';
+import { DEFAULT_QUESTION_PACK_ID, hasQuestionPack } from './questionStore.js';
+import { DEFAULT_ANSWER_STRICTNESS, isValidAnswerStrictness } from './answerNormalization.js';
+import { passwordsMatch } from './secrets.js';
+
 const LOBBY_PHASES = {
     SEATING: 'seating',
     ROUND: 'round',
@@ -5,18 +11,93 @@ const LOBBY_PHASES = {
     WIN: 'win'
 };
 
+const LOBBY_ROLES = {
+    PLAYER: 'player',
+    SPECTATOR: 'spectator'
+};
+
+// How member points roll up into a team score
+const TEAM_SCORE_RULES = {
+    SUM: 'sum',
+    BEST: 'best',
+    AVERAGE: 'average'
+};
+
+// What ends a game
+const MATCH_END_MODES = {
+    POINTS: 'points',   // First to pointsToWin
+    ROUNDS: 'rounds',   // Highest score after roundsToPlay rounds
+    TIMED: 'timed'      // Highest score once matchDurationMs has elapsed
+};
+
+// How a level score is settled when a rounds/timed match ends
+const TIE_BREAKERS = {
+    EXACT_ANSWERS: 'exact-answers',       // Most fully correct rounds, then fastest average
+    FASTEST_AVERAGE: 'fastest-average',   // Fastest average correct time, then most correct
+    SUDDEN_DEATH: 'sudden-death'          // Keep playing until someone pulls ahead
+};
+
+// Who may answer when (buzzer mode applies to free-text questions)
+const ANSWER_MODES = {
+    OPEN: 'open',       // Everyone answers at once
+    BUZZER: 'buzzer'    // First to buzz gets a short exclusive answer window
+};
+
+// Team IDs double as display colours on the client
+const TEAM_IDS = ['red', 'blue', 'green', 'yellow'];
+
 const lobbies = new Map();
 const DEFAULT_LOBBY_SETTINGS = {
     roundDurationMs: 20_000,
-    questionPackId: 'kanye-classic',
+    questionPackId: DEFAULT_QUESTION_PACK_ID,
     pointsToWin: 50,
     // Only use fill-in-lyrics and song-from-lyric questions for now
-    questionFilter: 'gen:fill-missing-word | gen:song-from-lyric'
+    questionFilter: 'gen:fill-missing-word | gen:song-from-lyric',
+    teamMode: false,
+    teamCount: 2,
+    teamScoreRule: TEAM_SCORE_RULES.SUM,
+    scoring: { ...DEFAULT_SCORING_SETTINGS },
+    endCondition: MATCH_END_MODES.POINTS,
+    roundsToPlay: 20,
+    matchDurationMs: 10 * 60_000,
+    tieBreaker: TIE_BREAKERS.EXACT_ANSWERS,
+    // casual/standard/hardcore; overrides each question's matchMode unless standard
+    answerStrictness: DEFAULT_ANSWER_STRICTNESS,
+    answerMode: ANSWER_MODES.OPEN,
+    // How long the player who buzzed has to answer
+    buzzerWindowMs: 5_000,
+    // Private lobbies: new members must send this passcode; '' means anyone can join
+    passcode: '',
+    // Seated players allowed at once; 0 means no limit (spectators don't count)
+    maxPlayers: 0,
+    // Ordered segments asked before falling back to questionFilter (see playlist.js)
+    playlist: [],
+    // Free-text retry limits; 0 disables a rule
+    guessRules: {
+        maxAttempts: 0,
+        lockoutAfterWrong: 0,
+        lockoutMs: 5_000
+    }
 };
 const MIN_ROUND_DURATION_MS = 1_000;
 const MAX_ROUND_DURATION_MS = 120_000;
 const MIN_POINTS_TO_WIN = 5;
 const MAX_POINTS_TO_WIN = 500;
+const MIN_TEAM_COUNT = 2;
+const MAX_TEAM_COUNT = TEAM_IDS.length;
+const MAX_GUESS_ATTEMPTS = 50;
+const MAX_LOCKOUT_AFTER_WRONG = 20;
+const MIN_LOCKOUT_MS = 1_000;
+const MAX_LOCKOUT_MS = 60_000;
+const MIN_ROUNDS_TO_PLAY = 1;
+const MAX_ROUNDS_TO_PLAY = 100;
+const MIN_MATCH_DURATION_MS = 60_000;
+const MAX_MATCH_DURATION_MS = 60 * 60_000;
+const MIN_BUZZER_WINDOW_MS = 2_000;
+const MAX_BUZZER_WINDOW_MS = 30_000;
+const MAX_PASSCODE_LENGTH = 32;
+const MIN_MAX_PLAYERS = 2;
+const MAX_MAX_PLAYERS = 50;
 
 function ensurePlayerGuessState(player) {
     if (!player) return;
@@ -43,6 +124,7 @@ export function createLobbyIfMissing(lobbyId) {
             id: lobbyId,
             hostPlayerId: null,
             players: [],
+            spectators: [],  // Watch-only members: receive broadcasts, never score
             phase: LOBBY_PHASES.SEATING,
             phaseData: null,
             lastRoundSummary: null,
@@ -53,7 +135,14 @@ export function createLobbyIfMissing(lobbyId) {
             scoreByPlayerId: new Map(),
             settings: { ...DEFAULT_LOBBY_SETTINGS },
             isAutoPlayActive: false,
-            usedQuestionIds: new Set()  // Track questions that have been asked this game
+            usedQuestionIds: new Set(),  // Track questions that have been asked this game
+            teamByPlayerId: new Map(),   // Team assignments, kept across games
+            streakByPlayerId: new Map(), // Consecutive correct rounds
+            statsByPlayerId: new Map(),  // { correctCount, totalCorrectMs } for tie-breaks
+            match: null,                 // { startedAt, roundsPlayed } once a game starts
+            playlistCursor: null,        // { segmentIndex, servedInSegment }
+            admittedPlayerIds: new Set(), // Joined before; rejoins skip the passcode
+            bannedPlayerIds: new Set()    // Banned by the host for the lobby's lifetime
         });
     }
 
@@ -62,6 +151,25 @@ export function createLobbyIfMissing(lobbyId) {
         lobby.scoreByPlayerId = new Map();
     }
 
+    if (lobby && !Array.isArray(lobby.spectators)) {
+        lobby.spectators = [];
+    }
+    if (lobby && !(lobby.teamByPlayerId instanceof Map)) {
+        lobby.teamByPlayerId = new Map();
+    }
+    if (lobby && !(lobby.streakByPlayerId instanceof Map)) {
+        lobby.streakByPlayerId = new Map();
+    }
+    if (lobby && !(lobby.statsByPlayerId instanceof Map)) {
+        lobby.statsByPlayerId = new Map();
+    }
+    if (lobby && !(lobby.admittedPlayerIds instanceof Set)) {
+        lobby.admittedPlayerIds = new Set();
+    }
+    if (lobby && !(lobby.bannedPlayerIds instanceof Set)) {
+        lobby.bannedPlayerIds = new Set();
+    }
+
     lobby?.players?.forEach(ensurePlayerGuessState);
     if (lobby && !lobby.settings) {
         lobby.settings = { ...DEFAULT_LOBBY_SETTINGS };
@@ -72,8 +180,36 @@ export function createLobbyIfMissing(lobbyId) {
     return lobby;
 }
 
-export function joinLobby(socket, { name, lobbyId, playerId }) {
+function hasLobbyMembers(lobby) {
+    return lobby.players.length > 0 || lobby.spectators.length > 0;
+}
+
+function joinLobbyAsSpectator(socket, lobby, { name, playerId }) {
+    // Switching from player to spectator banks the score and releases host
+    if (lobby.players.some(p => p.playerId === playerId)) {
+        removePlayerFromLobby(lobby.id, playerId);
+    }
+
+    let spectator = lobby.spectators.find(s => s.playerId === playerId);
+    if (!spectator) {
+        spectator = { playerId, name };
+        lobby.spectators.push(spectator);
+    } else {
+        spectator.name = name || spectator.name;
+    }
+    lobby.admittedPlayerIds.add(playerId);
+
+    socket.join(lobby.id);
+    return { lobby, lobbyPlayer: null, spectator, isHost: false, role: LOBBY_ROLES.SPECTATOR };
+}
+
+export function joinLobby(socket, { name, lobbyId, playerId, role = LOBBY_ROLES.PLAYER }) {
     const lobby = createLobbyIfMissing(lobbyId);
+    if (role === LOBBY_ROLES.SPECTATOR) {
+        return joinLobbyAsSpectator(socket, lobby, { name, playerId });
+    }
+    lobby.spectators = lobby.spectators.filter(s => s.playerId !== playerId);
+
     refreshHostAssignment(lobby);
     if (!lobby.hostPlayerId) {
         const now = Date.now();
@@ -103,9 +239,66 @@ export function joinLobby(socket, { name, lobbyId, playerId }) {
         lobbyPlayer.name = name || lobbyPlayer.name;
         ensurePlayerGuessState(lobbyPlayer);
     }
+    ensureTeamAssignments(lobby);
+    lobby.admittedPlayerIds.add(playerId);
 
     socket.join(lobbyId);
-    return { lobby, lobbyPlayer, isHost: lobby.hostPlayerId === playerId };
+    return { lobby, lobbyPlayer, spectator: null, isHost: lobby.hostPlayerId === playerId, role: LOBBY_ROLES.PLAYER };
+}
+
+/**
+ * Whether a player may join an existing lobby: not banned, knows the passcode
+ * (unless they were admitted before) and, when taking a seat, the lobby isn't full.
+ * Unknown lobbies always admit; joinLobby creates them.
+ * @returns {{ allowed: boolean, reason?: string }} reason is 'banned',
+ *          'passcode-required', 'wrong-passcode' or 'lobby-full'
+ */
+export function checkLobbyAdmission(lobbyId, { playerId, passcode, role = LOBBY_ROLES.PLAYER } = {}) {
+    const lobby = getLobby(lobbyId);
+    if (!lobby) return { allowed: true };
+
+    if (lobby.bannedPlayerIds?.has(playerId)) {
+        return { allowed: false, reason: 'banned' };
+    }
+    const required = lobby.settings?.passcode || '';
+    if (required && !lobby.admittedPlayerIds?.has(playerId)) {
+        const given = typeof passcode === 'string' ? passcode.trim() : '';
+        if (!given) return { allowed: false, reason: 'passcode-required' };
+        if (!passwordsMatch(given, required)) return { allowed: false, reason: 'wrong-passcode' };
+    }
+    const maxPlayers = lobby.settings?.maxPlayers || 0;
+    const isSeated = lobby.players.some(p => p.playerId === playerId);
+    if (role !== LOBBY_ROLES.SPECTATOR && maxPlayers > 0 && !isSeated && lobby.players.length >= maxPlayers) {
+        return { allowed: false, reason: 'lobby-full' };
+    }
+    return { allowed: true };
+}
+
+/**
+ * Forget that a player was admitted, so coming back needs the passcode again;
+ * with ban, they can't come back at all while the lobby exists
+ */
+export function revokeLobbyAdmission(lobbyId, playerId, { ban = false } = {}) {
+    const lobby = getLobby(lobbyId);
+    if (!lobby) return null;
+    lobby.admittedPlayerIds?.delete(playerId);
+    if (ban) {
+        lobby.bannedPlayerIds?.add(playerId);
+    }
+    return lobby;
+}
+
+/**
+ * Hand the host role to another seated player
+ * @returns {boolean} false if the player isn't seated in the lobby
+ */
+export function transferLobbyHost(lobbyId, playerId) {
+    const lobby = getLobby(lobbyId);
+    if (!lobby || !lobby.players.some(p => p.playerId === playerId)) return false;
+    lobby.hostPlayerId = playerId;
+    lobby.lastHostPlayerId = null;
+    lobby.hostReleaseAt = null;
+    return true;
 }
 
 export function getLobbyPlayer(lobbyId, playerId) {
@@ -114,6 +307,16 @@ export function getLobbyPlayer(lobbyId, playerId) {
     return lobby.players.find(p => p.playerId == playerId) || null;
 }
 
+export function isLobbySpectator(lobbyId, playerId) {
+    const lobby = getLobby(lobbyId);
+    if (!lobby) return false;
+    return (lobby.spectators || []).some(s => s.playerId === playerId);
+}
+
+export function getLobbyRoles() {
+    return LOBBY_ROLES;
+}
+
 export function isLobbyHost(lobbyId, playerId) {
     const lobby = getLobby(lobbyId);
     if (!lobby) return false;
@@ -123,6 +326,14 @@ export function isLobbyHost(lobbyId, playerId) {
 export function removePlayerFromLobby(lobbyId, playerId) {
     const lobby = getLobby(lobbyId);
     if (!lobby) return null;
+    const spectatorIdx = lobby.spectators.findIndex(s => s.playerId === playerId);
+    if (spectatorIdx !== -1) {
+        lobby.spectators.splice(spectatorIdx, 1);
+        if (!hasLobbyMembers(lobby)) {
+            lobby.pendingDestroyAt = Date.now();
+        }
+        return lobby;
+    }
     const idx = lobby.players.findIndex(p => p.playerId === playerId);
     if (idx === -1) return lobby;
     const [removedPlayer] = lobby.players.splice(idx, 1);
@@ -134,7 +345,7 @@ export function removePlayerFromLobby(lobbyId, playerId) {
         lobby.hostReleaseAt = Date.now();
         lobby.hostPlayerId = null;
     }
-    if (lobby.players.length === 0) {
+    if (!hasLobbyMembers(lobby)) {
         lobby.pendingDestroyAt = Date.now();
     }
     return lobby;
@@ -144,7 +355,10 @@ export function markLobbyActive(lobbyId) {
     const lobby = getLobby(lobbyId);
     if (!lobby) return null;
     lobby.lastActiveAt = Date.now();
-    lobby.pendingDestroyAt = null;
+    // An empty lobby stays scheduled for cleanup until someone is seated again
+    if (hasLobbyMembers(lobby)) {
+        lobby.pendingDestroyAt = null;
+    }
     refreshHostAssignment(lobby);
     return lobby;
 }
@@ -173,19 +387,51 @@ export function getLobbyPhases() {
     return LOBBY_PHASES;
 }
 
+export function getAnswerModes() {
+    return ANSWER_MODES;
+}
+
 export function getLobbySettings(lobbyId) {
     const lobby = getLobby(lobbyId);
     if (!lobby) return { ...DEFAULT_LOBBY_SETTINGS };
     return { ...DEFAULT_LOBBY_SETTINGS, ...(lobby.settings || {}) };
 }
 
-function sanitizeSettingsPatch(patch = {}) {
+/**
+ * Lobby settings as one member may see them: only the host gets the
+ * passcode, everyone else just learns whether there is one
+ * @returns {object} Settings with `hasPasscode`, and `passcode` for the host
+ */
+export function getLobbySettingsForMember(lobbyId, playerId) {
+    const { passcode, ...settings } = getLobbySettings(lobbyId);
+    const hasPasscode = Boolean(passcode);
+    return isLobbyHost(lobbyId, playerId)
+        ? { ...settings, passcode, hasPasscode }
+        : { ...settings, hasPasscode };
+}
+
+function sanitizeGuessRules(patch = {}, current = DEFAULT_LOBBY_SETTINGS.guessRules) {
+    const next = { ...DEFAULT_LOBBY_SETTINGS.guessRules, ...(current || {}) };
+    if (typeof patch.maxAttempts === 'number' && Number.isFinite(patch.maxAttempts)) {
+        next.maxAttempts = Math.max(0, Math.min(MAX_GUESS_ATTEMPTS, Math.round(patch.maxAttempts)));
+    }
+    if (typeof patch.lockoutAfterWrong === 'number' && Number.isFinite(patch.lockoutAfterWrong)) {
+        next.lockoutAfterWrong = Math.max(0, Math.min(MAX_LOCKOUT_AFTER_WRONG, Math.round(patch.lockoutAfterWrong)));
+    }
+    if (typeof patch.lockoutMs === 'number' && Number.isFinite(patch.lockoutMs)) {
+        const clamped = Math.max(MIN_LOCKOUT_MS, Math.min(MAX_LOCKOUT_MS, patch.lockoutMs));
+        next.lockoutMs = Math.round(clamped / 1000) * 1000;
+    }
+    return next;
+}
+
+function sanitizeSettingsPatch(patch = {}, current = DEFAULT_LOBBY_SETTINGS) {
     const next = {};
     if (typeof patch.roundDurationMs === 'number' && Number.isFinite(patch.roundDurationMs)) {
         const clamped = Math.max(MIN_ROUND_DURATION_MS, Math.min(MAX_ROUND_DURATION_MS, patch.roundDurationMs));
         next.roundDurationMs = Math.round(clamped / 1000) * 1000;
     }
-    if (typeof patch.questionPackId === 'string' && patch.questionPackId.trim().length) {
+    if (typeof patch.questionPackId === 'string' && hasQuestionPack(patch.questionPackId.trim())) {
         next.questionPackId = patch.questionPackId.trim();
     }
     if (typeof patch.pointsToWin === 'number' && Number.isFinite(patch.pointsToWin)) {
@@ -195,6 +441,57 @@ function sanitizeSettingsPatch(patch = {}) {
     if (typeof patch.questionFilter === 'string') {
         next.questionFilter = patch.questionFilter.trim() || '*';
     }
+    if (typeof patch.teamMode === 'boolean') {
+        next.teamMode = patch.teamMode;
+    }
+    if (typeof patch.teamCount === 'number' && Number.isFinite(patch.teamCount)) {
+        next.teamCount = Math.max(MIN_TEAM_COUNT, Math.min(MAX_TEAM_COUNT, Math.round(patch.teamCount)));
+    }
+    if (Object.values(TEAM_SCORE_RULES).includes(patch.teamScoreRule)) {
+        next.teamScoreRule = patch.teamScoreRule;
+    }
+    if (patch.scoring && typeof patch.scoring === 'object') {
+        next.scoring = sanitizeScoringSettings(patch.scoring, current.scoring);
+    }
+    if (Object.values(MATCH_END_MODES).includes(patch.endCondition)) {
+        next.endCondition = patch.endCondition;
+    }
+    if (typeof patch.roundsToPlay === 'number' && Number.isFinite(patch.roundsToPlay)) {
+        next.roundsToPlay = Math.max(MIN_ROUNDS_TO_PLAY, Math.min(MAX_ROUNDS_TO_PLAY, Math.round(patch.roundsToPlay)));
+    }
+    if (typeof patch.matchDurationMs === 'number' && Number.isFinite(patch.matchDurationMs)) {
+        const clamped = Math.max(MIN_MATCH_DURATION_MS, Math.min(MAX_MATCH_DURATION_MS, patch.matchDurationMs));
+        next.matchDurationMs = Math.round(clamped / 60_000) * 60_000;
+    }
+    if (Object.values(TIE_BREAKERS).includes(patch.tieBreaker)) {
+        next.tieBreaker = patch.tieBreaker;
+    }
+    if (isValidAnswerStrictness(patch.answerStrictness)) {
+        next.answerStrictness = patch.answerStrictness;
+    }
+    if (Object.values(ANSWER_MODES).includes(patch.answerMode)) {
+        next.answerMode = patch.answerMode;
+    }
+    if (typeof patch.buzzerWindowMs === 'number' && Number.isFinite(patch.buzzerWindowMs)) {
+        const clamped = Math.max(MIN_BUZZER_WINDOW_MS, Math.min(MAX_BUZZER_WINDOW_MS, patch.buzzerWindowMs));
+        next.buzzerWindowMs = Math.round(clamped / 1000) * 1000;
+    }
+    if (typeof patch.playlist !== 'undefined') {
+        const playlist = sanitizePlaylist(patch.playlist);
+        if (playlist) {
+            next.playlist = playlist;
+        }
+    }
+    if (patch.guessRules && typeof patch.guessRules === 'object') {
+        next.guessRules = sanitizeGuessRules(patch.guessRules, current.guessRules);
+    }
+    if (typeof patch.passcode === 'string') {
+        next.passcode = patch.passcode.trim().slice(0, MAX_PASSCODE_LENGTH);
+    }
+    if (typeof patch.maxPlayers === 'number' && Number.isFinite(patch.maxPlayers)) {
+        const rounded = Math.round(patch.maxPlayers);
+        next.maxPlayers = rounded <= 0 ? 0 : Math.max(MIN_MAX_PLAYERS, Math.min(MAX_MAX_PLAYERS, rounded));
+    }
     return next;
 }
 
@@ -204,17 +501,327 @@ export function updateLobbySettings(lobbyId, patch = {}) {
     if (!lobby.settings) {
         lobby.settings = { ...DEFAULT_LOBBY_SETTINGS };
     }
-    const sanitized = sanitizeSettingsPatch(patch);
+    const sanitized = sanitizeSettingsPatch(patch, lobby.settings);
     if (!Object.keys(sanitized).length) {
         return lobby.settings;
     }
+    // An edited playlist starts over from its first segment
+    if (sanitized.playlist && JSON.stringify(sanitized.playlist) !== JSON.stringify(lobby.settings.playlist || [])) {
+        lobby.playlistCursor = null;
+    }
+    // Question IDs are only unique within a pack
+    if (sanitized.questionPackId && sanitized.questionPackId !== lobby.settings.questionPackId) {
+        lobby.usedQuestionIds = new Set();
+        lobby.playlistCursor = null;
+    }
     lobby.settings = {
         ...lobby.settings,
         ...sanitized
     };
+    ensureTeamAssignments(lobby);
     return lobby.settings;
 }
 
+// ============================================================================
+// Teams
+// ============================================================================
+
+function getActiveTeamIds(lobby) {
+    const teamCount = lobby.settings?.teamCount ?? DEFAULT_LOBBY_SETTINGS.teamCount;
+    return TEAM_IDS.slice(0, teamCount);
+}
+
+/**
+ * Put every seated player without a (valid) team onto the smallest team.
+ * No-op unless team mode is on.
+ */
+function ensureTeamAssignments(lobby) {
+    if (!lobby?.settings?.teamMode) return;
+    const teamIds = getActiveTeamIds(lobby);
+    const sizes = new Map(teamIds.map(teamId => [teamId, 0]));
+    const unassigned = [];
+    lobby.players.forEach((player) => {
+        const teamId = lobby.teamByPlayerId.get(player.playerId);
+        if (sizes.has(teamId)) {
+            sizes.set(teamId, sizes.get(teamId) + 1);
+        } else {
+            unassigned.push(player);
+        }
+    });
+    unassigned.forEach((player) => {
+        const [smallest] = [...sizes.entries()].sort((a, b) => a[1] - b[1])[0];
+        lobby.teamByPlayerId.set(player.playerId, smallest);
+        sizes.set(smallest, sizes.get(smallest) + 1);
+    });
+}
+
+function aggregateTeamScore(memberScores, rule) {
+    if (!memberScores.length) return 0;
+    switch (rule) {
+        case TEAM_SCORE_RULES.BEST:
+            return Math.max(...memberScores);
+        case TEAM_SCORE_RULES.AVERAGE:
+            return Math.round(memberScores.reduce((sum, score) => sum + score, 0) / memberScores.length);
+        case TEAM_SCORE_RULES.SUM:
+        default:
+            return memberScores.reduce((sum, score) => sum + score, 0);
+    }
+}
+
+export function isTeamMode(lobbyId) {
+    return Boolean(getLobby(lobbyId)?.settings?.teamMode);
+}
+
+/**
+ * Host assigns a seated player to one of the active teams
+ * @returns {boolean} Whether the assignment was applied
+ */
+export function assignPlayerToTeam(lobbyId, playerId, teamId) {
+    const lobby = getLobby(lobbyId);
+    if (!lobby?.settings?.teamMode) return false;
+    if (!getActiveTeamIds(lobby).includes(teamId)) return false;
+    if (!lobby.players.some(p => p.playerId === playerId)) return false;
+    lobby.teamByPlayerId.set(playerId, teamId);
+    return true;
+}
+
+export function getPlayerTeamId(lobbyId, playerId) {
+    const lobby = getLobby(lobbyId);
+    if (!lobby?.settings?.teamMode) return null;
+    return lobby.teamByPlayerId.get(playerId) || null;
+}
+
+/**
+ * Current team standings, aggregated from seated members' scores
+ * @returns {Array<{ teamId: string, score: number, members: object[] }>} Empty outside team mode
+ */
+export function getLobbyTeams(lobbyId) {
+    const lobby = getLobby(lobbyId);
+    if (!lobby?.settings?.teamMode) return [];
+    const rule = lobby.settings.teamScoreRule || DEFAULT_LOBBY_SETTINGS.teamScoreRule;
+    return getActiveTeamIds(lobby).map((teamId) => {
+        const members = lobby.players
+            .filter(player => lobby.teamByPlayerId.get(player.playerId) === teamId)
+            .map(({ playerId, name, score }) => ({ playerId, name, score: score || 0 }));
+        return {
+            teamId,
+            score: aggregateTeamScore(members.map(m => m.score), rule),
+            members
+        };
+    });
+}
+
+// ============================================================================
+// Streaks
+// ============================================================================
+
+// Streaks shorter than this end quietly (no summary callout)
+const MIN_NOTABLE_STREAK = 2;
+
+export function getPlayerStreak(lobbyId, playerId) {
+    return getLobby(lobbyId)?.streakByPlayerId?.get(playerId) || 0;
+}
+
+/**
+ * Advance streaks once a round is scored: a 'correct' round status extends
+ * the streak, anything else (wrong, partial, no answer) resets it.
+ * @returns {Array<{ playerId: string, name: string, streak: number }>} Notable streaks that just ended
+ */
+export function recordRoundStreaks(lobbyId) {
+    const lobby = getLobby(lobbyId);
+    if (!lobby) return [];
+    const broken = [];
+    lobby.players.forEach((player) => {
+        const previous = lobby.streakByPlayerId.get(player.playerId) || 0;
+        if (player.roundGuessStatus === 'correct') {
+            lobby.streakByPlayerId.set(player.playerId, previous + 1);
+            return;
+        }
+        lobby.streakByPlayerId.set(player.playerId, 0);
+        if (previous >= MIN_NOTABLE_STREAK) {
+            broken.push({ playerId: player.playerId, name: player.name, streak: previous });
+        }
+    });
+    return broken;
+}
+
+/**
+ * Accumulate per-player tie-break stats from the round just scored
+ */
+export function recordRoundStats(lobbyId) {
+    const lobby = getLobby(lobbyId);
+    if (!lobby) return;
+    lobby.players.forEach((player) => {
+        if (player.roundGuessStatus !== 'correct') return;
+        const stats = lobby.statsByPlayerId.get(player.playerId) || { correctCount: 0, totalCorrectMs: 0 };
+        stats.correctCount += 1;
+        stats.totalCorrectMs += Number.isFinite(player.correctElapsedMs) ? player.correctElapsedMs : 0;
+        lobby.statsByPlayerId.set(player.playerId, stats);
+    });
+}
+
+// ============================================================================
+// Match
+// ============================================================================
+
+export function getMatchEndModes() {
+    return MATCH_END_MODES;
+}
+
+/**
+ * Start the match clock and round counter (game start, or the first manual round)
+ */
+export function startMatch(lobbyId) {
+    const lobby = getLobby(lobbyId);
+    if (!lobby) return null;
+    lobby.match = { startedAt: Date.now(), roundsPlayed: 0 };
+    return lobby.match;
+}
+
+export function recordMatchRoundStarted(lobbyId) {
+    const lobby = getLobby(lobbyId);
+    if (!lobby) return null;
+    if (!lobby.match) {
+        startMatch(lobbyId);
+    }
+    lobby.match.roundsPlayed += 1;
+    return lobby.match;
+}
+
+/**
+ * Where the match stands, for the top bar
+ * @returns {{ mode: string, roundNumber: number, roundsToPlay: number|null, endsAt: number|null, isOvertime: boolean }}
+ */
+export function getMatchProgress(lobbyId) {
+    const lobby = getLobby(lobbyId);
+    const settings = getLobbySettings(lobbyId);
+    const match = lobby?.match;
+    const roundNumber = match?.roundsPlayed || 0;
+    const progress = {
+        mode: settings.endCondition,
+        roundNumber,
+        roundsToPlay: null,
+        endsAt: null,
+        isOvertime: false
+    };
+    if (settings.endCondition === MATCH_END_MODES.ROUNDS) {
+        progress.roundsToPlay = settings.roundsToPlay;
+        progress.isOvertime = roundNumber > settings.roundsToPlay;
+    } else if (settings.endCondition === MATCH_END_MODES.TIMED && match) {
+        progress.endsAt = match.startedAt + settings.matchDurationMs;
+        progress.isOvertime = Date.now() >= progress.endsAt;
+    }
+    return progress;
+}
+
+/**
+ * Whether a rounds/timed match has run its course (always false in points mode)
+ */
+export function isMatchComplete(lobbyId) {
+    const lobby = getLobby(lobbyId);
+    if (!lobby?.match) return false;
+    const settings = getLobbySettings(lobbyId);
+    if (settings.endCondition === MATCH_END_MODES.ROUNDS) {
+        return lobby.match.roundsPlayed >= settings.roundsToPlay;
+    }
+    if (settings.endCondition === MATCH_END_MODES.TIMED) {
+        return Date.now() >= lobby.match.startedAt + settings.matchDurationMs;
+    }
+    return false;
+}
+
+function averageCorrectMs(contender) {
+    return contender.correctCount ? contender.totalCorrectMs / contender.correctCount : Infinity;
+}
+
+const TIE_BREAK_COMPARATORS = {
+    [TIE_BREAKERS.EXACT_ANSWERS]: (a, b) => b.correctCount - a.correctCount,
+    [TIE_BREAKERS.FASTEST_AVERAGE]: (a, b) => averageCorrectMs(a) - averageCorrectMs(b)
+};
+
+const TIE_BREAK_ORDER = {
+    [TIE_BREAKERS.EXACT_ANSWERS]: [TIE_BREAKERS.EXACT_ANSWERS, TIE_BREAKERS.FASTEST_AVERAGE],
+    [TIE_BREAKERS.FASTEST_AVERAGE]: [TIE_BREAKERS.FASTEST_AVERAGE, TIE_BREAKERS.EXACT_ANSWERS],
+    [TIE_BREAKERS.SUDDEN_DEATH]: []
+};
+
+function buildMatchContenders(lobby) {
+    const statsFor = playerId => lobby.statsByPlayerId.get(playerId) || { correctCount: 0, totalCorrectMs: 0 };
+    if (lobby.settings?.teamMode) {
+        return getLobbyTeams(lobby.id)
+            .filter(team => team.members.length > 0)
+            .map(team => ({
+                team,
+                score: team.score,
+                correctCount: team.members.reduce((sum, m) => sum + statsFor(m.playerId).correctCount, 0),
+                totalCorrectMs: team.members.reduce((sum, m) => sum + statsFor(m.playerId).totalCorrectMs, 0)
+            }));
+    }
+    return lobby.players.map(player => ({
+        player,
+        score: player.score || 0,
+        ...statsFor(player.playerId)
+    }));
+}
+
+/**
+ * Pick the winner of a finished rounds/timed match.
+ * Highest score wins; a level score goes to the lobby's tie-breakers in order.
+ * @returns {{ player?: object, team?: object, decidedBy: string|null } | null} null = still tied (sudden death)
+ */
+export function resolveMatchWinner(lobbyId) {
+    const lobby = getLobby(lobbyId);
+    if (!lobby) return null;
+    let leaders = buildMatchContenders(lobby);
+    if (!leaders.length) return null;
+
+    const topScore = Math.max(...leaders.map(c => c.score));
+    leaders = leaders.filter(c => c.score === topScore);
+    let decidedBy = null;
+
+    const order = TIE_BREAK_ORDER[lobby.settings?.tieBreaker] || TIE_BREAK_ORDER[DEFAULT_LOBBY_SETTINGS.tieBreaker];
+    for (const key of order) {
+        if (leaders.length === 1) break;
+        const compare = TIE_BREAK_COMPARATORS[key];
+        const [best] = [...leaders].sort(compare);
+        leaders = leaders.filter(c => compare(c, best) === 0);
+        decidedBy = leaders.length === 1 ? key : null;
+    }
+
+    if (leaders.length > 1) return null;
+    const [winner] = leaders;
+    return { player: winner.player, team: winner.team, decidedBy };
+}
+
+// ============================================================================
+// Playlist
+// ============================================================================
+
+/**
+ * Consume the next playlist slot
+ * @returns {{ kind: string, questionId?: string, expression?: string } | null} null once the playlist is exhausted
+ */
+export function takePlaylistStep(lobbyId) {
+    const lobby = getLobby(lobbyId);
+    const playlist = lobby?.settings?.playlist;
+    if (!playlist?.length) return null;
+    if (!lobby.playlistCursor) {
+        lobby.playlistCursor = { segmentIndex: 0, servedInSegment: 0 };
+    }
+    const cursor = lobby.playlistCursor;
+    while (cursor.segmentIndex < playlist.length) {
+        const segment = playlist[cursor.segmentIndex];
+        const size = segment.kind === PLAYLIST_SEGMENT_KINDS.QUESTION ? 1 : (segment.count || 1);
+        if (cursor.servedInSegment < size) {
+            cursor.servedInSegment += 1;
+            return segment;
+        }
+        cursor.segmentIndex += 1;
+        cursor.servedInSegment = 0;
+    }
+    return null;
+}
+
 export function resetLobbyRoundGuesses(lobbyId) {
     const lobby = getLobby(lobbyId);
     if (!lobby) return null;
@@ -245,6 +852,27 @@ export function markQuestionUsed(lobbyId, questionId) {
     lobby.usedQuestionIds.add(questionId);
 }
 
+/**
+ * Drop used-question IDs that no longer exist after a question data reload,
+ * so lobbies don't hold stale entries and re-added IDs can be asked again.
+ * @param {(questionId: string, packId: string) => boolean} questionExists
+ * @returns {number} Number of IDs removed across all lobbies
+ */
+export function reconcileUsedQuestionIds(questionExists) {
+    let removed = 0;
+    lobbies.forEach((lobby) => {
+        if (!lobby.usedQuestionIds?.size) return;
+        const packId = lobby.settings?.questionPackId || DEFAULT_QUESTION_PACK_ID;
+        lobby.usedQuestionIds.forEach((questionId) => {
+            if (!questionExists(questionId, packId)) {
+                lobby.usedQuestionIds.delete(questionId);
+                removed++;
+            }
+        });
+    });
+    return removed;
+}
+
 function refreshHostAssignment(lobby) {
     if (!lobby) return;
     if (lobby.hostPlayerId) return;
@@ -271,6 +899,10 @@ export function resetLobbyGameState(lobbyId) {
         player.correctElapsedMs = null;
     });
     lobby.scoreByPlayerId?.clear();
+    lobby.streakByPlayerId?.clear();
+    lobby.statsByPlayerId?.clear();
+    lobby.match = null;
+    lobby.playlistCursor = null;
     lobby.usedQuestionIds = new Set();  // Reset used questions for new game
     lobby.phase = LOBBY_PHASES.SEATING;
     lobby.phaseData = null;
@@ -279,4 +911,72 @@ export function resetLobbyGameState(lobbyId) {
     lobby.pendingDestroyAt = null;
     lobby.isAutoPlayActive = false;
     return lobby;
-}
\ No newline at end of file
+}
+
+/**
+ * Build a persistable snapshot of every lobby.
+ * Live player entries are folded into scoreByPlayerId; players re-enter the
+ * roster when their client reconnects and calls joinLobby.
+ */
+export function exportLobbySnapshots() {
+    return listLobbies().map((lobby) => {
+        const scoreByPlayerId = new Map(lobby.scoreByPlayerId || []);
+        lobby.players.forEach((player) => {
+            scoreByPlayerId.set(player.playerId, player.score || 0);
+        });
+        return {
+            id: lobby.id,
+            hostPlayerId: lobby.hostPlayerId || lobby.lastHostPlayerId || null,
+            phase: lobby.phase,
+            phaseData: lobby.phaseData,
+            lastRoundSummary: lobby.lastRoundSummary,
+            lastActiveAt: lobby.lastActiveAt,
+            scoreByPlayerId,
+            settings: lobby.settings,
+            isAutoPlayActive: lobby.isAutoPlayActive,
+            usedQuestionIds: lobby.usedQuestionIds || new Set(),
+            teamByPlayerId: lobby.teamByPlayerId || new Map(),
+            streakByPlayerId: lobby.streakByPlayerId || new Map(),
+            statsByPlayerId: lobby.statsByPlayerId || new Map(),
+            match: lobby.match || null,
+            playlistCursor: lobby.playlistCursor || null,
+            admittedPlayerIds: lobby.admittedPlayerIds || new Set(),
+            bannedPlayerIds: lobby.bannedPlayerIds || new Set()
+        };
+    });
+}
+
+/**
+ * Rehydrate lobbies from snapshots produced by exportLobbySnapshots.
+ * The previous host gets the usual reconnect grace period to reclaim the lobby.
+ * @returns {string[]} IDs of restored lobbies
+ */
+export function restoreLobbySnapshots(snapshots = []) {
+    const restored = [];
+    const now = Date.now();
+    snapshots.forEach((snapshot) => {
+        if (!snapshot?.id || lobbies.has(snapshot.id)) return;
+        const lobby = createLobbyIfMissing(snapshot.id);
+        lobby.phase = Object.values(LOBBY_PHASES).includes(snapshot.phase) ? snapshot.phase : LOBBY_PHASES.SEATING;
+        lobby.phaseData = snapshot.phaseData || null;
+        lobby.lastRoundSummary = snapshot.lastRoundSummary || null;
+        lobby.lastActiveAt = snapshot.lastActiveAt || now;
+        lobby.scoreByPlayerId = snapshot.scoreByPlayerId instanceof Map ? snapshot.scoreByPlayerId : new Map();
+        lobby.settings = { ...DEFAULT_LOBBY_SETTINGS, ...(snapshot.settings || {}) };
+        lobby.isAutoPlayActive = snapshot.isAutoPlayActive === true;
+        lobby.usedQuestionIds = snapshot.usedQuestionIds instanceof Set ? snapshot.usedQuestionIds : new Set();
+        lobby.teamByPlayerId = snapshot.teamByPlayerId instanceof Map ? snapshot.teamByPlayerId : new Map();
+        lobby.streakByPlayerId = snapshot.streakByPlayerId instanceof Map ? snapshot.streakByPlayerId : new Map();
+        lobby.statsByPlayerId = snapshot.statsByPlayerId instanceof Map ? snapshot.statsByPlayerId : new Map();
+        lobby.match = snapshot.match || null;
+        lobby.playlistCursor = snapshot.playlistCursor || null;
+        lobby.admittedPlayerIds = snapshot.admittedPlayerIds instanceof Set ? snapshot.admittedPlayerIds : new Set();
+        lobby.bannedPlayerIds = snapshot.bannedPlayerIds instanceof Set ? snapshot.bannedPlayerIds : new Set();
+        lobby.lastHostPlayerId = snapshot.hostPlayerId || null;
+        lobby.hostReleaseAt = snapshot.hostPlayerId ? now : null;
+        // Nobody is connected yet - the cleanup sweep destroys it if nobody returns
+        lobby.pendingDestroyAt = now;
+        restored.push(lobby.id);
+    });
+    return restored;
+}
@@ -0,0 +1,231 @@
+/**
+ * Near-Miss Log
+ *
+ * Keeps rejected free-text guesses that were probably right: close spellings
+ * of an accepted answer, or the same text typed by several players. The
+ * alias tools (song_data_generation/alias_controller) read this file to
+ * suggest new aliases and write their review decisions back into it.
+ *
+ * Guesses are buffered in memory and merged into the file on flush, so edits
+ * made by the alias tools while the server runs are never overwritten.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_MATCH_MODE, normalizeForComparison, similarityRatio } from './answerNormalization.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const SERVER_ROOT = path.join(__dirname, '..');
+
+const LOG_VERSION = 1;
+
+// A guess is a candidate once it is this close to an accepted answer...
+export const NEAR_MISS_SIMILARITY = 0.75;
+// ...or once this many different players have typed it
+export const NEAR_MISS_MIN_PLAYERS = 3;
+
+const MAX_GUESS_LENGTH = 80;
+const MAX_GUESSES_PER_QUESTION = 50;
+const MAX_PLAYER_IDS_PER_GUESS = 20;
+
+let logPath = null;
+let flushDebounceMs = 5000;
+let flushTimer = null;
+// "packId\u0000questionId" -> { packId, questionId, title, answers, guesses: Map<normalized, pending> }
+const pending = new Map();
+
+// ============================================================================
+// File I/O
+// ============================================================================
+
+function readLog() {
+    if (!logPath || !fs.existsSync(logPath)) {
+        return { version: LOG_VERSION, packs: {} };
+    }
+    try {
+        const parsed = JSON.parse(fs.readFileSync(logPath, 'utf-8'));
+        if (parsed?.version === LOG_VERSION && parsed.packs && typeof parsed.packs === 'object') {
+            return parsed;
+        }
+        console.warn(`[nearMiss] Ignoring ${logPath}: unknown format`);
+    } catch (error) {
+        console.error(`[nearMiss] Failed to read ${logPath}:`, error.message);
+    }
+    return { version: LOG_VERSION, packs: {} };
+}
+
+function writeLog(log) {
+    const tempPath = `${logPath}.tmp`;
+    fs.mkdirSync(path.dirname(logPath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify({ ...log, updatedAt: new Date().toISOString() }, null, 2), 'utf-8');
+    fs.renameSync(tempPath, logPath);
+}
+
+// ============================================================================
+// Scoring
+// ============================================================================
+
+function getAcceptedAnswers(question) {
+    if (Array.isArray(question.answers) && question.answers.length > 0) {
+        return question.answers;
+    }
+    return question.answer ? [question.answer] : [];
+}
+
+// Best similarity against every accepted spelling, reported against its display
+function closestAnswer(normalizedGuess, answers) {
+    let best = { similarity: 0, display: null };
+    for (const answer of answers) {
+        for (const alias of answer.normalizedAliases || []) {
+            const similarity = similarityRatio(normalizedGuess, alias);
+            if (similarity > best.similarity) {
+                best = { similarity, display: answer.display };
+            }
+        }
+    }
+    return best;
+}
+
+function isCandidate(guess) {
+    return guess.similarity >= NEAR_MISS_SIMILARITY || guess.playerIds.length >= NEAR_MISS_MIN_PLAYERS;
+}
+
+// Over the cap, drop the least-seen non-candidates first, oldest first
+function trimGuesses(guesses) {
+    const entries = Object.entries(guesses);
+    if (entries.length <= MAX_GUESSES_PER_QUESTION) return guesses;
+    const keep = guess => (guess.candidate || guess.status !== 'pending' ? 1 : 0);
+    entries.sort(([, a], [, b]) => keep(b) - keep(a) || b.count - a.count || b.lastSeenAt - a.lastSeenAt);
+    return Object.fromEntries(entries.slice(0, MAX_GUESSES_PER_QUESTION));
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * @param {object} options
+ * @param {string} options.filePath - Absolute, or relative to the server directory; empty disables logging
+ * @param {number} [options.debounceMs] - How long to buffer guesses before writing
+ */
+export function configureNearMissLog({ filePath, debounceMs } = {}) {
+    logPath = filePath
+        ? (path.isAbsolute(filePath) ? filePath : path.join(SERVER_ROOT, filePath))
+        : null;
+    if (Number.isFinite(debounceMs) && debounceMs >= 0) {
+        flushDebounceMs = debounceMs;
+    }
+    return logPath;
+}
+
+/**
+ * Remember a rejected free-text guess. Only entity answers take aliases, so
+ * questions without an entityRef are skipped.
+ * @param {object} params
+ * @param {object} params.question - Normalized question from the store
+ * @param {string} params.guess - The rejected text
+ * @param {string} params.playerId
+ * @param {string} params.packId
+ * @returns {boolean} Whether the guess was buffered
+ */
+export function recordRejectedGuess({ question, guess, playerId, packId }) {
+    if (!logPath || !question?.id || typeof guess !== 'string') return false;
+
+    const answers = getAcceptedAnswers(question);
+    if (!answers.some(answer => answer.entityRef)) return false;
+
+    const text = guess.trim();
+    const normalized = normalizeForComparison(text, question.matchMode || DEFAULT_MATCH_MODE);
+    if (!normalized || text.length > MAX_GUESS_LENGTH) return false;
+
+    const key = `${packId}\u0000${question.id}`;
+    if (!pending.has(key)) {
+        pending.set(key, {
+            packId,
+            questionId: question.id,
+            title: question.title || '',
+            answers: answers.map(({ display, entityRef }) => ({ display, entityRef: entityRef || null })),
+            guesses: new Map()
+        });
+    }
+    const entry = pending.get(key);
+    const now = Date.now();
+    const existing = entry.guesses.get(normalized);
+    if (existing) {
+        existing.count += 1;
+        existing.playerIds.add(playerId);
+        existing.lastSeenAt = now;
+    } else {
+        entry.guesses.set(normalized, {
+            text,
+            count: 1,
+            playerIds: new Set([playerId]),
+            ...closestAnswer(normalized, answers),
+            firstSeenAt: now,
+            lastSeenAt: now
+        });
+    }
+
+    if (!flushTimer) {
+        flushTimer = setTimeout(flushNearMissLog, flushDebounceMs);
+        flushTimer.unref?.();
+    }
+    return true;
+}
+
+/**
+ * Merge buffered guesses into the log file
+ * @returns {number} Number of guesses written
+ */
+export function flushNearMissLog() {
+    if (flushTimer) {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+    }
+    if (!logPath || pending.size === 0) return 0;
+
+    const log = readLog();
+    let written = 0;
+
+    pending.forEach(({ packId, questionId, title, answers, guesses }) => {
+        const packLog = log.packs[packId] || (log.packs[packId] = {});
+        const questionLog = packLog[questionId] || (packLog[questionId] = { guesses: {} });
+        questionLog.title = title;
+        questionLog.answers = answers;
+
+        guesses.forEach((incoming, normalized) => {
+            const stored = questionLog.guesses[normalized] || {
+                text: incoming.text,
+                count: 0,
+                playerIds: [],
+                status: 'pending',
+                firstSeenAt: incoming.firstSeenAt
+            };
+            const playerIds = new Set(stored.playerIds);
+            incoming.playerIds.forEach(id => playerIds.add(id));
+
+            stored.count += incoming.count;
+            stored.playerIds = Array.from(playerIds).slice(-MAX_PLAYER_IDS_PER_GUESS);
+            stored.similarity = Math.round(incoming.similarity * 100) / 100;
+            stored.closestAnswer = incoming.display;
+            stored.lastSeenAt = incoming.lastSeenAt;
+            stored.candidate = isCandidate(stored);
+            questionLog.guesses[normalized] = stored;
+            written++;
+        });
+
+        questionLog.guesses = trimGuesses(questionLog.guesses);
+    });
+
+    pending.clear();
+    try {
+        writeLog(log);
+    } catch (error) {
+        console.error(`[nearMiss] Failed to write ${logPath}:`, error.message);
+        return 0;
+    }
+    return written;
+}
+
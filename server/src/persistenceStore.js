@@ -0,0 +1,151 @@
+/**
+ * Persistence Store
+ *
+ * Snapshots lobby and round state so running games survive a server restart.
+ * Drivers are pluggable: each one exposes load(), save(snapshot) and clear().
+ * The default 'file' driver writes a single JSON document atomically.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const SERVER_ROOT = path.join(__dirname, '..');
+
+const SNAPSHOT_VERSION = 1;
+
+// ============================================================================
+// Serialization (JSON has no Map/Set, so tag them)
+// ============================================================================
+
+function encodeValue(key, value) {
+    if (value instanceof Map) {
+        return { __type: 'Map', entries: Array.from(value.entries()) };
+    }
+    if (value instanceof Set) {
+        return { __type: 'Set', values: Array.from(value.values()) };
+    }
+    return value;
+}
+
+function decodeValue(key, value) {
+    if (value && typeof value === 'object') {
+        if (value.__type === 'Map' && Array.isArray(value.entries)) {
+            return new Map(value.entries);
+        }
+        if (value.__type === 'Set' && Array.isArray(value.values)) {
+            return new Set(value.values);
+        }
+    }
+    return value;
+}
+
+export function serializeSnapshot(snapshot) {
+    return JSON.stringify({ version: SNAPSHOT_VERSION, savedAt: Date.now(), ...snapshot }, encodeValue);
+}
+
+export function deserializeSnapshot(raw) {
+    const parsed = JSON.parse(raw, decodeValue);
+    if (!parsed || parsed.version !== SNAPSHOT_VERSION) {
+        return null;
+    }
+    return parsed;
+}
+
+// ============================================================================
+// Drivers
+// ============================================================================
+
+/**
+ * File driver - one JSON document, written via temp file + rename
+ * @param {object} options
+ * @param {string} options.filePath - Absolute, or relative to the server directory
+ */
+function createFileStore({ filePath }) {
+    const resolvedPath = path.isAbsolute(filePath) ? filePath : path.join(SERVER_ROOT, filePath);
+    const tempPath = `${resolvedPath}.tmp`;
+
+    return {
+        name: 'file',
+        location: resolvedPath,
+        load() {
+            if (!fs.existsSync(resolvedPath)) return null;
+            try {
+                return deserializeSnapshot(fs.readFileSync(resolvedPath, 'utf-8'));
+            } catch (error) {
+                console.error(`[persistence] Failed to read snapshot at ${resolvedPath}:`, error.message);
+                return null;
+            }
+        },
+        save(snapshot) {
+            try {
+                fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+                fs.writeFileSync(tempPath, serializeSnapshot(snapshot), 'utf-8');
+                fs.renameSync(tempPath, resolvedPath);
+                return true;
+            } catch (error) {
+                console.error(`[persistence] Failed to write snapshot to ${resolvedPath}:`, error.message);
+                return false;
+            }
+        },
+        clear() {
+            if (fs.existsSync(resolvedPath)) {
+                fs.unlinkSync(resolvedPath);
+            }
+        }
+    };
+}
+
+/**
+ * Memory driver - keeps nothing across restarts (used when persistence is off)
+ */
+function createMemoryStore() {
+    let latest = null;
+    return {
+        name: 'memory',
+        location: null,
+        load() {
+            return latest ? deserializeSnapshot(latest) : null;
+        },
+        save(snapshot) {
+            latest = serializeSnapshot(snapshot);
+            return true;
+        },
+        clear() {
+            latest = null;
+        }
+    };
+}
+
+const DRIVERS = new Map([
+    ['file', createFileStore],
+    ['memory', createMemoryStore],
+    ['none', createMemoryStore]
+]);
+
+/**
+ * Register an additional driver (e.g. a database-backed one)
+ * @param {string} name
+ * @param {(options: object) => { load: Function, save: Function, clear: Function }} factory
+ */
+export function registerPersistenceDriver(name, factory) {
+    if (!name || typeof factory !== 'function') {
+        throw new Error('[persistence] Driver needs a name and a factory function');
+    }
+    DRIVERS.set(name, factory);
+}
+
+/**
+ * Create a store for the configured driver, falling back to the file driver
+ * @param {object} options - { driver, filePath }
+ */
+export function createPersistenceStore({ driver = 'file', ...options } = {}) {
+    const factory = DRIVERS.get(driver);
+    if (!factory) {
+        console.warn(`[persistence] Unknown driver "${driver}", falling back to "file"`);
+        return createFileStore(options);
+    }
+    return factory(options);
+}
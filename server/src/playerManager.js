@@ -36,6 +36,10 @@ export function disconnectSocket(socket) {
     return { player, fullyDisconnected };
 }
 
+export function getPlayerById(playerId) {
+    return playersById.get(playerId) || null;
+}
+
 export function getPlayerBySocket(socket) {
     return playersBySocketId.get(socket.id) || null;
 }
@@ -0,0 +1,115 @@
+/**
+ * Question Playlists
+ *
+ * A host-curated, ordered list of what to ask. Each segment is either one
+ * specific question (`#question-id`) or N questions drawn from a tag filter
+ * (`5x gen:next-line`). Segments are separated by newlines or "then":
+ *
+ *   #cover-yeezus then #finish-lyric-blood-on-the-leaves then 5x input:numeric
+ *
+ * Rounds consume the playlist in order; once it runs out the lobby's normal
+ * question filter takes over.
+ */
+
+import { validateExpression } from './questionFilter.js';
+
+export const PLAYLIST_SEGMENT_KINDS = Object.freeze({
+    QUESTION: 'question',
+    FILTER: 'filter'
+});
+
+const MAX_PLAYLIST_SEGMENTS = 50;
+const MAX_SEGMENT_COUNT = 50;
+
+// "5x expr", "5× expr", "5 * expr"
+const COUNT_PREFIX = /^(\d+)\s*[x×*]\s+/i;
+const SEGMENT_SEPARATOR = /\s*\n\s*|\s+then\s+/i;
+
+function clampCount(count) {
+    return Math.max(1, Math.min(MAX_SEGMENT_COUNT, Math.round(count)));
+}
+
+function parseSegment(raw) {
+    const text = raw.trim();
+    if (!text) return null;
+
+    if (text.startsWith('#')) {
+        const questionId = text.slice(1).trim();
+        if (!questionId || /\s/.test(questionId)) {
+            return { error: `"${text}" is not a question ID` };
+        }
+        return { kind: PLAYLIST_SEGMENT_KINDS.QUESTION, questionId };
+    }
+
+    const countMatch = text.match(COUNT_PREFIX);
+    const count = countMatch ? clampCount(Number(countMatch[1])) : 1;
+    const expression = (countMatch ? text.slice(countMatch[0].length) : text).trim();
+    const validation = validateExpression(expression);
+    if (!expression || !validation.valid) {
+        return { error: `"${text}": ${validation.error || 'missing filter expression'}` };
+    }
+    return { kind: PLAYLIST_SEGMENT_KINDS.FILTER, expression, count };
+}
+
+/**
+ * Parse playlist text into segments
+ * @param {string} text
+ * @returns {{ segments: object[], errors: string[] }}
+ */
+export function parsePlaylist(text) {
+    const segments = [];
+    const errors = [];
+    if (typeof text !== 'string') {
+        return { segments, errors };
+    }
+    text.split(SEGMENT_SEPARATOR).forEach((raw) => {
+        const parsed = parseSegment(raw);
+        if (!parsed) return;
+        if (parsed.error) {
+            errors.push(parsed.error);
+            return;
+        }
+        segments.push(parsed);
+    });
+    if (segments.length > MAX_PLAYLIST_SEGMENTS) {
+        errors.push(`Playlist truncated to ${MAX_PLAYLIST_SEGMENTS} segments`);
+    }
+    return { segments: segments.slice(0, MAX_PLAYLIST_SEGMENTS), errors };
+}
+
+/**
+ * Accept playlist text or an array of segment objects from a settings patch
+ * @returns {object[]|null} Clean segments, or null if the value isn't a playlist
+ */
+export function sanitizePlaylist(value) {
+    if (typeof value === 'string') {
+        const { segments, errors } = parsePlaylist(value);
+        if (errors.length) {
+            console.warn('[playlist] Ignored playlist segments:', errors.join('; '));
+        }
+        return segments;
+    }
+    if (!Array.isArray(value)) {
+        return null;
+    }
+    // Round-trip through the text form so both inputs share one set of rules
+    return parsePlaylist(formatPlaylist(value)).segments;
+}
+
+/**
+ * Inverse of parsePlaylist, one segment per line
+ */
+export function formatPlaylist(segments = []) {
+    return segments
+        .map((segment) => {
+            if (segment?.kind === PLAYLIST_SEGMENT_KINDS.QUESTION && segment.questionId) {
+                return `#${segment.questionId}`;
+            }
+            if (segment?.kind === PLAYLIST_SEGMENT_KINDS.FILTER && segment.expression) {
+                return `${segment.count || 1}x ${segment.expression}`;
+            }
+            return null;
+        })
+        .filter(Boolean)
+        .join('\n');
+}
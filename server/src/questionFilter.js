@@ -20,9 +20,10 @@
  */
 
 import { 
+    DEFAULT_QUESTION_PACK_ID,
     getQuestionIdsForTag, 
     getAllQuestionIdSet, 
-    questionSetOps 
+    getQuestionSetOps 
 } from './questionStore.js';
 
 // ============================================================================
@@ -215,42 +216,44 @@ export function parseExpression(expr) {
 /**
  * Evaluate an AST node to produce a set of question IDs
  * @param {object} node - AST node
+ * @param {string} packId - Question pack whose tag index to use
  * @returns {Set} Set of question IDs that match the expression
  */
-export function evaluateExpression(node) {
+export function evaluateExpression(node, packId = DEFAULT_QUESTION_PACK_ID) {
     if (!node) {
-        return getAllQuestionIdSet();
+        return getAllQuestionIdSet(packId);
     }
     
+    const questionSetOps = getQuestionSetOps(packId);
     switch (node.type) {
         case 'WILDCARD':
-            return getAllQuestionIdSet();
+            return getAllQuestionIdSet(packId);
         
         case 'TAG': {
-            const tagSet = getQuestionIdsForTag(node.value);
+            const tagSet = getQuestionIdsForTag(node.value, packId);
             return tagSet || new Set();
         }
         
         case 'NOT': {
-            const operandSet = evaluateExpression(node.operand);
+            const operandSet = evaluateExpression(node.operand, packId);
             return questionSetOps.complement(operandSet);
         }
         
         case 'AND': {
-            const leftSet = evaluateExpression(node.left);
-            const rightSet = evaluateExpression(node.right);
+            const leftSet = evaluateExpression(node.left, packId);
+            const rightSet = evaluateExpression(node.right, packId);
             return questionSetOps.intersection(leftSet, rightSet);
         }
         
         case 'OR': {
-            const leftSet = evaluateExpression(node.left);
-            const rightSet = evaluateExpression(node.right);
+            const leftSet = evaluateExpression(node.left, packId);
+            const rightSet = evaluateExpression(node.right, packId);
             return questionSetOps.union(leftSet, rightSet);
         }
         
         default:
             console.error('[questionFilter] Unknown node type:', node.type);
-            return getAllQuestionIdSet();
+            return getAllQuestionIdSet(packId);
     }
 }
 
@@ -261,16 +264,17 @@ export function evaluateExpression(node) {
 /**
  * Filter questions using a tag expression
  * @param {string} expression - Boolean expression using tags
+ * @param {string} packId - Question pack to filter
  * @returns {Set} Set of question IDs matching the filter
  */
-export function filterQuestionsByExpression(expression) {
+export function filterQuestionsByExpression(expression, packId = DEFAULT_QUESTION_PACK_ID) {
     try {
         const ast = parseExpression(expression);
-        return evaluateExpression(ast);
+        return evaluateExpression(ast, packId);
     } catch (error) {
         console.error('[questionFilter] Error filtering questions:', error.message);
         // Return all questions on error to avoid blocking the game
-        return getAllQuestionIdSet();
+        return getAllQuestionIdSet(packId);
     }
 }
 
@@ -295,10 +299,11 @@ export function validateExpression(expression) {
 /**
  * Get statistics about filtered questions
  * @param {string} expression - Filter expression
+ * @param {string} packId - Question pack to filter
  * @returns {{ total: number, expression: string }}
  */
-export function getFilterStatistics(expression) {
-    const filteredIds = filterQuestionsByExpression(expression);
+export function getFilterStatistics(expression, packId = DEFAULT_QUESTION_PACK_ID) {
+    const filteredIds = filterQuestionsByExpression(expression, packId);
     return {
         total: filteredIds.size,
         expression
@@ -4,12 +4,13 @@
  * Converts stored question templates into playable questions at runtime.
  * Handles:
  * - Selecting random wrong answers from wrongAnswerPool
- * - Selecting random lyrics from lyricPool
+ * - Selecting random lyrics from lyricPool (or all of it, in order, for progressive reveal)
  * - Interpolating title/content templates
  * - Flipping true/false for T/F questions
  */
 
 import { QUESTION_TYPES, TRUE_FALSE_CHOICES } from './questionTypes.js';
+import { DEFAULT_MATCH_MODE, normalizeForComparison } from './answerNormalization.js';
 
 /**
  * Shuffle an array (Fisher-Yates)
@@ -91,10 +92,18 @@ export function instantiateQuestion(question) {
     
     // Handle lyric pool selection
     if (question.lyricPool && question.lyricPool.length > 0) {
-        const selectedLyric = question.lyricPool[Math.floor(Math.random() * question.lyricPool.length)];
+        // Progressive reveal keeps the pool in order and opens on its first line
+        const selectedLyric = question.revealConfig
+            ? question.lyricPool[0]
+            : question.lyricPool[Math.floor(Math.random() * question.lyricPool.length)];
         context.lyric = selectedLyric.text;
         instance._selectedLyric = selectedLyric;
         
+        // The round releases the rest one line at a time
+        if (question.revealConfig) {
+            instance.revealLines = question.lyricPool.map(lyric => lyric.text);
+        }
+        
         // Interpolate content if there's a template
         if (question.contentTemplate) {
             instance.content = {
@@ -167,16 +176,19 @@ export function instantiateQuestion(question) {
     
     // Build acceptedAliasMap for free-text questions
     // IMPORTANT: Aliases only apply to entity-based answers (answers with entityRef)
-    // For literal answers (lyrics, words), only the exact display value is accepted
+    // For literal answers (lyrics, words), only the exact display value is accepted,
+    // unless a moderator added aliases (allowAliases)
+    // Keys use the question's matchMode so they line up with evaluateAnswer
     if (questionType === QUESTION_TYPES.FREE_TEXT) {
         const acceptedAliasMap = new Map();
+        const matchMode = question.matchMode || DEFAULT_MATCH_MODE;
         
         if (question.answers) {
             // Multi-answer question
             for (const answer of question.answers) {
                 // Add the primary display value first (always accepted)
                 if (answer.display) {
-                    const normalizedDisplay = answer.display.toLowerCase().trim();
+                    const normalizedDisplay = normalizeForComparison(answer.display, matchMode);
                     if (!acceptedAliasMap.has(normalizedDisplay)) {
                         acceptedAliasMap.set(normalizedDisplay, answer);
                     }
@@ -184,9 +196,9 @@ export function instantiateQuestion(question) {
                 // Only add aliases if this is an entity-based answer
                 // entityRef indicates the answer refers to a named entity (artist, song, album)
                 // rather than a literal word/phrase from lyrics
-                if (answer.entityRef) {
+                if (answer.entityRef || answer.allowAliases) {
                     for (const alias of answer.aliases || []) {
-                        const normalized = alias.toLowerCase().trim();
+                        const normalized = normalizeForComparison(alias, matchMode);
                         if (!acceptedAliasMap.has(normalized)) {
                             acceptedAliasMap.set(normalized, answer);
                         }
@@ -196,15 +208,15 @@ export function instantiateQuestion(question) {
         } else if (question.answer) {
             // Single answer question - add primary display value first (always accepted)
             if (question.answer.display) {
-                const normalizedDisplay = question.answer.display.toLowerCase().trim();
+                const normalizedDisplay = normalizeForComparison(question.answer.display, matchMode);
                 if (!acceptedAliasMap.has(normalizedDisplay)) {
                     acceptedAliasMap.set(normalizedDisplay, question.answer);
                 }
             }
             // Only add aliases if this is an entity-based answer
-            if (question.answer.entityRef) {
+            if (question.answer.entityRef || question.answer.allowAliases) {
                 for (const alias of question.answer.aliases || []) {
-                    const normalized = alias.toLowerCase().trim();
+                    const normalized = normalizeForComparison(alias, matchMode);
                     if (!acceptedAliasMap.has(normalized)) {
                         acceptedAliasMap.set(normalized, question.answer);
                     }
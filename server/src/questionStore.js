@@ -15,25 +15,64 @@ import {
     DEFAULT_MATCH_MODE,
     normalizeForComparison,
     buildAliasMap,
-    getRecommendedMatchMode
+    findFuzzyMatch,
+    findPhoneticMatch,
+    allowsPhoneticMatch,
+    isValidFuzzyThreshold,
+    getRecommendedFuzzyThreshold,
+    getRecommendedMatchMode,
+    resolveMatchMode
 } from './answerNormalization.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
-const DEFAULT_DATA_PATH = path.join(__dirname, '../data/questions.json')
-const DEFAULT_QUESTIONS_DIR = path.join(__dirname, '../data/questions')
+const DATA_ROOT = path.join(__dirname, '../data')
+const DEFAULT_PACKS_DIR = path.join(DATA_ROOT, 'packs')
+const PACK_MANIFEST_FILE = 'pack.json'
+const PACK_QUESTIONS_DIR = 'questions'
+const PACK_QUESTIONS_FILE = 'questions.json'
+const PACK_FLAGS_FILE = 'flagged-questions.json'
+const PACK_OVERRIDES_FILE = 'question-overrides.json'
 const MEDIA_PUBLIC_BASE = '/media'
 const MEDIA_FS_BASE = path.join(__dirname, '../public/media')
 const QUESTION_MEDIA_SUBDIR = 'questions'
 const QUESTION_MEDIA_FS_BASE = path.join(MEDIA_FS_BASE, QUESTION_MEDIA_SUBDIR)
 const QUESTION_MEDIA_URL_BASE = `${MEDIA_PUBLIC_BASE}/${QUESTION_MEDIA_SUBDIR}`
-const FLAGS_DATA_PATH = path.join(__dirname, '../data/flagged-questions.json')
 
-let questionList = []
-let questionMap = new Map()
-let tagIndex = new Map()
-let allQuestionIds = new Set()
-let flaggedQuestions = new Map() // questionId -> { flags: [{ playerId, playerName, reason, timestamp, lobbyId }] }
+export const DEFAULT_QUESTION_PACK_ID = 'kanye-classic'
+
+// packId -> { id, name, description, author, questionList, questionMap, tagIndex, allQuestionIds, flaggedQuestions, flagsPath }
+let packs = new Map()
+let lastInitOptions = {}
+
+function createPack(id, manifest = {}, dataDir = DATA_ROOT) {
+    return {
+        id,
+        name: manifest.name?.toString().trim() || id,
+        description: manifest.description?.toString().trim() || '',
+        author: manifest.author?.toString().trim() || 'Unknown',
+        dataDir,
+        sourcePath: null, // questions directory or file the pack was loaded from
+        flagsPath: path.join(dataDir, PACK_FLAGS_FILE),
+        overridesPath: path.join(dataDir, PACK_OVERRIDES_FILE),
+        questionList: [],
+        questionMap: new Map(),
+        tagIndex: new Map(),
+        allQuestionIds: new Set(),
+        flaggedQuestions: new Map(), // questionId -> { flags: [{ playerId, playerName, reason, timestamp, lobbyId }] }
+        overrides: new Map() // questionId -> { disabled?, answers?: [{ display, aliases }], updatedAt }
+    }
+}
+
+const EMPTY_PACK = createPack(DEFAULT_QUESTION_PACK_ID)
+
+/**
+ * Resolve a pack by ID. Unknown IDs (e.g. a pack removed since a lobby was
+ * persisted) fall back to the default pack so games keep running.
+ */
+function getPack(packId = DEFAULT_QUESTION_PACK_ID) {
+    return packs.get(packId) || packs.get(DEFAULT_QUESTION_PACK_ID) || EMPTY_PACK
+}
 
 function cloneSet(input) {
     if (!input) return new Set()
@@ -74,9 +113,9 @@ function setDifference(a = new Set(), b = new Set()) {
     return result
 }
 
-function setComplement(target = new Set()) {
+function setComplement(target = new Set(), universe = new Set()) {
     const result = new Set()
-    allQuestionIds.forEach((value) => {
+    universe.forEach((value) => {
         if (!target.has(value)) {
             result.add(value)
         }
@@ -87,7 +126,7 @@ function setComplement(target = new Set()) {
 /**
  * Normalize answer text for comparison
  * @param {string} value - The text to normalize
- * @param {string} matchMode - Match mode (loose, normal, strict, exact)
+ * @param {string} matchMode - Match mode (loose, normal, strict, exact, fuzzy)
  * @returns {string}
  */
 function normalizeAnswerText(value = '', matchMode = DEFAULT_MATCH_MODE) {
@@ -170,6 +209,14 @@ function normalizeQuestion(raw) {
     } else if (raw.generatorType) {
         matchMode = getRecommendedMatchMode(raw.generatorType)
     }
+    // How close a FUZZY guess must be: question > generator > default
+    const fuzzyThreshold = isValidFuzzyThreshold(raw.fuzzyThreshold)
+        ? raw.fuzzyThreshold
+        : getRecommendedFuzzyThreshold(raw.generatorType)
+    // Sound-alike guesses for entity answers, unless the question opts out
+    const phoneticMatch = typeof raw.phoneticMatch === 'boolean'
+        ? raw.phoneticMatch
+        : allowsPhoneticMatch(matchMode)
     
     // Check if this is a new template-style question
     // Template questions have 'answer' object (possibly with entityRef) or wrongAnswerPool/lyricPool
@@ -178,7 +225,8 @@ function normalizeQuestion(raw) {
     // Normalize answers for free-text questions (legacy format with 'answers' array)
     // IMPORTANT: normalizedAliases determines what answers are accepted
     // For entity-based answers (with entityRef): include display + all aliases
-    // For literal answers (no entityRef): only include display value
+    // For literal answers (no entityRef): only include display value, unless a
+    // moderator's edit set allowAliases
     const answers = ensureArray(raw.answers).map((entry, index) => {
         // Handle both string answers and object answers
         const isString = typeof entry === 'string'
@@ -186,6 +234,7 @@ function normalizeQuestion(raw) {
             ? entry.trim() 
             : (entry?.display?.toString().trim() || entry?.aliases?.[0] || `Answer ${index + 1}`)
         const hasEntityRef = !isString && !!entry?.entityRef
+        const allowAliases = !isString && entry?.allowAliases === true
         
         // Build alias set - always includes display
         const aliasSet = new Set()
@@ -199,7 +248,7 @@ function normalizeQuestion(raw) {
         }
         
         // Only add additional aliases if this is an entity-based answer
-        if (hasEntityRef) {
+        if (hasEntityRef || allowAliases) {
             ensureArray(entry?.aliases).forEach(alias => {
                 if (alias) aliasSet.add(alias)
             })
@@ -213,7 +262,8 @@ function normalizeQuestion(raw) {
             display,
             aliases: Array.from(aliasSet),
             normalizedAliases,
-            entityRef: entry?.entityRef || null
+            entityRef: entry?.entityRef || null,
+            allowAliases
         }
     })
 
@@ -223,12 +273,13 @@ function normalizeQuestion(raw) {
     if (raw.answer) {
         const display = raw.answer.display?.toString().trim() || 'Unknown'
         const hasEntityRef = !!raw.answer.entityRef
+        const allowAliases = raw.answer.allowAliases === true
         
         const aliasSet = new Set()
         aliasSet.add(display)
         
         // Only add additional aliases if this is an entity-based answer
-        if (hasEntityRef) {
+        if (hasEntityRef || allowAliases) {
             ensureArray(raw.answer.aliases).forEach(alias => {
                 if (alias) aliasSet.add(alias)
             })
@@ -241,7 +292,8 @@ function normalizeQuestion(raw) {
             display,
             aliases: Array.from(aliasSet),
             normalizedAliases,
-            entityRef: raw.answer.entityRef || null
+            entityRef: raw.answer.entityRef || null,
+            allowAliases
         }
     }
 
@@ -273,6 +325,8 @@ function normalizeQuestion(raw) {
         content: normalizedContent || { type: 'text', text: title },
         tags,
         matchMode,  // Store match mode for answer evaluation
+        fuzzyThreshold,
+        phoneticMatch,
         meta: raw.meta || null,
         generatorType: raw.generatorType || null,
         source: raw.source || null
@@ -290,6 +344,9 @@ function normalizeQuestion(raw) {
         if (raw.lyricPool) {
             question.lyricPool = raw.lyricPool
         }
+        if (raw.revealConfig && raw.lyricPool?.length > 1) {
+            question.revealConfig = raw.revealConfig
+        }
         if (raw.titleTemplate) {
             question.titleTemplate = raw.titleTemplate
         }
@@ -474,23 +531,248 @@ function findCorrectChoiceId(choices) {
     return correct?.id || null
 }
 
-export function initializeQuestionStore({ filePath, questionsDir } = {}) {
+/**
+ * Load every question pack and swap them in.
+ *
+ * Packs live in `data/packs/<packId>/` with a `pack.json` manifest
+ * ({ name, description, author, dataDir? }). Questions come from a
+ * `questions/` directory or a `questions.json` file, and flags from
+ * `flagged-questions.json`, all relative to `dataDir` (defaults to the pack
+ * directory). `filePath`/`questionsDir` override the default pack's sources.
+ */
+export function initializeQuestionStore({ filePath, questionsDir, packsDir } = {}) {
+    lastInitOptions = { filePath, questionsDir, packsDir }
+    return loadAllPacks(lastInitOptions)
+}
+
+/**
+ * @param {object} options - initializeQuestionStore options
+ * @param {Map} previousPacks - Packs to keep serving if their reload fails
+ */
+function loadAllPacks({ filePath, questionsDir, packsDir }, previousPacks = new Map()) {
+    const manifests = discoverPackManifests(packsDir || DEFAULT_PACKS_DIR)
+    if (!manifests.some(m => m.id === DEFAULT_QUESTION_PACK_ID)) {
+        manifests.unshift({ id: DEFAULT_QUESTION_PACK_ID, dir: DATA_ROOT, manifest: {} })
+    }
+
+    const loadedPacks = new Map()
+    let defaultResult = null
+    for (const { id, dir, manifest } of manifests) {
+        const isDefault = id === DEFAULT_QUESTION_PACK_ID
+        const pack = createPack(id, manifest, path.resolve(dir, manifest.dataDir || '.'))
+        try {
+            loadQuestionOverrides(pack)
+            const result = loadPackQuestions(pack, isDefault ? { filePath, questionsDir } : {})
+            indexPackQuestions(pack, result.questions)
+            loadFlaggedQuestions(pack)
+            loadedPacks.set(id, pack)
+            if (isDefault) {
+                defaultResult = { questionCount: pack.questionList.length, files: result.files }
+            }
+            console.log(`[questionStore] Pack "${id}": ${pack.questionList.length} questions, ${pack.tagIndex.size} tags`)
+        } catch (err) {
+            // A broken add-on pack shouldn't take the server down; a broken default pack should
+            if (isDefault) throw err
+            console.error(`[questionStore] Failed to load pack "${id}": ${err.message}`)
+            if (previousPacks.has(id)) {
+                console.warn(`[questionStore] Keeping previously loaded questions for pack "${id}"`)
+                loadedPacks.set(id, previousPacks.get(id))
+            }
+        }
+    }
+
+    packs = loadedPacks
+    return { ...defaultResult, packs: listQuestionPacks() }
+}
+
+/**
+ * Find `<packsDir>/<packId>/pack.json` manifests
+ */
+function discoverPackManifests(packsDir) {
+    if (!fs.existsSync(packsDir) || !fs.statSync(packsDir).isDirectory()) {
+        return []
+    }
+    return fs.readdirSync(packsDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort()
+        .map((id) => {
+            const dir = path.join(packsDir, id)
+            const manifestPath = path.join(dir, PACK_MANIFEST_FILE)
+            if (!fs.existsSync(manifestPath)) return null
+            try {
+                return { id, dir, manifest: JSON.parse(fs.readFileSync(manifestPath, 'utf-8')) || {} }
+            } catch (err) {
+                console.warn(`[questionStore] Failed to parse ${manifestPath}: ${err.message}`)
+                return null
+            }
+        })
+        .filter(Boolean)
+}
+
+function loadPackQuestions(pack, { filePath, questionsDir } = {}) {
     // Try loading from questions directory first (new format)
-    const resolvedDir = questionsDir || DEFAULT_QUESTIONS_DIR
-    
+    const resolvedDir = questionsDir || path.join(pack.dataDir, PACK_QUESTIONS_DIR)
     if (fs.existsSync(resolvedDir) && fs.statSync(resolvedDir).isDirectory()) {
-        return initializeFromDirectory(resolvedDir)
+        pack.sourcePath = resolvedDir
+        return loadFromDirectory(resolvedDir, pack.overrides)
     }
     
     // Fall back to single file (legacy format)
-    const resolvedPath = filePath || DEFAULT_DATA_PATH
-    return initializeFromFile(resolvedPath)
+    const resolvedPath = filePath || path.join(pack.dataDir, PACK_QUESTIONS_FILE)
+    pack.sourcePath = resolvedPath
+    return loadFromFile(resolvedPath, pack.overrides)
+}
+
+function indexPackQuestions(pack, questions) {
+    pack.questionList = questions
+    pack.questionMap = new Map(questions.map(q => [q.id, q]))
+    pack.allQuestionIds = new Set(questions.map(q => q.id))
+    pack.tagIndex = new Map()
+    questions.forEach((question) => {
+        question.tags.forEach((tag) => {
+            if (!pack.tagIndex.has(tag)) {
+                pack.tagIndex.set(tag, new Set())
+            }
+            pack.tagIndex.get(tag).add(question.id)
+        })
+    })
+}
+
+// ============================================================================
+// Hot Reload
+// ============================================================================
+
+const DEFAULT_RELOAD_DEBOUNCE_MS = 2000
+
+// Stable fingerprint of a normalized question (Maps serialize as their keys)
+function questionSignature(question) {
+    return JSON.stringify(question, (key, value) => (value instanceof Map ? Array.from(value.keys()) : value))
+}
+
+function diffPack(previous, next) {
+    const previousMap = previous?.questionMap || new Map()
+    const nextMap = next?.questionMap || new Map()
+    const removedIds = []
+    let added = 0
+    let changed = 0
+    nextMap.forEach((question, id) => {
+        const before = previousMap.get(id)
+        if (!before) {
+            added++
+        } else if (questionSignature(before) !== questionSignature(question)) {
+            changed++
+        }
+    })
+    previousMap.forEach((question, id) => {
+        if (!nextMap.has(id)) removedIds.push(id)
+    })
+    return { added, removed: removedIds.length, changed, total: nextMap.size, removedIds }
+}
+
+/**
+ * Re-read every pack from disk and swap them in.
+ *
+ * The new indexes are built on the side and replace the old ones in a single
+ * assignment, so a failed reload (e.g. the default pack is mid-rewrite) keeps
+ * serving the previous data. Rounds already hold their instantiated question
+ * and are unaffected.
+ *
+ * @returns {{ success: boolean, diff?: Object<string, { added, removed, changed, total, removedIds }>, error?: string }}
+ */
+export function reloadQuestionStore() {
+    const previousPacks = packs
+    try {
+        loadAllPacks(lastInitOptions, previousPacks)
+    } catch (err) {
+        console.error(`[questionStore] Reload failed, keeping previous question data: ${err.message}`)
+        return { success: false, error: err.message }
+    }
+
+    const diff = {}
+    new Set([...previousPacks.keys(), ...packs.keys()]).forEach((packId) => {
+        diff[packId] = diffPack(previousPacks.get(packId), packs.get(packId))
+        const { added, removed, changed, total } = diff[packId]
+        console.log(`[questionStore] Reloaded pack "${packId}": +${added} added, -${removed} removed, ~${changed} changed (${total} total)`)
+    })
+    return { success: true, diff }
+}
+
+function getWatchTargets() {
+    const targets = []
+    const packsDir = lastInitOptions.packsDir || DEFAULT_PACKS_DIR
+    if (fs.existsSync(packsDir)) {
+        targets.push({ dir: packsDir, recursive: true })
+    }
+    packs.forEach((pack) => {
+        if (!pack.sourcePath) return
+        // Watch the parent too so a replaced questions dir/file is noticed
+        targets.push({ dir: path.dirname(pack.sourcePath), only: path.basename(pack.sourcePath) })
+        if (fs.existsSync(pack.sourcePath) && fs.statSync(pack.sourcePath).isDirectory()) {
+            targets.push({ dir: pack.sourcePath })
+        }
+    })
+    return targets
+}
+
+/**
+ * Watch question data on disk and reload (debounced) when it changes.
+ * Flag and override files are written by the server itself and never
+ * trigger a reload.
+ *
+ * @param {object} [options]
+ * @param {number} [options.debounceMs] - Quiet period before reloading
+ * @param {function} [options.onReload] - Called with the reloadQuestionStore() result
+ * @returns {function} Stops watching
+ */
+export function watchQuestionData({ debounceMs = DEFAULT_RELOAD_DEBOUNCE_MS, onReload } = {}) {
+    let watchers = []
+    let reloadTimer = null
+
+    const closeWatchers = () => {
+        watchers.forEach(watcher => watcher.close())
+        watchers = []
+    }
+
+    const openWatchers = () => {
+        closeWatchers()
+        getWatchTargets().forEach(({ dir, recursive = false, only = null }) => {
+            try {
+                const watcher = fs.watch(dir, { recursive }, (eventType, filename) => {
+                    const name = filename ? path.basename(filename.toString()) : null
+                    // Server-written files; moderation edits reload explicitly
+                    if (name === PACK_FLAGS_FILE || name === PACK_OVERRIDES_FILE) return
+                    if (only && name && name !== only) return
+                    clearTimeout(reloadTimer)
+                    reloadTimer = setTimeout(runReload, debounceMs)
+                })
+                watcher.on('error', err => console.warn(`[questionStore] Watcher error for ${dir}: ${err.message}`))
+                watchers.push(watcher)
+            } catch (err) {
+                console.warn(`[questionStore] Cannot watch ${dir}: ${err.message}`)
+            }
+        })
+    }
+
+    const runReload = () => {
+        const result = reloadQuestionStore()
+        // Directories may have been replaced wholesale by the generator
+        openWatchers()
+        onReload?.(result)
+    }
+
+    openWatchers()
+    console.log(`[questionStore] Watching ${watchers.length} question data paths for changes`)
+    return () => {
+        clearTimeout(reloadTimer)
+        closeWatchers()
+    }
 }
 
 /**
  * Load questions from a directory of JSON files
  */
-function initializeFromDirectory(dirPath) {
+function loadFromDirectory(dirPath, overrides = new Map()) {
     console.log(`[questionStore] Loading questions from directory: ${dirPath}`)
     
     // Check for manifest
@@ -543,7 +825,7 @@ function initializeFromDirectory(dirPath) {
                 continue
             }
             
-            const normalized = questions.map(normalizeQuestion)
+            const normalized = questions.map(raw => normalizeQuestion(applyQuestionOverride(raw, overrides)))
             
             // Validate questions and log errors
             let validCount = 0
@@ -579,30 +861,15 @@ function initializeFromDirectory(dirPath) {
         }
     }
     
-    // Build indexes
-    questionList = allQuestions
-    questionMap = new Map(questionList.map(q => [q.id, q]))
-    allQuestionIds = new Set(questionList.map(q => q.id))
-    tagIndex = new Map()
+    console.log(`[questionStore] Total: ${allQuestions.length} questions from ${loadedFiles.length} files`)
     
-    questionList.forEach((question) => {
-        question.tags.forEach((tag) => {
-            if (!tagIndex.has(tag)) {
-                tagIndex.set(tag, new Set())
-            }
-            tagIndex.get(tag).add(question.id)
-        })
-    })
-    
-    console.log(`[questionStore] Total: ${questionList.length} questions from ${loadedFiles.length} files`)
-    
-    return { questionCount: questionList.length, files: loadedFiles }
+    return { questions: allQuestions, files: loadedFiles }
 }
 
 /**
  * Load questions from a single JSON file (legacy format)
  */
-function initializeFromFile(resolvedPath) {
+function loadFromFile(resolvedPath, overrides = new Map()) {
     let rawJson
     try {
         rawJson = fs.readFileSync(resolvedPath, 'utf-8')
@@ -624,22 +891,11 @@ function initializeFromFile(resolvedPath) {
         throw new Error('[questionStore] No questions found in data file')
     }
 
-    questionList = questions.map(normalizeQuestion)
-    questionMap = new Map(questionList.map(q => [q.id, q]))
-    allQuestionIds = new Set(questionList.map(q => q.id))
-    tagIndex = new Map()
-    questionList.forEach((question) => {
-        question.tags.forEach((tag) => {
-            if (!tagIndex.has(tag)) {
-                tagIndex.set(tag, new Set())
-            }
-            tagIndex.get(tag).add(question.id)
-        })
-    })
+    const normalized = questions.map(raw => normalizeQuestion(applyQuestionOverride(raw, overrides)))
 
-    console.log(`[questionStore] Loaded ${questionList.length} questions from ${resolvedPath}`)
+    console.log(`[questionStore] Loaded ${normalized.length} questions from ${resolvedPath}`)
     
-    return { questionCount: questionList.length, files: [{ file: path.basename(resolvedPath), count: questionList.length }] }
+    return { questions: normalized, files: [{ file: path.basename(resolvedPath), count: normalized.length }] }
 }
 
 /**
@@ -661,9 +917,13 @@ const QUESTION_TYPE_WEIGHTS = {
  * 
  * @param {Set|null} allowedQuestionIds - Optional set of question IDs to filter by (from expression)
  * @param {Set|null} excludeQuestionIds - Optional set of question IDs to exclude (already used)
+ * @param {string} packId - Question pack to draw from
  * @returns {object|null} Random question or null if no questions available
  */
-export function getRandomQuestion(allowedQuestionIds = null, excludeQuestionIds = null) {
+export function getRandomQuestion(allowedQuestionIds = null, excludeQuestionIds = null, packId = DEFAULT_QUESTION_PACK_ID) {
+    const pack = getPack(packId);
+    // Questions disabled by a moderator are never drawn
+    const questionList = pack.questionList.filter(q => !pack.overrides.get(q.id)?.disabled);
     if (!questionList.length) {
         return null;
     }
@@ -732,23 +992,71 @@ export function getRandomQuestion(allowedQuestionIds = null, excludeQuestionIds
     return questionsOfType[idx];
 }
 
-export function getQuestionById(id) {
-    return questionMap.get(id) || null
+export function getQuestionById(id, packId = DEFAULT_QUESTION_PACK_ID) {
+    return getPack(packId).questionMap.get(id) || null
 }
 
-export function getAllQuestionIds() {
-    return Array.from(allQuestionIds)
+export function getAllQuestionIds(packId = DEFAULT_QUESTION_PACK_ID) {
+    return Array.from(getPack(packId).allQuestionIds)
 }
 
-export function getTagIndexSnapshot() {
+export function getTagIndexSnapshot(packId = DEFAULT_QUESTION_PACK_ID) {
     const snapshot = {}
-    tagIndex.forEach((set, tag) => {
+    getPack(packId).tagIndex.forEach((set, tag) => {
         snapshot[tag] = set.size
     })
     return snapshot
 }
 
-export function evaluateAnswer(question, answerText) {
+function isKnownWrongAnswer(question, normalizedGuess, matchMode = question.matchMode || DEFAULT_MATCH_MODE) {
+    return ensureArray(question.wrongAnswerPool).some(wrong =>
+        normalizeAnswerText(wrong?.display ?? wrong, matchMode) === normalizedGuess
+    )
+}
+
+// acceptedAliasMap re-keyed for a lobby's match mode, per question
+const aliasMapsByMode = new WeakMap()
+
+/**
+ * The question's acceptedAliasMap with keys normalized for another match mode.
+ * A spelling is carried over only if the original map accepted it, so
+ * literal answers still never pick up aliases.
+ */
+function getAliasMapForMode(question, matchMode) {
+    const questionMode = question.matchMode || DEFAULT_MATCH_MODE
+    if (!question.acceptedAliasMap || matchMode === questionMode) {
+        return question.acceptedAliasMap
+    }
+
+    let byMode = aliasMapsByMode.get(question)
+    if (!byMode) {
+        byMode = new Map()
+        aliasMapsByMode.set(question, byMode)
+    }
+    if (!byMode.has(matchMode)) {
+        const rekeyed = new Map()
+        new Set(question.acceptedAliasMap.values()).forEach(answer => {
+            [answer.display, ...ensureArray(answer.aliases)].forEach(spelling => {
+                if (!spelling || question.acceptedAliasMap.get(normalizeAnswerText(spelling, questionMode)) !== answer) return
+                const key = normalizeAnswerText(spelling, matchMode)
+                if (key && !rekeyed.has(key)) rekeyed.set(key, answer)
+            })
+        })
+        byMode.set(matchMode, rekeyed)
+    }
+    return byMode.get(matchMode)
+}
+
+/**
+ * Check a submitted answer against a question
+ * @param {object} question
+ * @param {string} answerText - Free text, or the choiceId for choice questions
+ * @param {object} [lobbyContext]
+ * @param {string} [lobbyContext.answerStrictness] - Lobby strictness; adjusts the question's matchMode
+ * @returns {{ isCorrect: boolean, matchedAnswer?: object, matchedChoice?: object, confidence?: number, matchMode?: string }}
+ *   confidence is 1 for exact matches and below 1 for fuzzy or phonetic close matches
+ */
+export function evaluateAnswer(question, answerText, { answerStrictness } = {}) {
     if (!question || !answerText) {
         return { isCorrect: false }
     }
@@ -757,23 +1065,71 @@ export function evaluateAnswer(question, answerText) {
     
     // Free-text: match against acceptedAliasMap
     if (questionType === QUESTION_TYPES.FREE_TEXT) {
-        // Use the question's matchMode for consistent normalization
-        const matchMode = question.matchMode || DEFAULT_MATCH_MODE
+        // Use the question's matchMode (or the lobby's override) for consistent normalization
+        const matchMode = resolveMatchMode(question.matchMode || DEFAULT_MATCH_MODE, answerStrictness)
         const normalized = normalizeAnswerText(answerText, matchMode)
         if (!normalized) {
-            return { isCorrect: false }
+            return { isCorrect: false, matchMode }
         }
-        const matchedAnswer = question.acceptedAliasMap?.get(normalized)
+        const aliasMap = getAliasMapForMode(question, matchMode)
+        const matchedAnswer = aliasMap?.get(normalized)
         if (matchedAnswer) {
-            return { isCorrect: true, matchedAnswer }
+            return { isCorrect: true, matchedAnswer, confidence: 1, matchMode }
         }
-        return { isCorrect: false }
+        // Close-but-not-exact guesses, unless the guess names one of the
+        // question's known wrong answers outright
+        if (!aliasMap || isKnownWrongAnswer(question, normalized, matchMode)) {
+            return { isCorrect: false, matchMode }
+        }
+        if (matchMode === MATCH_MODES.FUZZY) {
+            const fuzzy = findFuzzyMatch(normalized, aliasMap, question.fuzzyThreshold)
+            if (fuzzy) {
+                return { isCorrect: true, matchedAnswer: fuzzy.match, confidence: fuzzy.confidence, matchMode }
+            }
+        }
+        // Sounds-alike only for entity answers; lyrics must be spelled right
+        if (question.phoneticMatch && allowsPhoneticMatch(matchMode)) {
+            const entityAliases = Array.from(aliasMap).filter(([, answer]) => answer?.entityRef)
+            const phonetic = findPhoneticMatch(normalized, entityAliases)
+            if (phonetic) {
+                return { isCorrect: true, matchedAnswer: phonetic.match, confidence: phonetic.confidence, matchMode }
+            }
+        }
+        return { isCorrect: false, matchMode }
     }
     
     // For choice-based questions, answerText is actually the choiceId
     return evaluateChoiceAnswer(question, answerText)
 }
 
+/**
+ * Find an accepted answer given away in free text such as a chat message:
+ * the whole text would be accepted as an answer, or one of the accepted
+ * spellings appears in it as whole words. Containment is checked with LOOSE
+ * normalization so punctuation and casing can't hide an answer.
+ * @param {object} question
+ * @param {string} text
+ * @param {object} [lobbyContext]
+ * @param {string} [lobbyContext.answerStrictness]
+ * @returns {object|null} The answer that was found, or null
+ */
+export function findAnswerInText(question, text, { answerStrictness } = {}) {
+    if (!question?.acceptedAliasMap || !text) return null
+
+    if ((question.type || QUESTION_TYPES.FREE_TEXT) === QUESTION_TYPES.FREE_TEXT) {
+        const { isCorrect, matchedAnswer } = evaluateAnswer(question, text, { answerStrictness })
+        if (isCorrect) return matchedAnswer
+    }
+
+    const normalized = normalizeAnswerText(text, MATCH_MODES.LOOSE)
+    if (!normalized) return null
+    const padded = ` ${normalized} `
+    for (const [alias, answer] of getAliasMapForMode(question, MATCH_MODES.LOOSE)) {
+        if (alias && padded.includes(` ${alias} `)) return answer
+    }
+    return null
+}
+
 /**
  * Evaluate a choice-based answer (multiple choice or true/false)
  * @param {object} question 
@@ -805,23 +1161,53 @@ export function evaluateChoiceAnswer(question, choiceId) {
     return { isCorrect: false }
 }
 
-export function getQuestionIdsForTag(tag) {
+export function getQuestionIdsForTag(tag, packId = DEFAULT_QUESTION_PACK_ID) {
     if (!tag) return new Set()
     const normalized = tag.toString().trim().toLowerCase()
-    return cloneSet(tagIndex.get(normalized))
+    return cloneSet(getPack(packId).tagIndex.get(normalized))
+}
+
+export function getAllQuestionIdSet(packId = DEFAULT_QUESTION_PACK_ID) {
+    return cloneSet(getPack(packId).allQuestionIds)
+}
+
+/**
+ * Set operations over question IDs; complements are taken within the given pack
+ */
+export function getQuestionSetOps(packId = DEFAULT_QUESTION_PACK_ID) {
+    const universe = getPack(packId).allQuestionIds
+    const complement = (target) => setComplement(target, universe)
+    return {
+        union: setUnion,
+        intersection: setIntersection,
+        difference: setDifference,
+        complement,
+        nand: (a, b) => complement(setIntersection(a, b)),
+        nor: (a, b) => complement(setUnion(a, b))
+    }
 }
 
-export function getAllQuestionIdSet() {
-    return cloneSet(allQuestionIds)
+// ============================================================================
+// Question Packs
+// ============================================================================
+
+export function hasQuestionPack(packId) {
+    return packs.has(packId)
 }
 
-export const questionSetOps = {
-    union: setUnion,
-    intersection: setIntersection,
-    difference: setDifference,
-    complement: setComplement,
-    nand: (a, b) => setComplement(setIntersection(a, b)),
-    nor: (a, b) => setComplement(setUnion(a, b))
+/**
+ * Pack metadata for pickers and `/api/packs`
+ * @returns {Array<{ id, name, description, author, questionCount, tagCount }>}
+ */
+export function listQuestionPacks() {
+    return Array.from(packs.values()).map(pack => ({
+        id: pack.id,
+        name: pack.name,
+        description: pack.description,
+        author: pack.author,
+        questionCount: pack.questionList.length,
+        tagCount: pack.tagIndex.size
+    }))
 }
 
 export function formatQuestionForClient(question) {
@@ -939,16 +1325,45 @@ export function formatQuestionForReveal(question) {
 // Question Flagging
 // ============================================================================
 
+export const FLAG_REASONS = Object.freeze({
+    WRONG_ANSWER: 'wrong-answer',
+    ANSWER_TOO_STRICT: 'answer-too-strict',
+    AMBIGUOUS_LYRIC: 'ambiguous-lyric',
+    WRONG_ATTRIBUTION: 'wrong-song-attribution',
+    TYPO: 'typo',
+    OFFENSIVE: 'offensive',
+    OTHER: 'other'
+})
+
+const MAX_FLAG_NOTE_LENGTH = 300
+
 /**
- * Load flagged questions from disk
+ * Coerce a client-supplied reason into the taxonomy.
+ * Unknown reasons (including legacy free text) are kept as an "other" note.
+ * @returns {{ reason: string, note: string|null, error?: string }}
  */
-function loadFlaggedQuestions() {
+function normalizeFlagReason(reason, note) {
+    const cleanNote = note?.toString().trim().slice(0, MAX_FLAG_NOTE_LENGTH) || null
+    if (Object.values(FLAG_REASONS).includes(reason)) {
+        if (reason === FLAG_REASONS.OTHER && !cleanNote) {
+            return { reason, note: null, error: 'Please describe the problem' }
+        }
+        return { reason, note: cleanNote }
+    }
+    const legacyText = reason?.toString().trim().slice(0, MAX_FLAG_NOTE_LENGTH)
+    return { reason: FLAG_REASONS.OTHER, note: cleanNote || legacyText || null }
+}
+
+/**
+ * Load a pack's flagged questions from disk
+ */
+function loadFlaggedQuestions(pack) {
     try {
-        if (fs.existsSync(FLAGS_DATA_PATH)) {
-            const raw = fs.readFileSync(FLAGS_DATA_PATH, 'utf-8')
+        if (fs.existsSync(pack.flagsPath)) {
+            const raw = fs.readFileSync(pack.flagsPath, 'utf-8')
             const data = JSON.parse(raw)
-            flaggedQuestions = new Map(Object.entries(data))
-            console.log(`Loaded ${flaggedQuestions.size} flagged questions`)
+            pack.flaggedQuestions = new Map(Object.entries(data))
+            console.log(`Loaded ${pack.flaggedQuestions.size} flagged questions for pack "${pack.id}"`)
         }
     } catch (error) {
         console.error('Failed to load flagged questions:', error.message)
@@ -956,12 +1371,12 @@ function loadFlaggedQuestions() {
 }
 
 /**
- * Save flagged questions to disk
+ * Save a pack's flagged questions to disk
  */
-function saveFlaggedQuestions() {
+function saveFlaggedQuestions(pack) {
     try {
-        const data = Object.fromEntries(flaggedQuestions)
-        fs.writeFileSync(FLAGS_DATA_PATH, JSON.stringify(data, null, 2), 'utf-8')
+        const data = Object.fromEntries(pack.flaggedQuestions)
+        fs.writeFileSync(pack.flagsPath, JSON.stringify(data, null, 2), 'utf-8')
     } catch (error) {
         console.error('Failed to save flagged questions:', error.message)
     }
@@ -970,20 +1385,22 @@ function saveFlaggedQuestions() {
 /**
  * Flag a question for review
  * @param {string} questionId 
- * @param {object} flagInfo - { playerId, playerName, reason, lobbyId }
+ * @param {object} flagInfo - { playerId, playerName, reason (FLAG_REASONS), note, submission, lobbyId }
+ * @param {string} packId - Pack the question belongs to
  * @returns {{ success: boolean, flagCount: number, error?: string }}
  */
-export function flagQuestion(questionId, flagInfo = {}) {
+export function flagQuestion(questionId, flagInfo = {}, packId = DEFAULT_QUESTION_PACK_ID) {
     if (!questionId || typeof questionId !== 'string') {
         return { success: false, flagCount: 0, error: 'Invalid question ID' }
     }
 
-    const question = questionMap.get(questionId)
+    const pack = getPack(packId)
+    const question = pack.questionMap.get(questionId)
     if (!question) {
         return { success: false, flagCount: 0, error: 'Question not found' }
     }
 
-    const existing = flaggedQuestions.get(questionId) || { flags: [], question: { id: question.id, title: question.title } }
+    const existing = pack.flaggedQuestions.get(questionId) || { flags: [], question: { id: question.id, title: question.title } }
     
     // Check if this player already flagged this question
     const alreadyFlagged = existing.flags.some(f => f.playerId === flagInfo.playerId)
@@ -991,27 +1408,36 @@ export function flagQuestion(questionId, flagInfo = {}) {
         return { success: false, flagCount: existing.flags.length, error: 'Already flagged by this player' }
     }
 
+    const { reason, note, error } = normalizeFlagReason(flagInfo.reason, flagInfo.note)
+    if (error) {
+        return { success: false, flagCount: existing.flags.length, error }
+    }
+
     existing.flags.push({
         playerId: flagInfo.playerId || 'unknown',
         playerName: flagInfo.playerName || 'Unknown',
-        reason: flagInfo.reason || 'No reason provided',
+        reason,
+        note,
+        // What the flagger answered, e.g. the guess an "answer too strict" flag is about
+        submission: flagInfo.submission || null,
         lobbyId: flagInfo.lobbyId || null,
         timestamp: Date.now()
     })
 
-    flaggedQuestions.set(questionId, existing)
-    saveFlaggedQuestions()
+    pack.flaggedQuestions.set(questionId, existing)
+    saveFlaggedQuestions(pack)
 
     console.log(`Question "${question.title}" flagged (total: ${existing.flags.length} flags)`)
     return { success: true, flagCount: existing.flags.length }
 }
 
 /**
- * Get all flagged questions
+ * Get all flagged questions in a pack
+ * @param {string} packId
  * @returns {Array} Array of flagged question records
  */
-export function getFlaggedQuestions() {
-    return Array.from(flaggedQuestions.entries()).map(([id, data]) => ({
+export function getFlaggedQuestions(packId = DEFAULT_QUESTION_PACK_ID) {
+    return Array.from(getPack(packId).flaggedQuestions.entries()).map(([id, data]) => ({
         questionId: id,
         ...data
     }))
@@ -1020,15 +1446,169 @@ export function getFlaggedQuestions() {
 /**
  * Clear flags for a question (after manual review)
  * @param {string} questionId 
+ * @param {string} packId
  */
-export function clearQuestionFlags(questionId) {
-    if (flaggedQuestions.has(questionId)) {
-        flaggedQuestions.delete(questionId)
-        saveFlaggedQuestions()
+export function clearQuestionFlags(questionId, packId = DEFAULT_QUESTION_PACK_ID) {
+    const pack = getPack(packId)
+    if (pack.flaggedQuestions.has(questionId)) {
+        pack.flaggedQuestions.delete(questionId)
+        saveFlaggedQuestions(pack)
         return true
     }
     return false
 }
 
-// Load flags on module init
-loadFlaggedQuestions()
+
+// ============================================================================
+// Question Moderation (overrides)
+// ============================================================================
+
+const MAX_OVERRIDE_ANSWERS = 50
+const MAX_OVERRIDE_ALIASES = 50
+const MAX_OVERRIDE_TEXT_LENGTH = 200
+
+/**
+ * Load a pack's moderator overrides. They live next to the generated data
+ * in their own file, so they survive `npm run data:regenerate`.
+ */
+function loadQuestionOverrides(pack) {
+    pack.overrides = new Map()
+    try {
+        if (fs.existsSync(pack.overridesPath)) {
+            const data = JSON.parse(fs.readFileSync(pack.overridesPath, 'utf-8'))
+            pack.overrides = new Map(Object.entries(data || {}))
+            console.log(`Loaded ${pack.overrides.size} question overrides for pack "${pack.id}"`)
+        }
+    } catch (error) {
+        console.error('Failed to load question overrides:', error.message)
+    }
+}
+
+function saveQuestionOverrides(pack) {
+    try {
+        const data = Object.fromEntries(pack.overrides)
+        fs.writeFileSync(pack.overridesPath, JSON.stringify(data, null, 2), 'utf-8')
+        return true
+    } catch (error) {
+        console.error('Failed to save question overrides:', error.message)
+        return false
+    }
+}
+
+/**
+ * Replace a raw question's answers with a moderator's edit before it is
+ * normalized. Edited answers keep their entityRef if they had one; literal
+ * answers stay literal (no sound-alikes or near-miss logging) and only get
+ * allowAliases, so the moderator's own aliases are honoured.
+ */
+function applyQuestionOverride(raw, overrides) {
+    const override = raw?.id != null ? overrides.get(raw.id.toString()) : null
+    if (!override?.answers?.length) return raw
+
+    const withOverride = (answer, original) => ({
+        ...(original && typeof original === 'object' ? original : {}),
+        display: answer.display,
+        aliases: answer.aliases,
+        entityRef: original?.entityRef || null,
+        allowAliases: true
+    })
+    if (raw.answer && !raw.answers) {
+        return { ...raw, answer: withOverride(override.answers[0], raw.answer) }
+    }
+    const originalAnswers = ensureArray(raw.answers)
+    return { ...raw, answers: override.answers.map((answer, index) => withOverride(answer, originalAnswers[index])) }
+}
+
+function sanitizeOverrideAnswers(answers) {
+    if (!Array.isArray(answers)) return []
+    const clean = (value) => value?.toString().trim().slice(0, MAX_OVERRIDE_TEXT_LENGTH) || ''
+    return answers
+        .map((answer) => ({
+            display: clean(answer?.display),
+            aliases: Array.from(new Set(ensureArray(answer?.aliases).map(clean).filter(Boolean))).slice(0, MAX_OVERRIDE_ALIASES)
+        }))
+        .filter(answer => answer.display)
+        .slice(0, MAX_OVERRIDE_ANSWERS)
+}
+
+function updateQuestionOverride(pack, questionId, patch) {
+    const next = { ...(pack.overrides.get(questionId) || {}), ...patch, updatedAt: Date.now() }
+    if (!next.disabled) delete next.disabled
+    if (!next.answers?.length) delete next.answers
+    if (next.disabled || next.answers) {
+        pack.overrides.set(questionId, next)
+    } else {
+        pack.overrides.delete(questionId)
+    }
+    return saveQuestionOverrides(pack)
+}
+
+export function isQuestionDisabled(questionId, packId = DEFAULT_QUESTION_PACK_ID) {
+    return getPack(packId).overrides.get(questionId)?.disabled === true
+}
+
+/**
+ * Flagged questions with everything a moderator needs to judge them
+ * @param {string} packId
+ * @returns {Array<{ questionId, flags, question, answers, disabled, override }>}
+ */
+export function getFlaggedQuestionDetails(packId = DEFAULT_QUESTION_PACK_ID) {
+    const pack = getPack(packId)
+    return Array.from(pack.flaggedQuestions.entries()).map(([questionId, record]) => {
+        const question = pack.questionMap.get(questionId)
+        const answerSource = question?.answers || (question?.answer ? [question.answer] : [])
+        return {
+            questionId,
+            flags: record.flags || [],
+            // Flags can outlive the question (e.g. removed by a regeneration)
+            question: question ? formatQuestionForReveal(question) : { ...record.question, missing: true },
+            answers: answerSource.map(answer => ({ display: answer.display, aliases: answer.aliases || [] })),
+            disabled: pack.overrides.get(questionId)?.disabled === true,
+            override: pack.overrides.get(questionId) || null
+        }
+    })
+}
+
+/**
+ * Exclude (or re-include) a question from random selection
+ * @returns {{ success: boolean, error?: string }}
+ */
+export function setQuestionDisabled(questionId, disabled, packId = DEFAULT_QUESTION_PACK_ID) {
+    const pack = getPack(packId)
+    if (!pack.questionMap.has(questionId)) {
+        return { success: false, error: 'Question not found' }
+    }
+    if (!updateQuestionOverride(pack, questionId, { disabled: disabled === true })) {
+        return { success: false, error: 'Failed to save override' }
+    }
+    console.log(`[questionStore] Question ${questionId} ${disabled ? 'disabled' : 'enabled'} in pack "${pack.id}"`)
+    return { success: true }
+}
+
+/**
+ * Persist a moderator's answer/alias edit and reload so it takes effect.
+ * An empty list removes the edit and restores the generated answers.
+ * @param {Array<{ display: string, aliases: string[] }>} answers
+ * @returns {{ success: boolean, answers?: Array, error?: string }}
+ */
+export function setQuestionAnswers(questionId, answers, packId = DEFAULT_QUESTION_PACK_ID) {
+    const pack = getPack(packId)
+    const question = pack.questionMap.get(questionId)
+    if (!question) {
+        return { success: false, error: 'Question not found' }
+    }
+    if (!question.answers && !question.answer) {
+        return { success: false, error: 'Question has no editable answers' }
+    }
+    const clean = sanitizeOverrideAnswers(answers)
+    if (!updateQuestionOverride(pack, questionId, { answers: clean })) {
+        return { success: false, error: 'Failed to save override' }
+    }
+    const reload = reloadQuestionStore()
+    if (!reload.success) {
+        return { success: false, error: `Saved, but reload failed: ${reload.error}` }
+    }
+    const updated = getQuestionById(questionId, pack.id)
+    const answerSource = updated?.answers || (updated?.answer ? [updated.answer] : [])
+    return { success: true, answers: answerSource.map(answer => ({ display: answer.display, aliases: answer.aliases || [] })) }
+}
@@ -0,0 +1,339 @@
+/**
+ * Scoring Engine
+ *
+ * Turns round submissions into point awards. Every entry in SCORING_MODES is
+ * implemented here; the lobby's `scoring` settings pick the mode and tune the
+ * numbers. With the defaults the results match the original hard-coded
+ * rules: 10 points for the first correct answer, one less per rank, never
+ * below 1. Progressive-reveal rounds also pay less for every extra lyric
+ * line a player needed.
+ */
+
+import {
+    QUESTION_TYPES,
+    SCORING_MODES,
+    getDefaultScoringMode,
+    isValidScoringMode,
+    typeSupportsPartialCredit
+} from './questionTypes.js';
+
+// How points fall off for slower correct answers (STANDARD and MULTI_ENTRY modes)
+export const SPEED_CURVES = Object.freeze({
+    RANK: 'rank',                 // -1 point per earlier correct answer
+    LINEAR: 'linear',             // Straight line from max (instant) to min (buzzer)
+    EXPONENTIAL: 'exponential',   // Steep early drop, long tail towards min
+    NONE: 'none'                  // Flat max points, speed doesn't matter
+});
+
+// 'auto' = each question type's defaultScoringMode from QUESTION_TYPE_CONFIG
+export const AUTO_SCORING_MODE = 'auto';
+
+export const DEFAULT_SCORING_SETTINGS = Object.freeze({
+    mode: AUTO_SCORING_MODE,
+    maxPoints: 10,
+    minPoints: 1,
+    speedCurve: SPEED_CURVES.RANK,
+    wrongAnswerPenalty: 0,
+    // [{ minStreak, multiplier }] - highest matching threshold wins
+    streakMultipliers: []
+});
+
+const MAX_POINTS_LIMIT = 100;
+const MAX_STREAK_TIERS = 5;
+const MIN_STREAK_THRESHOLD = 2;
+const MAX_STREAK_THRESHOLD = 50;
+const MAX_STREAK_MULTIPLIER = 5;
+const EXPONENTIAL_DECAY_RATE = 3;
+
+// ============================================================================
+// Settings
+// ============================================================================
+
+function clampInteger(value, min, max) {
+    return Math.max(min, Math.min(max, Math.round(value)));
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function sanitizeStreakMultipliers(tiers) {
+    if (!Array.isArray(tiers)) return null;
+    const byThreshold = new Map();
+    tiers.forEach((tier) => {
+        if (!isFiniteNumber(tier?.minStreak) || !isFiniteNumber(tier?.multiplier)) return;
+        const minStreak = clampInteger(tier.minStreak, MIN_STREAK_THRESHOLD, MAX_STREAK_THRESHOLD);
+        const multiplier = Math.round(Math.max(1, Math.min(MAX_STREAK_MULTIPLIER, tier.multiplier)) * 10) / 10;
+        byThreshold.set(minStreak, multiplier);
+    });
+    return Array.from(byThreshold.entries())
+        .sort((a, b) => a[0] - b[0])
+        .slice(0, MAX_STREAK_TIERS)
+        .map(([minStreak, multiplier]) => ({ minStreak, multiplier }));
+}
+
+/**
+ * Merge a host-supplied scoring patch onto the current scoring settings,
+ * dropping unknown keys and clamping numbers into range
+ * @param {object} patch
+ * @param {object} current
+ * @returns {object} Complete scoring settings
+ */
+export function sanitizeScoringSettings(patch = {}, current = DEFAULT_SCORING_SETTINGS) {
+    const next = { ...DEFAULT_SCORING_SETTINGS, ...(current || {}) };
+    if (!patch || typeof patch !== 'object') return next;
+
+    if (patch.mode === AUTO_SCORING_MODE || isValidScoringMode(patch.mode)) {
+        next.mode = patch.mode;
+    }
+    if (isFiniteNumber(patch.maxPoints)) {
+        next.maxPoints = clampInteger(patch.maxPoints, 1, MAX_POINTS_LIMIT);
+    }
+    if (isFiniteNumber(patch.minPoints)) {
+        next.minPoints = clampInteger(patch.minPoints, 0, MAX_POINTS_LIMIT);
+    }
+    // Keep the range ordered whichever end was edited
+    next.minPoints = Math.min(next.minPoints, next.maxPoints);
+    if (Object.values(SPEED_CURVES).includes(patch.speedCurve)) {
+        next.speedCurve = patch.speedCurve;
+    }
+    if (isFiniteNumber(patch.wrongAnswerPenalty)) {
+        next.wrongAnswerPenalty = clampInteger(patch.wrongAnswerPenalty, 0, MAX_POINTS_LIMIT);
+    }
+    const streakMultipliers = sanitizeStreakMultipliers(patch.streakMultipliers);
+    if (streakMultipliers) {
+        next.streakMultipliers = streakMultipliers;
+    }
+    return next;
+}
+
+function resolveScoring(scoring) {
+    return { ...DEFAULT_SCORING_SETTINGS, ...(scoring || {}) };
+}
+
+/**
+ * Scoring mode actually used for a question. PROXIMITY needs a numeric answer
+ * and MULTI_ENTRY needs an answer list, so they fall back to STANDARD elsewhere.
+ */
+export function resolveScoringMode(questionType, scoring) {
+    const { mode } = resolveScoring(scoring);
+    const resolved = mode === AUTO_SCORING_MODE ? getDefaultScoringMode(questionType) : mode;
+    if (resolved === SCORING_MODES.PROXIMITY && questionType !== QUESTION_TYPES.NUMERIC) {
+        return SCORING_MODES.STANDARD;
+    }
+    if (resolved === SCORING_MODES.MULTI_ENTRY && questionType !== QUESTION_TYPES.MULTI_ENTRY) {
+        return SCORING_MODES.STANDARD;
+    }
+    return resolved;
+}
+
+// ============================================================================
+// Point curves
+// ============================================================================
+
+function rankPoints(rank, scoring) {
+    return Math.max(scoring.minPoints, scoring.maxPoints - rank);
+}
+
+function curvePoints(rank, elapsedMs, durationMs, scoring) {
+    const { maxPoints, minPoints, speedCurve } = scoring;
+    const spread = maxPoints - minPoints;
+    const t = durationMs > 0 && isFiniteNumber(elapsedMs)
+        ? Math.max(0, Math.min(1, elapsedMs / durationMs))
+        : 0;
+    switch (speedCurve) {
+        case SPEED_CURVES.LINEAR:
+            return Math.round(minPoints + spread * (1 - t));
+        case SPEED_CURVES.EXPONENTIAL:
+            return Math.round(minPoints + spread * Math.exp(-EXPONENTIAL_DECAY_RATE * t));
+        case SPEED_CURVES.NONE:
+            return maxPoints;
+        case SPEED_CURVES.RANK:
+        default:
+            return rankPoints(rank, scoring);
+    }
+}
+
+/**
+ * Full-credit points for the `rank`-th (0-based) scoring answer
+ */
+function basePointsFor(mode, rank, elapsedMs, durationMs, scoring) {
+    switch (mode) {
+        case SCORING_MODES.FIRST_ONLY:
+            return rank === 0 ? scoring.maxPoints : 0;
+        case SCORING_MODES.RANKED:
+        case SCORING_MODES.PROXIMITY:
+            return rankPoints(rank, scoring);
+        case SCORING_MODES.MULTI_ENTRY:
+        case SCORING_MODES.STANDARD:
+        default:
+            return curvePoints(rank, elapsedMs, durationMs, scoring);
+    }
+}
+
+/**
+ * Multiplier for a player currently on `streak` consecutive correct answers
+ */
+export function getStreakMultiplier(streak, scoring) {
+    const { streakMultipliers } = resolveScoring(scoring);
+    if (!streak || !streakMultipliers?.length) return 1;
+    return streakMultipliers.reduce(
+        (multiplier, tier) => (streak >= tier.minStreak ? tier.multiplier : multiplier),
+        1
+    );
+}
+
+// A fully correct answer extends the streak, so it scores at the extended length
+function applyStreak(points, playerId, streakByPlayerId, scoring) {
+    if (points <= 0 || !streakByPlayerId) return points;
+    const multiplier = getStreakMultiplier((streakByPlayerId.get(playerId) || 0) + 1, scoring);
+    return Math.round(points * multiplier);
+}
+
+/**
+ * Share of full points for an answer given while `revealedCount` lines of a
+ * progressive-reveal round were showing: 1 on the first line, then an equal
+ * step down per line (4 lines: 1, 0.75, 0.5, 0.25)
+ */
+function revealCredit(round, submission) {
+    const totalLines = round.reveal?.lines?.length;
+    if (!totalLines || !submission.revealedCount) return 1;
+    return (totalLines - Math.min(submission.revealedCount, totalLines) + 1) / totalLines;
+}
+
+// ============================================================================
+// Scoring
+// ============================================================================
+
+function elapsedFor(round, submission) {
+    return typeof round.startedAt === 'number' && typeof submission.submittedAt === 'number'
+        ? Math.max(0, submission.submittedAt - round.startedAt)
+        : null;
+}
+
+/**
+ * Rank submissions for the question type.
+ * credit: 0..1 share of full points; status: what the roster shows on reveal.
+ */
+function rankSubmissions(round, mode) {
+    const submissions = Array.from(round.submissions?.values() || []);
+    const questionType = round.questionType || QUESTION_TYPES.FREE_TEXT;
+
+    if (questionType === QUESTION_TYPES.MULTI_ENTRY) {
+        const totalAnswers = round.question?.answers?.length || 1;
+        return submissions
+            .map((submission) => {
+                const credit = Math.min(1, (submission.foundAnswers?.length || 0) / totalAnswers);
+                const status = credit === 1 ? 'correct' : credit > 0 ? 'partial' : 'incorrect';
+                return { submission, credit, status, showElapsed: true };
+            })
+            .sort((a, b) => (b.credit - a.credit) || (a.submission.submittedAt - b.submission.submittedAt));
+    }
+
+    if (questionType === QUESTION_TYPES.NUMERIC) {
+        const ranked = submissions
+            .filter(s => s.numericValue != null && s.hasSubmitted)
+            .sort((a, b) => (a.difference - b.difference) || (a.submittedAt - b.submittedAt));
+        return ranked.map((submission, index) => {
+            const isExact = submission.difference === 0;
+            let status = 'incorrect';
+            if (isExact) {
+                status = 'correct';
+            } else if (index < ranked.length / 2) {
+                status = 'partial'; // Top half
+            }
+            // Proximity pays everyone by closeness; other modes only pay exact answers
+            const credit = mode === SCORING_MODES.PROXIMITY || isExact ? 1 : 0;
+            return { submission, credit, status, showElapsed: true, isWrong: credit === 0 };
+        });
+    }
+
+    if (questionType === QUESTION_TYPES.ORDERED_LIST && typeSupportsPartialCredit(questionType)) {
+        // orderScore: 0..1 agreement with the correct order, set on submit
+        return submissions
+            .filter(s => s.hasSubmitted)
+            .map((submission) => {
+                const credit = submission.isCorrect ? 1 : (submission.orderScore || 0);
+                const status = submission.isCorrect ? 'correct' : credit > 0 ? 'partial' : 'incorrect';
+                return { submission, credit, status, showElapsed: true, isWrong: credit === 0 };
+            })
+            .sort((a, b) => (b.credit - a.credit) || (a.submission.submittedAt - b.submission.submittedAt));
+    }
+
+    const correct = submissions
+        .filter(s => s.isCorrect)
+        .sort((a, b) => a.submittedAt - b.submittedAt)
+        .map(submission => ({ submission, credit: 1, status: 'correct', showElapsed: true }));
+    const incorrect = submissions
+        .filter(s => !s.isCorrect && s.hasSubmitted)
+        .map(submission => ({ submission, credit: 0, status: 'incorrect', showElapsed: false, isWrong: true }));
+    return [...correct, ...incorrect];
+}
+
+/**
+ * Score a round whose results were held back until it ended
+ * (choice, numeric, multi-entry and ordered-list questions)
+ * @param {object} round - Finalized round from gameManager
+ * @param {object} scoring - Lobby scoring settings
+ * @param {object} [options]
+ * @param {Map<string, number>} [options.streakByPlayerId] - Streaks before this round, for multipliers
+ * @returns {Array<{ playerId: string, points: number, status: string, elapsedMs: number|null }>}
+ *          points is negative for wrong-answer penalties
+ */
+export function scoreDeferredRound(round, scoring, { streakByPlayerId = null } = {}) {
+    if (!round) return [];
+    const resolved = resolveScoring(scoring);
+    const mode = resolveScoringMode(round.questionType, resolved);
+    let rank = 0;
+
+    return rankSubmissions(round, mode).map(({ submission, credit, status, showElapsed, isWrong }) => {
+        const elapsedMs = showElapsed ? elapsedFor(round, submission) : null;
+        let points = 0;
+        if (credit > 0) {
+            const base = basePointsFor(mode, rank, elapsedMs, round.durationMs, resolved);
+            const earned = Math.ceil(base * credit * revealCredit(round, submission));
+            points = status === 'correct'
+                ? applyStreak(earned, submission.playerId, streakByPlayerId, resolved)
+                : earned;
+            rank += 1;
+        } else if (isWrong && resolved.wrongAnswerPenalty > 0) {
+            points = -resolved.wrongAnswerPenalty;
+        }
+        return { playerId: submission.playerId, points, status, elapsedMs };
+    });
+}
+
+/**
+ * Points for a correct answer revealed on submit (free-text)
+ * @param {object} round - Active round
+ * @param {object} entry - The player's submission entry; its revealedCount is
+ *                         the reveal level when the correct answer came in
+ * @param {object} scoring - Lobby scoring settings
+ * @param {object} [options]
+ * @param {number} [options.streak] - Player's streak including this answer
+ */
+export function scoreImmediateAnswer(round, entry, scoring, { streak = 0 } = {}) {
+    if (!round || !entry) return 0;
+    const resolved = resolveScoring(scoring);
+    const mode = resolveScoringMode(round.questionType, resolved);
+    const earlierCorrect = Array.from(round.submissions.values())
+        .filter(answer => answer.isCorrect && answer.playerId !== entry.playerId).length;
+    const base = basePointsFor(mode, earlierCorrect, elapsedFor(round, entry), round.durationMs, resolved);
+    if (base <= 0) return 0;
+    const earned = Math.max(resolved.minPoints, Math.round(base * revealCredit(round, entry)));
+    return Math.round(earned * getStreakMultiplier(streak, resolved));
+}
+
+/**
+ * Points taken away for a wrong guess on a question that reveals on submit
+ */
+export function getWrongAnswerPenalty(scoring) {
+    return resolveScoring(scoring).wrongAnswerPenalty;
+}
+
+/**
+ * Add (or subtract) points, never letting a score go below zero
+ */
+export function applyPoints(currentScore, points) {
+    return Math.max(0, (currentScore || 0) + points);
+}
@@ -0,0 +1,21 @@
+/**
+ * Secrets
+ *
+ * Checks for the shared secrets people type in: the admin dashboard password
+ * and lobby passcodes.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Check a typed secret against the expected one. Digests are compared so the
+ * check takes the same time for any guess.
+ * @param {string} candidate
+ * @param {string} expected
+ * @returns {boolean}
+ */
+export function passwordsMatch(candidate, expected) {
+    const a = crypto.createHash('sha256').update(candidate).digest();
+    const b = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(a, b);
+}
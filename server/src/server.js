@@ -12,31 +12,77 @@ import {
     joinLobby,
     getLobbyPlayer,
     getLobby,
+    checkLobbyAdmission,
+    revokeLobbyAdmission,
+    transferLobbyHost,
     isLobbyHost,
+    isLobbySpectator,
+    getLobbyRoles,
     removePlayerFromLobby,
     markLobbyActive,
     setLobbyPhase,
     listLobbies,
     destroyLobby,
     getLobbyPhases,
+    getAnswerModes,
     resetLobbyRoundGuesses,
     getLobbySettings,
+    getLobbySettingsForMember,
     updateLobbySettings,
-    resetLobbyGameState
+    resetLobbyGameState,
+    exportLobbySnapshots,
+    restoreLobbySnapshots,
+    reconcileUsedQuestionIds,
+    isTeamMode,
+    assignPlayerToTeam,
+    getPlayerTeamId,
+    getLobbyTeams,
+    getPlayerStreak,
+    recordRoundStreaks,
+    recordRoundStats,
+    getMatchEndModes,
+    startMatch,
+    recordMatchRoundStarted,
+    getMatchProgress,
+    isMatchComplete,
+    resolveMatchWinner
 } from './lobbyManager.js'
-import { connectPlayer, disconnectSocket, getPlayerBySocket, listPlayers } from "./playerManager.js"
+import { connectPlayer, disconnectSocket, getPlayerBySocket, getPlayerById, listPlayers } from "./playerManager.js"
 import { 
     startNewRound, 
     getActiveRound, 
+    getRound,
+    getPlayerSubmission,
     submitAnswerToRound, 
     buildRoundPayload, 
     finalizeRound, 
     clearRoundState,
-    shouldRoundEnd 
+    shouldRoundEnd,
+    exportRoundSnapshots,
+    restoreRoundSnapshots,
+    revealNextLine,
+    buzzIn,
+    expireBuzzerWindow,
+    buildBuzzerPayload,
+    BUZZER_STATES,
+    findAnswerInChatMessage
 } from './gameManager.js'
-import { initializeQuestionStore, flagQuestion, getTagIndexSnapshot } from './questionStore.js'
+import {
+    initializeQuestionStore,
+    reloadQuestionStore,
+    watchQuestionData,
+    getQuestionById,
+    flagQuestion,
+    getTagIndexSnapshot,
+    listQuestionPacks
+} from './questionStore.js'
 import { QUESTION_TYPES, typeRevealsOnSubmit } from './questionTypes.js'
 import { validateExpression, getFilterStatistics } from './questionFilter.js'
+import { createPersistenceStore } from './persistenceStore.js'
+import { createAdminRouter } from './adminRoutes.js'
+import { validateChatMessage } from './validation.js'
+import { configureNearMissLog, recordRejectedGuess, flushNearMissLog } from './nearMissLog.js'
+import { scoreDeferredRound, scoreImmediateAnswer, getWrongAnswerPenalty, applyPoints } from './scoringEngine.js'
 
 // Validate configuration
 if (!validateConfig()) {
@@ -68,7 +114,7 @@ const corsOptions = {
     origin: config.corsOrigin,
     credentials: true,
     methods: ['GET', 'POST'],
-    allowedHeaders: ['Content-Type']
+    allowedHeaders: ['Content-Type', 'Authorization']
 };
 
 if (config.isDevelopment) {
@@ -101,14 +147,31 @@ try {
     process.exit(1)
 }
 
+const persistenceStore = createPersistenceStore({
+    driver: config.persistenceDriver,
+    filePath: config.persistencePath
+});
+
+configureNearMissLog({
+    filePath: config.nearMissLogPath,
+    debounceMs: config.nearMissFlushMs
+});
+
 const roundTimers = new Map();
+const revealTimers = new Map();
+const buzzerTimers = new Map();
 const summaryTimers = new Map();
+const chatSendTimes = new Map();
+// Host each lobby's settings (with the passcode) were last sent to
+const settingsHostByLobbyId = new Map();
+let persistTimer = null;
+let chatMessageSeq = 0;
 const LOBBY_DESTROY_GRACE_MS = config.lobbyDestroyGraceMs;
 const LOBBY_CLEANUP_INTERVAL_MS = config.lobbyCleanupIntervalMs;
 const MAX_GUESS_PREVIEW_LENGTH = 40;
-const MAX_CORRECT_POINTS = 10;
-const MIN_CORRECT_POINTS = 1;
 const SUMMARY_DURATION_MS = 4_000;
+const CHAT_RATE_LIMIT_WINDOW_MS = config.chatRateLimitWindowMs;
+const CHAT_RATE_LIMIT_MAX_MESSAGES = config.chatRateLimitMaxMessages;
 
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -122,49 +185,63 @@ if (fs.existsSync(mediaAssetsPath)) {
     app.use('/media', express.static(mediaAssetsPath));
 }
 
-if (fs.existsSync(clientDistPath)) {
-    app.use(express.static(clientDistPath));
-    
-    // API endpoint for getting available tags
-    app.get('/api/tags', apiLimiter, (req, res) => {
-        try {
-            const tagIndex = getTagIndexSnapshot();
-            const tags = Object.keys(tagIndex).sort();
-            res.json({ tags, count: tags.length });
-        } catch (error) {
-            console.error('Error getting tags:', error);
-            res.status(500).json({ error: 'Failed to get tags' });
-        }
-    });
-    
-    // API endpoint for validating filter expressions
-    app.get('/api/filter/validate', apiLimiter, (req, res) => {
-        try {
-            const expr = req.query.expr || '';
-            const validation = validateExpression(expr);
-            if (validation.valid) {
-                const stats = getFilterStatistics(expr);
-                res.json({ valid: true, matchCount: stats.total });
-            } else {
-                res.json({ valid: false, error: validation.error });
-            }
-        } catch (error) {
-            console.error('Error validating filter:', error);
-            res.status(500).json({ error: 'Failed to validate filter' });
+// Moderation API for the /admin dashboard
+app.use('/api/admin', apiLimiter, createAdminRouter({ password: config.adminPassword }));
+
+// API endpoint for listing question packs
+app.get('/api/packs', apiLimiter, (req, res) => {
+    try {
+        const packs = listQuestionPacks();
+        res.json({ packs, count: packs.length });
+    } catch (error) {
+        console.error('Error listing question packs:', error);
+        res.status(500).json({ error: 'Failed to list question packs' });
+    }
+});
+
+// API endpoint for getting available tags
+app.get('/api/tags', apiLimiter, (req, res) => {
+    try {
+        const tagIndex = getTagIndexSnapshot(req.query.packId);
+        const tags = Object.keys(tagIndex).sort();
+        res.json({ tags, count: tags.length });
+    } catch (error) {
+        console.error('Error getting tags:', error);
+        res.status(500).json({ error: 'Failed to get tags' });
+    }
+});
+
+// API endpoint for validating filter expressions
+app.get('/api/filter/validate', apiLimiter, (req, res) => {
+    try {
+        const expr = req.query.expr || '';
+        const validation = validateExpression(expr);
+        if (validation.valid) {
+            const stats = getFilterStatistics(expr, req.query.packId);
+            res.json({ valid: true, matchCount: stats.total });
+        } else {
+            res.json({ valid: false, error: validation.error });
         }
+    } catch (error) {
+        console.error('Error validating filter:', error);
+        res.status(500).json({ error: 'Failed to validate filter' });
+    }
+});
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+    res.json({ 
+        status: 'ok', 
+        timestamp: Date.now(),
+        env: config.env,
+        lobbies: listLobbies().length,
+        players: listPlayers().length
     });
-    
-    // Health check endpoint
-    app.get('/api/health', (req, res) => {
-        res.json({ 
-            status: 'ok', 
-            timestamp: Date.now(),
-            env: config.env,
-            lobbies: listLobbies().length,
-            players: listPlayers().length
-        });
-    });
-    
+});
+
+if (fs.existsSync(clientDistPath)) {
+    app.use(express.static(clientDistPath));
+
     app.get(/.*/, (req, res, next) => {
         if (req.path.startsWith('/socket.io') || req.path.startsWith('/api')) {
             return next();
@@ -192,11 +269,48 @@ function sanitizeGuessPreview(value = '') {
     return `${text.slice(0, MAX_GUESS_PREVIEW_LENGTH - 3)}...`;
 }
 
+function persistState() {
+    if (persistTimer) {
+        clearTimeout(persistTimer);
+        persistTimer = null;
+    }
+    persistenceStore.save({
+        lobbies: exportLobbySnapshots(),
+        rounds: exportRoundSnapshots()
+    });
+}
+
+/**
+ * Debounced snapshot - called from every broadcast, so bursts of updates
+ * collapse into a single write
+ */
+function schedulePersist() {
+    if (persistTimer) return;
+    persistTimer = setTimeout(persistState, config.persistenceDebounceMs);
+}
+
+/**
+ * Send the lobby settings to every member. Only the host's sockets get the
+ * passcode; everyone else gets `hasPasscode`.
+ */
 function broadcastLobbySettings(lobbyId) {
     const lobby = getLobby(lobbyId);
     if (!lobby) return;
-    const settings = getLobbySettings(lobbyId);
-    io.to(lobbyId).emit('lobbySettingsUpdate', { lobbyId, settings });
+    const room = io.sockets.adapter.rooms.get(lobbyId);
+    const hostSocketIds = Array.from(getPlayerById(lobby.hostPlayerId)?.socketIds || [])
+        .filter(socketId => room?.has(socketId));
+    io.to(lobbyId).except(hostSocketIds).emit('lobbySettingsUpdate', {
+        lobbyId,
+        settings: getLobbySettingsForMember(lobbyId, null)
+    });
+    if (hostSocketIds.length) {
+        io.to(hostSocketIds).emit('lobbySettingsUpdate', {
+            lobbyId,
+            settings: getLobbySettingsForMember(lobbyId, lobby.hostPlayerId)
+        });
+    }
+    settingsHostByLobbyId.set(lobbyId, lobby.hostPlayerId);
+    schedulePersist();
 }
 
 function announceLobbyWin(lobbyId, winPayload) {
@@ -210,13 +324,12 @@ function ensureLobbyRuntimeDefaults(lobby) {
     }
 }
 
-function broadcastLobbyRoster(lobbyId) {
-    const lobby = getLobby(lobbyId);
-    if (!lobby) return;
-    ensureLobbyRuntimeDefaults(lobby);
-    markLobbyActive(lobbyId);
-
-    const payload = {
+/**
+ * Public view of a lobby's members (no passcode, ban list or socket IDs)
+ */
+function buildLobbyRoster(lobby) {
+    const lobbyId = lobby.id;
+    return {
         lobbyId,
         hostPlayerId: lobby.hostPlayerId,
         players: lobby.players.map(({ playerId, name, score, roundGuessStatus, lastGuessText, correctElapsedMs }) => ({
@@ -225,11 +338,31 @@ function broadcastLobbyRoster(lobbyId) {
             score,
             roundGuessStatus,
             lastGuessText,
-            correctElapsedMs
+            correctElapsedMs,
+            teamId: getPlayerTeamId(lobbyId, playerId),
+            streak: getPlayerStreak(lobbyId, playerId)
+        })),
+        spectators: (lobby.spectators || []).map(({ playerId, name }) => ({ playerId, name })),
+        teams: getLobbyTeams(lobbyId).map(({ teamId, score, members }) => ({
+            teamId,
+            score,
+            memberIds: members.map(m => m.playerId)
         }))
     };
+}
+
+function broadcastLobbyRoster(lobbyId) {
+    const lobby = getLobby(lobbyId);
+    if (!lobby) return;
+    ensureLobbyRuntimeDefaults(lobby);
+    markLobbyActive(lobbyId);
 
-    io.to(lobbyId).emit('lobbyRosterUpdate', payload);
+    io.to(lobbyId).emit('lobbyRosterUpdate', buildLobbyRoster(lobby));
+    // A new host needs the passcode, and the old one should stop seeing it
+    if (settingsHostByLobbyId.get(lobbyId) !== lobby.hostPlayerId) {
+        broadcastLobbySettings(lobbyId);
+    }
+    schedulePersist();
 }
 
 function emitLobbyPhase(lobbyId) {
@@ -241,9 +374,11 @@ function emitLobbyPhase(lobbyId) {
         lobbyId,
         phase: lobby.phase,
         phaseData: lobby.phaseData,
-        lastRoundSummary: lobby.lastRoundSummary
+        lastRoundSummary: lobby.lastRoundSummary,
+        match: getMatchProgress(lobbyId)
     };
     io.to(lobbyId).emit('lobbyPhaseUpdate', payload);
+    schedulePersist();
 }
 
 function didAllPlayersAnswerCorrect(lobbyId) {
@@ -279,6 +414,26 @@ function scheduleRoundTimer(lobbyId, round) {
         finalizeRoundAndBroadcast(lobbyId, 'timer');
     }, delay);
     roundTimers.set(lobbyId, timer);
+    scheduleLyricReveal(lobbyId, round);
+    scheduleBuzzerWindow(lobbyId, round);
+}
+
+/**
+ * Progressive-reveal rounds release their next lyric line at nextRevealAt,
+ * until every line is showing or the round ends
+ */
+function scheduleLyricReveal(lobbyId, round) {
+    const nextRevealAt = round?.reveal?.nextRevealAt;
+    if (!nextRevealAt) return;
+    const timer = setTimeout(() => {
+        revealTimers.delete(lobbyId);
+        const revealed = revealNextLine(lobbyId);
+        if (!revealed) return;
+        io.to(lobbyId).emit('lyricLineRevealed', revealed);
+        schedulePersist();
+        scheduleLyricReveal(lobbyId, getActiveRound(lobbyId));
+    }, Math.max(nextRevealAt - Date.now(), 0));
+    revealTimers.set(lobbyId, timer);
 }
 
 function clearRoundTimer(lobbyId) {
@@ -287,6 +442,115 @@ function clearRoundTimer(lobbyId) {
         clearTimeout(timer);
         roundTimers.delete(lobbyId);
     }
+    const revealTimer = revealTimers.get(lobbyId);
+    if (revealTimer) {
+        clearTimeout(revealTimer);
+        revealTimers.delete(lobbyId);
+    }
+    clearBuzzerTimer(lobbyId);
+}
+
+function broadcastBuzzer(lobbyId) {
+    const round = getActiveRound(lobbyId);
+    if (!round?.buzzer) return;
+    io.to(lobbyId).emit('buzzerUpdate', buildBuzzerPayload(round));
+    schedulePersist();
+}
+
+/**
+ * Buzzer rounds: lock the holder out if their answer window runs out
+ */
+function scheduleBuzzerWindow(lobbyId, round) {
+    clearBuzzerTimer(lobbyId);
+    const buzzer = round?.buzzer;
+    if (buzzer?.state !== BUZZER_STATES.ANSWERING) return;
+    const { holderId } = buzzer;
+    const timer = setTimeout(() => {
+        buzzerTimers.delete(lobbyId);
+        if (!expireBuzzerWindow(lobbyId, holderId)) return;
+        broadcastBuzzer(lobbyId);
+        if (didAllPlayersAnswerCorrect(lobbyId)) {
+            finalizeRoundAndBroadcast(lobbyId, getRoundEndReason(lobbyId) || 'all-locked-out');
+        }
+    }, Math.max(buzzer.windowEndsAt - Date.now(), 0));
+    buzzerTimers.set(lobbyId, timer);
+}
+
+function clearBuzzerTimer(lobbyId) {
+    const timer = buzzerTimers.get(lobbyId);
+    if (timer) {
+        clearTimeout(timer);
+        buzzerTimers.delete(lobbyId);
+    }
+}
+
+/**
+ * Count a chat message against the player's rate limit
+ * @returns {number} 0 if the message may be sent, otherwise ms until it may
+ */
+function takeChatSlot(playerId) {
+    const now = Date.now();
+    const recent = (chatSendTimes.get(playerId) || []).filter(sentAt => now - sentAt < CHAT_RATE_LIMIT_WINDOW_MS);
+    if (recent.length >= CHAT_RATE_LIMIT_MAX_MESSAGES) {
+        chatSendTimes.set(playerId, recent);
+        return recent[0] + CHAT_RATE_LIMIT_WINDOW_MS - now;
+    }
+    recent.push(now);
+    chatSendTimes.set(playerId, recent);
+    return 0;
+}
+
+/**
+ * Check a host moderation request ({ playerId } of the member to act on)
+ * @returns {{ lobbyId: string, targetId: string }|null} null once the socket has been told why not
+ */
+function resolveModerationTarget(socket, action, payload) {
+    const player = getPlayerBySocket(socket);
+    const lobbyId = player?.lobbyId;
+    const targetId = typeof payload?.playerId === 'string' ? payload.playerId : null;
+
+    let reason = null;
+    if (!lobbyId) {
+        reason = 'no-lobby';
+    } else if (!isLobbyHost(lobbyId, player.playerId)) {
+        reason = 'not-host';
+    } else if (!targetId || targetId === player.playerId) {
+        reason = 'invalid-target';
+    } else if (!getLobbyPlayer(lobbyId, targetId) && !isLobbySpectator(lobbyId, targetId)) {
+        reason = 'not-in-lobby';
+    }
+
+    if (reason) {
+        socket.emit('moderationResult', { action, success: false, reason });
+        return null;
+    }
+    return { lobbyId, targetId };
+}
+
+/**
+ * Remove a member at the host's request. Their sockets get a `kicked` event and
+ * leave the lobby room, so they stop receiving its broadcasts.
+ */
+function removeLobbyMember(lobbyId, playerId, { ban = false } = {}) {
+    revokeLobbyAdmission(lobbyId, playerId, { ban });
+    removePlayerFromLobby(lobbyId, playerId);
+
+    const player = getPlayerById(playerId);
+    if (player?.lobbyId === lobbyId) {
+        player.lobbyId = null;
+        player.socketIds.forEach((socketId) => {
+            const memberSocket = io.sockets.sockets.get(socketId);
+            memberSocket?.emit('kicked', { lobbyId, reason: ban ? 'banned' : 'kicked' });
+            memberSocket?.leave(lobbyId);
+        });
+    }
+
+    broadcastLobbyRoster(lobbyId);
+    emitLobbyPhase(lobbyId);
+    // The removed player may have been the last one the round was waiting on
+    if (didAllPlayersAnswerCorrect(lobbyId)) {
+        finalizeRoundAndBroadcast(lobbyId, getRoundEndReason(lobbyId) || 'all-correct');
+    }
 }
 
 function clearSummaryTimer(lobbyId) {
@@ -305,13 +569,13 @@ function getRevealDurationMs(lobbyId) {
     return SUMMARY_DURATION_MS;
 }
 
-function scheduleSummaryAdvance(lobbyId) {
+function scheduleSummaryAdvance(lobbyId, delayMs = null) {
     const lobby = getLobby(lobbyId);
     ensureLobbyRuntimeDefaults(lobby);
     if (!lobby?.isAutoPlayActive) return;
     if (lobby.phase !== getLobbyPhases().SUMMARY) return;
 
-    const duration = getRevealDurationMs(lobbyId);
+    const duration = delayMs ?? getRevealDurationMs(lobbyId);
     clearSummaryTimer(lobbyId);
     const timer = setTimeout(() => {
         summaryTimers.delete(lobbyId);
@@ -343,119 +607,27 @@ function finalizeRoundAndBroadcast(lobbyId, reason = 'manual') {
     const shouldDeferPoints = !typeRevealsOnSubmit(questionType);
     
     if (shouldDeferPoints && round?.submissions && lobby) {
-        // Special handling for multi-entry: award partial credit based on percentage found
-        if (questionType === QUESTION_TYPES.MULTI_ENTRY) {
-            const totalAnswers = round.question.answers?.length || 1;
-            const allSubmissions = Array.from(round.submissions.values())
-                .map(s => ({
-                    ...s,
-                    percentCorrect: Math.min(100, ((s.foundAnswers?.length || 0) / totalAnswers) * 100)
-                }))
-                .sort((a, b) => {
-                    // Sort by percentage correct first, then by time
-                    if (b.percentCorrect !== a.percentCorrect) {
-                        return b.percentCorrect - a.percentCorrect;
-                    }
-                    return a.submittedAt - b.submittedAt;
-                });
-            
-            allSubmissions.forEach((submission, index) => {
-                const lobbyPlayer = lobby.players.find(p => p.playerId === submission.playerId);
-                if (lobbyPlayer) {
-                    // Calculate base points (what they would have gotten for fully correct)
-                    const basePoints = Math.max(MIN_CORRECT_POINTS, MAX_CORRECT_POINTS - index);
-                    // Apply percentage multiplier and round up
-                    const pointsAwarded = Math.ceil(basePoints * (submission.percentCorrect / 100));
-                    
-                    lobbyPlayer.score = (lobbyPlayer.score || 0) + pointsAwarded;
-                    lobby.scoreByPlayerId?.set(lobbyPlayer.playerId, lobbyPlayer.score);
-                    
-                    // Update status for reveal
-                    if (submission.percentCorrect === 100) {
-                        lobbyPlayer.roundGuessStatus = 'correct';
-                    } else if (submission.percentCorrect > 0) {
-                        lobbyPlayer.roundGuessStatus = 'partial';
-                    } else {
-                        lobbyPlayer.roundGuessStatus = 'incorrect';
-                    }
-                    const elapsedMs = typeof round.startedAt === 'number' ? submission.submittedAt - round.startedAt : null;
-                    lobbyPlayer.correctElapsedMs = elapsedMs;
-                }
-            });
-        } else if (questionType === QUESTION_TYPES.NUMERIC) {
-            // Numeric questions: award points based on proximity (closest wins most)
-            const numericSubmissions = Array.from(round.submissions.values())
-                .filter(s => s.numericValue != null && s.hasSubmitted)
-                .sort((a, b) => {
-                    // Sort by difference (closest first), then by time
-                    if (a.difference !== b.difference) {
-                        return a.difference - b.difference;
-                    }
-                    return a.submittedAt - b.submittedAt;
-                });
-            
-            // Award points in rank order - everyone who submitted gets points
-            numericSubmissions.forEach((submission, index) => {
-                const lobbyPlayer = lobby.players.find(p => p.playerId === submission.playerId);
-                if (lobbyPlayer) {
-                    // Points based on rank: 1st gets MAX, 2nd gets MAX-1, etc.
-                    const pointsAwarded = Math.max(
-                        MIN_CORRECT_POINTS,
-                        MAX_CORRECT_POINTS - index
-                    );
-                    
-                    lobbyPlayer.score = (lobbyPlayer.score || 0) + pointsAwarded;
-                    lobby.scoreByPlayerId?.set(lobbyPlayer.playerId, lobbyPlayer.score);
-                    
-                    // Status: exact match = correct, close = partial, far = incorrect
-                    if (submission.difference === 0) {
-                        lobbyPlayer.roundGuessStatus = 'correct';
-                    } else if (index < numericSubmissions.length / 2) {
-                        lobbyPlayer.roundGuessStatus = 'partial'; // Top half
-                    } else {
-                        lobbyPlayer.roundGuessStatus = 'incorrect';
-                    }
-                    
-                    const elapsedMs = typeof round.startedAt === 'number' ? submission.submittedAt - round.startedAt : null;
-                    lobbyPlayer.correctElapsedMs = elapsedMs;
-                }
-            });
-        } else {
-            // Standard deferred scoring for other question types
-            const correctSubmissions = Array.from(round.submissions.values())
-                .filter(s => s.isCorrect)
-                .sort((a, b) => a.submittedAt - b.submittedAt);
-            
-            correctSubmissions.forEach((submission, index) => {
-                const lobbyPlayer = lobby.players.find(p => p.playerId === submission.playerId);
-                if (lobbyPlayer) {
-                    const pointsAwarded = Math.max(
-                        MIN_CORRECT_POINTS,
-                        MAX_CORRECT_POINTS - index
-                    );
-                    lobbyPlayer.score = (lobbyPlayer.score || 0) + pointsAwarded;
-                    lobby.scoreByPlayerId?.set(lobbyPlayer.playerId, lobbyPlayer.score);
-                    
-                    // Also update status for reveal
-                    lobbyPlayer.roundGuessStatus = 'correct';
-                    const elapsedMs = typeof round.startedAt === 'number' ? submission.submittedAt - round.startedAt : null;
-                    lobbyPlayer.correctElapsedMs = elapsedMs;
-                }
-            });
-            
-            // Mark incorrect submissions
-            Array.from(round.submissions.values())
-                .filter(s => !s.isCorrect && s.hasSubmitted)
-                .forEach(submission => {
-                    const lobbyPlayer = lobby.players.find(p => p.playerId === submission.playerId);
-                    if (lobbyPlayer && lobbyPlayer.roundGuessStatus === 'submitted') {
-                        lobbyPlayer.roundGuessStatus = 'incorrect';
-                    }
-                });
-        }
+        const results = scoreDeferredRound(round, lobby.settings?.scoring, {
+            streakByPlayerId: lobby.streakByPlayerId
+        });
+        results.forEach(({ playerId, points, status, elapsedMs }) => {
+            const lobbyPlayer = lobby.players.find(p => p.playerId === playerId);
+            if (!lobbyPlayer) return;
+            lobbyPlayer.score = applyPoints(lobbyPlayer.score, points);
+            lobby.scoreByPlayerId?.set(lobbyPlayer.playerId, lobbyPlayer.score);
+            // Update status for reveal
+            lobbyPlayer.roundGuessStatus = status;
+            lobbyPlayer.correctElapsedMs = elapsedMs;
+        });
     }
 
+    const brokenStreaks = recordRoundStreaks(lobbyId);
+    recordRoundStats(lobbyId);
+
     const payload = buildRoundEndPayload(summary, reason);
+    if (brokenStreaks.length) {
+        payload.brokenStreaks = brokenStreaks;
+    }
     const revealDurationMs = getRevealDurationMs(lobbyId);
     const revealEndsAt = Date.now() + revealDurationMs;
     const autoAdvanceEnabled = Boolean(lobby?.isAutoPlayActive);
@@ -500,7 +672,8 @@ function buildRoundEndPayload(summary, reason) {
         })),
         reason,
         startedAt: summary.startedAt,
-        endedAt: summary.endedAt
+        endedAt: summary.endedAt,
+        answerStrictness: summary.answerStrictness
     };
     
     // Include proximity ranking for numeric questions (with player names)
@@ -537,10 +710,13 @@ function buildRoundEndPayload(summary, reason) {
     return payload;
 }
 
-function buildWinPayload(lobby, winnerPlayer, targetScore) {
-    return {
+function buildWinPayload(lobby, winnerPlayer, targetScore, winningTeam = null, decidedBy = null) {
+    const payload = {
         lobbyId: lobby.id,
         targetScore,
+        endCondition: lobby.settings?.endCondition || getMatchEndModes().POINTS,
+        // Set when a rounds/timed match ended level on points
+        decidedBy,
         achievedAt: Date.now(),
         winner: {
             playerId: winnerPlayer.playerId,
@@ -548,9 +724,18 @@ function buildWinPayload(lobby, winnerPlayer, targetScore) {
             score: winnerPlayer.score
         }
     };
+    if (winningTeam) {
+        payload.team = {
+            teamId: winningTeam.teamId,
+            score: winningTeam.score,
+            scoreRule: lobby.settings?.teamScoreRule,
+            members: winningTeam.members
+        };
+    }
+    return payload;
 }
 
-function handleLobbyWin(lobby, winnerPlayer) {
+function handleLobbyWin(lobby, winnerPlayer, winningTeam = null, decidedBy = null) {
     if (!lobby || !winnerPlayer) return false;
     const targetScore = (lobby.settings?.pointsToWin) || getLobbySettings(lobby.id).pointsToWin;
     clearRoundTimer(lobby.id);
@@ -558,7 +743,7 @@ function handleLobbyWin(lobby, winnerPlayer) {
     clearSummaryTimer(lobby.id);
     lobby.isAutoPlayActive = false;
 
-    const winPayload = buildWinPayload(lobby, winnerPlayer, targetScore);
+    const winPayload = buildWinPayload(lobby, winnerPlayer, targetScore, winningTeam, decidedBy);
     setLobbyPhase(lobby.id, getLobbyPhases().WIN, { win: winPayload });
     announceLobbyWin(lobby.id, winPayload);
     broadcastLobbyRoster(lobby.id);
@@ -566,12 +751,62 @@ function handleLobbyWin(lobby, winnerPlayer) {
     return true;
 }
 
+/**
+ * Team mode: pointsToWin applies to team scores. Ties at the top keep the game going.
+ * The winning team's top scorer stands in as `winner` so older clients still render.
+ */
+function checkForTeamWin(lobby) {
+    const targetScore = lobby.settings?.pointsToWin || getLobbySettings(lobby.id).pointsToWin;
+    const teamsAtOrAboveTarget = getLobbyTeams(lobby.id)
+        .filter(team => team.members.length > 0 && team.score >= targetScore);
+    if (teamsAtOrAboveTarget.length === 0) {
+        return false;
+    }
+
+    const maxScore = Math.max(...teamsAtOrAboveTarget.map(team => team.score));
+    const teamsWithMaxScore = teamsAtOrAboveTarget.filter(team => team.score === maxScore);
+    if (teamsWithMaxScore.length > 1) {
+        // Tie between teams - continue playing (sudden death)
+        return false;
+    }
+
+    const [winningTeam] = teamsWithMaxScore;
+    return handleLobbyWin(lobby, getTeamStandIn(lobby, winningTeam), winningTeam);
+}
+
+function getTeamStandIn(lobby, team) {
+    const topMember = [...team.members].sort((a, b) => b.score - a.score)[0];
+    return lobby.players.find(p => p.playerId === topMember.playerId) || topMember;
+}
+
+/**
+ * Rounds/timed matches end between rounds once the round count or clock runs
+ * out. A tie the tie-breakers can't settle plays on as sudden death.
+ */
+function checkForMatchEnd(lobby) {
+    if (!isMatchComplete(lobby.id)) return false;
+    const result = resolveMatchWinner(lobby.id);
+    if (!result) {
+        console.log(`[server] Match in ${lobby.id} is tied - continuing with sudden death`);
+        return false;
+    }
+    const winnerPlayer = result.team ? getTeamStandIn(lobby, result.team) : result.player;
+    return handleLobbyWin(lobby, winnerPlayer, result.team || null, result.decidedBy);
+}
+
 function maybeHandleWin(lobbyId, lobbyPlayer) {
     const lobby = getLobby(lobbyId);
     if (!lobby || !lobbyPlayer) return false;
     if (lobby.phase === getLobbyPhases().WIN) {
         return true;
     }
+    // Rounds/timed matches only end between rounds
+    if (getLobbySettings(lobbyId).endCondition !== getMatchEndModes().POINTS) {
+        return false;
+    }
+    if (isTeamMode(lobbyId)) {
+        return checkForTeamWin(lobby);
+    }
     const targetScore = lobby.settings?.pointsToWin || getLobbySettings(lobbyId).pointsToWin;
     if ((lobbyPlayer.score || 0) < targetScore) {
         return false;
@@ -602,6 +837,8 @@ function checkForWinAfterRound(lobbyId) {
     const lobby = getLobby(lobbyId);
     if (!lobby) return false;
     if (lobby.phase === getLobbyPhases().WIN) return true;
+    if (getLobbySettings(lobbyId).endCondition !== getMatchEndModes().POINTS) return checkForMatchEnd(lobby);
+    if (isTeamMode(lobbyId)) return checkForTeamWin(lobby);
     
     const targetScore = lobby.settings?.pointsToWin || getLobbySettings(lobbyId).pointsToWin;
     const playersAtOrAboveTarget = lobby.players.filter(p => (p.score || 0) >= targetScore);
@@ -638,13 +875,21 @@ function beginRoundForLobby(lobbyId, reason = 'manual') {
     if (activeRound) {
         return activeRound;
     }
+    // A timed match may have run out while the lobby sat in summary
+    if (checkForWinAfterRound(lobbyId)) return null;
 
     const settings = lobby?.settings || getLobbySettings(lobbyId);
     const roundDurationMs = settings?.roundDurationMs;
     const questionFilter = settings?.questionFilter || '*';
     
-    const round = startNewRound(lobbyId, roundDurationMs, questionFilter);
+    const round = startNewRound(lobbyId, roundDurationMs, questionFilter, {
+        guessRules: settings?.guessRules,
+        questionPackId: settings?.questionPackId,
+        answerStrictness: settings?.answerStrictness,
+        buzzerWindowMs: settings?.answerMode === getAnswerModes().BUZZER ? settings.buzzerWindowMs : null
+    });
     resetLobbyRoundGuesses(lobbyId);
+    recordMatchRoundStarted(lobbyId);
     const payload = buildRoundPayload(round);
     if (payload) {
         setLobbyPhase(lobbyId, getLobbyPhases().ROUND, { round: payload, reason });
@@ -661,29 +906,48 @@ io.on('connection', (socket) => {
     console.log('Client connected: ', socket.id);
 
     socket.on('joinLobby', (payload) => {
-        console.log('joinLobby', payload);
-        const { name, lobbyId, playerId } = payload;
+        console.log('joinLobby', { ...payload, passcode: payload?.passcode ? '***' : undefined });
+        const { name, lobbyId, playerId, passcode } = payload;
+        const roles = getLobbyRoles();
+        const requestedRole = payload.role === roles.SPECTATOR ? roles.SPECTATOR : roles.PLAYER;
+
+        const isNewLobby = !getLobby(lobbyId);
+        if (isNewLobby && listLobbies().length >= config.maxLobbies) {
+            socket.emit('joinLobbyResult', { res: false, lobbyId, reason: 'server-full' });
+            return;
+        }
+        const admission = checkLobbyAdmission(lobbyId, { playerId, passcode, role: requestedRole });
+        if (!admission.allowed) {
+            socket.emit('joinLobbyResult', { res: false, lobbyId, reason: admission.reason });
+            return;
+        }
+
         const player = connectPlayer(socket, { name, lobbyId, playerId });
 
-        const { lobby, lobbyPlayer, isHost } = joinLobby(socket, { name, lobbyId, playerId });
+        const { lobby, lobbyPlayer, isHost, role } = joinLobby(socket, { name, lobbyId, playerId, role: requestedRole });
+        // Creating a lobby with a passcode makes it private from the start
+        if (isNewLobby && typeof passcode === 'string' && passcode.trim()) {
+            updateLobbySettings(lobbyId, { passcode });
+        }
         markLobbyActive(lobbyId);
 
         // success, idk if it can fail but to justify the name
         const res = true;
 
+        const { hostPlayerId, players, spectators } = buildLobbyRoster(lobby);
         socket.emit('joinLobbyResult', {
             res, 
-            lobby: lobby, 
-            score: lobbyPlayer.score,
+            lobby: { id: lobby.id, hostPlayerId, players, spectators }, 
+            score: lobbyPlayer?.score ?? 0,
             isHost,
+            role,
             phase: lobby.phase,
             phaseData: lobby.phaseData,
             lastRoundSummary: lobby.lastRoundSummary,
-            settings: getLobbySettings(lobbyId)
+            settings: getLobbySettingsForMember(lobbyId, playerId)
         });
 
-        console.log('Lobby after join:', lobby);
-        console.log('All players:', listPlayers());
+        console.log(`Player ${name} joined lobby ${lobbyId} as ${role}${isHost ? ' (host)' : ''}`);
 
         const existingRound = getActiveRound(lobbyId);
         if (existingRound) {
@@ -715,6 +979,11 @@ io.on('connection', (socket) => {
                 return;
             }
 
+            if (isLobbySpectator(player.lobbyId, player.playerId)) {
+                socket.emit('answerResult', { status: 'spectator', message: 'Spectators cannot answer' });
+                return;
+            }
+
             const lobbyPlayer = getLobbyPlayer(player.lobbyId, player.playerId);
             if (!lobbyPlayer) {
                 console.log('no lobby player found for', player.playerId);
@@ -751,6 +1020,20 @@ io.on('connection', (socket) => {
             lobbyPlayer.roundGuessStatus = 'incorrect';
             lobbyPlayer.lastGuessText = sanitizeGuessPreview(entry.answerText);
             lobbyPlayer.correctElapsedMs = null;
+            if (revealResult) {
+                recordRejectedGuess({
+                    question: round.question,
+                    guess: entry.answerText,
+                    playerId: player.playerId,
+                    packId: round.questionPackId
+                });
+                const lobby = getLobby(player.lobbyId);
+                const penalty = getWrongAnswerPenalty(lobby?.settings?.scoring);
+                if (penalty > 0) {
+                    lobbyPlayer.score = applyPoints(lobbyPlayer.score, -penalty);
+                    lobby?.scoreByPlayerId?.set(lobbyPlayer.playerId, lobbyPlayer.score);
+                }
+            }
             shouldBroadcastRoster = true;
         }
         
@@ -787,14 +1070,12 @@ io.on('connection', (socket) => {
                 lobbyPlayer.correctElapsedMs = elapsedMs;
 
                 // Award points immediately for revealed results
-                const correctCount = Array.from(round.submissions.values()).filter((answer) => answer.isCorrect).length;
-                const pointsAwarded = Math.max(
-                    MIN_CORRECT_POINTS,
-                    MAX_CORRECT_POINTS - (correctCount - 1)
-                );
-
-                lobbyPlayer.score = (lobbyPlayer.score || 0) + pointsAwarded;
                 const lobby = getLobby(player.lobbyId);
+                const pointsAwarded = scoreImmediateAnswer(round, entry, lobby?.settings?.scoring, {
+                    streak: getPlayerStreak(player.lobbyId, lobbyPlayer.playerId) + 1
+                });
+
+                lobbyPlayer.score = applyPoints(lobbyPlayer.score, pointsAwarded);
                 lobby?.scoreByPlayerId?.set(lobbyPlayer.playerId, lobbyPlayer.score);
                 shouldBroadcastRoster = true;
 
@@ -843,8 +1124,25 @@ io.on('connection', (socket) => {
             answerResultPayload.orderedIds = entry.orderedIds;
         }
 
+        // Free-text guess limits, so the client can lock its input
+        if (round?.questionType === QUESTION_TYPES.FREE_TEXT && entry) {
+            const maxAttempts = round.guessRules?.maxAttempts || 0;
+            answerResultPayload.guessLimits = {
+                attemptsUsed: entry.attemptCount || 0,
+                maxAttempts,
+                attemptsRemaining: maxAttempts > 0 ? Math.max(0, maxAttempts - (entry.attemptCount || 0)) : null,
+                lockedUntil: entry.lockedUntil && entry.lockedUntil > Date.now() ? entry.lockedUntil : null
+            };
+        }
+
         socket.emit('answerResult', answerResultPayload);
 
+        // The holder's answer either closed the buzzer or handed it back
+        if (round?.buzzer && (status === 'correct' || status === 'incorrect')) {
+            scheduleBuzzerWindow(player.lobbyId, round);
+            broadcastBuzzer(player.lobbyId);
+        }
+
         // Check if round should end (works for all question types now)
         if (!winTriggered && didAllPlayersAnswerCorrect(player.lobbyId)) {
             const endReason = getRoundEndReason(player.lobbyId) || 'all-correct';
@@ -856,6 +1154,73 @@ io.on('connection', (socket) => {
         }
     });
 
+    socket.on('buzz', () => {
+        const player = getPlayerBySocket(socket);
+        if (!player?.lobbyId) return;
+        if (isLobbySpectator(player.lobbyId, player.playerId)) {
+            socket.emit('buzzResult', { status: 'spectator' });
+            return;
+        }
+        if (!getLobbyPlayer(player.lobbyId, player.playerId)) {
+            socket.emit('buzzResult', { status: 'not-in-lobby' });
+            return;
+        }
+
+        const { status, round } = buzzIn(player.lobbyId, player.playerId);
+        socket.emit('buzzResult', { status });
+        if (status === 'buzzed') {
+            scheduleBuzzerWindow(player.lobbyId, round);
+            broadcastBuzzer(player.lobbyId);
+        }
+    });
+
+    socket.on('chatMessage', (payload) => {
+        const player = getPlayerBySocket(socket);
+        if (!player?.lobbyId) return;
+
+        const { lobbyId, playerId } = player;
+        const isSpectator = isLobbySpectator(lobbyId, playerId);
+        const member = isSpectator
+            ? getLobby(lobbyId)?.spectators.find(s => s.playerId === playerId)
+            : getLobbyPlayer(lobbyId, playerId);
+        if (!member) {
+            socket.emit('chatMessageDenied', { reason: 'not-in-lobby' });
+            return;
+        }
+
+        const validation = validateChatMessage(payload);
+        if (!validation.valid) {
+            socket.emit('chatMessageDenied', { reason: 'invalid', error: validation.error });
+            return;
+        }
+
+        const retryInMs = takeChatSlot(playerId);
+        if (retryInMs > 0) {
+            socket.emit('chatMessageDenied', { reason: 'rate-limited', retryInMs });
+            return;
+        }
+
+        const message = {
+            id: ++chatMessageSeq,
+            lobbyId,
+            playerId,
+            name: member.name || player.name || 'Unknown',
+            isSpectator,
+            text: validation.sanitized.text,
+            sentAt: Date.now()
+        };
+
+        // A message naming an accepted answer is masked for everyone else while the
+        // round runs. The sender sees it unchanged, so chat can't be used to test guesses.
+        if (findAnswerInChatMessage(lobbyId, message.text)) {
+            socket.emit('chatMessage', message);
+            socket.to(lobbyId).emit('chatMessage', { ...message, text: null, masked: true });
+            return;
+        }
+
+        io.to(lobbyId).emit('chatMessage', message);
+    });
+
     socket.on('startRoundRequest', () => {
         const player = getPlayerBySocket(socket);
         if (!player) return;
@@ -916,6 +1281,7 @@ io.on('connection', (socket) => {
         }
 
         lobby.isAutoPlayActive = true;
+        startMatch(lobbyId);
         beginRoundForLobby(lobbyId, 'auto');
     });
 
@@ -929,6 +1295,20 @@ io.on('connection', (socket) => {
         const updated = updateLobbySettings(lobbyId, payload);
         if (!updated) return;
         broadcastLobbySettings(lobbyId);
+        // Toggling team mode or the team count reshuffles assignments
+        broadcastLobbyRoster(lobbyId);
+    });
+
+    socket.on('assignTeam', (payload = {}) => {
+        const player = getPlayerBySocket(socket);
+        if (!player) return;
+        const lobbyId = player.lobbyId;
+        if (!lobbyId) return;
+        if (!isLobbyHost(lobbyId, player.playerId)) return;
+
+        const { playerId, teamId } = payload;
+        if (!assignPlayerToTeam(lobbyId, playerId, teamId)) return;
+        broadcastLobbyRoster(lobbyId);
     });
 
     socket.on('resetGameRequest', () => {
@@ -948,11 +1328,37 @@ io.on('connection', (socket) => {
         broadcastLobbySettings(lobbyId);
     });
 
+    socket.on('kickPlayer', (payload = {}) => {
+        const target = resolveModerationTarget(socket, 'kick', payload);
+        if (!target) return;
+        removeLobbyMember(target.lobbyId, target.targetId);
+        socket.emit('moderationResult', { action: 'kick', success: true, playerId: target.targetId });
+    });
+
+    socket.on('banPlayer', (payload = {}) => {
+        const target = resolveModerationTarget(socket, 'ban', payload);
+        if (!target) return;
+        removeLobbyMember(target.lobbyId, target.targetId, { ban: true });
+        socket.emit('moderationResult', { action: 'ban', success: true, playerId: target.targetId });
+    });
+
+    socket.on('transferHost', (payload = {}) => {
+        const target = resolveModerationTarget(socket, 'transfer-host', payload);
+        if (!target) return;
+        if (!transferLobbyHost(target.lobbyId, target.targetId)) {
+            // Spectators can't host
+            socket.emit('moderationResult', { action: 'transfer-host', success: false, reason: 'not-a-player' });
+            return;
+        }
+        socket.emit('moderationResult', { action: 'transfer-host', success: true, playerId: target.targetId });
+        broadcastLobbyRoster(target.lobbyId);
+    });
+
     socket.on('flagQuestion', (payload = {}) => {
         const player = getPlayerBySocket(socket);
         if (!player) return;
 
-        const { questionId, reason } = payload;
+        const { questionId, reason, note } = payload;
         if (!questionId) {
             socket.emit('flagQuestionResult', { success: false, error: 'No question ID provided' });
             return;
@@ -961,17 +1367,20 @@ io.on('connection', (socket) => {
         const lobbyPlayer = getLobbyPlayer(player.lobbyId, player.playerId);
         const playerName = lobbyPlayer?.name || player.name || 'Unknown';
 
+        const packId = getRound(player.lobbyId)?.questionPackId || getLobbySettings(player.lobbyId).questionPackId;
         const result = flagQuestion(questionId, {
             playerId: player.playerId,
             playerName,
-            reason: reason || 'Flagged in-game',
+            reason,
+            note,
+            submission: getPlayerSubmission(player.lobbyId, player.playerId, questionId),
             lobbyId: player.lobbyId
-        });
+        }, packId);
 
-        socket.emit('flagQuestionResult', result);
+        socket.emit('flagQuestionResult', { ...result, questionId });
         
         if (result.success) {
-            console.log(`Player ${playerName} flagged question ${questionId}`);
+            console.log(`Player ${playerName} flagged question ${questionId} (${reason})`);
         }
     });
 
@@ -999,6 +1408,7 @@ io.on('connection', (socket) => {
         const result = disconnectSocket(socket);
         if (result?.fullyDisconnected) {
             const { lobbyId, playerId } = result.player;
+            chatSendTimes.delete(playerId);
             if (lobbyId && playerId) {
                 removePlayerFromLobby(lobbyId, playerId);
                 broadcastLobbyRoster(lobbyId);
@@ -1008,6 +1418,42 @@ io.on('connection', (socket) => {
     });
 });
 
+/**
+ * Rehydrate lobbies and rounds from the last snapshot and restart their timers
+ * from the persisted deadlines, so clients can reconnect mid-game
+ */
+function restorePersistedState() {
+    const snapshot = persistenceStore.load();
+    if (!snapshot) return;
+
+    const restoredLobbyIds = restoreLobbySnapshots(snapshot.lobbies || []);
+    const restoredLobbies = new Set(restoredLobbyIds);
+    const rounds = restoreRoundSnapshots((snapshot.rounds || []).filter(r => restoredLobbies.has(r.lobbyId)));
+    const phases = getLobbyPhases();
+
+    rounds.forEach((round) => {
+        const lobby = getLobby(round.lobbyId);
+        if (lobby?.phase === phases.ROUND) {
+            scheduleRoundTimer(round.lobbyId, round);
+        } else {
+            clearRoundState(round.lobbyId);
+        }
+    });
+
+    restoredLobbyIds.forEach((lobbyId) => {
+        const lobby = getLobby(lobbyId);
+        if (lobby.phase === phases.SUMMARY) {
+            const revealEndsAt = lobby.phaseData?.revealEndsAt;
+            const remaining = typeof revealEndsAt === 'number' ? Math.max(revealEndsAt - Date.now(), 0) : null;
+            scheduleSummaryAdvance(lobbyId, remaining);
+        } else if (lobby.phase === phases.ROUND && !getActiveRound(lobbyId) && lobby.isAutoPlayActive) {
+            beginRoundForLobby(lobbyId, 'restore');
+        }
+    });
+
+    console.log(`✓ Restored ${restoredLobbyIds.length} lobbies and ${rounds.length} active rounds (${persistenceStore.name})`);
+}
+
 function cleanupStaleLobbies() {
     const now = Date.now();
     listLobbies().forEach((lobby) => {
@@ -1017,15 +1463,46 @@ function cleanupStaleLobbies() {
         clearRoundTimer(lobby.id);
         clearSummaryTimer(lobby.id);
         clearRoundState(lobby.id);
+        settingsHostByLobbyId.delete(lobby.id);
         destroyLobby(lobby.id);
+        schedulePersist();
     });
 }
 
+/**
+ * After question data is reloaded, forget used IDs that no longer exist.
+ * Active rounds keep the question they were started with.
+ */
+function handleQuestionDataReload(result) {
+    if (!result?.success) return;
+    const pruned = reconcileUsedQuestionIds((questionId, packId) => Boolean(getQuestionById(questionId, packId)));
+    if (pruned > 0) {
+        console.log(`Dropped ${pruned} removed questions from lobby question history`);
+        schedulePersist();
+    }
+}
+
+restorePersistedState();
 setInterval(cleanupStaleLobbies, LOBBY_CLEANUP_INTERVAL_MS);
 
+if (config.questionHotReload) {
+    watchQuestionData({
+        debounceMs: config.questionReloadDebounceMs,
+        onReload: handleQuestionDataReload
+    });
+}
+
+// Manual reload: `kill -HUP <pid>` after regenerating question data
+process.on('SIGHUP', () => {
+    console.log('SIGHUP received. Reloading question data...');
+    handleQuestionDataReload(reloadQuestionStore());
+});
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('SIGTERM received. Shutting down gracefully...');
+    persistState();
+    flushNearMissLog();
     server.close(() => {
         console.log('Server closed');
         process.exit(0);
@@ -1034,6 +1511,8 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
     console.log('SIGINT received. Shutting down gracefully...');
+    persistState();
+    flushNearMissLog();
     server.close(() => {
         console.log('Server closed');
         process.exit(0);
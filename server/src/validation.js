@@ -25,6 +25,7 @@ const MAX_QUESTION_TEXT_LENGTH = 2000;
 const MAX_CHOICE_TEXT_LENGTH = 200;
 const MAX_CHOICES = 10;
 const MAX_MULTI_ENTRY_GUESSES = 20;
+const MAX_CHAT_MESSAGE_LENGTH = 200;
 const MIN_YEAR = 1900;
 const MAX_YEAR = 2100;
 
@@ -306,6 +307,33 @@ export function validateSubmission(questionType, payload, question, playerState
     }
 }
 
+// ============================================================================
+// Chat Validation
+// ============================================================================
+
+/**
+ * Validate a lobby chat message
+ * @param {object} payload - { text: string }
+ * @returns {{ valid: boolean, error?: string, sanitized?: { text: string } }}
+ */
+export function validateChatMessage(payload) {
+    if (!payload || typeof payload !== 'object') {
+        return { valid: false, error: 'Invalid chat payload' };
+    }
+
+    // One line per message; newlines and runs of spaces collapse
+    const text = sanitizeText(String(payload.text ?? '').replace(/\s+/g, ' '), MAX_CHAT_MESSAGE_LENGTH);
+
+    if (!text) {
+        return { valid: false, error: 'Message cannot be empty' };
+    }
+
+    return {
+        valid: true,
+        sanitized: { text }
+    };
+}
+
 // ============================================================================
 // Question Data Validation
 // ============================================================================
@@ -469,7 +497,7 @@ export function validateQuestionData(raw) {
  * @param {object} round - Current round state
  * @param {string} playerId - Player attempting to submit
  * @param {object} previousEntry - Player's previous submission if any
- * @returns {{ allowed: boolean, reason?: string }}
+ * @returns {{ allowed: boolean, reason?: string, lockedUntil?: number }}
  */
 export function canPlayerSubmit(round, playerId, previousEntry) {
     if (!round) {
@@ -497,5 +525,21 @@ export function canPlayerSubmit(round, playerId, previousEntry) {
         return { allowed: false, reason: 'already-submitted' };
     }
 
+    if (config.allowsRetry && previousEntry) {
+        // A correct answer is final even when retries are allowed
+        if (previousEntry.isCorrect) {
+            return { allowed: false, reason: 'already-correct' };
+        }
+
+        // Lobby guess rules (copied onto the round when it starts)
+        const { maxAttempts = 0 } = round.guessRules || {};
+        if (maxAttempts > 0 && (previousEntry.attemptCount || 0) >= maxAttempts) {
+            return { allowed: false, reason: 'max-attempts' };
+        }
+        if (previousEntry.lockedUntil && previousEntry.lockedUntil > Date.now()) {
+            return { allowed: false, reason: 'cooldown', lockedUntil: previousEntry.lockedUntil };
+        }
+    }
+
     return { allowed: true };
 }
@@ -74,7 +74,9 @@ export const ENTITY_TYPES = {
     ARTIST: 'artists',
     ALBUM: 'albums',
     SONG: 'songs',
-    YEAR: 'years'
+    YEAR: 'years',
+    // Producers who also release music (Kanye West, Daft Punk) live under artists
+    PRODUCER: 'producers'
 };
 
 // ============================================================================
@@ -316,11 +318,12 @@ export async function getStats() {
         artists: 0,
         albums: 0,
         songs: 0,
+        producers: 0,
         totalAliases: 0,
         averageAliases: 0
     };
     
-    for (const type of ['artists', 'albums']) {
+    for (const type of ['artists', 'albums', 'producers']) {
         const entities = db[type];
         if (!entities) continue;
         
@@ -333,7 +336,7 @@ export async function getStats() {
         }
     }
     
-    const totalEntities = stats.artists + stats.albums + stats.songs;
+    const totalEntities = stats.artists + stats.albums + stats.songs + stats.producers;
     stats.averageAliases = totalEntities > 0 
         ? (stats.totalAliases / totalEntities).toFixed(1)
         : 0;
@@ -349,7 +352,8 @@ export async function buildLookupMap() {
     const db = await getDatabase();
     const map = new Map();
     
-    for (const type of ['artists', 'albums']) {
+    // Earlier types win shared names, so a producer-artist resolves to the artist
+    for (const type of ['artists', 'albums', 'producers']) {
         const entities = db[type];
         if (!entities) continue;
         
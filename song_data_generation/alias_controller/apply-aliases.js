@@ -56,6 +56,9 @@ function inferAnswerType(question) {
     const generator = question.generatorType || question.generator || '';
     const title = (question.title || '').toLowerCase();
     
+    if (generator.startsWith('producer')) {
+        return 'producers';
+    }
     if (generator.includes('album') || title.includes('album')) {
         return 'albums';
     }
@@ -72,6 +75,15 @@ function inferAnswerType(question) {
     return null;
 }
 
+/**
+ * Whether a lookup match can stand for an answer of the inferred type.
+ * Producers who also release music are stored as artists.
+ */
+function matchesAnswerType(match, entityType) {
+    if (!entityType || match.type === entityType) return true;
+    return entityType === 'producers' && match.type === 'artists';
+}
+
 /**
  * Apply aliases to a single answer object
  */
@@ -83,7 +95,7 @@ function applyAliasesToAnswer(answer, lookupMap, entityType) {
     const key = answer.display.toLowerCase();
     const match = lookupMap.get(key);
     
-    if (!match || (entityType && match.type !== entityType)) {
+    if (!match || !matchesAnswerType(match, entityType)) {
         return { updated: false, answer };
     }
     
@@ -127,7 +139,7 @@ async function processQuestionFile(filePath, lookupMap, aliasDb, dryRun = false)
             const key = question.answer.display.toLowerCase();
             const match = lookupMap.get(key);
             
-            if (match && (!entityType || match.type === entityType)) {
+            if (match && matchesAnswerType(match, entityType)) {
                 // Get full alias list from database
                 const entity = aliasDb[match.type]?.[match.id];
                 
@@ -162,7 +174,7 @@ async function processQuestionFile(filePath, lookupMap, aliasDb, dryRun = false)
                 const key = answer.display.toLowerCase();
                 const match = lookupMap.get(key);
                 
-                if (match && (!entityType || match.type === entityType)) {
+                if (match && matchesAnswerType(match, entityType)) {
                     const entity = aliasDb[match.type]?.[match.id];
                     
                     if (entity && entity.aliases) {
@@ -245,12 +257,13 @@ async function main() {
     const lookupMap = await buildLookupMap();
     const stats = await getStats();
     
-    log(`  ${stats.artists} artists, ${stats.albums} albums, ${stats.totalAliases} aliases loaded`);
+    log(`  ${stats.artists} artists, ${stats.albums} albums, ${stats.producers} producers, ${stats.totalAliases} aliases loaded`);
     
     if (statsOnly) {
         log('\nAlias Database Statistics:');
         log(`  Artists: ${stats.artists}`);
         log(`  Albums: ${stats.albums}`);
+        log(`  Producers: ${stats.producers}`);
         log(`  Total aliases: ${stats.totalAliases}`);
         log(`  Average aliases per entity: ${stats.averageAliases}`);
         return;
@@ -12,6 +12,7 @@
  *   node cli.js alias <type> <id> <aliases...> - Add aliases to entity
  *   node cli.js show <type> [id]   - Show entity/entities
  *   node cli.js stats              - Show database statistics
+ *   node cli.js review             - Review alias suggestions from player guesses
  */
 
 import readline from 'readline';
@@ -30,6 +31,12 @@ import {
     generateId,
     getStats
 } from './alias-db.js';
+import {
+    NEAR_MISS_LOG_PATH,
+    listAliasCandidates,
+    promoteCandidate,
+    dismissCandidate
+} from './near-miss-review.js';
 
 // ============================================================================
 // CLI Helpers
@@ -72,6 +79,68 @@ function logHeader(text) {
     console.log(color('─'.repeat(text.length), 'dim'));
 }
 
+/**
+ * Read single keypresses (no Enter needed) for the length of a review.
+ * Borrows stdin from the interactive prompt until close() is called; keys
+ * typed ahead are queued rather than lost.
+ */
+function createKeyReader() {
+    const input = process.stdin;
+    readline.emitKeypressEvents(input);
+    const borrowed = input.listeners('keypress');
+    input.removeAllListeners('keypress');
+    const wasRaw = input.isRaw;
+    if (input.isTTY) input.setRawMode(true);
+    
+    const queue = [];
+    let waiting = null;
+    let ended = false;
+    
+    const deliver = () => {
+        if (!waiting) return;
+        while (queue.length > 0) {
+            const key = queue.shift();
+            if (waiting.keys.includes(key)) {
+                const { resolve } = waiting;
+                waiting = null;
+                return resolve(key);
+            }
+        }
+        if (ended) {
+            const { resolve } = waiting;
+            waiting = null;
+            resolve('q');
+        }
+    };
+    const onKeypress = (str, key) => {
+        queue.push(key?.ctrl && key.name === 'c' ? 'q' : (str || '').toLowerCase());
+        deliver();
+    };
+    const onEnd = () => {
+        ended = true;
+        deliver();
+    };
+    
+    input.on('keypress', onKeypress);
+    input.on('end', onEnd);
+    input.resume();
+    
+    return {
+        next(keys) {
+            return new Promise(resolve => {
+                waiting = { keys, resolve };
+                deliver();
+            });
+        },
+        close() {
+            input.removeListener('keypress', onKeypress);
+            input.removeListener('end', onEnd);
+            if (input.isTTY) input.setRawMode(wasRaw);
+            borrowed.forEach(listener => input.on('keypress', listener));
+        }
+    };
+}
+
 // ============================================================================
 // Command Handlers
 // ============================================================================
@@ -109,6 +178,7 @@ async function cmdShow(type, id) {
         log(`  artists: ${stats.artists}`);
         log(`  albums:  ${stats.albums}`);
         log(`  songs:   ${stats.songs}`);
+        log(`  producers: ${stats.producers}`);
         log(`\nUse: show <type> [id]`);
         return;
     }
@@ -117,7 +187,7 @@ async function cmdShow(type, id) {
     const normalizedType = type.endsWith('s') ? type : type + 's';
     
     if (!Object.values(ENTITY_TYPES).includes(normalizedType)) {
-        logError(`Unknown type: ${type}. Valid types: artists, albums, songs, years`);
+        logError(`Unknown type: ${type}. Valid types: artists, albums, songs, years, producers`);
         return;
     }
     
@@ -157,7 +227,7 @@ async function cmdAdd(type, displayName) {
     const normalizedType = type.endsWith('s') ? type : type + 's';
     
     if (!Object.values(ENTITY_TYPES).includes(normalizedType)) {
-        logError(`Unknown type: ${type}. Valid types: artists, albums, songs, years`);
+        logError(`Unknown type: ${type}. Valid types: artists, albums, songs, years, producers`);
         return;
     }
     
@@ -249,12 +319,68 @@ async function cmdDelete(type, id) {
     }
 }
 
+async function cmdReview() {
+    const candidates = await listAliasCandidates();
+    
+    if (candidates.length === 0) {
+        log(color(`No alias suggestions waiting (${NEAR_MISS_LOG_PATH})`, 'dim'));
+        return;
+    }
+    
+    logHeader(`Alias suggestions (${candidates.length})`);
+    log(color('  y = promote to alias   n = dismiss   s = skip   q = stop', 'dim'));
+    
+    let promoted = 0;
+    let dismissed = 0;
+    const keys = createKeyReader();
+    
+    for (const [index, candidate] of candidates.entries()) {
+        const { target } = candidate;
+        const similarity = Math.round(candidate.similarity * 100);
+        
+        log();
+        log(`${color(`[${index + 1}/${candidates.length}]`, 'dim')} ${candidate.title || candidate.questionId}`);
+        log(`  answer:  ${color(candidate.answer?.display || '?', 'bright')}${target ? color(` (${target.type.slice(0, -1)}:${target.id})`, 'dim') : ''}`);
+        log(`  guess:   ${color(`"${candidate.guess}"`, 'yellow')}`);
+        log(`  seen:    ${candidate.count}x by ${candidate.playerCount} player(s), ${similarity}% similar`);
+        
+        if (!target) {
+            log(color(`  No alias entity for this answer - use "add" first to promote`, 'dim'));
+        }
+        
+        process.stdout.write(target ? '  promote? [y/n/s/q] ' : '  [n/s/q] ');
+        const key = await keys.next(target ? ['y', 'n', 's', 'q'] : ['n', 's', 'q']);
+        log(key);
+        
+        if (key === 'q') break;
+        if (key === 'y') {
+            const result = await promoteCandidate(candidate);
+            if (result.success) {
+                promoted++;
+            } else {
+                logError(result.error);
+            }
+        } else if (key === 'n') {
+            await dismissCandidate(candidate);
+            dismissed++;
+        }
+    }
+    keys.close();
+    
+    log();
+    logSuccess(`Promoted ${promoted}, dismissed ${dismissed}`);
+    if (promoted > 0) {
+        logInfo('Run "npm run apply" to push the new aliases into question files');
+    }
+}
+
 async function cmdStats() {
     const stats = await getStats();
     
     logHeader('Alias Database Statistics');
     log(`  Artists: ${stats.artists}`);
     log(`  Albums:  ${stats.albums}`);
+    log(`  Producers: ${stats.producers}`);
     log(`  Total aliases: ${stats.totalAliases}`);
     log(`  Average aliases per entity: ${stats.averageAliases}`);
     log();
@@ -285,6 +411,7 @@ function cmdHelp() {
     alias <type> <id> <alias>   - Add alias(es) to entity
     remove-alias <type> <id> <alias> - Remove alias from entity
     delete <type> <id>          - Delete an entity
+    review                      - Review alias suggestions from player guesses
   
   ${color('Database:', 'bright')}
     save                        - Save changes to disk
@@ -294,7 +421,7 @@ function cmdHelp() {
     help, ?                     - Show this help
     exit, quit, q               - Exit (warns if unsaved changes)
   
-  ${color('Types:', 'dim')} artists, albums, songs, years
+  ${color('Types:', 'dim')} artists, albums, songs, years, producers
 `);
 }
 
@@ -309,7 +436,7 @@ async function runInteractive() {
     
     await loadAliasDatabase();
     const stats = await getStats();
-    logInfo(`Loaded: ${stats.artists} artists, ${stats.albums} albums, ${stats.totalAliases} aliases`);
+    logInfo(`Loaded: ${stats.artists} artists, ${stats.albums} albums, ${stats.producers} producers, ${stats.totalAliases} aliases`);
     log('Type "help" for commands\n');
     
     const rl = readline.createInterface({
@@ -353,6 +480,10 @@ async function runInteractive() {
                     case 'stats':
                         await cmdStats();
                         break;
+                    case 'review':
+                    case 'r':
+                        await cmdReview();
+                        break;
                     case 'save':
                         await cmdSave();
                         break;
@@ -419,6 +550,10 @@ async function runCommand(args) {
         case 'stats':
             await cmdStats();
             break;
+        case 'review':
+            await cmdReview();
+            process.stdin.pause();
+            break;
         case 'help':
         case '--help':
         case '-h':
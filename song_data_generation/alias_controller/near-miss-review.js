@@ -0,0 +1,169 @@
+/**
+ * Near-Miss Review
+ *
+ * Turns the game server's near-miss log (rejected guesses that were close to
+ * an accepted answer, or typed by several players) into alias suggestions,
+ * and records what the reviewer decided. Used by the CLI `review` command and
+ * the Suggestions tab in the web UI.
+ */
+
+import { readFile, writeFile, rename } from 'fs/promises';
+import { existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import {
+    ENTITY_TYPES,
+    getEntity,
+    resolveAnswer,
+    addAliases,
+    saveAliasDatabase
+} from './alias-db.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Same default as the server's NEAR_MISS_LOG_PATH
+export const NEAR_MISS_LOG_PATH = process.env.NEAR_MISS_LOG_PATH
+    ? resolve(join(__dirname, '../../server'), process.env.NEAR_MISS_LOG_PATH)
+    : join(__dirname, '../../server/data/state/near-misses.json');
+
+// ============================================================================
+// Log Loading/Saving
+// ============================================================================
+
+async function loadNearMissLog() {
+    if (!existsSync(NEAR_MISS_LOG_PATH)) {
+        return { version: 1, packs: {} };
+    }
+    const content = await readFile(NEAR_MISS_LOG_PATH, 'utf-8');
+    const log = JSON.parse(content);
+    if (!log.packs) log.packs = {};
+    return log;
+}
+
+async function saveNearMissLog(log) {
+    const tempPath = `${NEAR_MISS_LOG_PATH}.tmp`;
+    await writeFile(tempPath, JSON.stringify(log, null, 2), 'utf-8');
+    await rename(tempPath, NEAR_MISS_LOG_PATH);
+}
+
+// ============================================================================
+// Candidates
+// ============================================================================
+
+/**
+ * Find the alias database entity an answer belongs to.
+ * Prefers the answer's entityRef (e.g. "artist:kanye-west"), then its display name.
+ * @returns {Promise<{type: string, id: string, display: string}|null>}
+ */
+async function resolveTarget(answer) {
+    const [prefix, id] = (answer?.entityRef || '').split(':');
+    const type = prefix ? `${prefix}s` : null;
+    if (type && id && Object.values(ENTITY_TYPES).includes(type)) {
+        const entity = await getEntity(type, id);
+        if (entity) return { type, id, display: entity.display };
+    }
+    if (answer?.display) {
+        const match = await resolveAnswer(answer.display);
+        if (match) return { type: match.type, id: match.id, display: match.entity.display };
+    }
+    return null;
+}
+
+/**
+ * List pending alias suggestions, most widespread first
+ * @returns {Promise<Array<{packId: string, questionId: string, title: string, guess: string, text: string,
+ *   count: number, playerCount: number, similarity: number, answer: object, target: object|null}>>}
+ */
+export async function listAliasCandidates() {
+    const log = await loadNearMissLog();
+    const candidates = [];
+
+    for (const [packId, questions] of Object.entries(log.packs)) {
+        for (const [questionId, question] of Object.entries(questions)) {
+            for (const [guess, record] of Object.entries(question.guesses || {})) {
+                if (!record.candidate || record.status !== 'pending') continue;
+
+                const answers = question.answers || [];
+                const answer = answers.find(a => a.display === record.closestAnswer) || answers[0] || null;
+                const target = await resolveTarget(answer);
+
+                // Already accepted since it was logged (e.g. added by hand)
+                const existing = target ? await resolveAnswer(guess, target.type) : null;
+                if (existing && existing.id === target.id) continue;
+
+                candidates.push({
+                    packId,
+                    questionId,
+                    title: question.title || '',
+                    guess,
+                    text: record.text,
+                    count: record.count,
+                    playerCount: record.playerIds?.length || 0,
+                    similarity: record.similarity || 0,
+                    answer,
+                    target
+                });
+            }
+        }
+    }
+
+    return candidates.sort((a, b) =>
+        b.playerCount - a.playerCount || b.similarity - a.similarity || b.count - a.count
+    );
+}
+
+async function markCandidate(candidate, status) {
+    const log = await loadNearMissLog();
+    const record = log.packs[candidate.packId]?.[candidate.questionId]?.guesses?.[candidate.guess];
+    if (!record) return false;
+    record.status = status;
+    record.reviewedAt = Date.now();
+    await saveNearMissLog(log);
+    return true;
+}
+
+/**
+ * Add a candidate's guess as an alias of its answer's entity and save both files
+ * @param {object} candidate - From listAliasCandidates()
+ * @returns {Promise<{success: boolean, alias?: string, target?: object, error?: string}>}
+ */
+export async function promoteCandidate(candidate) {
+    const target = candidate.target || await resolveTarget(candidate.answer);
+    if (!target) {
+        return { success: false, error: `"${candidate.answer?.display}" is not in the alias database` };
+    }
+
+    await addAliases(target.type, target.id, [candidate.guess]);
+    await saveAliasDatabase();
+    await markCandidate(candidate, 'promoted');
+    return { success: true, alias: candidate.guess, target };
+}
+
+/**
+ * Hide a candidate from future reviews
+ * @param {object} candidate - From listAliasCandidates()
+ * @returns {Promise<boolean>}
+ */
+export async function dismissCandidate(candidate) {
+    return markCandidate(candidate, 'dismissed');
+}
+
+/**
+ * Look up a pending candidate by its identifying fields (for the web UI)
+ * @returns {Promise<object|null>}
+ */
+export async function findAliasCandidate({ packId, questionId, guess }) {
+    const candidates = await listAliasCandidates();
+    return candidates.find(c =>
+        c.packId === packId && c.questionId === questionId && c.guess === guess
+    ) || null;
+}
+
+export default {
+    NEAR_MISS_LOG_PATH,
+    listAliasCandidates,
+    promoteCandidate,
+    dismissCandidate,
+    findAliasCandidate
+};
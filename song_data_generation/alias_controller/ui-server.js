@@ -25,6 +25,12 @@ import {
     generateId,
     getStats
 } from './alias-db.js';
+import {
+    listAliasCandidates,
+    findAliasCandidate,
+    promoteCandidate,
+    dismissCandidate
+} from './near-miss-review.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -174,6 +180,46 @@ app.delete('/api/entities/:type/:id/aliases/:alias', async (req, res) => {
     }
 });
 
+// Alias suggestions from rejected player guesses
+app.get('/api/suggestions', async (req, res) => {
+    try {
+        res.json(await listAliasCandidates());
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Promote a suggestion to an alias (saves the database)
+app.post('/api/suggestions/promote', async (req, res) => {
+    try {
+        const candidate = await findAliasCandidate(req.body || {});
+        if (!candidate) {
+            return res.status(404).json({ error: 'Suggestion not found' });
+        }
+        const result = await promoteCandidate(candidate);
+        if (!result.success) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json(result);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Dismiss a suggestion so it is not offered again
+app.post('/api/suggestions/dismiss', async (req, res) => {
+    try {
+        const candidate = await findAliasCandidate(req.body || {});
+        if (!candidate) {
+            return res.status(404).json({ error: 'Suggestion not found' });
+        }
+        await dismissCandidate(candidate);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // Save database
 app.post('/api/save', async (req, res) => {
     try {
@@ -216,7 +262,7 @@ async function start() {
         console.log(`\n╔═══════════════════════════════════════╗`);
         console.log(`║       Alias Editor Web UI             ║`);
         console.log(`╚═══════════════════════════════════════╝`);
-        console.log(`\n→ Loaded: ${stats.artists} artists, ${stats.albums} albums`);
+        console.log(`\n→ Loaded: ${stats.artists} artists, ${stats.albums} albums, ${stats.producers} producers`);
         console.log(`→ Server running at: http://localhost:${PORT}`);
         console.log(`\nPress Ctrl+C to stop\n`);
     });
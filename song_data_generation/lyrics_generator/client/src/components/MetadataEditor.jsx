@@ -434,6 +434,21 @@ export default function MetadataEditor({ song, setSong }) {
         )}
       </div>
 
+      <div className="field">
+        <label>Track #</label>
+        <input
+          type="number"
+          min="1"
+          value={song.release?.track ?? ''}
+          onChange={(e) => {
+            const track = parseInt(e.target.value, 10);
+            handleRelease('track', Number.isInteger(track) && track > 0 ? track : undefined);
+          }}
+          disabled={!song.release?.project}
+          placeholder="Position on the tracklist"
+        />
+      </div>
+
       <div className="field">
         <label>
           Year
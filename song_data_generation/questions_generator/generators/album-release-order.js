@@ -0,0 +1,148 @@
+/**
+ * Album Release Order Generator
+ *
+ * Generates "put these albums in release order" questions.
+ * Uses projects.json (and song release data) for album years.
+ *
+ * Ordered-list input mode only. Albums that share a release year are never
+ * asked together, since their order would be ambiguous.
+ */
+
+import {
+  INPUT_MODES,
+  SCORING_MODES,
+  createQuestionId,
+  createQuestion,
+  createOrderedItems
+} from '../utils/question-schema.js';
+import { buildTagSet, albumTag, difficultyFromGap } from '../utils/tag-builder.js';
+import { shuffle } from '../utils/wrong-answer-generator.js';
+import { getProjects } from '../utils/lyrics-loader.js';
+
+const GENERATOR_TYPE = 'album-release-order';
+const VERSION = '1.0.0';
+
+// Project names like "__custom__" left behind by the lyrics editor
+const EDITOR_PLACEHOLDER = /^__.*__$/;
+
+/**
+ * Generate album-release-order questions
+ * @param {object[]} songs - Array of normalized song objects (used to derive albums)
+ * @param {object} config - Generator configuration
+ * @returns {object[]} - Array of questions
+ */
+export function generate(songs, config = {}) {
+  const {
+    itemCount = 4,
+    questionCount = 30,
+    formats = ['album', 'ep'],
+    difficultyGaps = { easy: 5, medium: 2 }  // Years between the closest two albums
+  } = config;
+
+  const questions = [];
+  const albums = buildAlbumList(songs, getProjects(), formats);
+
+  if (albums.length < itemCount) {
+    console.log(`[${GENERATOR_TYPE}] Only ${albums.length} albums with year data, need ${itemCount}`);
+    return questions;
+  }
+
+  const seen = new Set();
+  const maxAttempts = questionCount * 20;
+
+  for (let attempt = 0; attempt < maxAttempts && questions.length < questionCount; attempt++) {
+    const picked = shuffle(albums).slice(0, itemCount);
+
+    // Same-year albums have no single right order
+    if (new Set(picked.map(a => a.year)).size < picked.length) continue;
+
+    const ordered = [...picked].sort((a, b) => a.year - b.year);
+    const key = ordered.map(a => a.slug).join('_');
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    questions.push(createQuestionForAlbums(ordered, key, difficultyGaps));
+  }
+
+  console.log(`[${GENERATOR_TYPE}] Generated ${questions.length} questions`);
+  return questions;
+}
+
+/**
+ * Build list of unique albums with year data
+ */
+function buildAlbumList(songs, projectsData, formats) {
+  const albumMap = new Map();
+
+  // First, add from projects.json (authoritative source)
+  for (const [albumName, data] of Object.entries(projectsData || {})) {
+    if (!data.year) continue;
+    const albumFormats = data.formats || ['album'];
+    if (!albumFormats.some(f => formats.includes(f))) continue;
+
+    albumMap.set(albumName.toLowerCase(), {
+      name: albumName,
+      year: data.year,
+      artist: data.artists?.[0] || 'Kanye West'
+    });
+  }
+
+  // Then supplement with data from songs (for any albums not in projects)
+  for (const song of songs) {
+    if (!song.album || !song.year || EDITOR_PLACEHOLDER.test(song.album)) continue;
+    const key = song.album.toLowerCase();
+    if (!albumMap.has(key) && !(projectsData && projectsData[song.album])) {
+      albumMap.set(key, {
+        name: song.album,
+        year: song.year,
+        artist: song.artist || 'Kanye West'
+      });
+    }
+  }
+
+  return [...albumMap.values()].map(album => ({
+    ...album,
+    slug: album.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '')
+  }));
+}
+
+/**
+ * Create a question for albums already sorted oldest first
+ */
+function createQuestionForAlbums(ordered, subject, difficultyGaps) {
+  const { items, correctOrder } = createOrderedItems(ordered.map(a => a.name));
+
+  // Closest two releases decide how hard it is
+  let minGap = Infinity;
+  for (let i = 1; i < ordered.length; i++) {
+    minGap = Math.min(minGap, ordered[i].year - ordered[i - 1].year);
+  }
+
+  const tags = buildTagSet({
+    generatorType: GENERATOR_TYPE,
+    inputMode: INPUT_MODES.ORDERED_LIST,
+    artists: [...new Set(ordered.map(a => a.artist))],
+    difficulty: difficultyFromGap(minGap, difficultyGaps),
+    extraTags: ordered.map(a => albumTag(a.name))
+  });
+
+  return createQuestion({
+    id: createQuestionId(GENERATOR_TYPE, subject, INPUT_MODES.ORDERED_LIST),
+    type: INPUT_MODES.ORDERED_LIST,
+    generatorType: GENERATOR_TYPE,
+    scoringMode: SCORING_MODES.RANKED,
+    title: 'Put these albums in release order (oldest first)',
+    items,
+    correctOrder,
+    tags,
+    source: {
+      albums: ordered.map(a => ({ name: a.name, year: a.year }))
+    }
+  });
+}
+
+export const meta = {
+  type: GENERATOR_TYPE,
+  version: VERSION,
+  description: 'Generates "put these albums in release order" questions'
+};
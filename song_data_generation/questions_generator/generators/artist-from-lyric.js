@@ -219,7 +219,7 @@ function createQuestionForMode(song, line, voice, wrongArtistPool, inputMode, co
     features: song.features,
     year: song.year,
     section: line.section,
-    voice: { display: voice },
+    voice,
     difficulty: estimateDifficulty(song, voice),
     extraTags: ['features', 'voice-identification']
   });
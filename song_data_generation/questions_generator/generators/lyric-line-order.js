@@ -0,0 +1,188 @@
+/**
+ * Lyric Line Order Generator
+ *
+ * Generates "put these lines in the order they appear in the song" questions.
+ * Lines that repeat anywhere in the song (hooks, choruses) are never used,
+ * since they have no single position.
+ *
+ * Prompt variants:
+ * - consecutive: back-to-back lines from one section (hard)
+ * - spread: lines spaced out across the whole song (easier)
+ */
+
+import {
+  INPUT_MODES,
+  SCORING_MODES,
+  createQuestionId,
+  createQuestion,
+  createOrderedItems
+} from '../utils/question-schema.js';
+import { buildTagSet, difficultyFromGap } from '../utils/tag-builder.js';
+import { shuffle } from '../utils/wrong-answer-generator.js';
+
+const GENERATOR_TYPE = 'lyric-line-order';
+const VERSION = '1.0.0';
+
+const MIN_LINE_LENGTH = 15;
+const MIN_WORD_COUNT = 3;
+const MAX_DISPLAY_LENGTH = 70;
+
+/**
+ * Generate lyric-line-order questions for all songs
+ * @param {object[]} songs - Array of normalized song objects
+ * @param {object} config - Generator configuration
+ * @returns {object[]} - Array of questions
+ */
+export function generate(songs, config = {}) {
+  const {
+    promptVariants = ['consecutive', 'spread'],
+    itemCount = 4,
+    difficultyGaps = { easy: 8, medium: 3 }  // Lyric lines between the closest two picks
+  } = config;
+
+  const questions = [];
+
+  for (const song of songs) {
+    const songQuestions = generateForSong(song, { promptVariants, itemCount, difficultyGaps });
+    questions.push(...songQuestions);
+  }
+
+  console.log(`[${GENERATOR_TYPE}] Generated ${questions.length} questions`);
+  return questions;
+}
+
+/**
+ * Generate questions for a single song
+ */
+function generateForSong(song, config) {
+  const questions = [];
+  const { promptVariants, itemCount, difficultyGaps } = config;
+
+  const candidates = getCandidateLines(song);
+  if (candidates.length < itemCount) return questions;
+
+  for (const promptVariant of promptVariants) {
+    const picked = promptVariant === 'consecutive'
+      ? pickConsecutiveLines(candidates, itemCount)
+      : pickSpreadLines(candidates, itemCount);
+    if (!picked) continue;
+
+    questions.push(createQuestionForLines(song, picked, promptVariant, difficultyGaps));
+  }
+
+  return questions;
+}
+
+/**
+ * Lines usable as items: long enough, and said only once in the song
+ * @returns {{ line: object, index: number, display: string }[]}
+ */
+function getCandidateLines(song) {
+  const lyrics = song.lyrics || [];
+  const counts = new Map();
+  for (const line of lyrics) {
+    const key = line.content.toLowerCase().trim();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  const candidates = [];
+  const displays = new Set();
+  lyrics.forEach((line, index) => {
+    if (line.content.length < MIN_LINE_LENGTH) return;
+    if (line.content.split(/\s+/).length < MIN_WORD_COUNT) return;
+    if (counts.get(line.content.toLowerCase().trim()) > 1) return;
+
+    const display = line.content.length > MAX_DISPLAY_LENGTH
+      ? line.content.slice(0, MAX_DISPLAY_LENGTH - 3) + '...'
+      : line.content;
+    // Truncation can make two different lines look the same
+    if (displays.has(display.toLowerCase())) return;
+    displays.add(display.toLowerCase());
+
+    candidates.push({ line, index, display });
+  });
+
+  return candidates;
+}
+
+/**
+ * A random run of back-to-back lines within one section
+ */
+function pickConsecutiveLines(candidates, itemCount) {
+  const runs = [];
+  for (let start = 0; start + itemCount <= candidates.length; start++) {
+    const run = candidates.slice(start, start + itemCount);
+    const first = run[0].line;
+    const isRun = run.every((c, i) =>
+      c.index === run[0].index + i &&
+      c.line.section === first.section &&
+      c.line.sectionNumber === first.sectionNumber
+    );
+    if (isRun) runs.push(run);
+  }
+  return runs.length > 0 ? shuffle(runs)[0] : null;
+}
+
+/**
+ * Lines evenly spaced across the song
+ */
+function pickSpreadLines(candidates, itemCount) {
+  const step = candidates.length / itemCount;
+  const picked = [];
+  for (let i = 0; i < itemCount; i++) {
+    picked.push(candidates[Math.floor(i * step + step / 2)]);
+  }
+  // Too few candidates to spread out; consecutive already covers it
+  if (picked.every((c, i) => i === 0 || c.index === picked[i - 1].index + 1)) return null;
+  return picked;
+}
+
+/**
+ * Create a question for lines already in song order
+ */
+function createQuestionForLines(song, picked, promptVariant, difficultyGaps) {
+  const { items, correctOrder } = createOrderedItems(picked.map(c => c.display));
+
+  let minGap = Infinity;
+  for (let i = 1; i < picked.length; i++) {
+    minGap = Math.min(minGap, picked[i].index - picked[i - 1].index);
+  }
+
+  const sections = new Set(picked.map(c => c.line.section));
+  const tags = buildTagSet({
+    generatorType: GENERATOR_TYPE,
+    inputMode: INPUT_MODES.ORDERED_LIST,
+    promptVariant,
+    song: song.title,
+    album: song.album,
+    artist: song.artist,
+    artists: song.artists,
+    year: song.year,
+    section: sections.size === 1 ? picked[0].line.section : null,
+    difficulty: difficultyFromGap(minGap, difficultyGaps),
+    extraTags: ['reveals-song']
+  });
+
+  const subjectId = `${song.slug}-l${picked[0].line.lineNumber}`;
+
+  return createQuestion({
+    id: createQuestionId(GENERATOR_TYPE, subjectId, INPUT_MODES.ORDERED_LIST, promptVariant),
+    type: INPUT_MODES.ORDERED_LIST,
+    generatorType: GENERATOR_TYPE,
+    scoringMode: SCORING_MODES.RANKED,
+    title: `Put these lines from "${song.title}" in the order they appear`,
+    items,
+    correctOrder,
+    tags,
+    source: {
+      song: song.slug,
+      lineNumbers: picked.map(c => c.line.lineNumber)
+    }
+  });
+}
+
+export const meta = {
+  type: GENERATOR_TYPE,
+  version: VERSION,
+  description: 'Generates "put these lines in the order they appear" questions'
+};
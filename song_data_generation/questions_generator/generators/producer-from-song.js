@@ -0,0 +1,227 @@
+/**
+ * Producer From Song Generator
+ *
+ * Generates "who produced this song?" questions from each song's `producers`
+ * credits. Producers are resolved through the alias dictionary, so
+ * different spellings of one producer ("No ID", "No I.D.") count once.
+ *
+ * Input modes:
+ * - free-text: name any producer besides the song's own artist
+ * - multiple-choice: wrong answers are producers from the same album first
+ * - multi-entry: name all the producers of the song
+ */
+
+import {
+  INPUT_MODES,
+  SCORING_MODES,
+  createQuestionId,
+  createQuestion
+} from '../utils/question-schema.js';
+import { buildTagSet } from '../utils/tag-builder.js';
+import { resolveProducer, resolveSongProducers } from '../utils/alias-resolver.js';
+import { shuffle } from '../utils/wrong-answer-generator.js';
+
+const GENERATOR_TYPE = 'producer-from-song';
+const VERSION = '1.0.0';
+
+/**
+ * Generate producer-from-song questions for all songs
+ * @param {object[]} songs - Array of normalized song objects
+ * @param {object} config - Generator configuration
+ * @returns {object[]} - Array of questions
+ */
+export function generate(songs, config = {}) {
+  const {
+    inputModeWeights = { 'free-text': 40, 'multiple-choice': 40, 'multi-entry': 20 },
+    minWrongAnswers = 10,
+    wrongAnswerCount = 3,
+    minProducers = 2,  // Multi-entry needs at least this many producers
+    maxGuessesMultiplier = 2,
+    baseMaxGuesses = 3
+  } = config;
+
+  const questions = [];
+  const credits = songs
+    .map(song => ({ song, producers: resolveSongProducers(song) }))
+    .filter(credit => credit.producers.length > 0);
+
+  const modes = Object.entries(inputModeWeights)
+    .filter(([_, weight]) => weight > 0)
+    .map(([inputMode]) => inputMode);
+
+  for (const credit of credits) {
+    const wrongAnswerPool = getWrongProducerAnswers(credit, credits, minWrongAnswers);
+    const songQuestions = generateForSong(credit, wrongAnswerPool, modes, {
+      wrongAnswerCount,
+      minProducers,
+      maxGuessesMultiplier,
+      baseMaxGuesses
+    });
+    questions.push(...songQuestions);
+  }
+
+  console.log(`[${GENERATOR_TYPE}] Generated ${questions.length} questions`);
+  return questions;
+}
+
+/**
+ * Producers other than the song's own artists (the interesting answers)
+ */
+function getGuestProducers(song, producers) {
+  const artistRefs = new Set((song.artists || [song.artist]).map(a => resolveProducer(a).entityRef));
+  return producers.filter(p => !artistRefs.has(p.entityRef));
+}
+
+/**
+ * Get wrong producer answers
+ * Strategy: producers credited elsewhere on the same album, then anyone in the catalogue
+ */
+function getWrongProducerAnswers(credit, credits, minCount) {
+  const wrongs = [];
+  const seen = new Set(credit.producers.map(p => p.entityRef));
+
+  const addProducers = (others, limit = Infinity) => {
+    for (const other of shuffle(others)) {
+      for (const producer of other.producers) {
+        if (wrongs.length >= limit) return;
+        if (seen.has(producer.entityRef)) continue;
+        seen.add(producer.entityRef);
+        wrongs.push(producer);
+      }
+    }
+  };
+
+  const album = credit.song.album?.toLowerCase();
+  if (album) {
+    addProducers(credits.filter(c => c !== credit && c.song.album?.toLowerCase() === album));
+  }
+  if (wrongs.length < minCount) {
+    addProducers(credits.filter(c => c.song.album?.toLowerCase() !== album), minCount);
+  }
+
+  return wrongs;
+}
+
+/**
+ * Generate questions for a single song
+ */
+function generateForSong(credit, wrongAnswerPool, modes, config) {
+  const questions = [];
+  const { song, producers } = credit;
+  const guestProducers = getGuestProducers(song, producers);
+
+  for (const inputMode of modes) {
+    let question = null;
+
+    if (inputMode === INPUT_MODES.MULTI_ENTRY) {
+      if (producers.length >= config.minProducers) {
+        question = createMultiEntryQuestion(song, producers, config);
+      }
+    } else if (guestProducers.length > 0) {
+      // Every song's artist is a safe guess, so only ask about the others
+      if (inputMode === INPUT_MODES.MULTIPLE_CHOICE && wrongAnswerPool.length < config.wrongAnswerCount) continue;
+      question = createSingleAnswerQuestion(song, producers, guestProducers, wrongAnswerPool, inputMode, config);
+    }
+
+    if (question) questions.push(question);
+  }
+
+  return questions;
+}
+
+/**
+ * Free-text or multiple-choice: name one producer
+ */
+function createSingleAnswerQuestion(song, producers, guestProducers, wrongAnswerPool, inputMode, config) {
+  if (inputMode !== INPUT_MODES.FREE_TEXT && inputMode !== INPUT_MODES.MULTIPLE_CHOICE) return null;
+
+  const artistProduced = guestProducers.length < producers.length;
+  const title = artistProduced
+    ? `Who co-produced "${song.title}" with ${song.artist}?`
+    : `Who produced "${song.title}"?`;
+
+  const tags = buildTagSet({
+    generatorType: GENERATOR_TYPE,
+    inputMode,
+    song: song.title,
+    album: song.album,
+    artist: song.artist,
+    artists: song.artists,
+    year: song.year,
+    difficulty: 'hard',
+    extraTags: ['producers', 'reveals-song']
+  });
+
+  const questionData = {
+    id: createQuestionId(GENERATOR_TYPE, song.slug, inputMode),
+    type: inputMode,
+    generatorType: GENERATOR_TYPE,
+    title,
+    tags,
+    source: {
+      song: song.slug,
+      producers: song.producers
+    }
+  };
+
+  if (inputMode === INPUT_MODES.FREE_TEXT) {
+    // Any of the guest producers is accepted
+    questionData.answers = guestProducers;
+  } else {
+    // Lead guest producer; the pool never contains anyone credited on the song
+    questionData.answer = guestProducers[0];
+    questionData.wrongAnswerPool = wrongAnswerPool;
+    questionData.wrongAnswerCount = config.wrongAnswerCount;
+  }
+
+  return createQuestion(questionData);
+}
+
+/**
+ * Multi-entry: name all the producers
+ */
+function createMultiEntryQuestion(song, producers, config) {
+  const { maxGuessesMultiplier, baseMaxGuesses } = config;
+
+  const tags = buildTagSet({
+    generatorType: GENERATOR_TYPE,
+    inputMode: INPUT_MODES.MULTI_ENTRY,
+    song: song.title,
+    album: song.album,
+    artist: song.artist,
+    artists: song.artists,
+    year: song.year,
+    difficulty: estimateDifficulty(producers.length),
+    extraTags: ['producers', 'multi-entry', 'reveals-song']
+  });
+
+  return createQuestion({
+    id: createQuestionId(GENERATOR_TYPE, song.slug, INPUT_MODES.MULTI_ENTRY),
+    type: INPUT_MODES.MULTI_ENTRY,
+    generatorType: GENERATOR_TYPE,
+    scoringMode: SCORING_MODES.MULTI_ENTRY,
+    title: `Name all the producers of "${song.title}"`,
+    answers: producers,
+    maxGuesses: Math.max(baseMaxGuesses, Math.ceil(producers.length * maxGuessesMultiplier)),
+    tags,
+    source: {
+      song: song.slug,
+      producers: song.producers
+    }
+  });
+}
+
+/**
+ * Estimate difficulty based on number of producers
+ */
+function estimateDifficulty(producerCount) {
+  if (producerCount <= 2) return 'easy';
+  if (producerCount <= 4) return 'medium';
+  return 'hard';
+}
+
+export const meta = {
+  type: GENERATOR_TYPE,
+  version: VERSION,
+  description: 'Generates "who produced this song?" questions (free-text, MC, multi-entry)'
+};
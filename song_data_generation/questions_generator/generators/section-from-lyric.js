@@ -0,0 +1,212 @@
+/**
+ * Section From Lyric Generator
+ *
+ * Generates "is this line from the chorus or a verse?" questions.
+ * Uses each line's `section.type`; lines heard in more than one kind of
+ * section (a hook repeated in the outro) have no single answer and are skipped.
+ *
+ * Multiple-choice and true/false only. The choices are the kinds of section
+ * the song actually has.
+ */
+
+import {
+  INPUT_MODES,
+  createQuestionId,
+  createQuestion
+} from '../utils/question-schema.js';
+import { buildTagSet } from '../utils/tag-builder.js';
+import { shuffle } from '../utils/wrong-answer-generator.js';
+
+const GENERATOR_TYPE = 'section-from-lyric';
+const VERSION = '1.0.0';
+
+const MIN_LINE_LENGTH = 15;
+const MIN_WORD_COUNT = 3;
+const MAX_DISPLAY_LENGTH = 80;
+
+const SECTION_NAMES = {
+  intro: 'Intro',
+  verse: 'Verse',
+  'pre-chorus': 'Pre-Chorus',
+  chorus: 'Chorus',
+  bridge: 'Bridge',
+  interlude: 'Interlude',
+  break: 'Break',
+  outro: 'Outro'
+};
+
+/**
+ * Generate section-from-lyric questions for all songs
+ * @param {object[]} songs - Array of normalized song objects
+ * @param {object} config - Generator configuration
+ * @returns {object[]} - Array of questions
+ */
+export function generate(songs, config = {}) {
+  const {
+    inputModeWeights = { 'multiple-choice': 60, 'true-false': 40 },
+    linesPerSection = 2,
+    wrongAnswerCount = 3,
+    trueFalseCorrectProbability = 0.5
+  } = config;
+
+  const questions = [];
+
+  for (const song of songs) {
+    const songQuestions = generateForSong(song, {
+      inputModeWeights,
+      linesPerSection,
+      wrongAnswerCount,
+      trueFalseCorrectProbability
+    });
+    questions.push(...songQuestions);
+  }
+
+  console.log(`[${GENERATOR_TYPE}] Generated ${questions.length} questions`);
+  return questions;
+}
+
+/**
+ * Section kind for a line, folding numbered types ("verse-2") into their base
+ * @returns {string|null} - A SECTION_NAMES key, or null for unknown sections
+ */
+function getSectionKind(line) {
+  const kind = (line.section || '').toLowerCase().replace(/-\d+$/, '');
+  return SECTION_NAMES[kind] ? kind : null;
+}
+
+/**
+ * Generate questions for a single song
+ */
+function generateForSong(song, config) {
+  const questions = [];
+  const { inputModeWeights, linesPerSection, wrongAnswerCount, trueFalseCorrectProbability } = config;
+
+  const linesByKind = getCandidateLines(song);
+  // A one-section song makes every question trivial
+  if (linesByKind.size < 2) return questions;
+
+  const modes = Object.entries(inputModeWeights).filter(([_, weight]) => weight > 0);
+  const kinds = [...linesByKind.keys()];
+
+  for (const [kind, lines] of linesByKind) {
+    const wrongAnswerPool = kinds.filter(k => k !== kind).map(sectionEntity);
+
+    for (const line of shuffle(lines).slice(0, linesPerSection)) {
+      for (const [inputMode, _] of modes) {
+        const question = createQuestionForMode(song, line, kind, wrongAnswerPool, inputMode, {
+          wrongAnswerCount,
+          trueFalseCorrectProbability
+        });
+        if (question) questions.push(question);
+      }
+    }
+  }
+
+  return questions;
+}
+
+/**
+ * Usable lines grouped by section kind, one entry per distinct line
+ * @returns {Map<string, object[]>}
+ */
+function getCandidateLines(song) {
+  const kindsByContent = new Map();
+  for (const line of song.lyrics || []) {
+    const kind = getSectionKind(line);
+    if (!kind) continue;
+    const key = line.content.toLowerCase().trim();
+    if (!kindsByContent.has(key)) kindsByContent.set(key, new Set());
+    kindsByContent.get(key).add(kind);
+  }
+
+  const linesByKind = new Map();
+  const seen = new Set();
+  for (const line of song.lyrics || []) {
+    const kind = getSectionKind(line);
+    const key = line.content.toLowerCase().trim();
+    if (!kind || seen.has(key)) continue;
+    if (line.content.length < MIN_LINE_LENGTH) continue;
+    if (line.content.split(/\s+/).length < MIN_WORD_COUNT) continue;
+    if (kindsByContent.get(key).size > 1) continue;
+    seen.add(key);
+
+    if (!linesByKind.has(kind)) linesByKind.set(kind, []);
+    linesByKind.get(kind).push(line);
+  }
+
+  return linesByKind;
+}
+
+// Answer object for a section kind
+function sectionEntity(kind) {
+  return {
+    display: SECTION_NAMES[kind],
+    aliases: [kind]
+  };
+}
+
+/**
+ * Create a question for a specific input mode
+ */
+function createQuestionForMode(song, line, kind, wrongAnswerPool, inputMode, config) {
+  const { wrongAnswerCount, trueFalseCorrectProbability } = config;
+
+  let title;
+  if (inputMode === INPUT_MODES.MULTIPLE_CHOICE) {
+    title = `Which part of "${song.title}" is this line from?`;
+  } else if (inputMode === INPUT_MODES.TRUE_FALSE) {
+    title = `This line is from the {shownAnswer} of "${song.title}"`;
+  } else {
+    return null;
+  }
+
+  const displayLine = line.content.length > MAX_DISPLAY_LENGTH
+    ? line.content.slice(0, MAX_DISPLAY_LENGTH - 3) + '...'
+    : line.content;
+
+  const tags = buildTagSet({
+    generatorType: GENERATOR_TYPE,
+    inputMode,
+    song: song.title,
+    album: song.album,
+    artist: song.artist,
+    artists: song.artists,
+    year: song.year,
+    section: kind,
+    voice: line.voice,
+    difficulty: kind === 'chorus' ? 'easy' : 'medium',
+    extraTags: ['song-structure', 'reveals-song']
+  });
+
+  const questionData = {
+    id: createQuestionId(GENERATOR_TYPE, `${song.slug}-l${line.lineNumber}`, inputMode),
+    type: inputMode,
+    generatorType: GENERATOR_TYPE,
+    title,
+    content: { type: 'text', text: `"${displayLine}"` },
+    answer: sectionEntity(kind),
+    wrongAnswerPool,
+    wrongAnswerCount: Math.min(wrongAnswerCount, wrongAnswerPool.length),
+    tags,
+    source: {
+      song: song.slug,
+      lineNumber: line.lineNumber,
+      section: line.sectionLabel || SECTION_NAMES[kind]
+    }
+  };
+
+  if (inputMode === INPUT_MODES.TRUE_FALSE) {
+    questionData.titleTemplate = title;
+    questionData.trueFalseConfig = {
+      correctProbability: trueFalseCorrectProbability
+    };
+  }
+
+  return createQuestion(questionData);
+}
+
+export const meta = {
+  type: GENERATOR_TYPE,
+  version: VERSION,
+  description: 'Generates "which part of the song is this line from?" questions'
+};
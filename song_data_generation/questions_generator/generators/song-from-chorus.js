@@ -0,0 +1,134 @@
+/**
+ * Song From Chorus Generator
+ *
+ * Generates "name the song from the chorus" questions that play with
+ * progressive reveal: the server shows the first lyricPool line, then adds
+ * one more every `revealIntervalMs`. The fewer lines a player needed, the
+ * more points they get.
+ *
+ * Free-text only. The snippet starts at the first chorus line that doesn't
+ * name the song, so the opening line never gives the answer away.
+ */
+
+import {
+  INPUT_MODES,
+  createQuestionId,
+  createQuestion
+} from '../utils/question-schema.js';
+import { buildTagSet } from '../utils/tag-builder.js';
+import { resolveOrCreateEntity } from '../utils/alias-resolver.js';
+
+const GENERATOR_TYPE = 'song-from-chorus';
+const VERSION = '1.0.0';
+
+const MIN_LINE_LENGTH = 10;
+
+/**
+ * Generate song-from-chorus questions for all songs
+ * @param {object[]} songs - Array of normalized song objects
+ * @param {object} config - Generator configuration
+ * @returns {object[]} - Array of questions
+ */
+export function generate(songs, config = {}) {
+  const {
+    minLines = 3,
+    maxLines = 6,
+    revealIntervalMs = 4000
+  } = config;
+
+  const questions = [];
+  const seenTitles = new Set();
+
+  for (const song of songs) {
+    // One question per title, even if several versions are in the data
+    const titleKey = song.title.toLowerCase();
+    if (seenTitles.has(titleKey)) continue;
+
+    const snippet = getChorusSnippet(song, maxLines);
+    if (snippet.length < minLines) continue;
+
+    seenTitles.add(titleKey);
+    questions.push(createQuestionForSong(song, snippet, revealIntervalMs));
+  }
+
+  console.log(`[${GENERATOR_TYPE}] Generated ${questions.length} questions`);
+  return questions;
+}
+
+/**
+ * Consecutive lines from the song's first chorus, starting at the first
+ * line that doesn't contain the song title
+ * @returns {object[]} - Lyric lines in song order
+ */
+function getChorusSnippet(song, maxLines) {
+  const chorus = (song.lyrics || []).filter(line => line.section === 'chorus');
+  if (chorus.length === 0) return [];
+
+  const firstNumber = chorus[0].sectionNumber;
+  const title = song.title.toLowerCase().replace(/\s*\(.*\)\s*/g, '').trim();
+  const lines = chorus.filter(line => line.sectionNumber === firstNumber);
+
+  const start = lines.findIndex(line =>
+    line.content.length >= MIN_LINE_LENGTH &&
+    !line.content.toLowerCase().includes(title)
+  );
+  if (start === -1) return [];
+
+  // Repeated and ad-lib lines add nothing to the reveal
+  const seen = new Set();
+  const snippet = [];
+  for (const line of lines.slice(start)) {
+    const key = line.content.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    if (line.content.length < MIN_LINE_LENGTH || seen.has(key)) continue;
+    seen.add(key);
+    snippet.push(line);
+    if (snippet.length >= maxLines) break;
+  }
+  return snippet;
+}
+
+/**
+ * Create a free-text question with the snippet as its lyricPool
+ */
+function createQuestionForSong(song, snippet, revealIntervalMs) {
+  const answer = resolveOrCreateEntity('song', song.title);
+
+  const tags = buildTagSet({
+    generatorType: GENERATOR_TYPE,
+    inputMode: INPUT_MODES.FREE_TEXT,
+    song: song.title,
+    album: song.album,
+    artist: song.artist,
+    artists: song.artists,
+    year: song.year,
+    section: 'chorus',
+    difficulty: 'medium',
+    extraTags: ['progressive-reveal']
+  });
+
+  return createQuestion({
+    id: createQuestionId(GENERATOR_TYPE, song.slug, INPUT_MODES.FREE_TEXT),
+    type: INPUT_MODES.FREE_TEXT,
+    generatorType: GENERATOR_TYPE,
+    title: 'Name the song from the chorus',
+    content: { type: 'text', text: `"${snippet[0].content}"` },
+    answer,
+    lyricPool: snippet.map(line => ({
+      lineNumber: line.lineNumber,
+      text: line.content,
+      section: line.section
+    })),
+    revealConfig: { intervalMs: revealIntervalMs },
+    tags,
+    source: {
+      song: song.slug,
+      lineNumbers: snippet.map(line => line.lineNumber)
+    }
+  });
+}
+
+export const meta = {
+  type: GENERATOR_TYPE,
+  version: VERSION,
+  description: 'Generates "name the song from the chorus" questions with progressive reveal'
+};
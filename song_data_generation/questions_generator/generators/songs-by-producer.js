@@ -0,0 +1,128 @@
+/**
+ * Songs By Producer Generator
+ *
+ * Generates "name songs produced by X" questions.
+ * Uses multi-entry input mode where players guess one song at a time.
+ *
+ * Songs a producer made for their own releases are left out, otherwise
+ * every song by a self-producing artist would be an answer.
+ */
+
+import {
+  INPUT_MODES,
+  SCORING_MODES,
+  createQuestionId,
+  createQuestion
+} from '../utils/question-schema.js';
+import { buildTagSet, albumTag } from '../utils/tag-builder.js';
+import { resolveOrCreateEntity, resolveProducer, resolveSongProducers } from '../utils/alias-resolver.js';
+
+const GENERATOR_TYPE = 'songs-by-producer';
+const VERSION = '1.0.0';
+
+/**
+ * Generate songs-by-producer questions
+ * @param {object[]} songs - Array of normalized song objects
+ * @param {object} config - Generator configuration
+ * @returns {object[]} - Array of questions
+ */
+export function generate(songs, config = {}) {
+  const {
+    minSongs = 3,
+    maxSongs = 15,  // Longer lists are not fun to recall
+    maxGuessesMultiplier = 2,
+    baseMaxGuesses = 5
+  } = config;
+
+  const questions = [];
+
+  for (const { producer, producedSongs } of buildProducerIndex(songs)) {
+    if (producedSongs.length < minSongs || producedSongs.length > maxSongs) continue;
+    questions.push(createQuestionForProducer(producer, producedSongs, { maxGuessesMultiplier, baseMaxGuesses }));
+  }
+
+  console.log(`[${GENERATOR_TYPE}] Generated ${questions.length} questions`);
+  return questions;
+}
+
+/**
+ * Group songs by producer entity, skipping self-produced songs
+ * @returns {{ producer: object, producedSongs: object[] }[]}
+ */
+function buildProducerIndex(songs) {
+  const byRef = new Map();
+
+  for (const song of songs) {
+    const artistRefs = new Set((song.artists || [song.artist]).map(a => resolveProducer(a).entityRef));
+
+    for (const producer of resolveSongProducers(song)) {
+      if (artistRefs.has(producer.entityRef)) continue;
+      if (!byRef.has(producer.entityRef)) {
+        byRef.set(producer.entityRef, { producer, producedSongs: [] });
+      }
+      const entry = byRef.get(producer.entityRef);
+      // One answer per title, even if several versions are in the data
+      if (!entry.producedSongs.some(s => s.title.toLowerCase() === song.title.toLowerCase())) {
+        entry.producedSongs.push(song);
+      }
+    }
+  }
+
+  return [...byRef.values()];
+}
+
+/**
+ * Create a multi-entry question
+ */
+function createQuestionForProducer(producer, producedSongs, config) {
+  const { maxGuessesMultiplier, baseMaxGuesses } = config;
+
+  const answers = producedSongs.map(song => {
+    const entity = resolveOrCreateEntity('song', song.title);
+    return {
+      display: entity.display,
+      aliases: entity.aliases
+    };
+  });
+
+  const albums = [...new Set(producedSongs.map(s => s.album).filter(Boolean))];
+  const tags = buildTagSet({
+    generatorType: GENERATOR_TYPE,
+    inputMode: INPUT_MODES.MULTI_ENTRY,
+    artists: [...new Set(producedSongs.map(s => s.artist))],
+    difficulty: estimateDifficulty(producedSongs.length),
+    extraTags: ['producers', 'multi-entry', ...albums.map(albumTag)]
+  });
+
+  const slug = producer.entityRef.split(':')[1];
+
+  return createQuestion({
+    id: createQuestionId(GENERATOR_TYPE, slug, INPUT_MODES.MULTI_ENTRY),
+    type: INPUT_MODES.MULTI_ENTRY,
+    generatorType: GENERATOR_TYPE,
+    scoringMode: SCORING_MODES.MULTI_ENTRY,
+    title: `Name songs produced by ${producer.display}`,
+    answers,
+    maxGuesses: Math.max(baseMaxGuesses, Math.ceil(producedSongs.length * maxGuessesMultiplier)),
+    tags,
+    source: {
+      producer: producer.entityRef,
+      songs: producedSongs.map(s => s.slug)
+    }
+  });
+}
+
+/**
+ * Estimate difficulty based on number of songs
+ */
+function estimateDifficulty(songCount) {
+  if (songCount <= 3) return 'easy';
+  if (songCount <= 8) return 'medium';
+  return 'hard';
+}
+
+export const meta = {
+  type: GENERATOR_TYPE,
+  version: VERSION,
+  description: 'Generates "name songs produced by X" questions (multi-entry)'
+};
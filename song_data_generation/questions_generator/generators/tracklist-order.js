@@ -0,0 +1,153 @@
+/**
+ * Tracklist Order Generator
+ *
+ * Generates "order these tracks as they appear on the album" questions.
+ * Needs track numbers (`release.track` in the lyrics files); albums with
+ * too few numbered songs are skipped. Each edition has its own tracklist.
+ *
+ * Ordered-list input mode only.
+ */
+
+import {
+  INPUT_MODES,
+  SCORING_MODES,
+  createQuestionId,
+  createQuestion,
+  createOrderedItems
+} from '../utils/question-schema.js';
+import { buildTagSet, difficultyFromGap } from '../utils/tag-builder.js';
+import { shuffle } from '../utils/wrong-answer-generator.js';
+
+const GENERATOR_TYPE = 'tracklist-order';
+const VERSION = '1.0.0';
+
+/**
+ * Generate tracklist-order questions
+ * @param {object[]} songs - Array of normalized song objects
+ * @param {object} config - Generator configuration
+ * @returns {object[]} - Array of questions
+ */
+export function generate(songs, config = {}) {
+  const {
+    itemCount = 4,
+    setsPerAlbum = 3,
+    difficultyGaps = { easy: 4, medium: 2 }  // Tracks between the closest two songs
+  } = config;
+
+  const questions = [];
+  const tracklists = buildTracklists(songs);
+  let skipped = 0;
+
+  for (const tracklist of tracklists) {
+    if (tracklist.songs.length < itemCount) {
+      skipped++;
+      continue;
+    }
+    questions.push(...generateForTracklist(tracklist, { itemCount, setsPerAlbum, difficultyGaps }));
+  }
+
+  if (skipped > 0) {
+    console.log(`[${GENERATOR_TYPE}] Skipped ${skipped} albums with fewer than ${itemCount} numbered tracks`);
+  }
+  console.log(`[${GENERATOR_TYPE}] Generated ${questions.length} questions`);
+  return questions;
+}
+
+/**
+ * Group numbered songs by album and edition, in track order
+ */
+function buildTracklists(songs) {
+  const byAlbum = new Map();
+
+  for (const song of songs) {
+    if (!song.album || !song.trackNumber) continue;
+    const key = `${song.album.toLowerCase()}\u0000${song.edition}`;
+    if (!byAlbum.has(key)) {
+      byAlbum.set(key, { album: song.album, edition: song.edition, artist: song.artist, year: song.year, songs: [] });
+    }
+    byAlbum.get(key).songs.push(song);
+  }
+
+  for (const tracklist of byAlbum.values()) {
+    tracklist.songs.sort((a, b) => a.trackNumber - b.trackNumber);
+    // Two songs claiming the same slot make the order ambiguous; keep the first
+    tracklist.songs = tracklist.songs.filter((song, i, all) => i === 0 || song.trackNumber !== all[i - 1].trackNumber);
+  }
+
+  return [...byAlbum.values()];
+}
+
+/**
+ * Generate questions for a single album edition
+ */
+function generateForTracklist(tracklist, config) {
+  const questions = [];
+  const { itemCount, setsPerAlbum, difficultyGaps } = config;
+
+  const seen = new Set();
+  const maxAttempts = setsPerAlbum * 10;
+
+  for (let attempt = 0; attempt < maxAttempts && questions.length < setsPerAlbum; attempt++) {
+    const ordered = shuffle(tracklist.songs)
+      .slice(0, itemCount)
+      .sort((a, b) => a.trackNumber - b.trackNumber);
+
+    const key = ordered.map(s => s.trackNumber).join('-');
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    questions.push(createQuestionForTracks(tracklist, ordered, key, difficultyGaps));
+  }
+
+  return questions;
+}
+
+/**
+ * Create a question for songs already in track order
+ */
+function createQuestionForTracks(tracklist, ordered, trackKey, difficultyGaps) {
+  const { items, correctOrder } = createOrderedItems(ordered.map(s => s.title));
+
+  let minGap = Infinity;
+  for (let i = 1; i < ordered.length; i++) {
+    minGap = Math.min(minGap, ordered[i].trackNumber - ordered[i - 1].trackNumber);
+  }
+
+  const isStandard = tracklist.edition === 'standard';
+  const albumLabel = isStandard ? `"${tracklist.album}"` : `"${tracklist.album}" (${tracklist.edition} edition)`;
+  const slug = `${tracklist.album}${isStandard ? '' : `-${tracklist.edition}`}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)/g, '');
+
+  const tags = buildTagSet({
+    generatorType: GENERATOR_TYPE,
+    inputMode: INPUT_MODES.ORDERED_LIST,
+    album: tracklist.album,
+    artist: tracklist.artist,
+    year: tracklist.year,
+    difficulty: difficultyFromGap(minGap, difficultyGaps)
+  });
+
+  return createQuestion({
+    id: createQuestionId(GENERATOR_TYPE, `${slug}-t${trackKey}`, INPUT_MODES.ORDERED_LIST),
+    type: INPUT_MODES.ORDERED_LIST,
+    generatorType: GENERATOR_TYPE,
+    scoringMode: SCORING_MODES.RANKED,
+    title: `Order these tracks as they appear on ${albumLabel}`,
+    items,
+    correctOrder,
+    tags,
+    source: {
+      album: tracklist.album,
+      edition: tracklist.edition,
+      tracks: ordered.map(s => ({ song: s.slug, trackNumber: s.trackNumber }))
+    }
+  });
+}
+
+export const meta = {
+  type: GENERATOR_TYPE,
+  version: VERSION,
+  description: 'Generates "order these tracks as they appear on the album" questions'
+};
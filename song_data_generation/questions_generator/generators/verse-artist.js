@@ -0,0 +1,250 @@
+/**
+ * Verse Artist Generator
+ *
+ * Generates "whose verse is this?" questions from the artists credited on
+ * each verse (`section.artists`). Only songs where at least two artists
+ * have a verse are used.
+ *
+ * Input modes:
+ * - multiple-choice: a line from a solo verse; the choices are the song's other verse artists
+ * - true-false: "This line is from {artist}'s verse"
+ * - multi-entry: name every artist who has a verse on the song
+ */
+
+import {
+  INPUT_MODES,
+  SCORING_MODES,
+  createQuestionId,
+  createQuestion
+} from '../utils/question-schema.js';
+import { buildTagSet, voiceTag } from '../utils/tag-builder.js';
+import { resolveArtist } from '../utils/alias-resolver.js';
+import { shuffle } from '../utils/wrong-answer-generator.js';
+
+const GENERATOR_TYPE = 'verse-artist';
+const VERSION = '1.0.0';
+
+const MIN_LINE_LENGTH = 15;
+const MIN_WORD_COUNT = 3;
+const MAX_DISPLAY_LENGTH = 80;
+
+// Verse credits like "[Verse 6: Kanye West, Jay-Z & Both]"
+const GROUP_CREDIT = /^(both|all|everyone)$/i;
+
+/**
+ * Generate verse-artist questions for all songs
+ * @param {object[]} songs - Array of normalized song objects
+ * @param {object} config - Generator configuration
+ * @returns {object[]} - Array of questions
+ */
+export function generate(songs, config = {}) {
+  const {
+    inputModeWeights = { 'multiple-choice': 50, 'true-false': 20, 'multi-entry': 30 },
+    linesPerVerse = 1,
+    wrongAnswerCount = 3,
+    trueFalseCorrectProbability = 0.5,
+    maxGuessesMultiplier = 2,
+    baseMaxGuesses = 3
+  } = config;
+
+  const questions = [];
+
+  for (const song of songs) {
+    const songQuestions = generateForSong(song, {
+      inputModeWeights,
+      linesPerVerse,
+      wrongAnswerCount,
+      trueFalseCorrectProbability,
+      maxGuessesMultiplier,
+      baseMaxGuesses
+    });
+    questions.push(...songQuestions);
+  }
+
+  console.log(`[${GENERATOR_TYPE}] Generated ${questions.length} questions`);
+  return questions;
+}
+
+/**
+ * Group a song's verse lines by section, with the artists credited on each
+ * @returns {{ artists: object[], lines: object[] }[]}
+ */
+function getVerses(song) {
+  const verses = new Map();
+
+  for (const line of song.lyrics || []) {
+    if (!/^verse(-\d+)?$/i.test(line.section)) continue;
+    const key = `${line.section}\u0000${line.sectionNumber}`;
+    if (!verses.has(key)) {
+      const byRef = new Map();
+      line.sectionArtists
+        .flatMap(name => name.split(/\s+with\s+/i))
+        .map(name => name.trim())
+        .filter(name => name && !GROUP_CREDIT.test(name))
+        .forEach(name => {
+          const entity = resolveArtist(name);
+          if (!byRef.has(entity.entityRef)) byRef.set(entity.entityRef, entity);
+        });
+      verses.set(key, { artists: [...byRef.values()], lines: [] });
+    }
+    verses.get(key).lines.push(line);
+  }
+
+  return [...verses.values()].filter(verse => verse.artists.length > 0);
+}
+
+/**
+ * Generate questions for a single song
+ */
+function generateForSong(song, config) {
+  const questions = [];
+  const verses = getVerses(song);
+
+  const verseArtists = new Map();
+  verses.forEach(verse => verse.artists.forEach(a => verseArtists.set(a.entityRef, a)));
+  if (verseArtists.size < 2) return questions;
+
+  const modes = Object.entries(config.inputModeWeights)
+    .filter(([_, weight]) => weight > 0)
+    .map(([inputMode]) => inputMode);
+
+  if (modes.includes(INPUT_MODES.MULTI_ENTRY)) {
+    questions.push(createMultiEntryQuestion(song, [...verseArtists.values()], config));
+  }
+
+  const lineModes = modes.filter(mode => mode !== INPUT_MODES.MULTI_ENTRY);
+  if (lineModes.length === 0) return questions;
+
+  // Lines said anywhere else in the song could belong to someone else's verse
+  const counts = new Map();
+  for (const line of song.lyrics || []) {
+    const key = line.content.toLowerCase().trim();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  for (const verse of verses) {
+    // Shared verses have no single owner
+    if (verse.artists.length !== 1) continue;
+    const [artist] = verse.artists;
+    const otherArtists = [...verseArtists.values()].filter(a => a.entityRef !== artist.entityRef);
+
+    const candidates = verse.lines.filter(line =>
+      line.content.length >= MIN_LINE_LENGTH &&
+      line.content.split(/\s+/).length >= MIN_WORD_COUNT &&
+      counts.get(line.content.toLowerCase().trim()) === 1
+    );
+
+    for (const line of shuffle(candidates).slice(0, config.linesPerVerse)) {
+      for (const inputMode of lineModes) {
+        const question = createLineQuestion(song, line, artist, otherArtists, inputMode, config);
+        if (question) questions.push(question);
+      }
+    }
+  }
+
+  return questions;
+}
+
+/**
+ * Multiple-choice or true/false: whose verse is this line from?
+ */
+function createLineQuestion(song, line, artist, otherArtists, inputMode, config) {
+  const { wrongAnswerCount, trueFalseCorrectProbability } = config;
+
+  let title;
+  if (inputMode === INPUT_MODES.MULTIPLE_CHOICE) {
+    // With two verse artists, name both (in random order so the title gives nothing away)
+    title = otherArtists.length === 1
+      ? `Whose verse is this: ${shuffle([artist, ...otherArtists]).map(a => `${a.display}'s`).join(' or ')}?`
+      : `Whose verse on "${song.title}" is this line from?`;
+  } else if (inputMode === INPUT_MODES.TRUE_FALSE) {
+    title = `This line is from {shownAnswer}'s verse on "${song.title}"`;
+  } else {
+    return null;
+  }
+
+  const displayLine = line.content.length > MAX_DISPLAY_LENGTH
+    ? line.content.slice(0, MAX_DISPLAY_LENGTH - 3) + '...'
+    : line.content;
+
+  const tags = buildTagSet({
+    generatorType: GENERATOR_TYPE,
+    inputMode,
+    song: song.title,
+    album: song.album,
+    artist: song.artist,
+    artists: song.artists,
+    year: song.year,
+    section: 'verse',
+    voice: artist.display,
+    difficulty: otherArtists.length === 1 ? 'easy' : 'medium',
+    extraTags: ['features', 'voice-identification', 'reveals-song']
+  });
+
+  const questionData = {
+    id: createQuestionId(GENERATOR_TYPE, `${song.slug}-l${line.lineNumber}`, inputMode),
+    type: inputMode,
+    generatorType: GENERATOR_TYPE,
+    title,
+    content: { type: 'text', text: `"${displayLine}"` },
+    answer: artist,
+    wrongAnswerPool: otherArtists,
+    wrongAnswerCount: Math.min(wrongAnswerCount, otherArtists.length),
+    tags,
+    source: {
+      song: song.slug,
+      lineNumber: line.lineNumber,
+      section: line.sectionLabel
+    }
+  };
+
+  if (inputMode === INPUT_MODES.TRUE_FALSE) {
+    questionData.titleTemplate = title;
+    questionData.trueFalseConfig = {
+      correctProbability: trueFalseCorrectProbability
+    };
+  }
+
+  return createQuestion(questionData);
+}
+
+/**
+ * Multi-entry: name every artist with a verse
+ */
+function createMultiEntryQuestion(song, verseArtists, config) {
+  const { maxGuessesMultiplier, baseMaxGuesses } = config;
+
+  const tags = buildTagSet({
+    generatorType: GENERATOR_TYPE,
+    inputMode: INPUT_MODES.MULTI_ENTRY,
+    song: song.title,
+    album: song.album,
+    artist: song.artist,
+    artists: song.artists,
+    year: song.year,
+    section: 'verse',
+    difficulty: verseArtists.length <= 2 ? 'easy' : verseArtists.length <= 4 ? 'medium' : 'hard',
+    extraTags: ['features', 'multi-entry', 'reveals-song', ...verseArtists.map(a => voiceTag(a.display))]
+  });
+
+  return createQuestion({
+    id: createQuestionId(GENERATOR_TYPE, song.slug, INPUT_MODES.MULTI_ENTRY),
+    type: INPUT_MODES.MULTI_ENTRY,
+    generatorType: GENERATOR_TYPE,
+    scoringMode: SCORING_MODES.MULTI_ENTRY,
+    title: `Name every artist who has a verse on "${song.title}"`,
+    answers: verseArtists,
+    maxGuesses: Math.max(baseMaxGuesses, Math.ceil(verseArtists.length * maxGuessesMultiplier)),
+    tags,
+    source: {
+      song: song.slug,
+      verseArtists: verseArtists.map(a => a.display)
+    }
+  });
+}
+
+export const meta = {
+  type: GENERATOR_TYPE,
+  version: VERSION,
+  description: 'Generates "whose verse is this?" questions (MC, T/F, multi-entry)'
+};
@@ -32,7 +32,15 @@ const GENERATORS = {
   'artist-from-lyric': () => import('./generators/artist-from-lyric.js'),
   'artist-from-song': () => import('./generators/artist-from-song.js'),
   'next-line': () => import('./generators/next-line.js'),
-  'features-on-song': () => import('./generators/features-on-song.js')
+  'features-on-song': () => import('./generators/features-on-song.js'),
+  'producer-from-song': () => import('./generators/producer-from-song.js'),
+  'songs-by-producer': () => import('./generators/songs-by-producer.js'),
+  'section-from-lyric': () => import('./generators/section-from-lyric.js'),
+  'verse-artist': () => import('./generators/verse-artist.js'),
+  'song-from-chorus': () => import('./generators/song-from-chorus.js'),
+  'album-release-order': () => import('./generators/album-release-order.js'),
+  'tracklist-order': () => import('./generators/tracklist-order.js'),
+  'lyric-line-order': () => import('./generators/lyric-line-order.js')
 };
 
 /**
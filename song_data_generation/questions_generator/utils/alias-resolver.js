@@ -104,6 +104,63 @@ export function resolveOrCreateEntity(type, displayName) {
   };
 }
 
+/**
+ * Find an entity of a type by its display name or any alias.
+ * Catches spellings whose slug differs from the entity's, like "No ID" for "No I.D."
+ * @param {string} type - "artist", "album", "producer", etc.
+ * @param {string} name
+ * @returns {object|null} - { entityRef, display, aliases }
+ */
+export function findEntityByName(type, name) {
+  const key = name.toLowerCase().trim();
+  for (const data of entityIndex.values()) {
+    if (data.type !== type) continue;
+    if (data.display.toLowerCase() === key || data.aliases.some(a => a.toLowerCase() === key)) {
+      return {
+        entityRef: data.ref,
+        display: data.display,
+        aliases: [...data.aliases]
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve an artist credit, matching aliases as well ("Ye" is Kanye West)
+ * @param {string} name
+ * @returns {object} - { entityRef, display, aliases }
+ */
+export function resolveArtist(name) {
+  return findEntityByName('artist', name) || resolveOrCreateEntity('artist', name);
+}
+
+/**
+ * Resolve a producer credit. Producers who also release music are usually
+ * listed as artists, so those are checked before creating a producer entity.
+ * @param {string} name
+ * @returns {object} - { entityRef, display, aliases }
+ */
+export function resolveProducer(name) {
+  return findEntityByName('producer', name)
+    || findEntityByName('artist', name)
+    || resolveOrCreateEntity('producer', name);
+}
+
+/**
+ * A song's producer credits as entities, one per person
+ * @param {object} song - Normalized song (see lyrics-loader)
+ * @returns {object[]} - Array of { entityRef, display, aliases }
+ */
+export function resolveSongProducers(song) {
+  const byRef = new Map();
+  for (const name of song.producers || []) {
+    const entity = resolveProducer(name);
+    if (!byRef.has(entity.entityRef)) byRef.set(entity.entityRef, entity);
+  }
+  return [...byRef.values()];
+}
+
 /**
  * Get all entities of a given type
  * @param {string} type - "artist", "album", etc.
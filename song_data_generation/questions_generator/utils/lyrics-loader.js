@@ -115,12 +115,37 @@ export function loadLyrics(lyricsDir = null, projectsPath = null) {
   return songsData;
 }
 
+// Credit notes the lyrics editor keeps verbatim, e.g.
+// "Kanye West; Co-Produced by Mike Caren"
+const PRODUCER_CREDIT_SEPARATOR = /;|,|\bwith additional production (?:from|by)\b|\bco-produced by\b/i;
+
+/**
+ * Split producer credits into one name each, dropping duplicates
+ */
+function normalizeProducers(producers) {
+  const seen = new Set();
+  return (Array.isArray(producers) ? producers : [])
+    .flatMap(credit => String(credit).split(PRODUCER_CREDIT_SEPARATOR))
+    .map(name => name.trim())
+    .filter(name => {
+      const key = name.toLowerCase();
+      if (!name || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
 /**
  * Normalize a song object
  */
 function normalizeSong(song, filename) {
   const album = song.release?.project || null;
   const year = song.release?.year || null;
+  const edition = song.release?.edition || 'standard';
+  // Position on the project's tracklist, when known
+  const trackNumber = Number.isInteger(song.release?.track) && song.release.track > 0
+    ? song.release.track
+    : null;
   
   // Get artists - combine main artist, artists array, and features
   const artists = new Set();
@@ -147,10 +172,13 @@ function normalizeSong(song, filename) {
     artists: Array.from(artists),
     features,
     allVoices: [...artists, ...features],
+    producers: normalizeProducers(song.producers),
     
     // Release info
     album,
     year,
+    edition,
+    trackNumber,
     albumInfo,
     
     // Lyrics with line data
@@ -160,6 +188,7 @@ function normalizeSong(song, filename) {
       section: line.section?.type || 'unknown',
       sectionNumber: line.section?.number || 1,
       sectionLabel: line.section?.label || '',
+      sectionArtists: line.section?.artists || [],
       voice: line.voice?.display || song.artist || 'Unknown',
       voiceId: line.voice?.id || null
     })),
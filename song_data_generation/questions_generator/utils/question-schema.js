@@ -13,7 +13,8 @@ export const INPUT_MODES = Object.freeze({
   MULTIPLE_CHOICE: 'multiple-choice',
   TRUE_FALSE: 'true-false',
   MULTI_ENTRY: 'multi-entry',
-  NUMERIC: 'numeric'
+  NUMERIC: 'numeric',
+  ORDERED_LIST: 'ordered-list'
 });
 
 /**
@@ -22,9 +23,13 @@ export const INPUT_MODES = Object.freeze({
 export const SCORING_MODES = Object.freeze({
   STANDARD: 'standard',
   PROXIMITY: 'proximity',
-  MULTI_ENTRY: 'multi-entry'
+  MULTI_ENTRY: 'multi-entry',
+  RANKED: 'ranked'
 });
 
+// Opaque item IDs for ordered-list questions
+const ORDERED_ITEM_IDS = 'abcdefghijklmnopqrstuvwxyz';
+
 /**
  * Create a question ID
  * @param {string} generatorType 
@@ -60,6 +65,7 @@ export function createQuestion({
   // Answer data
   answer,  // { entityRef, display, aliases }
   answers = null,  // For multi-entry: array of answer objects
+  maxGuesses = null,  // For multi-entry: guess limit per player
   
   // For static MC: pre-built choices
   choices = null,
@@ -74,12 +80,19 @@ export function createQuestion({
   // For lyric-based prompts
   lyricPool = null,
   
+  // For progressive reveal: { intervalMs } - lyricPool lines are shown one at a time, in order
+  revealConfig = null,
+  
   // For proximity scoring
   proximityConfig = null,
   
   // For numeric
   numericConfig = null,
   
+  // For ordered-list: [{ id, text }] and the ids in correct order
+  items = null,
+  correctOrder = null,
+  
   // Tags for filtering
   tags,
   
@@ -107,6 +120,10 @@ export function createQuestion({
     question.answer = answer;
   }
   
+  if (maxGuesses) {
+    question.maxGuesses = maxGuesses;
+  }
+  
   // Add pre-built choices for static MC
   if (choices && choices.length > 0) {
     question.choices = choices;
@@ -128,6 +145,11 @@ export function createQuestion({
     question.lyricPool = lyricPool;
   }
   
+  // Add progressive reveal config
+  if (revealConfig) {
+    question.revealConfig = revealConfig;
+  }
+  
   // Add proximity config
   if (proximityConfig) {
     question.proximityConfig = proximityConfig;
@@ -138,6 +160,12 @@ export function createQuestion({
     question.numericConfig = numericConfig;
   }
   
+  // Add ordered-list items
+  if (items && items.length > 0) {
+    question.items = items;
+    question.correctOrder = correctOrder;
+  }
+  
   // Add source tracking
   if (source) {
     question.source = source;
@@ -146,6 +174,29 @@ export function createQuestion({
   return question;
 }
 
+/**
+ * Build ordered-list items from texts given in their correct order.
+ * Items are stored shuffled with letter IDs, so neither the IDs nor the
+ * stored order give the answer away.
+ * @param {string[]} texts - Item texts, in correct order
+ * @returns {{ items: { id: string, text: string }[], correctOrder: string[] }}
+ */
+export function createOrderedItems(texts) {
+  const positions = texts.map((_, index) => index);
+  for (let i = positions.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [positions[i], positions[j]] = [positions[j], positions[i]];
+  }
+  
+  const items = positions.map((position, index) => ({
+    id: ORDERED_ITEM_IDS[index],
+    text: texts[position]
+  }));
+  const correctOrder = texts.map((_, position) => ORDERED_ITEM_IDS[positions.indexOf(position)]);
+  
+  return { items, correctOrder };
+}
+
 /**
  * Validate a question object
  * @param {object} question 
@@ -189,6 +240,18 @@ export function validateQuestion(question) {
     }
   }
   
+  if (question.type === INPUT_MODES.ORDERED_LIST) {
+    if (!question.items || question.items.length < 2 || !question.correctOrder) {
+      errors.push('Ordered-list question must have at least 2 items and correctOrder');
+    }
+  }
+  
+  if (question.revealConfig) {
+    if (!question.lyricPool || question.lyricPool.length < 2) {
+      errors.push('Progressive-reveal question must have at least 2 lyricPool lines');
+    }
+  }
+  
   return {
     valid: errors.length === 0,
     errors
@@ -90,6 +90,19 @@ export function difficultyTag(level) {
   return tag('difficulty', level);
 }
 
+/**
+ * Difficulty from how close together the items in a question are
+ * (years apart, tracks apart, lines apart): the closer, the harder.
+ * @param {number} minGap - Smallest gap between neighbouring items
+ * @param {{ easy: number, medium: number }} thresholds - Minimum gap for each level
+ * @returns {'easy'|'medium'|'hard'}
+ */
+export function difficultyFromGap(minGap, { easy, medium }) {
+  if (minGap >= easy) return 'easy';
+  if (minGap >= medium) return 'medium';
+  return 'hard';
+}
+
 /**
  * Build a complete tag set for a question
  * @param {object} options
@@ -24,7 +24,8 @@ const VALID_MATCH_MODES = [
   'loose',   // Strips all punctuation, case insensitive
   'normal',  // Strips minor punctuation, case insensitive (default)
   'strict',  // Keeps punctuation, case insensitive
-  'exact'    // Keeps punctuation, case sensitive
+  'exact',   // Keeps punctuation, case sensitive
+  'fuzzy'    // Like loose, plus small typos and word order (see fuzzyThreshold)
 ];
 
 const TYPE_REQUIRED_FIELDS = {
@@ -159,6 +160,8 @@ export function validateQuestion(question) {
     validateMultiEntry(question, errors, warnings);
   } else if (question.type === 'numeric') {
     validateNumeric(question, errors, warnings);
+  } else if (question.type === 'ordered-list') {
+    validateOrderedList(question, errors, warnings);
   }
   
   // Quality checks (warnings)
@@ -372,6 +375,44 @@ function validateNumeric(question, errors, warnings) {
   }
 }
 
+/**
+ * Validate ordered-list questions
+ */
+function validateOrderedList(question, errors, warnings) {
+  const { items, correctOrder } = question;
+  
+  if (!Array.isArray(items) || items.length < 2) {
+    errors.push('Ordered-list must have at least 2 items');
+    return;
+  }
+  
+  if (!Array.isArray(correctOrder)) {
+    errors.push('correctOrder must be an array');
+    return;
+  }
+  
+  const itemIds = items.map(item => item?.id);
+  if (new Set(itemIds).size !== itemIds.length) {
+    errors.push('Ordered-list has duplicate item ids');
+  }
+  
+  // correctOrder must be a permutation of the item ids
+  const sameIds = correctOrder.length === itemIds.length &&
+    correctOrder.every(id => itemIds.includes(id));
+  if (!sameIds) {
+    errors.push('correctOrder must list every item id exactly once');
+  }
+  
+  const texts = items.map(item => item?.text?.toLowerCase().trim());
+  if (new Set(texts).size !== texts.length) {
+    errors.push('Ordered-list has duplicate item texts');
+  }
+  
+  if (items.length > 8) {
+    warnings.push('More than 8 items may be hard to arrange');
+  }
+}
+
 /**
  * Quality validation checks (warnings only)
  */
@@ -419,6 +460,18 @@ function validateQuality(question, warnings) {
       warnings.push(`Invalid matchMode "${question.matchMode}". Valid modes: ${VALID_MATCH_MODES.join(', ')}`);
     }
   }
+  
+  // Validate fuzzyThreshold if present (a similarity above 0, at most 1)
+  if (question.fuzzyThreshold !== undefined) {
+    if (typeof question.fuzzyThreshold !== 'number' || question.fuzzyThreshold <= 0 || question.fuzzyThreshold > 1) {
+      warnings.push('fuzzyThreshold must be a number above 0 and at most 1');
+    }
+  }
+  
+  // phoneticMatch toggles sound-alike matching for entity answers
+  if (question.phoneticMatch !== undefined && typeof question.phoneticMatch !== 'boolean') {
+    warnings.push('phoneticMatch must be a boolean');
+  }
 }
 
 // ============================================================================
@@ -0,0 +1,152 @@
+/**
+ * Test script for answer normalization
+ * Checks fuzzy (typo-tolerant) matching and its thresholds, phonetic
+ * (sound-alike) keys, number/abbreviation canonicalization and lobby answer
+ * strictness, with examples that must match and near neighbours that must not
+ */
+
+import {
+    MATCH_MODES,
+    normalizeForComparison,
+    findMatchingAnswer,
+    editDistance,
+    similarityRatio,
+    fuzzyMatchScore,
+    findFuzzyMatch,
+    phoneticKey,
+    findPhoneticMatch,
+    allowsPhoneticMatch,
+    ANSWER_STRICTNESS,
+    resolveMatchMode
+} from './server/src/answerNormalization.js';
+
+let allGood = true;
+
+function sameAnswer(a, b, matchMode = MATCH_MODES.NORMAL) {
+    return normalizeForComparison(a, matchMode) === normalizeForComparison(b, matchMode);
+}
+
+function check(label, actual, expected) {
+    const pass = JSON.stringify(actual) === JSON.stringify(expected);
+    console.log(`  ${pass ? '✓' : '❌'} ${label}`);
+    if (!pass) {
+        console.log(`      expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        allGood = false;
+    }
+}
+
+function fuzzy(text) {
+    return normalizeForComparison(text, MATCH_MODES.FUZZY);
+}
+
+function fuzzyScore(guess, answer) {
+    return fuzzyMatchScore(fuzzy(guess), fuzzy(answer));
+}
+
+try {
+    console.log('Testing answer normalization...\n');
+    console.log('='.repeat(60));
+
+    console.log('\nEdit distance:');
+    check('identical strings are 0 apart', editDistance('runaway', 'runaway'), 0);
+    check('empty string is the other string\'s length away', editDistance('', 'abc'), 3);
+    check('substitutions and insertions count once each', editDistance('kitten', 'sitting'), 3);
+    check('swapping two adjacent letters is one edit', editDistance('wset', 'west'), 1);
+    check('similarity of identical strings is 1', similarityRatio('heartless', 'heartless'), 1);
+    check('similarity of two empty strings is 1', similarityRatio('', ''), 1);
+
+    console.log('\nFuzzy scores:');
+    check('"Kanye Wset" is a close match', fuzzyScore('Kanye Wset', 'Kanye West'), 0.9);
+    check('"Run Away" matches "Runaway" ignoring spacing', fuzzyScore('Run Away', 'Runaway'), 0.99);
+    check('word order is ignored', fuzzyScore('West Kanye', 'Kanye West'), 0.99);
+    check('only identical answers score 1', fuzzyScore('Runaway', 'runaway!'), 1);
+    check('short answers must match exactly ("ye" vs "yo")', fuzzyScore('ye', 'yo'), 0);
+    check('unrelated titles score low', fuzzyScore('Heartless', 'Stronger') < 0.5, true);
+
+    console.log('\nFuzzy thresholds:');
+    const candidates = new Map([[fuzzy('Kanye West'), 'Kanye West'], [fuzzy('Kid Cudi'), 'Kid Cudi']]);
+    check('default threshold accepts "Kanye Wset"', findFuzzyMatch(fuzzy('Kanye Wset'), candidates), { match: 'Kanye West', confidence: 0.9 });
+    check('a stricter threshold rejects it', findFuzzyMatch(fuzzy('Kanye Wset'), candidates, 0.95), null);
+    check('an invalid threshold falls back to the default', findFuzzyMatch(fuzzy('Kanye Wset'), candidates, 5)?.match, 'Kanye West');
+    check('two typos in a short name are rejected', findFuzzyMatch(fuzzy('Kod Cuda'), candidates), null);
+    check('a different artist is rejected', findFuzzyMatch(fuzzy('Kanye East Coast'), candidates), null);
+
+    console.log('\nfindMatchingAnswer confidence:');
+    check('exact match reports confidence 1',
+        findMatchingAnswer('kanye west', ['Kanye West'], MATCH_MODES.FUZZY), { matches: true, matchedAnswer: 'Kanye West', confidence: 1 });
+    check('close match reports confidence below 1',
+        findMatchingAnswer('Kanye Wset', ['Kanye West'], MATCH_MODES.FUZZY), { matches: true, matchedAnswer: 'Kanye West', confidence: 0.9 });
+    check('per-question threshold is honoured',
+        findMatchingAnswer('Kanye Wset', ['Kanye West'], MATCH_MODES.FUZZY, { fuzzyThreshold: 0.95 }).matches, false);
+    check('typos are not accepted outside fuzzy mode',
+        findMatchingAnswer('Kanye Wset', ['Kanye West'], MATCH_MODES.NORMAL).matches, false);
+
+    console.log('\nPhonetic keys:');
+    const soundsAlike = (a, b) => phoneticKey(a).replace(/ /g, '') === phoneticKey(b).replace(/ /g, '');
+    check('"Kid Cuddy" sounds like "Kid Cudi"', soundsAlike('Kid Cuddy', 'Kid Cudi'), true);
+    check('"Pusha Tee" sounds like "Pusha T"', soundsAlike('Pusha Tee', 'Pusha T'), true);
+    check('"Cheef Keef" sounds like "Chief Keef"', soundsAlike('Cheef Keef', 'Chief Keef'), true);
+    check('"Travis Skot" sounds like "Travis Scott"', soundsAlike('Travis Skot', 'Travis Scott'), true);
+    check('"Stronger" does not sound like "Stranger"', soundsAlike('Stronger', 'Stranger'), false);
+    check('"Monster" does not sound like "Minister"', soundsAlike('Monster', 'Minister'), false);
+    check('"Heartless" does not sound like "Hurtless"', soundsAlike('Heartless', 'Hurtless'), false);
+
+    console.log('\nPhonetic matching:');
+    const entities = new Map([[fuzzy('Kid Cudi'), 'Kid Cudi'], [fuzzy('Pusha T'), 'Pusha T']]);
+    check('"Kid Cuddy" matches Kid Cudi', findPhoneticMatch(fuzzy('Kid Cuddy'), entities), { match: 'Kid Cudi', confidence: 0.9 });
+    check('word breaks are ignored ("kidcuddy")', findPhoneticMatch(fuzzy('kidcuddy'), entities)?.match, 'Kid Cudi');
+    check('"Pusha Tee" matches Pusha T', findPhoneticMatch(fuzzy('Pusha Tee'), entities)?.match, 'Pusha T');
+    check('a different name does not match', findPhoneticMatch(fuzzy('Kid Rock'), entities), null);
+    check('guesses under four letters never match', findPhoneticMatch(fuzzy('kd'), new Map([['kid', 'Kid']])), null);
+    check('strict mode never uses phonetic matching', allowsPhoneticMatch(MATCH_MODES.STRICT), false);
+    check('exact mode never uses phonetic matching', allowsPhoneticMatch(MATCH_MODES.EXACT), false);
+    check('fuzzy mode allows phonetic matching', allowsPhoneticMatch(MATCH_MODES.FUZZY), true);
+
+    console.log('\nNumber canonicalization:');
+    check('"2" equals "two"', sameAnswer('2', 'two'), true);
+    check('"Two Words" equals "2 Words"', sameAnswer('Two Words', '2 Words'), true);
+    check('compound numbers ("twenty-one" = "21")', sameAnswer('twenty-one', '21'), true);
+    check('ordinals ("twenty-first century" = "21st century")', sameAnswer('twenty-first century', '21st century'), true);
+    check('"808s" stays as it is', normalizeForComparison('808s'), '808s');
+    check('"808\'s" equals "808s"', sameAnswer('808\'s', '808s'), true);
+    check('number words inside other words are left alone', normalizeForComparison('someone often'), 'someone often');
+    check('"2" and "to" stay different', sameAnswer('2', 'to'), false);
+    check('"2nd" and "2" stay different', sameAnswer('2nd', '2'), false);
+
+    console.log('\nAbbreviation canonicalization:');
+    check('"Pt. 2" equals "Part Two"', sameAnswer('Pt. 2', 'Part Two'), true);
+    check('"ft." equals "feat"', sameAnswer('ft. Jay-Z', 'feat Jay-Z'), true);
+    check('"featuring" equals "feat"', sameAnswer('featuring Jay-Z', 'feat Jay-Z'), true);
+    check('"&" equals "and"', sameAnswer('Tom & Jerry', 'Tom and Jerry'), true);
+    check('"R&B" is not split into "R and B"', sameAnswer('R&B', 'R and B'), false);
+    check('curly apostrophes equal straight ones', sameAnswer('Don\u2019t Stop', 'Don\'t Stop'), true);
+    check('unicode dashes equal hyphens', sameAnswer('All Day \u2013 Remix', 'All Day - Remix'), true);
+
+    console.log('\nCanonicalization per match mode:');
+    check('loose mode canonicalizes numbers', sameAnswer('Part Two', 'part 2', MATCH_MODES.LOOSE), true);
+    check('fuzzy mode canonicalizes abbreviations', sameAnswer('ft. Jay-Z', 'feat Jay-Z', MATCH_MODES.FUZZY), true);
+    check('strict mode keeps "two" and "2" apart', sameAnswer('two', '2', MATCH_MODES.STRICT), false);
+    check('strict mode keeps "&" and "and" apart', sameAnswer('Tom & Jerry', 'Tom and Jerry', MATCH_MODES.STRICT), false);
+    check('strict mode still fixes curly apostrophes', sameAnswer('Don\u2019t', 'don\'t', MATCH_MODES.STRICT), true);
+    check('exact mode keeps case', sameAnswer('Runaway', 'runaway', MATCH_MODES.EXACT), false);
+
+    console.log('\nAnswer strictness:');
+    const { CASUAL, STANDARD, HARDCORE } = ANSWER_STRICTNESS;
+    check('standard keeps the question\'s mode', resolveMatchMode(MATCH_MODES.LOOSE, STANDARD), MATCH_MODES.LOOSE);
+    check('unknown question modes fall back to normal', resolveMatchMode('bogus', STANDARD), MATCH_MODES.NORMAL);
+    check('casual loosens normal to fuzzy', resolveMatchMode(MATCH_MODES.NORMAL, CASUAL), MATCH_MODES.FUZZY);
+    check('casual loosens loose to fuzzy', resolveMatchMode(MATCH_MODES.LOOSE, CASUAL), MATCH_MODES.FUZZY);
+    check('casual keeps strict questions strict', resolveMatchMode(MATCH_MODES.STRICT, CASUAL), MATCH_MODES.STRICT);
+    check('casual keeps exact questions exact', resolveMatchMode(MATCH_MODES.EXACT, CASUAL), MATCH_MODES.EXACT);
+    check('hardcore tightens fuzzy to strict', resolveMatchMode(MATCH_MODES.FUZZY, HARDCORE), MATCH_MODES.STRICT);
+    check('hardcore tightens normal to strict', resolveMatchMode(MATCH_MODES.NORMAL, HARDCORE), MATCH_MODES.STRICT);
+    check('hardcore keeps exact questions exact', resolveMatchMode(MATCH_MODES.EXACT, HARDCORE), MATCH_MODES.EXACT);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allGood ? '\n✓ All normalization checks passed!' : '\n❌ Some normalization checks failed');
+    if (!allGood) process.exit(1);
+
+} catch (error) {
+    console.error('Error:', error);
+    process.exit(1);
+}
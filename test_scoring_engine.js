@@ -0,0 +1,214 @@
+/**
+ * Test script for the scoring engine
+ * Checks every scoring mode and speed curve, point clamping, wrong-answer
+ * penalties, streak tiers, ordered-list partial credit and the host
+ * scoring-settings sanitizer
+ */
+
+import {
+    SPEED_CURVES,
+    DEFAULT_SCORING_SETTINGS,
+    sanitizeScoringSettings,
+    resolveScoringMode,
+    getStreakMultiplier,
+    scoreDeferredRound,
+    scoreImmediateAnswer,
+    getWrongAnswerPenalty,
+    applyPoints
+} from './server/src/scoringEngine.js';
+import { QUESTION_TYPES, SCORING_MODES } from './server/src/questionTypes.js';
+import { compareOrdering } from './server/src/gameManager.js';
+import { validateOrderedListSubmission } from './server/src/validation.js';
+
+let allGood = true;
+
+function check(label, actual, expected) {
+    const pass = JSON.stringify(actual) === JSON.stringify(expected);
+    console.log(`  ${pass ? '✓' : '❌'} ${label}`);
+    if (!pass) {
+        console.log(`      expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        allGood = false;
+    }
+}
+
+// Free-text round with `earlierCorrect` other players already correct
+function freeTextRound(earlierCorrect = 0, extra = {}) {
+    const submissions = new Map();
+    for (let i = 0; i < earlierCorrect; i++) {
+        submissions.set(`early-${i}`, { playerId: `early-${i}`, isCorrect: true, submittedAt: 1000 + i });
+    }
+    return {
+        questionType: QUESTION_TYPES.FREE_TEXT,
+        startedAt: 0,
+        durationMs: 10000,
+        submissions,
+        ...extra
+    };
+}
+
+function immediate(scoring, { earlierCorrect = 0, elapsedMs = 1000, streak = 0, revealedCount, round = {} } = {}) {
+    const entry = { playerId: 'player', submittedAt: elapsedMs, revealedCount };
+    return scoreImmediateAnswer(freeTextRound(earlierCorrect, round), entry, scoring, { streak });
+}
+
+function pointsByPlayer(results) {
+    return Object.fromEntries(results.map(result => [result.playerId, result.points]));
+}
+
+function statusByPlayer(results) {
+    return Object.fromEntries(results.map(result => [result.playerId, result.status]));
+}
+
+try {
+    console.log('Testing scoring engine...\n');
+    console.log('='.repeat(60));
+
+    console.log('\nSTANDARD mode, rank curve (defaults):');
+    check('first correct answer gets maxPoints', immediate(null), 10);
+    check('third correct answer loses a point per rank', immediate(null, { earlierCorrect: 2 }), 8);
+    check('late answers never drop below minPoints', immediate(null, { earlierCorrect: 20 }), 1);
+
+    console.log('\nSTANDARD mode, speed curves:');
+    const linear = { mode: SCORING_MODES.STANDARD, speedCurve: SPEED_CURVES.LINEAR, maxPoints: 10, minPoints: 2 };
+    check('linear: instant answer gets maxPoints', immediate(linear, { elapsedMs: 0 }), 10);
+    check('linear: half-way answer gets the midpoint', immediate(linear, { elapsedMs: 5000 }), 6);
+    check('linear: answers past the buzzer clamp to minPoints', immediate(linear, { elapsedMs: 20000 }), 2);
+    const exponential = { mode: SCORING_MODES.STANDARD, speedCurve: SPEED_CURVES.EXPONENTIAL };
+    check('exponential: instant answer gets maxPoints', immediate(exponential, { elapsedMs: 0 }), 10);
+    check('exponential: buzzer answer falls towards minPoints', immediate(exponential, { elapsedMs: 10000 }), 1);
+    const flat = { mode: SCORING_MODES.STANDARD, speedCurve: SPEED_CURVES.NONE };
+    check('none: speed and rank do not matter', immediate(flat, { earlierCorrect: 3, elapsedMs: 9000 }), 10);
+
+    console.log('\nFIRST_ONLY and RANKED modes:');
+    const firstOnly = { mode: SCORING_MODES.FIRST_ONLY };
+    check('first-only: first correct answer scores', immediate(firstOnly), 10);
+    check('first-only: later correct answers score nothing', immediate(firstOnly, { earlierCorrect: 1 }), 0);
+    const ranked = { mode: SCORING_MODES.RANKED, speedCurve: SPEED_CURVES.NONE };
+    check('ranked: ignores the speed curve and pays by rank', immediate(ranked, { earlierCorrect: 1 }), 9);
+
+    console.log('\nPROXIMITY mode (numeric):');
+    const numericRound = {
+        questionType: QUESTION_TYPES.NUMERIC,
+        startedAt: 0,
+        durationMs: 10000,
+        submissions: new Map([
+            ['far', { playerId: 'far', numericValue: 20, difference: 10, hasSubmitted: true, submittedAt: 1000 }],
+            ['exact', { playerId: 'exact', numericValue: 10, difference: 0, hasSubmitted: true, submittedAt: 3000 }],
+            ['close', { playerId: 'close', numericValue: 15, difference: 5, hasSubmitted: true, submittedAt: 2000 }]
+        ])
+    };
+    const proximity = scoreDeferredRound(numericRound, null);
+    check('numeric defaults to proximity', resolveScoringMode(QUESTION_TYPES.NUMERIC, null), SCORING_MODES.PROXIMITY);
+    check('closer guesses rank higher', pointsByPlayer(proximity), { exact: 10, close: 9, far: 8 });
+    check('exact is correct, top half is partial', statusByPlayer(proximity), { exact: 'correct', close: 'partial', far: 'incorrect' });
+    const exactOnly = scoreDeferredRound(numericRound, { mode: SCORING_MODES.STANDARD, wrongAnswerPenalty: 3 });
+    check('standard numeric pays only exact answers and penalizes the rest', pointsByPlayer(exactOnly), { exact: 10, close: -3, far: -3 });
+    check('proximity falls back to standard for non-numeric questions',
+        resolveScoringMode(QUESTION_TYPES.FREE_TEXT, { mode: SCORING_MODES.PROXIMITY }), SCORING_MODES.STANDARD);
+
+    console.log('\nMULTI_ENTRY mode:');
+    const multiEntryRound = {
+        questionType: QUESTION_TYPES.MULTI_ENTRY,
+        question: { answers: ['a', 'b', 'c', 'd'] },
+        startedAt: 0,
+        durationMs: 10000,
+        submissions: new Map([
+            ['all', { playerId: 'all', foundAnswers: ['a', 'b', 'c', 'd'], submittedAt: 4000 }],
+            ['half', { playerId: 'half', foundAnswers: ['a', 'b'], submittedAt: 1000 }],
+            ['none', { playerId: 'none', foundAnswers: [], submittedAt: 500 }]
+        ])
+    };
+    const multiEntry = scoreDeferredRound(multiEntryRound, { wrongAnswerPenalty: 5 });
+    check('multi-entry defaults to per-entry scoring', resolveScoringMode(QUESTION_TYPES.MULTI_ENTRY, null), SCORING_MODES.MULTI_ENTRY);
+    check('credit is the share of answers found', pointsByPlayer(multiEntry), { all: 10, half: 5, none: 0 });
+    check('statuses follow credit', statusByPlayer(multiEntry), { all: 'correct', half: 'partial', none: 'incorrect' });
+    check('multi-entry falls back to standard for other types',
+        resolveScoringMode(QUESTION_TYPES.FREE_TEXT, { mode: SCORING_MODES.MULTI_ENTRY }), SCORING_MODES.STANDARD);
+
+    console.log('\nProgressive reveal:');
+    const reveal = { reveal: { lines: ['one', 'two', 'three', 'four'] } };
+    check('answer on the first line gets full points', immediate(null, { revealedCount: 1, round: reveal }), 10);
+    check('answer on the third of four lines gets half', immediate(null, { revealedCount: 3, round: reveal }), 5);
+
+    console.log('\nOrdered-list partial credit (Kendall tau):');
+    const correctOrder = ['a', 'b', 'c', 'd'];
+    check('identical order is full credit', compareOrdering(['a', 'b', 'c', 'd'], correctOrder),
+        { placements: [true, true, true, true], orderScore: 1 });
+    check('reversed order is no credit', compareOrdering(['d', 'c', 'b', 'a'], correctOrder),
+        { placements: [false, false, false, false], orderScore: 0 });
+    check('one adjacent swap keeps most of the credit', compareOrdering(['b', 'a', 'c', 'd'], correctOrder),
+        { placements: [false, false, true, true], orderScore: 0.667 });
+    check('a duplicated item counts once and the item it replaced counts as missing',
+        compareOrdering(['a', 'a', 'c', 'd'], correctOrder), { placements: [true, false, true, true], orderScore: 0 });
+    check('missing items count as out of order', compareOrdering(['a', 'b'], correctOrder).orderScore, 0);
+    check('a one-item list is all or nothing', [compareOrdering(['a'], ['a']).orderScore, compareOrdering([], ['a']).orderScore], [1, 0]);
+    check('duplicate items are rejected on submit',
+        validateOrderedListSubmission({ orderedIds: ['a', 'a', 'c', 'd'] }, { items: correctOrder.map(id => ({ id })) }).valid, false);
+    const orderedRound = {
+        questionType: QUESTION_TYPES.ORDERED_LIST,
+        startedAt: 0,
+        durationMs: 10000,
+        submissions: new Map([
+            ['swap', { playerId: 'swap', hasSubmitted: true, orderScore: 0.667, submittedAt: 1000 }],
+            ['exact', { playerId: 'exact', hasSubmitted: true, isCorrect: true, submittedAt: 2000 }],
+            ['reversed', { playerId: 'reversed', hasSubmitted: true, orderScore: 0, submittedAt: 500 }]
+        ])
+    };
+    check('order score scales the points', pointsByPlayer(scoreDeferredRound(orderedRound, null)), { exact: 10, swap: 7, reversed: 0 });
+    check('order score sets the status', statusByPlayer(scoreDeferredRound(orderedRound, null)),
+        { exact: 'correct', swap: 'partial', reversed: 'incorrect' });
+
+    console.log('\nPenalties and clamping:');
+    check('no penalty by default', getWrongAnswerPenalty(null), 0);
+    check('penalty comes from settings', getWrongAnswerPenalty({ wrongAnswerPenalty: 4 }), 4);
+    check('scores never go below zero', applyPoints(3, -10), 0);
+    check('missing score counts as zero', applyPoints(undefined, 7), 7);
+
+    console.log('\nStreak tiers:');
+    const streaks = { streakMultipliers: [{ minStreak: 3, multiplier: 2 }, { minStreak: 5, multiplier: 3 }] };
+    check('below the first tier is x1', getStreakMultiplier(2, streaks), 1);
+    check('first tier applies at its threshold', getStreakMultiplier(3, streaks), 2);
+    check('first tier still applies between thresholds', getStreakMultiplier(4, streaks), 2);
+    check('highest matching tier wins', getStreakMultiplier(7, streaks), 3);
+    check('no tiers means x1', getStreakMultiplier(10, null), 1);
+    check('immediate answers use the streak including this answer', immediate(streaks, { streak: 3 }), 20);
+    const streakRound = scoreDeferredRound(multiEntryRound, streaks, { streakByPlayerId: new Map([['all', 2], ['half', 4]]) });
+    check('deferred rounds extend the streak for correct answers only', pointsByPlayer(streakRound), { all: 20, half: 5, none: 0 });
+
+    console.log('\nSettings sanitizer bounds:');
+    check('empty patch gives the defaults', sanitizeScoringSettings(null), { ...DEFAULT_SCORING_SETTINGS });
+    check('maxPoints clamps to 100', sanitizeScoringSettings({ maxPoints: 1000 }).maxPoints, 100);
+    check('maxPoints clamps to 1', sanitizeScoringSettings({ maxPoints: 0 }).maxPoints, 1);
+    check('minPoints clamps to 0', sanitizeScoringSettings({ minPoints: -5 }).minPoints, 0);
+    check('minPoints never exceeds maxPoints', sanitizeScoringSettings({ minPoints: 50 }).minPoints, 10);
+    check('lowering maxPoints pulls minPoints down',
+        sanitizeScoringSettings({ maxPoints: 3 }, { ...DEFAULT_SCORING_SETTINGS, minPoints: 5 }).minPoints, 3);
+    check('wrongAnswerPenalty clamps to 100', sanitizeScoringSettings({ wrongAnswerPenalty: 500 }).wrongAnswerPenalty, 100);
+    check('non-finite numbers are ignored', sanitizeScoringSettings({ maxPoints: NaN, minPoints: Infinity }).maxPoints, 10);
+    check('unknown mode is ignored', sanitizeScoringSettings({ mode: 'bogus' }).mode, 'auto');
+    check('known mode is accepted', sanitizeScoringSettings({ mode: SCORING_MODES.RANKED }).mode, SCORING_MODES.RANKED);
+    check('unknown speed curve is ignored', sanitizeScoringSettings({ speedCurve: 'bogus' }).speedCurve, SPEED_CURVES.RANK);
+    check('unknown keys are dropped', 'extra' in sanitizeScoringSettings({ extra: true }), false);
+    check('streak tiers are clamped and invalid tiers dropped',
+        sanitizeScoringSettings({ streakMultipliers: [
+            { minStreak: 100, multiplier: 0.5 },
+            { minStreak: 1, multiplier: 10 },
+            { minStreak: 'x', multiplier: 2 }
+        ] }).streakMultipliers,
+        [{ minStreak: 2, multiplier: 5 }, { minStreak: 50, multiplier: 1 }]);
+    check('duplicate thresholds keep the last tier',
+        sanitizeScoringSettings({ streakMultipliers: [{ minStreak: 3, multiplier: 2 }, { minStreak: 3, multiplier: 1.25 }] }).streakMultipliers,
+        [{ minStreak: 3, multiplier: 1.3 }]);
+    check('at most five tiers are kept',
+        sanitizeScoringSettings({ streakMultipliers: [2, 3, 4, 5, 6, 7, 8].map(minStreak => ({ minStreak, multiplier: 2 })) })
+            .streakMultipliers.map(tier => tier.minStreak),
+        [2, 3, 4, 5, 6]);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allGood ? '\n✓ All scoring checks passed!' : '\n❌ Some scoring checks failed');
+    if (!allGood) process.exit(1);
+
+} catch (error) {
+    console.error('Error:', error);
+    process.exit(1);
+}